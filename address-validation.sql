@@ -0,0 +1,15 @@
+-- ===============================
+-- ADDRESS VALIDATION
+-- PLZ/Ort Abweichungen zur manuellen Prüfung markieren
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS address_review_required BOOLEAN DEFAULT false;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS address_review_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_address_review
+    ON kfz_customers (tenant_project_id)
+    WHERE address_review_required = true;
+
+-- Bestätigung
+SELECT 'kfz_customers address validation columns ready' as message;
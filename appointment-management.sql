@@ -0,0 +1,31 @@
+-- ===============================
+-- APPOINTMENT MANAGEMENT
+-- Termine bestätigen, verschieben, absagen und abschließen
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';   -- u.a. reschedule_history
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS confirmed_by TEXT;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS cancelled_by TEXT;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE kfz_appointments ADD COLUMN IF NOT EXISTS completed_by TEXT;
+
+ALTER TABLE kfz_appointments DROP CONSTRAINT IF EXISTS kfz_appointments_status_check;
+ALTER TABLE kfz_appointments ADD CONSTRAINT kfz_appointments_status_check
+    CHECK (status IN ('tentative', 'scheduled', 'cancelled', 'completed'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_appointments_schedule
+    ON kfz_appointments (tenant_project_id, scheduled_date, status);
+
+-- Hinweise aus der Terminplanung standen bisher in completion_notes
+UPDATE kfz_appointments
+SET metadata = COALESCE(metadata, '{}'::JSONB) || jsonb_build_object('scheduling_notes', completion_notes),
+    completion_notes = NULL
+WHERE completed_at IS NULL AND completion_notes IS NOT NULL;
+
+-- Bestätigung
+SELECT 'kfz_appointments management columns ready' as message;
@@ -0,0 +1,30 @@
+-- ===============================
+-- AVAILABILITY
+-- Gesperrte Zeiträume (Urlaub, Fortbildung, ...) für die Terminvergabe
+-- Öffnungszeiten liegen in tenant_projects.settings.business_hours (PUT /api/availability/settings)
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_blocked_periods (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_blocked_periods ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ NOT NULL;
+ALTER TABLE kfz_blocked_periods ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ NOT NULL;
+ALTER TABLE kfz_blocked_periods ADD COLUMN IF NOT EXISTS reason TEXT;
+ALTER TABLE kfz_blocked_periods ADD COLUMN IF NOT EXISTS created_by TEXT;
+
+ALTER TABLE kfz_blocked_periods DROP CONSTRAINT IF EXISTS kfz_blocked_periods_range_check;
+ALTER TABLE kfz_blocked_periods ADD CONSTRAINT kfz_blocked_periods_range_check
+    CHECK (ends_at > starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_kfz_blocked_periods_range
+    ON kfz_blocked_periods (tenant_project_id, starts_at, ends_at);
+
+ALTER TABLE kfz_blocked_periods DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_blocked_periods TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_blocked_periods ready' as message;
@@ -0,0 +1,22 @@
+-- ===============================
+-- CUSTOMER MANAGEMENT
+-- Bearbeiten, Soft-Delete und Zusammenführen doppelter Kunden
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES kfz_customers(id);
+
+-- Liste und Suche laufen nur über nicht gelöschte Kunden
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_active
+    ON kfz_customers (tenant_project_id, created_at DESC)
+    WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_customer_number ON kfz_customers (customer_number);
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_last_name ON kfz_customers (tenant_project_id, lower(last_name));
+
+-- Bestätigung
+SELECT 'kfz_customers management columns ready' as message;
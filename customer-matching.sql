@@ -0,0 +1,44 @@
+-- ===============================
+-- CUSTOMER MATCHING
+-- Unscharfer Kundenabgleich: Kölner Phonetik, weitere Rufnummern, Duplikat-Verdachte
+-- Im Supabase SQL Editor ausführen!
+-- Danach einmalig: POST /api/customers/phonetics/backfill
+-- ===============================
+
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS first_name_phonetic TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS last_name_phonetic TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS alternate_phones TEXT[] DEFAULT '{}';  -- weitere Nummern desselben Kunden
+
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_last_name_phonetic
+    ON kfz_customers (tenant_project_id, last_name_phonetic)
+    WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_phone ON kfz_customers (tenant_project_id, phone);
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_alternate_phones ON kfz_customers USING GIN (alternate_phones);
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_postal_street ON kfz_customers (tenant_project_id, postal_code, street);
+
+CREATE TABLE IF NOT EXISTS kfz_customer_duplicate_candidates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES kfz_customers(id);            -- neu angelegter Kunde
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS candidate_customer_id UUID REFERENCES kfz_customers(id);  -- möglicher Bestandskunde
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS score NUMERIC(4,3);
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS signals TEXT[] DEFAULT '{}';    -- phone, full_name, last_name, address, postal_code
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS conflicts TEXT[] DEFAULT '{}';
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending';
+ALTER TABLE kfz_customer_duplicate_candidates ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ;
+
+ALTER TABLE kfz_customer_duplicate_candidates DROP CONSTRAINT IF EXISTS kfz_customer_duplicate_candidates_status_check;
+ALTER TABLE kfz_customer_duplicate_candidates ADD CONSTRAINT kfz_customer_duplicate_candidates_status_check
+    CHECK (status IN ('pending', 'merged', 'dismissed'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_customer_duplicate_candidates_pending
+    ON kfz_customer_duplicate_candidates (tenant_project_id, status);
+
+ALTER TABLE kfz_customer_duplicate_candidates DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_customer_duplicate_candidates TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_customers matching columns and kfz_customer_duplicate_candidates ready' as message;
@@ -0,0 +1,56 @@
+-- ===============================
+-- DAMAGE & ACCIDENT EXTRACTION
+-- Schadensbild und Unfallhergang aus Anrufen für die Vorbereitung der Besichtigung
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_damages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES kfz_projects(id);
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES kfz_customers(id);
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS damage_areas TEXT[] DEFAULT '{}';   -- front, rear, left, right, side, roof, glass, underbody
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS damaged_parts TEXT[] DEFAULT '{}';  -- z.B. Stoßstange, Kotflügel
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS is_drivable BOOLEAN;
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE kfz_damages ADD COLUMN IF NOT EXISTS extraction_confidence NUMERIC(4,3);
+
+CREATE TABLE IF NOT EXISTS kfz_accident_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES kfz_projects(id);
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES kfz_customers(id);
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS accident_date DATE;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS accident_location TEXT;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS police_involved BOOLEAN;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS police_report_number TEXT;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS fault_assessment TEXT;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS hit_and_run BOOLEAN DEFAULT false;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS other_party JSONB DEFAULT '{}'::jsonb; -- name, license_plate
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE kfz_accident_reports ADD COLUMN IF NOT EXISTS extraction_confidence NUMERIC(4,3);
+
+-- self | other_party | shared
+ALTER TABLE kfz_accident_reports DROP CONSTRAINT IF EXISTS kfz_accident_reports_fault_check;
+ALTER TABLE kfz_accident_reports ADD CONSTRAINT kfz_accident_reports_fault_check
+    CHECK (fault_assessment IS NULL OR fault_assessment IN ('self', 'other_party', 'shared'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_damages_project ON kfz_damages (project_id);
+CREATE INDEX IF NOT EXISTS idx_kfz_accident_reports_project ON kfz_accident_reports (project_id);
+
+ALTER TABLE kfz_damages DISABLE ROW LEVEL SECURITY;
+ALTER TABLE kfz_accident_reports DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_damages TO service_role, anon;
+GRANT ALL PRIVILEGES ON kfz_accident_reports TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_damages and kfz_accident_reports extraction columns ready' as message;
@@ -0,0 +1,35 @@
+-- ===============================
+-- EXTRACTION FEEDBACK
+-- Korrekturen des Büros als gelabelte Stichproben pro Feld und Methode
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_extraction_samples (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS call_id UUID REFERENCES kfz_calls(id) ON DELETE CASCADE;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS retell_call_id TEXT;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS field TEXT NOT NULL;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS original_value JSONB;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS corrected_value JSONB;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS method TEXT;         -- extraction_details.<feld>_method, z.B. 'Direct name introduction'
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS source TEXT;         -- Strategie, z.B. 'regex_advanced'
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS confidence NUMERIC(4,3);
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS outcome TEXT;
+ALTER TABLE kfz_extraction_samples ADD COLUMN IF NOT EXISTS corrected_by TEXT;
+
+ALTER TABLE kfz_extraction_samples DROP CONSTRAINT IF EXISTS kfz_extraction_samples_outcome_check;
+ALTER TABLE kfz_extraction_samples ADD CONSTRAINT kfz_extraction_samples_outcome_check
+    CHECK (outcome IN ('confirmed', 'corrected', 'removed', 'missed'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_extraction_samples_method ON kfz_extraction_samples (tenant_project_id, field, method);
+CREATE INDEX IF NOT EXISTS idx_kfz_extraction_samples_call ON kfz_extraction_samples (call_id);
+
+ALTER TABLE kfz_extraction_samples DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_extraction_samples TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_extraction_samples ready' as message;
@@ -0,0 +1,113 @@
+-- ===============================
+-- INSURANCE CLAIMS
+-- Versichererliste je Tenant (unscharfer Abgleich) und Schadenfälle pro Projekt
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_insurance_companies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    name TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS tenant_project_id UUID REFERENCES tenant_projects(id);
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS short_name TEXT;
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS aliases TEXT[] DEFAULT '{}';  -- gesprochene Varianten ("HUK", "R und V")
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS claims_email TEXT;
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS claims_phone TEXT;
+ALTER TABLE kfz_insurance_companies ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT true;
+
+-- Bestand ohne Tenant dem KFZ-Tenant zuordnen, Namen nur je Tenant eindeutig
+UPDATE kfz_insurance_companies
+SET tenant_project_id = (SELECT id FROM tenant_projects WHERE project_name = 'kfz-sachverstaendiger')
+WHERE tenant_project_id IS NULL;
+
+DROP INDEX IF EXISTS idx_kfz_insurance_companies_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kfz_insurance_companies_tenant_name ON kfz_insurance_companies (tenant_project_id, name);
+
+CREATE TABLE IF NOT EXISTS kfz_insurance_claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES kfz_projects(id);
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES kfz_customers(id);
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS insurance_company_id UUID REFERENCES kfz_insurance_companies(id);
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS insurer_name TEXT;             -- wie im Gespräch genannt
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS insurer_match_status TEXT;     -- matched | uncertain | unmatched | manual
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS insurer_match_score NUMERIC(4,3);
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS insurer_role TEXT;             -- own | other_party
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS claim_number TEXT;
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS policy_number TEXT;
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open';
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE kfz_insurance_claims ADD COLUMN IF NOT EXISTS extraction_confidence NUMERIC(4,3);
+
+ALTER TABLE kfz_insurance_claims DROP CONSTRAINT IF EXISTS kfz_insurance_claims_role_check;
+ALTER TABLE kfz_insurance_claims ADD CONSTRAINT kfz_insurance_claims_role_check
+    CHECK (insurer_role IS NULL OR insurer_role IN ('own', 'other_party'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_insurance_claims_project ON kfz_insurance_claims (project_id);
+CREATE INDEX IF NOT EXISTS idx_kfz_insurance_claims_claim_number ON kfz_insurance_claims (tenant_project_id, claim_number);
+
+ALTER TABLE kfz_insurance_companies DISABLE ROW LEVEL SECURITY;
+ALTER TABLE kfz_insurance_claims DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_insurance_companies TO service_role, anon;
+GRANT ALL PRIVILEGES ON kfz_insurance_claims TO service_role, anon;
+
+-- Startliste (entspricht data/versicherer.csv), danach über /api/insurance/companies pflegen
+INSERT INTO kfz_insurance_companies (tenant_project_id, name, aliases)
+SELECT tp.id, list.name, list.aliases
+FROM tenant_projects tp
+CROSS JOIN (VALUES
+    ('HUK-COBURG', ARRAY['HUK', 'HUK Coburg', 'HUK24', 'HUK 24']::TEXT[]),
+    ('Allianz', ARRAY['Allianz Versicherung']::TEXT[]),
+    ('AXA', ARRAY['Axa Versicherung']::TEXT[]),
+    ('DEVK', ARRAY['DEVK Versicherung']::TEXT[]),
+    ('R+V', ARRAY['R und V', 'R+V Versicherung', 'RuV', 'R plus V']::TEXT[]),
+    ('LVM', ARRAY['LVM Versicherung']::TEXT[]),
+    ('Provinzial', ARRAY['Provinzial Nord West', 'Westfälische Provinzial', 'Provinzial NordWest']::TEXT[]),
+    ('VHV', ARRAY['VHV Versicherung']::TEXT[]),
+    ('HDI', ARRAY['HDI Versicherung']::TEXT[]),
+    ('Generali', ARRAY['Generali Versicherung']::TEXT[]),
+    ('ERGO', ARRAY['Ergo Versicherung']::TEXT[]),
+    ('Zurich', ARRAY['Zürich', 'Zurich Versicherung']::TEXT[]),
+    ('Gothaer', ARRAY['Gothaer Versicherung']::TEXT[]),
+    ('Württembergische', ARRAY['WGV Württembergische', 'Württembergische Versicherung']::TEXT[]),
+    ('WGV', ARRAY['WGV Versicherung']::TEXT[]),
+    ('Signal Iduna', ARRAY['Signal', 'Iduna']::TEXT[]),
+    ('Debeka', ARRAY['Debeka Versicherung']::TEXT[]),
+    ('VGH', ARRAY['VGH Versicherungen']::TEXT[]),
+    ('SV SparkassenVersicherung', ARRAY['Sparkassenversicherung', 'SV Versicherung']::TEXT[]),
+    ('Continentale', ARRAY['Continentale Versicherung']::TEXT[]),
+    ('Itzehoer', ARRAY['Itzehoer Versicherung']::TEXT[]),
+    ('CosmosDirekt', ARRAY['Cosmos Direkt', 'Cosmos']::TEXT[]),
+    ('DA Direkt', ARRAY['DA Direktversicherung']::TEXT[]),
+    ('Verti', ARRAY['Verti Versicherung']::TEXT[]),
+    ('AllSecur', ARRAY['Allsecur']::TEXT[]),
+    ('Admiral Direkt', ARRAY['Admiral']::TEXT[]),
+    ('KRAVAG', ARRAY['Kravag Versicherung']::TEXT[]),
+    ('Mecklenburgische', ARRAY['Mecklenburgische Versicherung']::TEXT[]),
+    ('Nürnberger', ARRAY['Nürnberger Versicherung', 'Nuernberger']::TEXT[]),
+    ('Alte Leipziger', ARRAY['Alte Leipziger Versicherung']::TEXT[]),
+    ('Die Bayerische', ARRAY['Bayerische', 'Bayerische Versicherung']::TEXT[]),
+    ('Barmenia', ARRAY['Barmenia Versicherung']::TEXT[]),
+    ('Helvetia', ARRAY['Helvetia Versicherung']::TEXT[]),
+    ('Basler', ARRAY['Basler Versicherung', 'Baloise']::TEXT[]),
+    ('Janitos', ARRAY['Janitos Versicherung']::TEXT[]),
+    ('Adam Riese', ARRAY['Adam Riese Versicherung']::TEXT[]),
+    ('ADAC Autoversicherung', ARRAY['ADAC']::TEXT[]),
+    ('Lippische Landesbrandversicherung', ARRAY['Lippische', 'Lippische Landes-Brandversicherung']::TEXT[]),
+    ('Volkswohl Bund', ARRAY['Volkswohlbund']::TEXT[]),
+    ('Concordia', ARRAY['Concordia Versicherung']::TEXT[])
+) AS list (name, aliases)
+WHERE tp.project_name = 'kfz-sachverstaendiger'
+ON CONFLICT (tenant_project_id, name) DO NOTHING;
+
+-- Bestätigung
+SELECT 'kfz_insurance_companies and kfz_insurance_claims ready' as message;
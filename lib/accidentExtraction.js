@@ -0,0 +1,244 @@
+// ================================
+// DAMAGE & ACCIDENT EXTRACTION
+// ================================
+
+// Erkennt Unfalldatum und -ort, Schadensbereich am Fahrzeug, Fahrbereitschaft,
+// Polizei und Schuldfrage / Unfallgegner aus den Anrufer-Turns.
+// Die vorangehende Agenten-Frage ("Wann ist der Unfall passiert?") dient als Kontext.
+
+const { findLicensePlate } = require('./vehicleExtraction');
+const { parseGermanPastDate } = require('./germanDateParser');
+
+const ACCIDENT_CONTEXT = /unfall|passiert|gekracht|zusammengesto(?:ß|ss)en|zusammensto(?:ß|ss)|aufgefahren|angefahren|gerammt|(?:drauf|rein)\s*gefahren|geschehen/i;
+const DAMAGE_CONTEXT = /schaden|schäden|beschädigt|kaputt|delle|beule|kratzer|zerkratzt|eingedrückt|verbeult|gebrochen|gesplittert|demoliert|(?<![a-zäöüß])riss/i;
+
+// Agenten-Fragen als Kontext für die folgende Antwort ("Wann ist der Unfall passiert?")
+const AGENT_ACCIDENT_QUESTION = /(?:wann|wo|wie)\s+(?:\w+\s+){0,4}(?:unfall|passiert|geschehen)/i;
+const AGENT_DAMAGE_QUESTION = /(?:welche[rn]?|was\s+für|wo)\s+(?:\w+\s+){0,4}(?:schaden|schäden|beschädigt)|was\s+ist\s+(?:\w+\s+)?(?:kaputt|beschädigt)|fahrbereit/i;
+
+const DAMAGE_AREAS = [
+    { area: 'front', pattern: /(?<![a-zäöüß])(?:vorne|vorn|front\w*|motorhaube|kühler\w*|scheinwerfer)(?![a-zäöüß])/i },
+    { area: 'rear', pattern: /(?<![a-zäöüß])(?:hinten|heck\w*|kofferraum\w*|rücklicht\w*)(?![a-zäöüß])/i },
+    { area: 'left', pattern: /(?<![a-zäöüß])(?:links|linke[nrs]?|fahrerseite)(?![a-zäöüß])/i },
+    { area: 'right', pattern: /(?<![a-zäöüß])(?:rechts|rechte[nrs]?|beifahrerseite)(?![a-zäöüß])/i },
+    { area: 'side', pattern: /(?<![a-zäöüß])(?:seite\w*|tür(?:en)?|fahrertür|beifahrertür|kotflügel|schweller)(?![a-zäöüß])/i },
+    { area: 'roof', pattern: /(?<![a-zäöüß])dach(?![a-zäöüß])/i },
+    { area: 'glass', pattern: /(?:windschutz)?scheibe|(?<![a-zäöüß])glas(?![a-zäöüß])/i },
+    { area: 'underbody', pattern: /unterboden/i }
+];
+
+const DAMAGE_PARTS = [
+    { part: 'Stoßstange', pattern: /sto(?:ß|ss)stange|sto(?:ß|ss)fänger/i },
+    { part: 'Motorhaube', pattern: /motorhaube/i },
+    { part: 'Kotflügel', pattern: /kotflügel/i },
+    { part: 'Tür', pattern: /(?<![a-zäöüß])(?:fahrer|beifahrer)?tür(?:en)?(?![a-zäöüß])/i },
+    { part: 'Heckklappe', pattern: /heckklappe|kofferraumdeckel/i },
+    { part: 'Scheinwerfer', pattern: /scheinwerfer/i },
+    { part: 'Rückleuchte', pattern: /rücklicht|rückleuchte/i },
+    { part: 'Außenspiegel', pattern: /spiegel/i },
+    { part: 'Windschutzscheibe', pattern: /windschutzscheibe|frontscheibe/i },
+    { part: 'Felge', pattern: /felge/i },
+    { part: 'Reifen', pattern: /reifen/i },
+    { part: 'Schweller', pattern: /schweller/i },
+    { part: 'Kühlergrill', pattern: /kühlergrill|(?<![a-zäöüß])grill(?![a-zäöüß])/i },
+    { part: 'Dach', pattern: /(?<![a-zäöüß])dach(?![a-zäöüß])/i }
+];
+
+const NOT_DRIVABLE = /nicht\s+(?:mehr\s+)?(?:fahrbereit|fahrtüchtig|fahrbar|verkehrssicher)|nicht\s+mehr\s+(?:fahren|bewegen)|abgeschleppt|abschleppen|totalschaden|springt\s+nicht\s+(?:mehr\s+)?an/i;
+const DRIVABLE = /fahrbereit|fahrtüchtig|fährt\s+(?:noch|normal|ganz\s+normal)|kann\s+(?:noch\s+)?(?:damit\s+)?(?:noch\s+)?fahren|noch\s+fahren/i;
+
+const NO_POLICE = /keine\s+polizei|ohne\s+polizei|polizei\s+(?:war\s+)?nicht|polizei\s+(?:haben|hab)\s+wir\s+nicht|nicht\s+(?:die\s+)?polizei/i;
+const POLICE = /polizei|polizist|streifenwagen|unfallaufnahme/i;
+const POLICE_REPORT_NUMBER = /(?:aktenzeichen|tagebuchnummer|vorgangsnummer|az\.?)\s*(?:ist|lautet|:)?\s*([a-z0-9][a-z0-9\/\-]*(?:\s[0-9][0-9\/\-]*)*)/i;
+
+const FAULT_PATTERNS = [
+    { fault: 'shared', pattern: /teilschuld|mitschuld|beide\s+schuld|(?:50|fünfzig)\s*(?:zu|:)\s*(?:50|fünfzig)/i },
+    { fault: 'self', pattern: /ich\s+(?:bin|war)\s+(?:schuld|(?:dem|der|ihm|ihr)\s+\w*\s*)?aufgefahren|ich\s+(?:bin|war)\s+schuld|(?<!nicht\s)meine\s+schuld|selbst\s+verschuldet|ich\s+habe\s+(?:den|die|das)\s+\w+\s+übersehen/i },
+    { fault: 'other_party', pattern: /unverschuldet|nicht\s+(?:meine|mein)\s+schuld|(?:der|die)\s+(?:andere|unfallgegner|verursacher)\w*\s+(?:ist|war|hat)\s+(?:schuld|aufgefahren)|(?:ist|wurde)\s+mir\s+(?:hinten\s+)?(?:drauf|rein|reingefahren|aufgefahren)|(?:ist|sind)\s+(?:mir\s+)?(?:hinten\s+)?auf\s+mich\s+(?:drauf|auf)gefahren|auf\s+mich\s+aufgefahren|mir\s+(?:ist|sind)\s+.{0,60}?(?:drauf|rein|hinein)\s*gefahren|hat\s+mir\s+die\s+vorfahrt\s+genommen|hat\s+mich\s+(?:übersehen|gerammt|geschnitten|angefahren)|wurde\s+angefahren|angefahren\s+worden|fahrerflucht/i }
+];
+
+const HIT_AND_RUN = /fahrerflucht|abgehauen|einfach\s+weiter(?:gefahren)?|unerkannt|weggefahren/i;
+
+const OTHER_PARTY_CONTEXT = /unfallgegner|verursacher|(?:der|die|des)\s+andere[nr]?|gegnerische/i;
+const OTHER_PARTY_NAME = /(?:unfallgegner(?:in)?|verursacher(?:in)?|andere[nr]?\s+fahrer(?:in)?)\s+(?:hei(?:ß|ss)t|hie(?:ß|ss)|ist|war|:)\s+(?:herr\s+|frau\s+)?([a-zäöüß]+(?:\s+[a-zäöüß]+)?)/i;
+const CAPITALIZED_NAME = /^[A-ZÄÖÜ][a-zäöüß]+(?:\s+[A-ZÄÖÜ][a-zäöüß]+)?$/;
+
+const LOCATION_PATTERNS = [
+    // "auf der A2", "Autobahn 33", "B 61"
+    { pattern: /(?:auf\s+der|autobahn|bundesstra(?:ß|ss)e)\s+([ab])\s?(\d{1,3})(?!\d)/i, format: match => `${match[1].toUpperCase()}${match[2]}` },
+    { pattern: /(?:auf|an|in|vor)\s+(?:dem|der|einem|einer|die)\s+((?:parkplatz|parkhaus|kreuzung|ampel|einmündung|kreisverkehr|ausfahrt|auffahrt|tankstelle|landstra(?:ß|ss)e)[^.,;?!]{0,60})/i, format: match => match[1] },
+    // "auf der Herforder Straße", "in der Hauptstraße"
+    { pattern: /(?:auf|in)\s+der\s+((?:[A-ZÄÖÜ][a-zäöüß]+[\s-])?[A-ZÄÖÜ]?[a-zäöüß]*(?:[Ss]tra(?:ß|ss)e|[Ss]tr\.|[Ww]eg|[Aa]llee|[Rr]ing|[Cc]haussee)(?:\s+\d{1,4}[a-z]?)?)(?![a-zäöüß])/, format: match => match[1] }
+];
+
+function splitSentences(text) {
+    return (text || '').split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+function firstMatch(patterns, text) {
+    for (const entry of patterns) {
+        const match = text.match(entry.pattern);
+        if (match) return { entry, match };
+    }
+    return null;
+}
+
+/**
+ * Sätze der Anrufer-Turns mit Kontext der vorangehenden Agenten-Frage
+ * @param {Array} turns - alle Turns des Transkript-Modells ({ index, role, text })
+ */
+function buildCallerSentences(turns) {
+    const sentences = [];
+    let lastAgentText = '';
+
+    for (const turn of turns) {
+        if (turn.role === 'agent') {
+            lastAgentText = turn.text || '';
+            continue;
+        }
+
+        for (const sentence of splitSentences(turn.text)) {
+            sentences.push({
+                text: sentence,
+                turn,
+                accident: ACCIDENT_CONTEXT.test(sentence) || AGENT_ACCIDENT_QUESTION.test(lastAgentText),
+                damage: DAMAGE_CONTEXT.test(sentence) || AGENT_DAMAGE_QUESTION.test(lastAgentText)
+            });
+        }
+        lastAgentText = '';
+    }
+
+    return sentences;
+}
+
+function extractDamage(sentences) {
+    const damageSentences = sentences.filter(sentence => sentence.damage);
+    if (damageSentences.length === 0) return null;
+
+    const areas = new Set();
+    const parts = new Set();
+    let drivable = null;
+    let description = null;
+
+    for (const { text } of damageSentences) {
+        DAMAGE_AREAS.filter(({ pattern }) => pattern.test(text)).forEach(({ area }) => areas.add(area));
+        DAMAGE_PARTS.filter(({ pattern }) => pattern.test(text)).forEach(({ part }) => parts.add(part));
+        if (!description && DAMAGE_CONTEXT.test(text)) description = text.substring(0, 200);
+    }
+
+    // Fahrbereitschaft wird oft ohne Schadenswort genannt ("Ich kann noch fahren")
+    for (const { text } of sentences) {
+        if (NOT_DRIVABLE.test(text)) {
+            drivable = false;
+            break;
+        }
+        if (drivable === null && DRIVABLE.test(text)) drivable = true;
+    }
+
+    if (!description && areas.size === 0 && parts.size === 0) return null;
+
+    return {
+        description: description || damageSentences[0].text.substring(0, 200),
+        areas: [...areas],
+        parts: [...parts],
+        drivable
+    };
+}
+
+function extractAccident(sentences, options) {
+    const accident = {
+        date: null,
+        date_confidence: null,
+        location: null,
+        police_involved: null,
+        police_report_number: null,
+        fault: null,
+        hit_and_run: false,
+        other_party: { name: null, license_plate: null }
+    };
+
+    for (const { text, accident: inContext } of sentences) {
+        if (inContext && !accident.date) {
+            const date = parseGermanPastDate(text, options);
+            if (date) {
+                accident.date = date.date;
+                accident.date_confidence = date.confidence;
+            }
+        }
+
+        if (inContext && !accident.location) {
+            const location = firstMatch(LOCATION_PATTERNS, text);
+            if (location) accident.location = location.entry.format(location.match).trim();
+        }
+
+        if (accident.police_involved === null) {
+            if (NO_POLICE.test(text)) accident.police_involved = false;
+            else if (POLICE.test(text)) accident.police_involved = true;
+        }
+
+        if (!accident.police_report_number) {
+            const reportNumber = text.match(POLICE_REPORT_NUMBER);
+            if (reportNumber) accident.police_report_number = reportNumber[1].trim().toUpperCase();
+        }
+
+        if (!accident.fault) {
+            const fault = firstMatch(FAULT_PATTERNS, text);
+            if (fault) accident.fault = fault.entry.fault;
+        }
+
+        if (HIT_AND_RUN.test(text)) accident.hit_and_run = true;
+
+        if (OTHER_PARTY_CONTEXT.test(text)) {
+            if (!accident.other_party.license_plate) {
+                const plate = findLicensePlate(text);
+                if (plate) accident.other_party.license_plate = plate.value;
+            }
+            if (!accident.other_party.name) {
+                const name = text.match(OTHER_PARTY_NAME);
+                if (name && CAPITALIZED_NAME.test(name[1])) accident.other_party.name = name[1];
+            }
+        }
+    }
+
+    if (accident.police_report_number && accident.police_involved === null) accident.police_involved = true;
+    if (accident.hit_and_run && !accident.fault) accident.fault = 'other_party';
+
+    const hasFacts = accident.date || accident.location || accident.police_involved !== null ||
+        accident.fault || accident.hit_and_run || accident.other_party.license_plate || accident.other_party.name;
+
+    return hasFacts ? accident : null;
+}
+
+function scoreFacts(values, base) {
+    const found = values.filter(value => value !== null && value !== undefined && value !== false &&
+        !(Array.isArray(value) && value.length === 0)).length;
+    return Math.min(0.85, Math.round((base + 0.05 * found) * 100) / 100);
+}
+
+/**
+ * Extrahiert Schadens- und Unfalldaten
+ * @param {Array} turns - Turns aus parseTranscript() (mit Agenten-Turns), Zahlen normalisiert
+ * @param {Object} options - { now, timeZone } für relative Unfalldaten
+ * @returns {Object} { damage, accident, damage_confidence, accident_confidence, turn_index, turn_role }
+ */
+function extractAccidentDetails(turns, options = {}) {
+    const sentences = buildCallerSentences(turns || []);
+    const damage = extractDamage(sentences);
+    const accident = extractAccident(sentences, options);
+    const sourceSentence = sentences.find(sentence => sentence.accident || sentence.damage);
+
+    return {
+        damage,
+        accident,
+        damage_confidence: damage ? scoreFacts([damage.areas, damage.parts, damage.drivable], 0.55) : 0,
+        accident_confidence: accident
+            ? scoreFacts([accident.date, accident.location, accident.police_involved, accident.fault], 0.55)
+            : 0,
+        turn_index: sourceSentence ? sourceSentence.turn.index : null,
+        turn_role: sourceSentence ? sourceSentence.turn.role : null
+    };
+}
+
+module.exports = {
+    extractAccidentDetails
+};
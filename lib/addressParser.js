@@ -0,0 +1,255 @@
+// ================================
+// GERMAN ADDRESS PARSER
+// ================================
+
+// Zerlegt gesprochene Adressen in Straße, Hausnummer, PLZ und Ort (beliebige
+// Reihenfolge) und prüft PLZ/Ort gegen data/plz-owl.csv (Einzugsgebiet OWL).
+// Abweichungen werden zur Prüfung markiert statt still korrigiert.
+
+const path = require('path');
+const { DATA_DIR, readDataTable } = require('./dataFiles');
+
+const DEFAULT_POSTCODE_TABLE = path.join(DATA_DIR, 'plz-owl.csv');
+
+const POSTAL_CODE = /\b(\d{5})\b/;
+
+// Straße + Hausnummer mit Zusatz ("12a", "12 b", "5-7", "3/1")
+const STREET_WITH_NUMBER = /([a-zäöüß][a-zäöüß.\-\s]*?)\s*\b(\d{1,4})(?:\s*([a-z])(?![a-zäöüß]))?(?:\s*[-\/]\s*(\d{1,4}[a-z]?))?\b/i;
+
+const LEADING_FILLERS = [
+    /^(?:meine\s+|die\s+)?(?:adresse|anschrift)\s*(?:ist|lautet|:)?\s*/i,
+    /^(?:ich\s+)?wohn(?:e|haft)\s+(?:in\s+der\s+|in\s+|auf\s+der\s+|an\s+der\s+)?/i,
+    /^(?:ist|lautet|wäre)\s+/i,
+    // "in der Hauptstraße 12" - Artikel nur vor Straßennamen entfernen
+    /^(?:(?:in|auf)\s+)?(?:der|dem)\s+(?=[a-zäöüß]+(?:straße|strasse|str\.|weg|allee|gasse|ring|platz))/i,
+    /^(?:in|aus|bei)\s+/i
+];
+
+const TRAILING_FILLERS = /\s+(?:in|aus|bei|und)\s*$/i;
+
+let postcodeTable = null;
+
+function normalizeCityName(city) {
+    return (city || '')
+        .toLowerCase()
+        .replace(/\(.*?\)/g, '')
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .replace(/[^a-z]/g, '');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lädt die PLZ-Tabelle (plz;ort;kreis)
+ */
+function loadPostcodeTable(filePath = process.env.POSTCODE_TABLE_PATH || DEFAULT_POSTCODE_TABLE) {
+    const byPostalCode = new Map();
+    const byCity = new Map();
+
+    try {
+        for (const row of readDataTable(filePath)) {
+            if (!/^\d{5}$/.test(row.plz) || !row.ort) continue;
+
+            const entry = { postal_code: row.plz, city: row.ort, district: row.kreis || null };
+            byPostalCode.set(row.plz, [...(byPostalCode.get(row.plz) || []), entry]);
+
+            const cityKey = normalizeCityName(row.ort);
+            byCity.set(cityKey, [...(byCity.get(cityKey) || []), entry]);
+        }
+    } catch (error) {
+        console.error('❌ PLZ-Tabelle konnte nicht geladen werden:', error.message);
+    }
+
+    // Längste Ortsnamen zuerst, damit "Bad Salzuflen" vor "Salzuflen" greift
+    const cityNames = [...new Set([...byCity.values()].map(entries => entries[0].city))]
+        .sort((a, b) => b.length - a.length);
+
+    const cityPatterns = cityNames.map(city => ({
+        city,
+        pattern: new RegExp(`(?<![a-zäöüß])${escapeRegExp(city.replace(/\s*\(.*?\)/g, ''))}(?:\\s*\\(.*?\\))?(?![a-zäöüß])`, 'i')
+    }));
+
+    postcodeTable = { byPostalCode, byCity, cityPatterns, source: filePath };
+    return postcodeTable;
+}
+
+function getPostcodeTable() {
+    return postcodeTable || loadPostcodeTable();
+}
+
+function cleanSegment(text) {
+    let cleaned = text.replace(/\s+/g, ' ').trim();
+
+    for (const filler of LEADING_FILLERS) {
+        cleaned = cleaned.replace(filler, '');
+    }
+
+    return cleaned
+        .replace(TRAILING_FILLERS, '')
+        .replace(/^[,;.\s]+|[,;\s]+$/g, '')
+        .trim();
+}
+
+function formatHouseNumber(number, suffix, rangeEnd) {
+    let houseNumber = number + (suffix ? suffix.toLowerCase() : '');
+    if (rangeEnd) houseNumber += '-' + rangeEnd.toLowerCase();
+    return houseNumber;
+}
+
+function findKnownCity(text, table) {
+    for (const { city, pattern } of table.cityPatterns) {
+        const match = text.match(pattern);
+        if (match) return { city, match: match[0] };
+    }
+    return null;
+}
+
+/**
+ * Prüft PLZ/Ort gegen die PLZ-Tabelle
+ * @returns {Object} { city, postal_code, district, issues, expected_cities }
+ */
+function validatePostalCity(postalCode, city, table) {
+    const issues = [];
+    let resolvedCity = city;
+    let resolvedPostalCode = postalCode;
+    let district = null;
+    let expectedCities = [];
+
+    if (postalCode) {
+        const entries = table.byPostalCode.get(postalCode) || [];
+        expectedCities = entries.map(entry => entry.city);
+
+        if (entries.length === 0) {
+            issues.push('unknown_postal_code');
+        } else if (!city) {
+            resolvedCity = entries[0].city;
+            district = entries[0].district;
+        } else {
+            const match = entries.find(entry => normalizeCityName(entry.city) === normalizeCityName(city));
+            if (match) {
+                resolvedCity = match.city;
+                district = match.district;
+            } else {
+                issues.push('postal_code_city_mismatch');
+            }
+        }
+    } else if (city) {
+        const entries = table.byCity.get(normalizeCityName(city)) || [];
+
+        if (entries.length === 0) {
+            issues.push('unknown_city');
+        } else {
+            resolvedCity = entries[0].city;
+            district = entries[0].district;
+            // Eindeutige PLZ ergänzen (z.B. Verl), bei mehreren offen lassen
+            if (entries.length === 1) resolvedPostalCode = entries[0].postal_code;
+        }
+    } else {
+        issues.push('missing_city');
+    }
+
+    return {
+        city: resolvedCity || null,
+        postal_code: resolvedPostalCode || null,
+        district,
+        issues,
+        expected_cities: expectedCities
+    };
+}
+
+/**
+ * Zerlegt eine deutsche Adresse
+ * @param {string} address - z.B. "Berliner Straße 5a, 33330 Gütersloh" oder "33602 Bielefeld Hauptstraße 12"
+ * @returns {Object} { street, house_number, street_line, postal_code, city, district, validation }
+ */
+function parseGermanAddress(address) {
+    const result = {
+        street: null,
+        house_number: null,
+        street_line: null,
+        postal_code: null,
+        city: null,
+        district: null,
+        validation: { status: 'empty', requires_review: false, issues: [], expected_cities: [] }
+    };
+
+    if (!address || typeof address !== 'string' || !address.trim()) return result;
+
+    const table = getPostcodeTable();
+    let remaining = address.replace(/\s+/g, ' ').trim();
+
+    const postalMatch = remaining.match(POSTAL_CODE);
+    if (postalMatch) {
+        result.postal_code = postalMatch[1];
+        remaining = remaining.replace(postalMatch[0], ' , ');
+    }
+
+    // Bekannter Ort an beliebiger Stelle ("Bielefelder Straße" bleibt unberührt)
+    const knownCity = findKnownCity(remaining, table);
+    let spokenCity = null;
+    if (knownCity) {
+        spokenCity = knownCity.city;
+        remaining = remaining.replace(knownCity.match, ' , ');
+    }
+
+    const segments = remaining
+        .split(/[,;\n]|\s+in\s+(?=[A-ZÄÖÜ])/)
+        .map(cleanSegment)
+        .filter(Boolean);
+
+    const leftovers = [];
+
+    for (const segment of segments) {
+        const streetMatch = !result.street && segment.match(STREET_WITH_NUMBER);
+
+        if (streetMatch && cleanSegment(streetMatch[1])) {
+            result.street = cleanSegment(streetMatch[1]);
+            result.house_number = formatHouseNumber(streetMatch[2], streetMatch[3], streetMatch[4]);
+
+            const rest = cleanSegment(segment.replace(streetMatch[0], ' '));
+            if (rest) leftovers.push(rest);
+        } else if (/[a-zäöüß]/i.test(segment)) {
+            leftovers.push(segment);
+        }
+    }
+
+    // Straße ohne Hausnummer ("Am Sparrenberg, Bielefeld"): erstes Segment
+    if (!result.street && leftovers.length > (spokenCity ? 0 : 1)) {
+        result.street = leftovers.shift();
+    }
+
+    // Unbekannter Ortsname: Rest nach Straße/PLZ
+    if (!spokenCity && leftovers.length > 0) {
+        spokenCity = leftovers[leftovers.length - 1];
+    }
+
+    if (result.street) {
+        result.street_line = result.house_number ? `${result.street} ${result.house_number}` : result.street;
+    }
+
+    const validation = validatePostalCity(result.postal_code, spokenCity, table);
+    result.city = validation.city;
+    result.postal_code = validation.postal_code;
+    result.district = validation.district;
+
+    const issues = [...validation.issues];
+    if (!result.street) issues.push('missing_street');
+    else if (!result.house_number) issues.push('missing_house_number');
+
+    result.validation = {
+        status: issues[0] || 'valid',
+        requires_review: issues.length > 0,
+        issues,
+        expected_cities: validation.expected_cities
+    };
+
+    return result;
+}
+
+module.exports = {
+    parseGermanAddress,
+    validatePostalCity,
+    loadPostcodeTable
+};
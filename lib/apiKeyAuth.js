@@ -0,0 +1,69 @@
+// ================================
+// API KEY AUTHENTICATION
+// ================================
+
+// Schützt alle verändernden Verwaltungs-Routen (Kunden, Projekte, Termine,
+// Verfügbarkeit, Versicherungen, Prüfliste, Korrekturen) mit API-Schlüsseln.
+// ADMIN_API_KEYS=anna:schluessel1,bernd:schluessel2 - je Mitarbeiter ein Schlüssel,
+// der Name wird als Bearbeiter (req.actor) protokolliert.
+// ADMIN_API_KEY=schluessel - gemeinsamer Schlüssel, Bearbeiter 'admin'.
+// Ohne konfigurierten Schlüssel werden diese Anfragen abgelehnt.
+
+const crypto = require('crypto');
+
+const API_KEY_HEADER = 'x-api-key';
+const SHARED_KEY_ACTOR = 'admin';
+
+function keysMatch(provided, expected) {
+    const providedHash = crypto.createHash('sha256').update(String(provided)).digest();
+    const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+    return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+/**
+ * Konfigurierte Schlüssel aus der Umgebung
+ * @returns {Array} [{ actor, key }]
+ */
+function loadApiKeys(env = process.env) {
+    const keys = String(env.ADMIN_API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { actor: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+                : null;
+        })
+        .filter(entry => entry && entry.actor && entry.key);
+
+    if (env.ADMIN_API_KEY) keys.push({ actor: SHARED_KEY_ACTOR, key: env.ADMIN_API_KEY });
+    return keys;
+}
+
+function rejectRequest(req, res, statusCode, reason) {
+    console.warn(`🔒 ${req.method} ${req.originalUrl} abgelehnt: ${reason}`);
+    return res.status(statusCode).json({ error: 'API key required', reason, request_id: req.requestId });
+}
+
+// Express Middleware: erwartet den Header x-api-key, setzt req.actor auf den Namen des Schlüssels
+function requireApiKey(req, res, next) {
+    const keys = loadApiKeys();
+    if (keys.length === 0) return rejectRequest(req, res, 503, 'api_key_not_configured');
+
+    const provided = req.get(API_KEY_HEADER);
+    if (!provided) return rejectRequest(req, res, 401, 'missing_api_key');
+
+    // Alle Schlüssel vergleichen, damit die Laufzeit nichts über Treffer verrät
+    const match = keys.reduce((found, entry) => (keysMatch(provided, entry.key) && !found ? entry : found), null);
+    if (!match) return rejectRequest(req, res, 403, 'invalid_api_key');
+
+    req.actor = match.actor;
+    next();
+}
+
+module.exports = {
+    API_KEY_HEADER,
+    loadApiKeys,
+    requireApiKey
+};
@@ -0,0 +1,352 @@
+// ================================
+// APPOINTMENT MANAGEMENT
+// ================================
+
+// Termine aus scheduleAppointment nachträglich bearbeiten:
+// vorläufige Termine bestätigen, verschieben (mit erneuter Verfügbarkeitsprüfung),
+// absagen und nach der Besichtigung abschließen. Jede Aktion benachrichtigt
+// Sachverständigen und Kunden und wird als Analytics-Event erfasst.
+
+const { calendarService, logAnalyticsEvent } = require('./businessLogic');
+const { advanceProjectStatus } = require('./projectWorkflow');
+const { cleanText } = require('./textUtils');
+
+const APPOINTMENT_STATUSES = ['tentative', 'scheduled', 'cancelled', 'completed'];
+const OPEN_STATUSES = ['tentative', 'scheduled'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+class AppointmentError extends Error {
+    constructor(message, { status = 400, field, details } = {}) {
+        super(message);
+        this.name = 'AppointmentError';
+        this.status = status;
+        this.field = field;
+        this.details = details;
+    }
+}
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+        throw new AppointmentError(`${field} muss ein gültiges Datum sein (ISO 8601)`, { field });
+    }
+    return date;
+}
+
+function requireActor(value, field) {
+    const actor = cleanText(value, 100);
+    if (!actor) throw new AppointmentError(`${field} ist erforderlich`, { field });
+    return actor;
+}
+
+// ================================
+// QUERIES
+// ================================
+
+async function attachCustomers(appointments, supabase) {
+    const customerIds = [...new Set(appointments.map(appointment => appointment.customer_id).filter(Boolean))];
+    if (customerIds.length === 0) return appointments;
+
+    const { data, error } = await supabase
+        .from('kfz_customers')
+        .select('id, customer_number, first_name, last_name, phone, email')
+        .in('id', customerIds);
+
+    if (error) throw error;
+    const customers = new Map((data || []).map(customer => [customer.id, customer]));
+    return appointments.map(appointment => ({ ...appointment, customer: customers.get(appointment.customer_id) || null }));
+}
+
+/**
+ * Termine eines Zeitraums (Standard: heute bis +30 Tage)
+ * @param {Object} options - { from, to, status, project_id, customer_id }
+ * @returns {Promise<Object>} { items, total, from, to }
+ */
+async function listAppointments(tenantProjectId, supabase, options = {}) {
+    const from = options.from ? parseDate(options.from, 'from') : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = options.to ? parseDate(options.to, 'to') : new Date(from.getTime() + DEFAULT_RANGE_DAYS * 86400000);
+
+    if (to <= from) throw new AppointmentError('to muss nach from liegen', { field: 'to' });
+    if (to - from > MAX_RANGE_DAYS * 86400000) {
+        throw new AppointmentError(`Zeitraum darf höchstens ${MAX_RANGE_DAYS} Tage umfassen`, { field: 'to' });
+    }
+
+    let query = supabase
+        .from('kfz_appointments')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .gte('scheduled_date', from.toISOString())
+        .lt('scheduled_date', to.toISOString())
+        .order('scheduled_date', { ascending: true });
+
+    if (options.status) {
+        const statuses = String(options.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknown = statuses.filter(status => !APPOINTMENT_STATUSES.includes(status));
+        if (unknown.length > 0) throw new AppointmentError(`Unbekannter Status: ${unknown.join(', ')}`, { field: 'status' });
+        query = query.in('status', statuses);
+    }
+    if (options.project_id) query = query.eq('project_id', options.project_id);
+    if (options.customer_id) query = query.eq('customer_id', options.customer_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const items = await attachCustomers(data || [], supabase);
+    return { items, total: items.length, from: from.toISOString(), to: to.toISOString() };
+}
+
+async function getAppointment(appointmentId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_appointments')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', appointmentId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppointmentError('Termin nicht gefunden', { status: 404 });
+
+    const [withCustomer] = await attachCustomers([data], supabase);
+    return withCustomer;
+}
+
+// ================================
+// ACTIONS
+// ================================
+
+async function loadContext(appointment, supabase) {
+    const [{ data: customer }, { data: project }] = await Promise.all([
+        supabase.from('kfz_customers').select('*').eq('id', appointment.customer_id).maybeSingle(),
+        supabase.from('kfz_projects').select('*').eq('id', appointment.project_id).maybeSingle()
+    ]);
+    return { customer, project };
+}
+
+// Ändert den Termin nur, wenn der Status seit dem Lesen unverändert ist
+async function updateAppointmentStatus(appointment, allowedStatuses, changes, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_appointments')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', appointment.id)
+        .in('status', allowedStatuses)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AppointmentError('Termin wurde zwischenzeitlich geändert', { status: 409, field: 'status' });
+    return data;
+}
+
+function assertStatus(appointment, allowedStatuses, action) {
+    if (!allowedStatuses.includes(appointment.status)) {
+        throw new AppointmentError(
+            `Termin mit Status "${appointment.status}" kann nicht ${action} werden (erlaubt: ${allowedStatuses.join(', ')})`,
+            { status: 409, field: 'status' }
+        );
+    }
+}
+
+async function assertAvailable(appointment, start, durationMinutes, tenantProjectId, supabase) {
+    const availability = await calendarService.checkAvailability(
+        start,
+        durationMinutes,
+        supabase,
+        tenantProjectId,
+        { excludeAppointmentId: appointment.id, location: appointment }
+    );
+
+    if (!availability.available) {
+        throw new AppointmentError(`Termin nicht verfügbar: ${availability.reason}`, {
+            status: 409,
+            field: 'scheduled_date',
+            details: {
+                reason: availability.reason,
+                travel: availability.travel || null,
+                suggested_times: (availability.suggestedTimes || []).map(slot => ({
+                    date: slot.date.toISOString(),
+                    formatted: slot.formatted
+                }))
+            }
+        });
+    }
+    return availability;
+}
+
+// Benachrichtigungen und Analytics; Fehler blockieren die Aktion nicht
+async function notifyAppointmentChange(appointment, action, details, tenantProjectId, supabase) {
+    const { customer, project } = await loadContext(appointment, supabase);
+    if (!customer) return { owner_notified: false, customer_notified: false };
+
+    const [owner, customerMail] = await Promise.all([
+        calendarService.sendAppointmentUpdateNotification(customer, project, appointment, action, details),
+        calendarService.sendCustomerAppointmentUpdate(customer, appointment, action, details)
+    ]);
+
+    if (!owner.success) console.warn(`⚠️ Owner-Benachrichtigung (${action}) fehlgeschlagen:`, owner.reason || owner.error);
+
+    await logAnalyticsEvent(
+        `appointment_${action}`,
+        tenantProjectId,
+        appointment.project_id,
+        appointment.customer_id,
+        {
+            appointment_id: appointment.id,
+            scheduled_date: appointment.scheduled_date,
+            previous_date: details.previous_date || null,
+            reason: details.reason || null,
+            changed_by: details.changed_by,
+            owner_notified: owner.success,
+            customer_notified: customerMail.success
+        },
+        supabase
+    );
+
+    return { owner_notified: owner.success, customer_notified: customerMail.success, project };
+}
+
+/**
+ * Bestätigt einen vorläufigen Termin (tentative → scheduled) nach erneuter Verfügbarkeitsprüfung
+ * @param {Object} submission - { confirmed_by }
+ */
+async function confirmAppointment(appointmentId, submission, tenantProjectId, supabase) {
+    const confirmedBy = requireActor(submission.confirmed_by, 'confirmed_by');
+    const appointment = await getAppointment(appointmentId, tenantProjectId, supabase);
+    assertStatus(appointment, ['tentative'], 'bestätigt');
+
+    await assertAvailable(appointment, new Date(appointment.scheduled_date), appointment.duration_minutes || 60, tenantProjectId, supabase);
+
+    const updated = await updateAppointmentStatus(appointment, ['tentative'], {
+        status: 'scheduled',
+        confirmed_at: new Date().toISOString(),
+        confirmed_by: confirmedBy
+    }, tenantProjectId, supabase);
+
+    const notifications = await notifyAppointmentChange(updated, 'confirmed', { changed_by: confirmedBy }, tenantProjectId, supabase);
+    console.log('✅ Termin bestätigt:', updated.id, 'von', confirmedBy);
+    return { appointment: updated, notifications: { owner: notifications.owner_notified, customer: notifications.customer_notified } };
+}
+
+/**
+ * Verschiebt einen offenen Termin; der neue Zeitpunkt wird erneut auf Verfügbarkeit geprüft
+ * @param {Object} submission - { scheduled_date, duration_minutes, reason, customer_message, rescheduled_by, force }
+ *   reason ist intern, customer_message erscheint in der E-Mail an den Kunden
+ */
+async function rescheduleAppointment(appointmentId, submission, tenantProjectId, supabase) {
+    const rescheduledBy = requireActor(submission.rescheduled_by, 'rescheduled_by');
+    const start = parseDate(submission.scheduled_date, 'scheduled_date');
+    if (start.getTime() < Date.now()) throw new AppointmentError('scheduled_date liegt in der Vergangenheit', { field: 'scheduled_date' });
+
+    const appointment = await getAppointment(appointmentId, tenantProjectId, supabase);
+    assertStatus(appointment, OPEN_STATUSES, 'verschoben');
+
+    const durationMinutes = submission.duration_minutes !== undefined
+        ? parseInt(submission.duration_minutes, 10)
+        : (appointment.duration_minutes || 60);
+    if (!durationMinutes || durationMinutes < 15 || durationMinutes > 480) {
+        throw new AppointmentError('duration_minutes muss zwischen 15 und 480 liegen', { field: 'duration_minutes' });
+    }
+
+    // force: Büro bucht bewusst außerhalb der Verfügbarkeit (z.B. Samstagstermin nach Absprache)
+    const forced = submission.force === true;
+    if (!forced) await assertAvailable(appointment, start, durationMinutes, tenantProjectId, supabase);
+
+    const reason = cleanText(submission.reason);
+    const customerMessage = cleanText(submission.customer_message, 1000);
+    const previousDate = appointment.scheduled_date;
+    const metadata = appointment.metadata || {};
+
+    const updated = await updateAppointmentStatus(appointment, OPEN_STATUSES, {
+        scheduled_date: start.toISOString(),
+        duration_minutes: durationMinutes,
+        status: 'scheduled',
+        metadata: {
+            ...metadata,
+            reschedule_history: [
+                ...(metadata.reschedule_history || []),
+                { from: previousDate, to: start.toISOString(), reason, by: rescheduledBy, forced, at: new Date().toISOString() }
+            ]
+        }
+    }, tenantProjectId, supabase);
+
+    const notifications = await notifyAppointmentChange(updated, 'rescheduled', {
+        previous_date: previousDate,
+        reason,
+        customer_message: customerMessage,
+        changed_by: rescheduledBy
+    }, tenantProjectId, supabase);
+
+    console.log('🔁 Termin verschoben:', updated.id, previousDate, '→', updated.scheduled_date);
+    return { appointment: updated, notifications: { owner: notifications.owner_notified, customer: notifications.customer_notified } };
+}
+
+/**
+ * Sagt einen offenen Termin ab
+ * @param {Object} submission - { reason, customer_message, cancelled_by }
+ *   reason ist intern, customer_message erscheint in der E-Mail an den Kunden
+ */
+async function cancelAppointment(appointmentId, submission, tenantProjectId, supabase) {
+    const cancelledBy = requireActor(submission.cancelled_by, 'cancelled_by');
+    const reason = cleanText(submission.reason);
+    if (!reason) throw new AppointmentError('reason ist erforderlich', { field: 'reason' });
+    const customerMessage = cleanText(submission.customer_message, 1000);
+
+    const appointment = await getAppointment(appointmentId, tenantProjectId, supabase);
+    assertStatus(appointment, OPEN_STATUSES, 'abgesagt');
+
+    const updated = await updateAppointmentStatus(appointment, OPEN_STATUSES, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: cancelledBy,
+        cancellation_reason: reason
+    }, tenantProjectId, supabase);
+
+    const notifications = await notifyAppointmentChange(updated, 'cancelled', {
+        reason,
+        customer_message: customerMessage,
+        changed_by: cancelledBy
+    }, tenantProjectId, supabase);
+    console.log('❌ Termin abgesagt:', updated.id, '-', reason);
+    return { appointment: updated, notifications: { owner: notifications.owner_notified, customer: notifications.customer_notified } };
+}
+
+/**
+ * Schließt einen Termin nach der Besichtigung ab und setzt das Projekt auf "Besichtigt"
+ * @param {Object} submission - { completion_notes, completed_by }
+ */
+async function completeAppointment(appointmentId, submission, tenantProjectId, supabase) {
+    const completedBy = requireActor(submission.completed_by, 'completed_by');
+    const completionNotes = cleanText(submission.completion_notes, 5000);
+    if (!completionNotes) throw new AppointmentError('completion_notes ist erforderlich', { field: 'completion_notes' });
+
+    const appointment = await getAppointment(appointmentId, tenantProjectId, supabase);
+    assertStatus(appointment, ['scheduled'], 'abgeschlossen');
+
+    const updated = await updateAppointmentStatus(appointment, ['scheduled'], {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        completed_by: completedBy,
+        completion_notes: completionNotes
+    }, tenantProjectId, supabase);
+
+    const notifications = await notifyAppointmentChange(updated, 'completed', { notes: completionNotes, changed_by: completedBy }, tenantProjectId, supabase);
+    if (notifications.project) {
+        await advanceProjectStatus(notifications.project, 'inspected', completedBy, tenantProjectId, supabase);
+    }
+
+    console.log('🏁 Termin abgeschlossen:', updated.id, 'von', completedBy);
+    return { appointment: updated, notifications: { owner: notifications.owner_notified, customer: notifications.customer_notified } };
+}
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    AppointmentError,
+    listAppointments,
+    getAppointment,
+    confirmAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    completeAppointment
+};
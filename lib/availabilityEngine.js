@@ -0,0 +1,145 @@
+// ================================
+// AVAILABILITY ENGINE
+// ================================
+
+// Konfliktprüfung über echte Zeitintervalle: ein Termin belegt
+// [Beginn, Beginn + Dauer) zuzüglich Puffer davor und danach.
+// Halb-offene Intervalle - ein Termin bis 10:00 blockiert einen Termin ab 10:00 nicht.
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Längste zulässige Termindauer; bestimmt, wie weit vor dem Wunschtermin
+// bestehende Termine geladen werden müssen
+const MAX_APPOINTMENT_MINUTES = 480;
+
+const BLOCKING_STATUSES = ['scheduled'];
+const TENTATIVE_STATUS = 'tentative';
+
+/**
+ * Status, die einen Slot belegen (vorläufige Termine optional)
+ */
+function blockingStatuses({ tentativeHoldsBlock = true } = {}) {
+    return tentativeHoldsBlock ? [...BLOCKING_STATUSES, TENTATIVE_STATUS] : [...BLOCKING_STATUSES];
+}
+
+/**
+ * Belegtes Intervall eines Termins inkl. Puffer (Millisekunden seit Epoch)
+ * @returns {Object|null} { start, end } oder null bei ungültigem Datum
+ */
+function appointmentInterval(appointment, bufferMinutes = 0) {
+    const start = new Date(appointment.scheduled_date).getTime();
+    if (Number.isNaN(start)) return null;
+
+    const duration = appointment.duration_minutes > 0 ? appointment.duration_minutes : DEFAULT_DURATION_MINUTES;
+    const buffer = Math.max(bufferMinutes, 0) * 60000;
+
+    return {
+        start: start - buffer,
+        end: start + duration * 60000 + buffer
+    };
+}
+
+/**
+ * Überschneiden sich zwei halb-offene Intervalle [start, end)?
+ */
+function intervalsOverlap(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Bestehende Termine, die mit dem gewünschten Zeitraum kollidieren
+ * @param {Date} requestedStart - gewünschter Beginn
+ * @param {number} durationMinutes - gewünschte Dauer
+ * @param {Array} appointments - [{ id, scheduled_date, duration_minutes, status }]
+ * @param {Object} options - { bufferMinutes, tentativeHoldsBlock, excludeAppointmentId }
+ * @returns {Array} kollidierende Termine, früheste zuerst
+ */
+function findConflicts(requestedStart, durationMinutes, appointments, options = {}) {
+    const start = new Date(requestedStart).getTime();
+    const requested = { start, end: start + durationMinutes * 60000 };
+    const statuses = blockingStatuses(options);
+
+    return (appointments || [])
+        .filter(appointment => !options.excludeAppointmentId || appointment.id !== options.excludeAppointmentId)
+        .filter(appointment => !appointment.status || statuses.includes(appointment.status))
+        .map(appointment => ({ appointment, interval: appointmentInterval(appointment, options.bufferMinutes) }))
+        .filter(({ interval }) => interval && intervalsOverlap(requested, interval))
+        .sort((a, b) => a.interval.start - b.interval.start)
+        .map(({ appointment }) => appointment);
+}
+
+/**
+ * Zeitfenster, in dem Termine beginnen müssen, um [from, to) berühren zu können
+ * (für die Datenbankabfrage: lange Termine, die vorher beginnen, und Puffer)
+ * @returns {Object} { from: Date, to: Date }
+ */
+function conflictSearchWindow(from, to, bufferMinutes = 0) {
+    const buffer = Math.max(bufferMinutes, 0) * 60000;
+    return {
+        from: new Date(new Date(from).getTime() - MAX_APPOINTMENT_MINUTES * 60000 - buffer),
+        to: new Date(new Date(to).getTime() + buffer)
+    };
+}
+
+/**
+ * Wählt Terminvorschläge aus freien Slots: bevorzugte Slots (z.B. in der Nähe
+ * anderer Vor-Ort-Termine) zuerst, dann die frühesten; je Tag höchstens perDay
+ * Vorschläge ohne Überschneidung
+ * @param {Array} candidates - freie Slots, chronologisch: [{ date, dayKey, preferred }]
+ * @param {Object} options - { count, perDay, durationMinutes }
+ * @returns {Array} ausgewählte Slots, chronologisch
+ */
+function selectSuggestions(candidates, { count, perDay, durationMinutes }) {
+    const ordered = [
+        ...candidates.filter(candidate => candidate.preferred),
+        ...candidates.filter(candidate => !candidate.preferred)
+    ];
+    const interval = candidate => ({
+        start: candidate.date.getTime(),
+        end: candidate.date.getTime() + durationMinutes * 60000
+    });
+    const selected = [];
+
+    for (const candidate of ordered) {
+        if (selected.length >= count) break;
+
+        const sameDay = selected.filter(entry => entry.dayKey === candidate.dayKey);
+        if (sameDay.length >= perDay) continue;
+        if (sameDay.some(entry => intervalsOverlap(interval(entry), interval(candidate)))) continue;
+
+        selected.push(candidate);
+    }
+
+    return selected.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Lädt die Termine, die für Konflikte im Zeitraum [from, to) in Frage kommen
+ */
+async function loadBlockingAppointments(tenantProjectId, from, to, supabase, options = {}) {
+    const window = conflictSearchWindow(from, to, options.bufferMinutes);
+
+    const { data, error } = await supabase
+        .from('kfz_appointments')
+        .select('id, scheduled_date, duration_minutes, status, location_type, address')
+        .eq('tenant_project_id', tenantProjectId)
+        .in('status', blockingStatuses(options))
+        .gte('scheduled_date', window.from.toISOString())
+        .lt('scheduled_date', window.to.toISOString())
+        .order('scheduled_date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+module.exports = {
+    DEFAULT_DURATION_MINUTES,
+    MAX_APPOINTMENT_MINUTES,
+    blockingStatuses,
+    appointmentInterval,
+    intervalsOverlap,
+    findConflicts,
+    conflictSearchWindow,
+    selectSuggestions,
+    loadBlockingAppointments
+};
@@ -0,0 +1,474 @@
+// ================================
+// BUSINESS HOURS & HOLIDAYS
+// ================================
+
+// Öffnungszeiten je Tenant (tenant_projects.settings.business_hours),
+// gesetzliche Feiertage aus data/feiertage.csv (Standard: NRW) und
+// gesperrte Zeiträume (kfz_blocked_periods, z.B. Urlaub, Fortbildung).
+// Grundlage für checkAvailability und getSuggestedTimes.
+
+const path = require('path');
+const { DATA_DIR, readDataTable } = require('./dataFiles');
+const { cleanText } = require('./textUtils');
+const {
+    getZonedParts,
+    zonedDateTime,
+    plainDate,
+    addDays,
+    weekdayOf,
+    DEFAULT_TIME_ZONE
+} = require('./germanDateParser');
+
+const DEFAULT_HOLIDAY_TABLE = path.join(DATA_DIR, 'feiertage.csv');
+
+const WEEKDAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const REGIONS = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+// Bisheriges Verhalten: Mo-Fr 8-18 Uhr, keine Termine an Feiertagen
+const DEFAULT_BUSINESS_HOURS = {
+    time_zone: DEFAULT_TIME_ZONE,
+    region: 'NW',
+    closed_on_holidays: true,
+    // Raster nur für generierte Vorschläge; ausdrückliche Wünsche ("viertel nach zehn")
+    // sind zu jeder Uhrzeit innerhalb der Öffnungszeiten möglich
+    slot_minutes: 30,
+    // Mindestabstand zwischen zwei Terminen; vorläufige Termine (tentative) blockieren ihren Slot
+    buffer_minutes: 0,
+    tentative_holds_block: true,
+    // Fahrzeiten zwischen Vor-Ort-Terminen; der erste Termin des Tages startet ab Öffnung im Büro.
+    // Unbekannte Orte zählen travel_default_minutes, "in der Nähe" = höchstens cluster_travel_minutes Fahrt
+    travel_time_enabled: true,
+    travel_start_at_office: true,
+    travel_default_minutes: 30,
+    cluster_travel_minutes: 15,
+    // Mittagspause = zwei Zeitfenster, z.B. [{ start: '08:00', end: '12:30' }, { start: '13:30', end: '18:00' }]
+    opening_hours: {
+        monday: [{ start: '08:00', end: '18:00' }],
+        tuesday: [{ start: '08:00', end: '18:00' }],
+        wednesday: [{ start: '08:00', end: '18:00' }],
+        thursday: [{ start: '08:00', end: '18:00' }],
+        friday: [{ start: '08:00', end: '18:00' }],
+        saturday: [],
+        sunday: []
+    },
+    suggestion_count: 3,
+    suggestion_days: 14,
+    suggestions_per_day: 2
+};
+
+const SETTINGS_CACHE_MS = 60 * 1000;
+const settingsCache = new Map();
+
+let holidayRules = null;
+
+class AvailabilityError extends Error {
+    constructor(message, { status = 400, field } = {}) {
+        super(message);
+        this.name = 'AvailabilityError';
+        this.status = status;
+        this.field = field;
+    }
+}
+
+// ================================
+// HOLIDAYS
+// ================================
+
+/**
+ * Ostersonntag (Gaußsche Osterformel, gregorianisch)
+ */
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return plainDate(year, month, day);
+}
+
+/**
+ * Lädt die mitgelieferten Feiertagsregeln (name;regel;laender)
+ * regel: "MM-TT", "ostern+N" / "ostern-N" oder "buss-und-bettag"
+ */
+function loadHolidayRules(filePath = process.env.HOLIDAY_TABLE_PATH || DEFAULT_HOLIDAY_TABLE) {
+    try {
+        holidayRules = readDataTable(filePath)
+            .filter(row => row.name && row.regel)
+            .map(row => ({
+                name: row.name,
+                rule: row.regel.toLowerCase(),
+                regions: row.laender === 'alle' ? null : row.laender.split('|').map(region => region.trim())
+            }));
+    } catch (error) {
+        console.error('❌ Feiertagsliste konnte nicht geladen werden:', error.message);
+        holidayRules = [];
+    }
+    return holidayRules;
+}
+
+function resolveHolidayRule(rule, year) {
+    const fixed = rule.match(/^(\d{2})-(\d{2})$/);
+    if (fixed) return plainDate(year, parseInt(fixed[1], 10), parseInt(fixed[2], 10));
+
+    const easter = rule.match(/^ostern([+-]\d+)$/);
+    if (easter) return addDays(easterSunday(year), parseInt(easter[1], 10));
+
+    if (rule === 'buss-und-bettag') {
+        // Mittwoch vor dem 23. November
+        const reference = plainDate(year, 11, 23);
+        return addDays(reference, -(((weekdayOf(reference) - 3) + 7) % 7 || 7));
+    }
+
+    return null;
+}
+
+function formatDay(day) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+}
+
+/**
+ * Gesetzliche Feiertage eines Jahres für ein Bundesland
+ * @returns {Array} [{ date: 'YYYY-MM-DD', name }]
+ */
+function getHolidays(year, region = DEFAULT_BUSINESS_HOURS.region) {
+    const rules = holidayRules || loadHolidayRules();
+
+    return rules
+        .filter(rule => !rule.regions || rule.regions.includes(region))
+        .map(rule => {
+            const day = resolveHolidayRule(rule.rule, year);
+            return day ? { date: formatDay(day), name: rule.name } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Feiertag an einem Kalendertag ({ year, month, day })?
+ * @returns {Object|null} { date, name }
+ */
+function findHoliday(day, region) {
+    const date = formatDay(day);
+    return getHolidays(day.year, region).find(holiday => holiday.date === date) || null;
+}
+
+// ================================
+// CONFIGURATION
+// ================================
+
+function parseClock(value) {
+    const match = String(value || '').match(/^([01]?\d|2[0-4]):([0-5]\d)$/);
+    if (!match) return null;
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+function toPositiveInt(value, field, min, max) {
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new AvailabilityError(`${field} muss zwischen ${min} und ${max} liegen`, { field });
+    }
+    return number;
+}
+
+function validateOpeningHours(openingHours) {
+    if (!openingHours || typeof openingHours !== 'object') {
+        throw new AvailabilityError('opening_hours muss ein Objekt je Wochentag sein', { field: 'opening_hours' });
+    }
+
+    const unknown = Object.keys(openingHours).filter(key => !WEEKDAY_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new AvailabilityError(`Unbekannte Wochentage: ${unknown.join(', ')}`, { field: 'opening_hours' });
+    }
+
+    const result = {};
+    for (const weekday of WEEKDAY_KEYS) {
+        const ranges = openingHours[weekday] || [];
+        if (!Array.isArray(ranges)) {
+            throw new AvailabilityError(`opening_hours.${weekday} muss eine Liste sein`, { field: `opening_hours.${weekday}` });
+        }
+
+        const parsed = ranges
+            .map(range => ({ range, start: parseClock(range && range.start), end: parseClock(range && range.end) }))
+            .sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+
+        parsed.forEach((entry, index) => {
+            if (entry.start === null || entry.end === null || entry.end <= entry.start) {
+                throw new AvailabilityError(`Ungültiges Zeitfenster am ${weekday} (HH:MM, Ende nach Beginn)`, { field: `opening_hours.${weekday}` });
+            }
+            if (index > 0 && entry.start < parsed[index - 1].end) {
+                throw new AvailabilityError(`Überlappende Zeitfenster am ${weekday}`, { field: `opening_hours.${weekday}` });
+            }
+        });
+
+        result[weekday] = parsed.map(entry => ({ start: entry.range.start, end: entry.range.end }));
+    }
+    return result;
+}
+
+/**
+ * Prüft und ergänzt eine Öffnungszeiten-Konfiguration mit den Standardwerten
+ */
+function normalizeBusinessHours(input = {}) {
+    const config = { ...DEFAULT_BUSINESS_HOURS, ...input };
+
+    if (config.region && !REGIONS.includes(config.region)) {
+        throw new AvailabilityError(`region muss ein Bundesland-Kürzel sein (${REGIONS.join(', ')})`, { field: 'region' });
+    }
+    try {
+        new Intl.DateTimeFormat('de-DE', { timeZone: config.time_zone });
+    } catch (error) {
+        throw new AvailabilityError(`Unbekannte Zeitzone: ${config.time_zone}`, { field: 'time_zone' });
+    }
+
+    return {
+        time_zone: config.time_zone,
+        region: config.region,
+        closed_on_holidays: config.closed_on_holidays !== false,
+        slot_minutes: toPositiveInt(config.slot_minutes, 'slot_minutes', 5, 240),
+        buffer_minutes: toPositiveInt(config.buffer_minutes, 'buffer_minutes', 0, 240),
+        tentative_holds_block: config.tentative_holds_block !== false,
+        travel_time_enabled: config.travel_time_enabled !== false,
+        travel_start_at_office: config.travel_start_at_office !== false,
+        travel_default_minutes: toPositiveInt(config.travel_default_minutes, 'travel_default_minutes', 0, 240),
+        cluster_travel_minutes: toPositiveInt(config.cluster_travel_minutes, 'cluster_travel_minutes', 0, 120),
+        opening_hours: validateOpeningHours({ ...DEFAULT_BUSINESS_HOURS.opening_hours, ...(input.opening_hours || {}) }),
+        suggestion_count: toPositiveInt(config.suggestion_count, 'suggestion_count', 1, 20),
+        suggestion_days: toPositiveInt(config.suggestion_days, 'suggestion_days', 1, 60),
+        suggestions_per_day: toPositiveInt(config.suggestions_per_day, 'suggestions_per_day', 1, 48)
+    };
+}
+
+async function loadTenantSettings(tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('tenant_projects')
+        .select('settings')
+        .eq('id', tenantProjectId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return (data && data.settings) || {};
+}
+
+/**
+ * Öffnungszeiten eines Tenants (kurz gecacht, fehlerhafte Einträge → Standard)
+ */
+async function getBusinessHours(tenantProjectId, supabase) {
+    const cached = settingsCache.get(tenantProjectId);
+    if (cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_MS) return cached.config;
+
+    let config;
+    try {
+        const settings = await loadTenantSettings(tenantProjectId, supabase);
+        config = normalizeBusinessHours(settings.business_hours || {});
+    } catch (error) {
+        console.error('❌ Öffnungszeiten konnten nicht geladen werden, nutze Standard:', error.message);
+        config = normalizeBusinessHours();
+    }
+
+    settingsCache.set(tenantProjectId, { config, loadedAt: Date.now() });
+    return config;
+}
+
+/**
+ * Speichert Öffnungszeiten in tenant_projects.settings.business_hours
+ * @param {Object} changes - Teilkonfiguration (wird mit der bestehenden zusammengeführt)
+ */
+async function updateBusinessHours(tenantProjectId, changes, supabase) {
+    if (!changes || typeof changes !== 'object') throw new AvailabilityError('Ungültige Konfiguration');
+
+    const settings = await loadTenantSettings(tenantProjectId, supabase);
+    const current = settings.business_hours || {};
+    const config = normalizeBusinessHours({
+        ...current,
+        ...changes,
+        opening_hours: { ...(current.opening_hours || {}), ...(changes.opening_hours || {}) }
+    });
+
+    const { error } = await supabase
+        .from('tenant_projects')
+        .update({ settings: { ...settings, business_hours: config } })
+        .eq('id', tenantProjectId);
+
+    if (error) throw error;
+
+    settingsCache.delete(tenantProjectId);
+    console.log('🕘 Öffnungszeiten aktualisiert für Tenant', tenantProjectId);
+    return config;
+}
+
+// ================================
+// BLOCKED PERIODS
+// ================================
+
+/**
+ * Gesperrte Zeiträume, die [from, to) überschneiden
+ */
+async function loadBlockedPeriods(tenantProjectId, from, to, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_blocked_periods')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .lt('starts_at', new Date(to).toISOString())
+        .gt('ends_at', new Date(from).toISOString())
+        .order('starts_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Legt einen gesperrten Zeitraum an (Urlaub, Krankheit, Fortbildung ...)
+ * @param {Object} period - { starts_at, ends_at, reason, created_by }
+ */
+async function createBlockedPeriod(tenantProjectId, period, supabase) {
+    const startsAt = new Date(period.starts_at);
+    const endsAt = new Date(period.ends_at);
+
+    if (!period.starts_at || Number.isNaN(startsAt.getTime())) {
+        throw new AvailabilityError('starts_at muss ein gültiges Datum sein (ISO 8601)', { field: 'starts_at' });
+    }
+    if (!period.ends_at || Number.isNaN(endsAt.getTime())) {
+        throw new AvailabilityError('ends_at muss ein gültiges Datum sein (ISO 8601)', { field: 'ends_at' });
+    }
+    if (endsAt <= startsAt) throw new AvailabilityError('ends_at muss nach starts_at liegen', { field: 'ends_at' });
+
+    const reason = cleanText(period.reason, 200);
+    if (!reason) throw new AvailabilityError('reason ist erforderlich', { field: 'reason' });
+
+    const { data, error } = await supabase
+        .from('kfz_blocked_periods')
+        .insert({
+            tenant_project_id: tenantProjectId,
+            starts_at: startsAt.toISOString(),
+            ends_at: endsAt.toISOString(),
+            reason,
+            created_by: cleanText(period.created_by, 100)
+        })
+        .select()
+        .single();
+
+    if (error) throw error;
+    console.log('⛔ Zeitraum gesperrt:', data.starts_at, '-', data.ends_at, `(${reason})`);
+    return data;
+}
+
+async function deleteBlockedPeriod(tenantProjectId, periodId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_blocked_periods')
+        .delete()
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', periodId)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new AvailabilityError('Gesperrter Zeitraum nicht gefunden', { status: 404 });
+    return data;
+}
+
+// ================================
+// SLOT EVALUATION
+// ================================
+
+/**
+ * Prüft einen Zeitraum gegen Öffnungszeiten, Feiertage und Sperrzeiten
+ * (ohne bestehende Termine; das Slot-Raster gilt nur für candidateStartsForDay)
+ * @returns {Object} { available: true } oder { available: false, reason }
+ */
+function evaluateBusinessHours(start, durationMinutes, config, blockedPeriods = []) {
+    const end = new Date(start.getTime() + durationMinutes * 60000);
+    const local = getZonedParts(start, config.time_zone);
+    const day = { year: local.year, month: local.month, day: local.day };
+    const startMinutes = local.hour * 60 + local.minute;
+
+    if (config.closed_on_holidays) {
+        const holiday = findHoliday(day, config.region);
+        if (holiday) return { available: false, reason: `Feiertag (${holiday.name})` };
+    }
+
+    const ranges = config.opening_hours[WEEKDAY_KEYS[weekdayOf(day)]] || [];
+    if (ranges.length === 0) return { available: false, reason: 'An diesem Wochentag keine Termine' };
+
+    const endMinutes = startMinutes + durationMinutes;
+    const fits = ranges.some(range => parseClock(range.start) <= startMinutes && endMinutes <= parseClock(range.end));
+    if (!fits) {
+        const hours = ranges.map(range => `${range.start}-${range.end}`).join(', ');
+        return { available: false, reason: `Termine nur während der Öffnungszeiten (${hours} Uhr)` };
+    }
+
+    const blocked = blockedPeriods.find(period =>
+        new Date(period.starts_at) < end && new Date(period.ends_at) > start
+    );
+    if (blocked) return { available: false, reason: `Zeitraum gesperrt (${blocked.reason})` };
+
+    return { available: true };
+}
+
+/**
+ * Mögliche Terminbeginne eines Kalendertags im Raster der Öffnungszeiten
+ * @param {Object} day - { year, month, day }
+ * @returns {Array<Date>}
+ */
+function candidateStartsForDay(day, durationMinutes, config) {
+    const ranges = config.opening_hours[WEEKDAY_KEYS[weekdayOf(day)]] || [];
+    const starts = [];
+
+    for (const range of ranges) {
+        const rangeEnd = parseClock(range.end);
+        let minutes = Math.ceil(parseClock(range.start) / config.slot_minutes) * config.slot_minutes;
+        for (; minutes + durationMinutes <= rangeEnd; minutes += config.slot_minutes) {
+            starts.push(zonedDateTime(day, minutes, config.time_zone));
+        }
+    }
+    return starts;
+}
+
+/**
+ * Öffnungszeiten eines Kalendertags als Zeitpunkte
+ * @param {Object} day - { year, month, day }
+ * @returns {Array} [{ start: Date, end: Date }]
+ */
+function openingRangesForDay(day, config) {
+    return (config.opening_hours[WEEKDAY_KEYS[weekdayOf(day)]] || []).map(range => ({
+        start: zonedDateTime(day, parseClock(range.start), config.time_zone),
+        end: zonedDateTime(day, parseClock(range.end), config.time_zone)
+    }));
+}
+
+/**
+ * Kalendertag ({ year, month, day }) eines Zeitpunkts in der Zeitzone der Konfiguration
+ */
+function localDay(date, config) {
+    const local = getZonedParts(date, config.time_zone);
+    return { year: local.year, month: local.month, day: local.day };
+}
+
+module.exports = {
+    DEFAULT_BUSINESS_HOURS,
+    AvailabilityError,
+    easterSunday,
+    loadHolidayRules,
+    getHolidays,
+    findHoliday,
+    normalizeBusinessHours,
+    getBusinessHours,
+    updateBusinessHours,
+    loadBlockedPeriods,
+    createBlockedPeriod,
+    deleteBlockedPeriod,
+    evaluateBusinessHours,
+    candidateStartsForDay,
+    openingRangesForDay,
+    localDay
+};
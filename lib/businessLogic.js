@@ -3,6 +3,12 @@
 // ================================
 
 const CalendarNotificationService = require('./calendarNotificationService');
+const { classifyGermanPhone } = require('./phoneValidation');
+const { parseGermanAddress } = require('./addressParser');
+const { parseGermanDateTime } = require('./germanDateParser');
+const { resolveInsurer } = require('./insuranceClaims');
+const { matchCustomer, namePhonetics, flagPossibleDuplicates } = require('./customerMatching');
+const { allocateNumber } = require('./numberSequences');
 const { Client } = require('pg');
 
 // Initialize calendar and notification service
@@ -99,30 +105,22 @@ async function getTenantProjectId(supabase) {
     }
 }
 
-async function generateProjectNumber(supabase) {
-    const year = new Date().getFullYear();
-    const { count } = await supabase
-        .from('kfz_projects')
-        .select('*', { count: 'exact', head: true })
-        .like('project_number', `P-${year}-%`);
-    
-    return `P-${year}-${(count + 1).toString().padStart(3, '0')}`;
+// Nummern aus dem atomaren Zähler je Tenant und Jahr (number-sequences.sql)
+async function generateProjectNumber(tenantProjectId, supabase) {
+    return allocateNumber('project', tenantProjectId, supabase);
 }
 
-async function generateCustomerNumber(supabase) {
-    const year = new Date().getFullYear();
-    const { count } = await supabase
-        .from('kfz_customers')
-        .select('*', { count: 'exact', head: true })
-        .like('customer_number', `K-${year}-%`);
-    
-    return `K-${year}-${(count + 1).toString().padStart(3, '0')}`;
+async function generateCustomerNumber(tenantProjectId, supabase) {
+    return allocateNumber('customer', tenantProjectId, supabase);
 }
 
 function parseNameParts(fullName) {
     if (!fullName) return { first_name: '', last_name: '' };
     
     const parts = fullName.trim().split(' ');
+    // Nur ein Wort ("Becker"): Nachname, passend zum Kundenabgleich
+    if (parts.length === 1) return { first_name: '', last_name: parts[0] };
+    
     const first_name = parts[0] || '';
     const last_name = parts.slice(1).join(' ') || '';
     
@@ -130,111 +128,87 @@ function parseNameParts(fullName) {
 }
 
 function extractAddressParts(address) {
-    if (!address) return { street: null, city: 'Bielefeld' };
+    if (!address) return { street: null, city: null, postal_code: null, requires_review: false, review_reason: null };
     
-    const parts = address.split(',').map(p => p.trim());
+    const parsed = parseGermanAddress(address);
     
-    const postalMatch = address.match(/\b(\d{5})\b/);
-    const postal_code = postalMatch ? postalMatch[1] : null;
-    
-    let city = 'Bielefeld';
-    if (postalMatch) {
-        const afterPostal = address.substring(address.indexOf(postalMatch[1]) + 5).trim();
-        if (afterPostal) {
-            city = afterPostal.split(/[,\n]/)[0].trim();
-        }
-    } else if (parts.length > 1) {
-        city = parts[parts.length - 1];
+    if (parsed.validation.requires_review) {
+        console.log('⚠️ Adresse zur Prüfung markiert:', address, '→', parsed.validation.issues.join(', '));
     }
     
-    const street = parts[0] || null;
-    
     return {
-        street,
-        city,
-        postal_code
+        street: parsed.street_line,
+        city: parsed.city,
+        postal_code: parsed.postal_code,
+        requires_review: parsed.validation.requires_review,
+        review_reason: parsed.validation.issues.join(', ') || null
     };
 }
 
-function parseAppointmentDate(appointmentString) {
-    if (!appointmentString) return null;
-    
-    const today = new Date();
-    const appointmentLower = appointmentString.toLowerCase();
-    
-    const timeMatch = appointmentString.match(/(\d{1,2})(?::(\d{2}))?\s*(?:uhr)?/i);
-    let hour = timeMatch ? parseInt(timeMatch[1]) : 10;
-    let minute = timeMatch && timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-    
-    if (hour < 8 || hour > 18) hour = 10;
-    
-    let targetDate = new Date(today);
-    
-    if (appointmentLower.includes('morgen')) {
-        targetDate.setDate(today.getDate() + 1);
-    } else if (appointmentLower.includes('heute')) {
-        if (hour <= today.getHours()) {
-            hour = Math.max(today.getHours() + 2, 10);
-        }
-    } else if (appointmentLower.includes('montag')) {
-        targetDate = getNextWeekday(today, 1);
-    } else if (appointmentLower.includes('dienstag')) {
-        targetDate = getNextWeekday(today, 2);
-    } else if (appointmentLower.includes('mittwoch')) {
-        targetDate = getNextWeekday(today, 3);
-    } else if (appointmentLower.includes('donnerstag')) {
-        targetDate = getNextWeekday(today, 4);
-    } else if (appointmentLower.includes('freitag')) {
-        targetDate = getNextWeekday(today, 5);
-    } else {
-        targetDate.setDate(today.getDate() + 1);
-        if (targetDate.getDay() === 0) targetDate.setDate(targetDate.getDate() + 1);
-        if (targetDate.getDay() === 6) targetDate.setDate(targetDate.getDate() + 2);
+// Klassifizierung für Rückruf / SMS: E.164, Anschlussart, Ortsnetz
+function buildPhoneFields(phone) {
+    const classification = classifyGermanPhone(phone);
+    if (!classification.valid) {
+        return { phone_e164: null, phone_type: null, phone_area_name: null };
     }
     
-    targetDate.setHours(hour, minute, 0, 0);
-    return targetDate.toISOString();
-}
-
-function getNextWeekday(date, targetDay) {
-    const result = new Date(date);
-    const currentDay = result.getDay();
-    const daysUntilTarget = (targetDay - currentDay + 7) % 7;
-    
-    if (daysUntilTarget === 0) {
-        result.setDate(result.getDate() + 7);
-    } else {
-        result.setDate(result.getDate() + daysUntilTarget);
-    }
-    
-    return result;
+    return {
+        phone_e164: classification.e164,
+        phone_type: classification.type,
+        phone_area_name: classification.area_name || null
+    };
 }
 
 async function createOrUpdateCustomer(data, tenantProjectId, supabase) {
     const { first_name, last_name } = parseNameParts(data.name);
-    const { street, city, postal_code } = extractAddressParts(data.address);
+    const { street, city, postal_code, requires_review, review_reason } = extractAddressParts(data.address);
+    const phoneFields = buildPhoneFields(data.phone);
+    const addressFields = {
+        street,
+        city,
+        postal_code,
+        address_review_required: requires_review,
+        address_review_reason: review_reason
+    };
     
-    let { data: existingCustomer } = await supabase
-        .from('kfz_customers')
-        .select('*')
-        .eq('phone', data.phone)
-        .eq('tenant_project_id', tenantProjectId)
-        .single();
+    // Unscharfer Abgleich: normalisierte Nummer, Kölner Phonetik, Adresse
+    const match = await matchCustomer(data, tenantProjectId, supabase);
     
-    if (existingCustomer) {
-        console.log('👤 Bestehender Kunde gefunden:', existingCustomer.customer_number);
+    if (match.decision === 'linked') {
+        const existingCustomer = match.customer;
+        console.log(`👤 Bestehender Kunde gefunden: ${existingCustomer.customer_number} (Score ${match.score}: ${match.signals.join(', ')})`);
         
         if (data.address && !existingCustomer.street) {
             await supabase
                 .from('kfz_customers')
-                .update({ street, city, postal_code })
+                .update(addressFields)
+                .eq('id', existingCustomer.id);
+            Object.assign(existingCustomer, addressFields);
+        }
+        
+        if (!existingCustomer.phone_type && phoneFields.phone_type) {
+            await supabase
+                .from('kfz_customers')
+                .update(phoneFields)
+                .eq('id', existingCustomer.id);
+            Object.assign(existingCustomer, phoneFields);
+        }
+        
+        // Neue Nummer (z.B. Handy statt Festnetz) für spätere Anrufe merken
+        const knownPhones = [existingCustomer.phone, ...(existingCustomer.alternate_phones || [])].filter(Boolean);
+        if (data.phone && !knownPhones.includes(data.phone)) {
+            const alternatePhones = [...(existingCustomer.alternate_phones || []), data.phone];
+            await supabase
+                .from('kfz_customers')
+                .update({ alternate_phones: alternatePhones })
                 .eq('id', existingCustomer.id);
+            existingCustomer.alternate_phones = alternatePhones;
         }
         
         return existingCustomer;
     }
     
-    const customerNumber = await generateCustomerNumber(supabase);
+    const customerNumber = await generateCustomerNumber(tenantProjectId, supabase);
     
     const { data: newCustomer, error } = await supabase
         .from('kfz_customers')
@@ -244,9 +218,9 @@ async function createOrUpdateCustomer(data, tenantProjectId, supabase) {
             first_name,
             last_name,
             phone: data.phone,
-            street,
-            city,
-            postal_code,
+            ...phoneFields,
+            ...addressFields,
+            ...namePhonetics(first_name, last_name),
             source: 'retell_call',
             status: 'active'
         })
@@ -256,11 +230,16 @@ async function createOrUpdateCustomer(data, tenantProjectId, supabase) {
     if (error) throw error;
     
     console.log('✅ Neuer Kunde erstellt:', newCustomer.customer_number);
+    
+    if (match.decision === 'review') {
+        await flagPossibleDuplicates(newCustomer, match.candidates, tenantProjectId, supabase);
+    }
+    
     return newCustomer;
 }
 
 async function createProject(customer, data, tenantProjectId, supabase) {
-    const projectNumber = await generateProjectNumber(supabase);
+    const projectNumber = await generateProjectNumber(tenantProjectId, supabase);
     
     const { data: project, error } = await supabase
         .from('kfz_projects')
@@ -268,7 +247,7 @@ async function createProject(customer, data, tenantProjectId, supabase) {
             tenant_project_id: tenantProjectId,
             project_number: projectNumber,
             name: `KFZ-Schaden ${customer.first_name} ${customer.last_name}`,
-            status: 'active',
+            status: 'new',
             priority: 'normal',
             storage_path: `/kfz-sachverstaendiger/${projectNumber}/`,
             metadata: {
@@ -293,27 +272,218 @@ async function createProject(customer, data, tenantProjectId, supabase) {
         });
     
     console.log('🏗️ Projekt erstellt:', project.project_number);
+    
+    if (data.vehicle) {
+        await saveVehicleRecord(project, customer, data, tenantProjectId, supabase);
+    }
+    
+    if (data.damage || data.damage_description || data.accident) {
+        await saveDamageReport(project, customer, data, tenantProjectId, supabase);
+    }
+    
+    if (data.insurer || data.insurance_claim) {
+        await saveInsuranceClaim(project, customer, data, tenantProjectId, supabase);
+    }
+    
     return project;
 }
 
-async function saveCallRecord(callId, transcript, duration, customerId, projectId, extractedData, tenantProjectId, supabase) {
-    const { error } = await supabase
+// Fahrzeugdaten aus der Extraktion als kfz_vehicles Datensatz zum Projekt.
+// Fehler blockieren die Projektanlage nicht.
+async function saveVehicleRecord(project, customer, data, tenantProjectId, supabase) {
+    const vehicle = data.vehicle;
+    const details = data.extraction_details || {};
+    
+    try {
+        const { data: record, error } = await supabase
+            .from('kfz_vehicles')
+            .insert({
+                tenant_project_id: tenantProjectId,
+                project_id: project.id,
+                customer_id: customer.id,
+                make: vehicle.make || null,
+                model: vehicle.model || null,
+                license_plate: vehicle.license_plate || null,
+                year: vehicle.year || null,
+                mileage: vehicle.mileage || null,
+                source: details.vehicle_source || null,
+                extraction_confidence: details.vehicle_confidence ?? null
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        console.log('🚗 Fahrzeug gespeichert:', [vehicle.make, vehicle.model, vehicle.license_plate].filter(Boolean).join(' '));
+        return record;
+    } catch (error) {
+        console.error('❌ Fahrzeugdaten konnten nicht gespeichert werden:', error.message);
+        return null;
+    }
+}
+
+// Schadensbild (kfz_damages) und Unfallhergang (kfz_accident_reports) zum Projekt.
+// Fehler blockieren die Projektanlage nicht.
+async function saveDamageReport(project, customer, data, tenantProjectId, supabase) {
+    const details = data.extraction_details || {};
+    const damage = data.damage || {};
+    const accident = data.accident;
+    const result = { damage: null, accident_report: null };
+    
+    try {
+        if (data.damage || data.damage_description) {
+            const { data: record, error } = await supabase
+                .from('kfz_damages')
+                .insert({
+                    tenant_project_id: tenantProjectId,
+                    project_id: project.id,
+                    customer_id: customer.id,
+                    description: damage.description || data.damage_description || null,
+                    damage_areas: damage.areas || [],
+                    damaged_parts: damage.parts || [],
+                    is_drivable: damage.drivable ?? null,
+                    source: details.damage_source || details.damage_description_source || null,
+                    extraction_confidence: details.damage_confidence ?? details.damage_description_confidence ?? null
+                })
+                .select()
+                .single();
+            
+            if (error) throw error;
+            result.damage = record;
+        }
+        
+        if (accident) {
+            const { data: record, error } = await supabase
+                .from('kfz_accident_reports')
+                .insert({
+                    tenant_project_id: tenantProjectId,
+                    project_id: project.id,
+                    customer_id: customer.id,
+                    accident_date: accident.date || null,
+                    accident_location: accident.location || null,
+                    police_involved: accident.police_involved ?? null,
+                    police_report_number: accident.police_report_number || null,
+                    fault_assessment: accident.fault || null,
+                    hit_and_run: !!accident.hit_and_run,
+                    other_party: accident.other_party || {},
+                    source: details.accident_source || null,
+                    extraction_confidence: details.accident_confidence ?? null
+                })
+                .select()
+                .single();
+            
+            if (error) throw error;
+            result.accident_report = record;
+        }
+        
+        console.log('💥 Schadens-/Unfalldaten gespeichert:', result.damage ? 'Schaden' : '-', result.accident_report ? 'Unfall' : '-');
+    } catch (error) {
+        console.error('❌ Schadens-/Unfalldaten konnten nicht gespeichert werden:', error.message);
+    }
+    
+    return result;
+}
+
+// Versicherer (unscharf gegen kfz_insurance_companies abgeglichen), Schaden- und
+// Versicherungsnummer als kfz_insurance_claims Datensatz. Fehler blockieren die Projektanlage nicht.
+async function saveInsuranceClaim(project, customer, data, tenantProjectId, supabase) {
+    const details = data.extraction_details || {};
+    const claim = data.insurance_claim || {};
+    
+    try {
+        const match = data.insurer
+            ? await resolveInsurer(data.insurer, tenantProjectId, supabase)
+            : { company: null, score: null, status: null };
+        
+        const { data: record, error } = await supabase
+            .from('kfz_insurance_claims')
+            .insert({
+                tenant_project_id: tenantProjectId,
+                project_id: project.id,
+                customer_id: customer.id,
+                insurance_company_id: match.company ? match.company.id : null,
+                insurer_name: data.insurer || null,
+                insurer_match_status: match.status,
+                insurer_match_score: match.score,
+                insurer_role: claim.insurer_role || null,
+                claim_number: claim.claim_number || null,
+                policy_number: claim.policy_number || null,
+                status: 'open',
+                source: details.insurer_source || details.insurance_claim_source || null,
+                extraction_confidence: details.insurer_confidence ?? details.insurance_claim_confidence ?? null
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        
+        console.log('🛡️ Versicherungsfall gespeichert:', data.insurer || '-', `(${match.status || 'ohne Versicherer'})`, claim.claim_number || '');
+        return record;
+    } catch (error) {
+        console.error('❌ Versicherungsdaten konnten nicht gespeichert werden:', error.message);
+        return null;
+    }
+}
+
+// Legt den kfz_calls Datensatz einer retell_call_id an oder aktualisiert ihn.
+// Leere Werte überschreiben keine bereits gespeicherten Felder, extracted_data wird zusammengeführt.
+async function upsertCallRecord(callId, fields, tenantProjectId, supabase) {
+    const values = Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+    );
+    
+    const { data: existing, error: selectError } = await supabase
+        .from('kfz_calls')
+        .select('id, extracted_data')
+        .eq('retell_call_id', callId)
+        .eq('tenant_project_id', tenantProjectId)
+        .maybeSingle();
+    
+    if (selectError) throw selectError;
+    
+    if (existing) {
+        if (values.extracted_data && existing.extracted_data) {
+            values.extracted_data = { ...existing.extracted_data, ...values.extracted_data };
+        }
+        
+        const { data: updated, error } = await supabase
+            .from('kfz_calls')
+            .update(values)
+            .eq('id', existing.id)
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return updated;
+    }
+    
+    const { data: created, error } = await supabase
         .from('kfz_calls')
         .insert({
             tenant_project_id: tenantProjectId,
-            project_id: projectId,
-            customer_id: customerId,
             retell_call_id: callId,
             call_type: 'inbound',
-            duration_seconds: duration,
-            transcript: transcript,
-            extracted_data: extractedData,
-            call_purpose: extractedData.type === 'CALLBACK' ? 'callback_request' : 'appointment_booking',
-            call_outcome: 'successful',
-            agent_version: 'markus-v3-enhanced'
-        });
+            ...values
+        })
+        .select()
+        .single();
     
     if (error) throw error;
+    return created;
+}
+
+async function saveCallRecord(callId, transcript, duration, customerId, projectId, extractedData, tenantProjectId, supabase) {
+    await upsertCallRecord(callId, {
+        project_id: projectId,
+        customer_id: customerId,
+        duration_seconds: duration,
+        transcript: transcript,
+        extracted_data: extractedData,
+        call_purpose: extractedData.type === 'CALLBACK' ? 'callback_request' : 'appointment_booking',
+        call_outcome: 'successful',
+        agent_version: 'markus-v3-enhanced'
+    }, tenantProjectId, supabase);
+    
     console.log('📝 Call Record gespeichert');
 }
 
@@ -327,38 +497,66 @@ async function scheduleAppointment(customer, project, data, tenantProjectId, sup
     try {
         console.log('📅 Starte intelligente Terminplanung...');
         
-        // Parse appointment date
-        const requestedDate = parseAppointmentDate(data.appointment);
-        if (!requestedDate) {
+        // Parse appointment request (Europe/Berlin Intervall + Konfidenz)
+        const requested = parseGermanDateTime(data.appointment);
+        if (!requested) {
             console.warn('⚠️ Termin konnte nicht geparst werden:', data.appointment);
             return null;
         }
         
-        // Check availability with calendar service
+        console.log(`📅 Terminwunsch erkannt (${requested.confidence}, ${requested.granularity}):`,
+            requested.start.toISOString(), '-', requested.end.toISOString());
+        
+        // Frühester sinnvoller Beginn: nicht in der Vergangenheit (mind. 1h Vorlauf, auf 30 Min. gerundet)
+        let earliestStart = requested.start;
+        if (earliestStart.getTime() < Date.now() + 60 * 60000) {
+            earliestStart = new Date(Math.ceil((Date.now() + 60 * 60000) / (30 * 60000)) * 30 * 60000);
+        }
+        
+        const { street, city, postal_code, requires_review, review_reason } = extractAddressParts(data.address);
+        
+        // Check availability with calendar service (inkl. Fahrzeit zur Besichtigungsadresse)
         const availability = await calendarService.checkAvailability(
-            new Date(requestedDate),
+            earliestStart,
             60, // 60 minutes default
             supabase,
-            tenantProjectId
+            tenantProjectId,
+            {
+                location: {
+                    location_type: 'customer_address',
+                    address: data.address,
+                    postal_code: postal_code || customer.postal_code
+                }
+            }
         );
         
-        let finalDate = requestedDate;
+        let finalDate = earliestStart.toISOString();
         let appointmentStatus = 'scheduled';
         let appointmentNotes = '';
         
         if (!availability.available) {
             console.log('⚠️ Gewünschter Termin nicht verfügbar:', availability.reason);
             
-            // Try to use suggested times
-            if (availability.suggestedTimes && availability.suggestedTimes.length > 0) {
-                finalDate = availability.suggestedTimes[0].date.toISOString();
-                appointmentStatus = 'tentative';
-                appointmentNotes = `Original request: ${data.appointment}. Suggested alternative due to: ${availability.reason}`;
-                console.log('💡 Alternative vorgeschlagen:', availability.suggestedTimes[0].formatted);
+            // Vorschläge innerhalb des gewünschten Zeitraums bevorzugen
+            const suggestions = availability.suggestedTimes || [];
+            const inRequestedWindow = suggestions.find(slot =>
+                slot.date >= requested.start && slot.date < requested.end
+            );
+            const suggestion = inRequestedWindow || suggestions[0];
+            
+            if (suggestion) {
+                finalDate = suggestion.date.toISOString();
+                appointmentStatus = inRequestedWindow ? 'scheduled' : 'tentative';
+                appointmentNotes = `Original request: ${data.appointment}. ${inRequestedWindow ? 'Slot within requested window' : 'Suggested alternative'} due to: ${availability.reason}`;
+                console.log('💡 Alternative vorgeschlagen:', suggestion.formatted);
             }
         }
         
-        const { street, city } = extractAddressParts(data.address);
+        // Unsichere Zeitangaben nur vorläufig eintragen
+        if (requested.confidence < 0.5 && appointmentStatus === 'scheduled') {
+            appointmentStatus = 'tentative';
+            appointmentNotes = `${appointmentNotes ? appointmentNotes + ' ' : ''}Vague request "${data.appointment}" (confidence ${requested.confidence}) - please confirm with customer.`;
+        }
         
         const { data: appointment, error } = await supabase
             .from('kfz_appointments')
@@ -374,10 +572,12 @@ async function scheduleAppointment(customer, project, data, tenantProjectId, sup
                     street,
                     city,
                     full_address: data.address,
-                    postal_code: customer.postal_code
+                    postal_code: postal_code || customer.postal_code,
+                    requires_review,
+                    review_reason
                 },
                 status: appointmentStatus,
-                completion_notes: appointmentNotes
+                metadata: appointmentNotes ? { scheduling_notes: appointmentNotes } : {}
             })
             .select()
             .single();
@@ -409,9 +609,10 @@ async function scheduleAppointment(customer, project, data, tenantProjectId, sup
         }
         
         // Send confirmation to customer (if email available)
+        let customerConfirmation = { success: false };
         if (customer.email) {
             console.log('📧 Sende Bestätigung an Kunden...');
-            const customerConfirmation = await calendarService.sendCustomerConfirmation(
+            customerConfirmation = await calendarService.sendCustomerConfirmation(
                 customer, 
                 appointment
             );
@@ -426,8 +627,9 @@ async function scheduleAppointment(customer, project, data, tenantProjectId, sup
             .from('kfz_appointments')
             .update({
                 metadata: {
+                    ...appointment.metadata,
                     owner_notification_sent: ownerNotification.success,
-                    customer_confirmation_sent: customer.email ? true : false,
+                    customer_confirmation_sent: customerConfirmation.success,
                     availability_check: availability,
                     original_request: data.appointment
                 }
@@ -629,10 +831,13 @@ module.exports = {
     generateCustomerNumber,
     parseNameParts,
     extractAddressParts,
-    parseAppointmentDate,
-    getNextWeekday,
+    buildPhoneFields,
     createOrUpdateCustomer,
     createProject,
+    saveVehicleRecord,
+    saveDamageReport,
+    saveInsuranceClaim,
+    upsertCallRecord,
     saveCallRecord,
     scheduleAppointment,
     handleCallbackRequest,
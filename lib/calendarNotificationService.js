@@ -3,6 +3,56 @@
 // ================================
 
 const nodemailer = require('nodemailer');
+const {
+    getBusinessHours,
+    loadBlockedPeriods,
+    evaluateBusinessHours,
+    candidateStartsForDay,
+    localDay
+} = require('./businessHours');
+const { addDays, zonedDateTime } = require('./germanDateParser');
+const { findConflicts, selectSuggestions, loadBlockingAppointments } = require('./availabilityEngine');
+const { resolveLocation, checkTravelTime } = require('./travelTime');
+const { escapeHtml } = require('./textUtils');
+
+// Texte je Terminaktion (Betreff, Farbe, Kundentext)
+const APPOINTMENT_ACTIONS = {
+    scheduled: {
+        icon: '📅',
+        title: 'vereinbart',
+        color: '#4f46e5',
+        customerSubject: 'Ihr Besichtigungstermin',
+        customerText: 'vielen Dank für Ihren Anruf. Wir haben folgenden Besichtigungstermin für Ihr Fahrzeug eingetragen.'
+    },
+    confirmed: {
+        icon: '✅',
+        title: 'bestätigt',
+        color: '#10b981',
+        customerSubject: 'Terminbestätigung',
+        customerText: 'hiermit bestätigen wir Ihren Besichtigungstermin.'
+    },
+    rescheduled: {
+        icon: '🔁',
+        title: 'verschoben',
+        color: '#f59e0b',
+        customerSubject: 'Ihr Termin wurde verschoben',
+        customerText: 'Ihr Besichtigungstermin wurde verlegt. Bitte beachten Sie die neue Uhrzeit.'
+    },
+    cancelled: {
+        icon: '❌',
+        title: 'abgesagt',
+        color: '#ef4444',
+        customerSubject: 'Absage Ihres Termins',
+        customerText: 'Ihr Besichtigungstermin wurde abgesagt. Für einen neuen Termin rufen Sie uns gern an.'
+    },
+    completed: {
+        icon: '🏁',
+        title: 'abgeschlossen',
+        color: '#1f2937',
+        customerSubject: 'Besichtigung abgeschlossen',
+        customerText: 'vielen Dank für die Besichtigung. Ihr Gutachten wird jetzt erstellt, wir melden uns, sobald es fertig ist.'
+    }
+};
 
 class CalendarNotificationService {
     constructor() {
@@ -30,58 +80,81 @@ class CalendarNotificationService {
     // ================================
 
     /**
-     * Prüft Terminverfügbarkeit
+     * Prüft Terminverfügbarkeit gegen Öffnungszeiten, Feiertage, Sperrzeiten und bestehende Termine
      * @param {Date} requestedDate - Gewünschter Termin
      * @param {number} durationMinutes - Dauer in Minuten
      * @param {Object} supabase - Supabase Client
      * @param {string} tenantProjectId - Tenant ID
+     * @param {Object} options - { excludeAppointmentId, location, distanceProvider, businessHours, blockedPeriods, appointments, withSuggestions }
+     *   excludeAppointmentId: beim Verschieben den Termin selbst ignorieren
+     *   location: Ort des Termins (z.B. { location_type: 'customer_address', address, postal_code }),
+     *     dann werden Fahrzeiten zu den Nachbarterminen des Tages geprüft
+     *   businessHours/blockedPeriods/appointments: vorab geladen (getSuggestedTimes prüft viele Slots)
      */
-    async checkAvailability(requestedDate, durationMinutes = 60, supabase, tenantProjectId) {
+    async checkAvailability(requestedDate, durationMinutes = 60, supabase, tenantProjectId, options = {}) {
         try {
             const startTime = new Date(requestedDate);
             const endTime = new Date(startTime.getTime() + (durationMinutes * 60000));
+            const withSuggestions = options.withSuggestions !== false;
 
-            // Arbeitszeiten prüfen (Mo-Fr 8-18 Uhr)
-            const dayOfWeek = startTime.getDay();
-            const hour = startTime.getHours();
-            
-            if (dayOfWeek === 0 || dayOfWeek === 6) {
-                return {
-                    available: false,
-                    reason: 'Termine nur Montag bis Freitag möglich',
-                    suggestedTimes: await this.getSuggestedTimes(startTime, supabase, tenantProjectId)
-                };
+            const businessHours = options.businessHours || await getBusinessHours(tenantProjectId, supabase);
+            const blockedPeriods = options.blockedPeriods || await loadBlockedPeriods(tenantProjectId, startTime, endTime, supabase);
+
+            const unavailable = async reason => ({
+                available: false,
+                reason,
+                suggestedTimes: withSuggestions
+                    ? await this.getSuggestedTimes(startTime, supabase, tenantProjectId, durationMinutes, { ...options, businessHours })
+                    : []
+            });
+
+            // Öffnungszeiten, Feiertage und gesperrte Zeiträume
+            const hoursCheck = evaluateBusinessHours(startTime, durationMinutes, businessHours, blockedPeriods);
+            if (!hoursCheck.available) {
+                return await unavailable(hoursCheck.reason);
             }
 
-            if (hour < 8 || hour >= 18) {
-                return {
-                    available: false,
-                    reason: 'Termine nur zwischen 8:00 und 18:00 Uhr möglich',
-                    suggestedTimes: await this.getSuggestedTimes(startTime, supabase, tenantProjectId)
-                };
+            // Existierende Termine prüfen (Intervall-Überschneidung inkl. Dauer und Puffer)
+            const conflictOptions = {
+                bufferMinutes: businessHours.buffer_minutes,
+                tentativeHoldsBlock: businessHours.tentative_holds_block,
+                excludeAppointmentId: options.excludeAppointmentId
+            };
+            // Für Fahrzeiten den ganzen Tag laden (vorheriger und nächster Termin)
+            const location = businessHours.travel_time_enabled ? resolveLocation(options.location) : null;
+            const day = localDay(startTime, businessHours);
+            const appointments = options.appointments || (location
+                ? await loadBlockingAppointments(tenantProjectId,
+                    zonedDateTime(day, 0, businessHours.time_zone),
+                    zonedDateTime(addDays(day, 1), 0, businessHours.time_zone),
+                    supabase, conflictOptions)
+                : await loadBlockingAppointments(tenantProjectId, startTime, endTime, supabase, conflictOptions));
+            const conflictingAppointments = findConflicts(startTime, durationMinutes, appointments, conflictOptions);
+
+            if (conflictingAppointments.length > 0) {
+                const result = await unavailable(businessHours.buffer_minutes > 0
+                    ? `Terminkonflikt mit existierendem Termin (inkl. ${businessHours.buffer_minutes} Min. Puffer)`
+                    : 'Terminkonflikt mit existierendem Termin');
+                return { ...result, conflicts: conflictingAppointments };
             }
 
-            // Existierende Termine prüfen
-            const { data: conflictingAppointments } = await supabase
-                .from('kfz_appointments')
-                .select('scheduled_date, duration_minutes')
-                .eq('tenant_project_id', tenantProjectId)
-                .eq('status', 'scheduled')
-                .gte('scheduled_date', startTime.toISOString())
-                .lt('scheduled_date', endTime.toISOString());
-
-            if (conflictingAppointments && conflictingAppointments.length > 0) {
-                return {
-                    available: false,
-                    reason: 'Terminkonflikt mit existierendem Termin',
-                    suggestedTimes: await this.getSuggestedTimes(startTime, supabase, tenantProjectId)
-                };
+            // Fahrzeit vom vorherigen Termin (bzw. Büro) und zum nächsten Termin
+            let travel = null;
+            if (location) {
+                travel = await checkTravelTime(startTime, durationMinutes, location, appointments, businessHours, {
+                    excludeAppointmentId: options.excludeAppointmentId,
+                    provider: options.distanceProvider
+                });
+                if (!travel.feasible) {
+                    return { ...(await unavailable(travel.reason)), travel };
+                }
             }
 
             return {
                 available: true,
                 confirmedTime: startTime,
-                endTime: endTime
+                endTime: endTime,
+                travel
             };
 
         } catch (error) {
@@ -95,47 +168,69 @@ class CalendarNotificationService {
     }
 
     /**
-     * Schlägt alternative Termine vor
+     * Schlägt alternative Termine im Raster der Öffnungszeiten vor
+     * (ab dem gewünschten Zeitpunkt, höchstens suggestions_per_day je Tag).
+     * Mit options.location werden Slots in der Nähe anderer Vor-Ort-Termine bevorzugt.
      */
-    async getSuggestedTimes(requestedDate, supabase, tenantProjectId, durationMinutes = 60) {
-        const suggestions = [];
-        const baseDate = new Date(requestedDate);
-        
-        // Nächste 7 Werktage prüfen
-        for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
-            const checkDate = new Date(baseDate);
-            checkDate.setDate(baseDate.getDate() + dayOffset);
-            
-            // Skip Wochenenden
-            if (checkDate.getDay() === 0 || checkDate.getDay() === 6) continue;
-            
-            // Zeitslots: 9:00, 11:00, 14:00, 16:00
-            const timeSlots = [9, 11, 14, 16];
-            
-            for (const hour of timeSlots) {
-                const slotTime = new Date(checkDate);
-                slotTime.setHours(hour, 0, 0, 0);
-                
+    async getSuggestedTimes(requestedDate, supabase, tenantProjectId, durationMinutes = 60, options = {}) {
+        const businessHours = options.businessHours || await getBusinessHours(tenantProjectId, supabase);
+
+        // Nicht in der Vergangenheit vorschlagen
+        const earliest = new Date(Math.max(new Date(requestedDate).getTime(), Date.now()));
+        const firstDay = localDay(earliest, businessHours);
+        const horizonEnd = zonedDateTime(addDays(firstDay, businessHours.suggestion_days), 0, businessHours.time_zone);
+
+        const blockedPeriods = options.blockedPeriods || await loadBlockedPeriods(tenantProjectId, earliest, horizonEnd, supabase);
+        // Ab Tagesbeginn laden, damit auch frühere Termine des ersten Tages als Startort zählen
+        const appointments = options.appointments || await loadBlockingAppointments(tenantProjectId,
+            zonedDateTime(firstDay, 0, businessHours.time_zone), horizonEnd, supabase, {
+            bufferMinutes: businessHours.buffer_minutes,
+            tentativeHoldsBlock: businessHours.tentative_holds_block
+        });
+        const slotOptions = { ...options, businessHours, blockedPeriods, appointments, withSuggestions: false };
+        const candidates = [];
+
+        for (let dayOffset = 0; dayOffset < businessHours.suggestion_days; dayOffset++) {
+            const day = addDays(firstDay, dayOffset);
+            const dayKey = `${day.year}-${day.month}-${day.day}`;
+
+            for (const slotTime of candidateStartsForDay(day, durationMinutes, businessHours)) {
+                if (slotTime < earliest) continue;
+
                 const availability = await this.checkAvailability(
-                    slotTime, 
-                    durationMinutes, 
-                    supabase, 
-                    tenantProjectId
+                    slotTime,
+                    durationMinutes,
+                    supabase,
+                    tenantProjectId,
+                    slotOptions
                 );
-                
+
                 if (availability.available) {
-                    suggestions.push({
+                    candidates.push({
                         date: slotTime,
-                        formatted: this.formatGermanDateTime(slotTime)
+                        dayKey,
+                        preferred: Boolean(availability.travel && availability.travel.clustered),
+                        travel: availability.travel
                     });
-                    
-                    if (suggestions.length >= 3) break;
                 }
             }
-            
-            if (suggestions.length >= 3) break;
         }
-        
+
+        // Vorschläge eines Tages nicht direkt aneinanderreihen, nahe Vor-Ort-Termine zuerst
+        const suggestions = selectSuggestions(candidates, {
+            count: businessHours.suggestion_count,
+            perDay: businessHours.suggestions_per_day,
+            durationMinutes
+        }).map(candidate => ({
+            date: candidate.date,
+            formatted: this.formatGermanDateTime(candidate.date),
+            ...(candidate.travel ? {
+                clustered: candidate.travel.clustered,
+                travel_minutes: candidate.travel.travel_before.minutes,
+                detour_minutes: candidate.travel.detour_minutes
+            } : {})
+        }));
+
         return suggestions;
     }
 
@@ -234,6 +329,79 @@ class CalendarNotificationService {
         }
     }
 
+    /**
+     * Terminbestätigung an den Kunden (nur mit hinterlegter E-Mail)
+     */
+    async sendCustomerConfirmation(customer, appointment) {
+        return this.sendCustomerAppointmentUpdate(customer, appointment, 'scheduled');
+    }
+
+    /**
+     * Benachrichtigt den Sachverständigen über eine Terminänderung
+     * @param {string} action - confirmed | rescheduled | cancelled | completed
+     * @param {Object} details - { previous_date, reason, customer_message, notes, changed_by }
+     */
+    async sendAppointmentUpdateNotification(customer, project, appointment, action, details = {}) {
+        try {
+            if (!this.ownerEmail) {
+                console.warn('⚠️ OWNER_EMAIL nicht konfiguriert - keine Benachrichtigung gesendet');
+                return { success: false, reason: 'No owner email configured' };
+            }
+
+            const formattedDate = this.formatGermanDateTime(appointment.scheduled_date);
+            const { icon, title } = APPOINTMENT_ACTIONS[action];
+
+            const mailOptions = {
+                from: `"Unfallschaden-Büro Bielefeld System" <${this.defaultFromEmail}>`,
+                to: this.ownerEmail,
+                subject: `${icon} Termin ${title}: ${customer.first_name} ${customer.last_name} - ${formattedDate}`,
+                html: this.generateAppointmentUpdateEmailHTML({ customer, project, appointment, action, details, formattedDate, audience: 'owner' }),
+                priority: action === 'completed' ? 'normal' : 'high'
+            };
+
+            const result = await this.emailTransporter.sendMail(mailOptions);
+            console.log(`✅ Appointment ${action} notification sent:`, result.messageId);
+
+            return { success: true, messageId: result.messageId, recipient: this.ownerEmail };
+
+        } catch (error) {
+            console.error('❌ Appointment update notification error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Informiert den Kunden über Bestätigung, Verschiebung, Absage oder Abschluss
+     * (ohne internen Grund, nur details.customer_message)
+     */
+    async sendCustomerAppointmentUpdate(customer, appointment, action, details = {}) {
+        try {
+            if (!customer.email) {
+                return { success: false, reason: 'No customer email' };
+            }
+
+            const formattedDate = this.formatGermanDateTime(appointment.scheduled_date);
+            const { icon, customerSubject } = APPOINTMENT_ACTIONS[action];
+
+            const mailOptions = {
+                from: `"Unfallschaden-Büro Bielefeld" <${this.defaultFromEmail}>`,
+                to: customer.email,
+                replyTo: this.ownerEmail || this.defaultFromEmail,
+                subject: `${icon} ${customerSubject} - ${formattedDate}`,
+                html: this.generateAppointmentUpdateEmailHTML({ customer, appointment, action, details, formattedDate, audience: 'customer' })
+            };
+
+            const result = await this.emailTransporter.sendMail(mailOptions);
+            console.log(`✅ Customer ${action} mail sent:`, result.messageId);
+
+            return { success: true, messageId: result.messageId, recipient: customer.email };
+
+        } catch (error) {
+            console.error('❌ Customer appointment mail error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // ================================
     // E-MAIL TEMPLATES (Verkürzt für Dateigröße)
     // ================================
@@ -282,9 +450,13 @@ class CalendarNotificationService {
                         <h3>📍 Adresse</h3>
                         <p><strong>Straße:</strong> ${address.street || customer.street || 'Nicht angegeben'}</p>
                         <p><strong>Stadt:</strong> ${address.city || customer.city || 'Nicht angegeben'}</p>
-                        <p><strong>PLZ:</strong> ${customer.postal_code || 'Nicht angegeben'}</p>
+                        <p><strong>PLZ:</strong> ${address.postal_code || customer.postal_code || 'Nicht angegeben'}</p>
+                        ${address.requires_review ? `<p><strong>⚠️ Adresse prüfen:</strong> ${address.review_reason}</p>` : ''}
                     </div>
                     
+                    ${this.generateVehicleInfoHTML(extractedData.vehicle)}
+                    ${this.generateDamageInfoHTML(extractedData)}
+                    
                     <div class="info-box">
                         <h3>🏗️ Projekt</h3>
                         <p><strong>Projekt-Nr:</strong> ${project.project_number}</p>
@@ -333,6 +505,9 @@ class CalendarNotificationService {
                         <p><strong>Status:</strong> ⏰ Wartet auf Rückruf</p>
                     </div>
                     
+                    ${this.generateVehicleInfoHTML(extractedData.vehicle)}
+                    ${this.generateDamageInfoHTML(extractedData)}
+                    
                     <div class="info-box">
                         <h3>🏗️ Projekt</h3>
                         <p><strong>Projekt-Nr:</strong> ${project.project_number}</p>
@@ -351,6 +526,121 @@ class CalendarNotificationService {
         `;
     }
 
+    generateAppointmentUpdateEmailHTML({ customer, project, appointment, action, details, formattedDate, audience }) {
+        const address = appointment.address || {};
+        const { title, color, customerText } = APPOINTMENT_ACTIONS[action];
+        const previousDate = details.previous_date ? this.formatGermanDateTime(details.previous_date) : null;
+        const customerName = escapeHtml(`${customer.first_name || ''} ${customer.last_name || ''}`.trim());
+        const addressText = escapeHtml(address.full_address || [address.street, address.postal_code, address.city].filter(Boolean).join(', ') || 'Nicht angegeben');
+
+        const greeting = audience === 'customer'
+            ? `<div class="info-box">
+                        <p>Guten Tag ${customerName},</p>
+                        <p>${customerText}</p>
+                    </div>`
+            : `<div class="info-box">
+                        <h3>👤 Kunde</h3>
+                        <p><strong>Name:</strong> ${customerName}</p>
+                        <p><strong>Telefon:</strong> <a href="tel:${escapeHtml(customer.phone)}">${escapeHtml(customer.phone)}</a></p>
+                        <p><strong>Kunden-Nr:</strong> ${escapeHtml(customer.customer_number)}</p>
+                        ${project ? `<p><strong>Projekt-Nr:</strong> ${escapeHtml(project.project_number)}</p>` : ''}
+                    </div>`;
+
+        // Interner Grund, Notizen und Bearbeiter nur für das Büro; der Kunde sieht nur customer_message
+        const ownerDetails = audience === 'owner'
+            ? [
+                details.reason ? `<p><strong>Grund:</strong> ${escapeHtml(details.reason)}</p>` : '',
+                details.customer_message ? `<p><strong>Nachricht an Kunden:</strong> ${escapeHtml(details.customer_message)}</p>` : '',
+                details.notes ? `<p><strong>Notizen:</strong> ${escapeHtml(details.notes)}</p>` : '',
+                details.changed_by ? `<p><strong>Bearbeitet von:</strong> ${escapeHtml(details.changed_by)}</p>` : ''
+            ].join('')
+            : (details.customer_message ? `<p>${escapeHtml(details.customer_message)}</p>` : '');
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: ${color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+                .content { background: #f8fafc; padding: 20px; border: 1px solid #e2e8f0; }
+                .footer { background: #1f2937; color: white; padding: 15px; text-align: center; border-radius: 0 0 8px 8px; }
+                .info-box { background: white; padding: 15px; margin: 10px 0; border-left: 4px solid ${color}; border-radius: 4px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>Termin ${title}</h1>
+                    <p>Unfallschaden-Büro Bielefeld</p>
+                </div>
+                
+                <div class="content">
+                    ${greeting}
+                    
+                    <div class="info-box">
+                        <h3>📅 Termin</h3>
+                        ${previousDate ? `<p><strong>Bisher:</strong> <s>${previousDate}</s></p>` : ''}
+                        <p><strong>${action === 'rescheduled' ? 'Neu' : 'Datum & Zeit'}:</strong> ${formattedDate}</p>
+                        <p><strong>Adresse:</strong> ${addressText}</p>
+                        ${ownerDetails}
+                    </div>
+                </div>
+                
+                <div class="footer">
+                    <p>${audience === 'customer' ? 'Bei Fragen antworten Sie einfach auf diese E-Mail.' : `🤖 Automatisch generiert - ${new Date().toLocaleString('de-DE')}`}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    // Fahrzeugbox (nur wenn Fahrzeugdaten erkannt wurden)
+    generateVehicleInfoHTML(vehicle) {
+        if (!vehicle || (!vehicle.make && !vehicle.license_plate)) return '';
+        
+        return `
+                    <div class="info-box">
+                        <h3>🚗 Fahrzeug</h3>
+                        <p><strong>Fahrzeug:</strong> ${[vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'Nicht angegeben'}</p>
+                        <p><strong>Kennzeichen:</strong> ${vehicle.license_plate || 'Nicht angegeben'}</p>
+                        ${vehicle.year ? `<p><strong>Baujahr:</strong> ${vehicle.year}</p>` : ''}
+                        ${vehicle.mileage ? `<p><strong>Kilometerstand:</strong> ${vehicle.mileage.toLocaleString('de-DE')} km</p>` : ''}
+                    </div>`;
+    }
+
+    // Schaden & Unfall (damage kann auch ein Freitext sein, z.B. aus sendNotificationEmail)
+    generateDamageInfoHTML(extractedData = {}) {
+        const damage = typeof extractedData.damage === 'string'
+            ? { description: extractedData.damage }
+            : (extractedData.damage || {});
+        const accident = extractedData.accident;
+        const description = damage.description || extractedData.damage_description;
+        
+        if (!description && !accident) return '';
+        
+        const areaLabels = { front: 'vorne', rear: 'hinten', left: 'links', right: 'rechts', side: 'Seite', roof: 'Dach', glass: 'Scheiben', underbody: 'Unterboden' };
+        const faultLabels = { self: 'Anrufer', other_party: 'Unfallgegner', shared: 'Teilschuld' };
+        const yesNo = value => value === true ? 'Ja' : value === false ? 'Nein' : 'Unbekannt';
+        const otherParty = accident?.other_party || {};
+        
+        return `
+                    <div class="info-box urgent">
+                        <h3>💥 Schaden & Unfall</h3>
+                        ${description ? `<p><strong>Schaden:</strong> ${description}</p>` : ''}
+                        ${damage.areas?.length ? `<p><strong>Bereich:</strong> ${damage.areas.map(area => areaLabels[area] || area).join(', ')}</p>` : ''}
+                        ${damage.parts?.length ? `<p><strong>Teile:</strong> ${damage.parts.join(', ')}</p>` : ''}
+                        ${damage.drivable !== undefined ? `<p><strong>Fahrbereit:</strong> ${yesNo(damage.drivable)}</p>` : ''}
+                        ${accident?.date ? `<p><strong>Unfalldatum:</strong> ${new Date(accident.date).toLocaleDateString('de-DE', { timeZone: 'UTC' })}</p>` : ''}
+                        ${accident?.location ? `<p><strong>Unfallort:</strong> ${accident.location}</p>` : ''}
+                        ${accident ? `<p><strong>Polizei:</strong> ${yesNo(accident.police_involved)}${accident.police_report_number ? ` (Az. ${accident.police_report_number})` : ''}</p>` : ''}
+                        ${accident?.fault ? `<p><strong>Schuld:</strong> ${faultLabels[accident.fault] || accident.fault}${accident.hit_and_run ? ' (Fahrerflucht)' : ''}</p>` : ''}
+                        ${otherParty.name || otherParty.license_plate ? `<p><strong>Unfallgegner:</strong> ${[otherParty.name, otherParty.license_plate].filter(Boolean).join(', ')}</p>` : ''}
+                    </div>`;
+    }
+
     // ================================
     // UTILITY FUNCTIONS
     // ================================
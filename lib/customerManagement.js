@@ -0,0 +1,398 @@
+// ================================
+// CUSTOMER MANAGEMENT
+// ================================
+
+// Liste mit Paging/Sortierung/Filter/Suche, Bearbeiten, Soft-Delete und
+// Zusammenführen doppelter Kunden (z.B. "0521 123456" und "+49 521 123456").
+
+const { buildPhoneFields } = require('./businessLogic');
+const { isValidGermanPhone, normalizePhoneNumber } = require('./phoneValidation');
+const { namePhonetics } = require('./customerMatching');
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'customer_number', 'last_name', 'first_name', 'city', 'postal_code'];
+const FILTER_FIELDS = ['status', 'city', 'postal_code', 'phone_type', 'source'];
+const UPDATE_FIELDS = ['first_name', 'last_name', 'phone', 'email', 'street', 'city', 'postal_code', 'status', 'notes', 'address_review_required'];
+const CUSTOMER_STATUSES = ['active', 'inactive', 'blocked'];
+
+// Tabellen mit customer_id, die beim Zusammenführen umgehängt werden
+const CUSTOMER_REFERENCES = [
+    'kfz_project_customers',
+    'kfz_calls',
+    'kfz_appointments',
+    'kfz_vehicles',
+    'kfz_damages',
+    'kfz_accident_reports',
+    'kfz_insurance_claims',
+    'kfz_analytics_events'
+];
+
+// Leere Felder des Zielkunden werden aus den Duplikaten ergänzt
+const MERGE_FILL_FIELDS = ['email', 'street', 'city', 'postal_code', 'phone_e164', 'phone_type', 'phone_area_name', 'notes'];
+
+class CustomerError extends Error {
+    constructor(message, { status = 400, field } = {}) {
+        super(message);
+        this.name = 'CustomerError';
+        this.status = status;
+        this.field = field;
+    }
+}
+
+// Zeichen entfernen, die in PostgREST or()-Filtern eine Bedeutung haben
+function sanitizeSearch(value) {
+    return String(value || '').replace(/[,.:()*%\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+function buildSearchFilter(search) {
+    const term = sanitizeSearch(search);
+    if (!term) return null;
+
+    const conditions = [
+        `first_name.ilike.%${term}%`,
+        `last_name.ilike.%${term}%`,
+        `customer_number.ilike.%${term}%`,
+        `phone.ilike.%${term}%`
+    ];
+
+    if (/^[\d\s+\/-]+$/.test(term)) {
+        // Telefonnummern unabhängig von der Schreibweise über phone_e164 finden
+        const digits = term.replace(/[^\d+]/g, '');
+        if (digits.replace(/\D/g, '').length >= 4) {
+            conditions.push(`phone_e164.ilike.%${normalizePhoneNumber(digits).substring(1)}%`);
+        }
+    } else if (term.includes(' ')) {
+        // Vor- und Nachname zusammen ("Thomas Becker")
+        const [first, ...rest] = term.split(' ');
+        conditions.push(`and(first_name.ilike.%${first}%,last_name.ilike.%${rest.join(' ')}%)`);
+    }
+
+    return conditions.join(',');
+}
+
+/**
+ * Kundenliste eines Tenants
+ * @param {Object} options - { page, page_size, sort, order, search, include_deleted, created_from, created_to, ...FILTER_FIELDS }
+ * @returns {Promise<Object>} { items, total, page, page_size }
+ */
+async function listCustomers(tenantProjectId, supabase, options = {}) {
+    const pageSize = Math.min(Math.max(parseInt(options.page_size, 10) || 25, 1), 200);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const sort = SORT_FIELDS.includes(options.sort) ? options.sort : 'created_at';
+    const ascending = options.order === 'asc';
+
+    let query = supabase
+        .from('kfz_customers')
+        .select('*', { count: 'exact' })
+        .eq('tenant_project_id', tenantProjectId);
+
+    if (options.include_deleted !== 'true') query = query.is('deleted_at', null);
+
+    for (const field of FILTER_FIELDS) {
+        if (options[field]) query = query.eq(field, options[field]);
+    }
+    if (options.address_review_required !== undefined) {
+        query = query.eq('address_review_required', options.address_review_required === 'true');
+    }
+    if (options.created_from) query = query.gte('created_at', options.created_from);
+    if (options.created_to) query = query.lte('created_at', options.created_to);
+
+    const searchFilter = buildSearchFilter(options.search);
+    if (searchFilter) query = query.or(searchFilter);
+
+    const from = (page - 1) * pageSize;
+    const { data, error, count } = await query
+        .order(sort, { ascending })
+        .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    return { items: data || [], total: count ?? (data || []).length, page, page_size: pageSize };
+}
+
+async function getCustomer(customerId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_customers')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', customerId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new CustomerError('Kunde nicht gefunden', { status: 404 });
+    return data;
+}
+
+/**
+ * Kunde mit Projekten, Calls und Terminen
+ */
+async function getCustomerDetails(customerId, tenantProjectId, supabase) {
+    const customer = await getCustomer(customerId, tenantProjectId, supabase);
+
+    const [links, calls, appointments] = await Promise.all([
+        supabase.from('kfz_project_customers').select('project_id, role').eq('customer_id', customer.id),
+        supabase.from('kfz_calls').select('id, retell_call_id, created_at, call_purpose, call_outcome').eq('customer_id', customer.id).order('created_at', { ascending: false }),
+        supabase.from('kfz_appointments').select('*').eq('customer_id', customer.id).order('scheduled_date', { ascending: false })
+    ]);
+
+    for (const result of [links, calls, appointments]) {
+        if (result.error) throw result.error;
+    }
+
+    const projectIds = (links.data || []).map(link => link.project_id);
+    let projects = [];
+    if (projectIds.length > 0) {
+        const { data, error } = await supabase.from('kfz_projects').select('*').in('id', projectIds);
+        if (error) throw error;
+        projects = data || [];
+    }
+
+    return { ...customer, projects, calls: calls.data || [], appointments: appointments.data || [] };
+}
+
+function validateUpdate(body) {
+    const values = {};
+
+    for (const field of UPDATE_FIELDS) {
+        if (body[field] === undefined) continue;
+        const value = body[field];
+        values[field] = typeof value === 'string' ? (value.trim() || null) : value;
+    }
+
+    if (values.first_name === null || values.last_name === null) {
+        throw new CustomerError('Vor- und Nachname dürfen nicht leer sein', { field: values.first_name === null ? 'first_name' : 'last_name' });
+    }
+
+    if (values.first_name !== undefined) values.first_name_phonetic = namePhonetics(values.first_name).first_name_phonetic;
+    if (values.last_name !== undefined) values.last_name_phonetic = namePhonetics(null, values.last_name).last_name_phonetic;
+
+    if (values.phone !== undefined) {
+        if (!values.phone || !isValidGermanPhone(values.phone)) throw new CustomerError('Ungültige Telefonnummer', { field: 'phone' });
+        values.phone = normalizePhoneNumber(values.phone);
+        Object.assign(values, buildPhoneFields(values.phone));
+    }
+
+    if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+        throw new CustomerError('Ungültige E-Mail-Adresse', { field: 'email' });
+    }
+    if (values.postal_code && !/^\d{5}$/.test(values.postal_code)) {
+        throw new CustomerError('PLZ muss fünfstellig sein', { field: 'postal_code' });
+    }
+    if (values.status !== undefined && !CUSTOMER_STATUSES.includes(values.status)) {
+        throw new CustomerError(`status muss einer von ${CUSTOMER_STATUSES.join(', ')} sein`, { field: 'status' });
+    }
+    if (values.address_review_required !== undefined && typeof values.address_review_required !== 'boolean') {
+        throw new CustomerError('address_review_required muss true oder false sein', { field: 'address_review_required' });
+    }
+    // Manuell bestätigte Adresse braucht keine Prüfung mehr
+    if (values.address_review_required === false) values.address_review_reason = null;
+
+    return values;
+}
+
+async function updateCustomer(customerId, body, tenantProjectId, supabase) {
+    const values = validateUpdate(body || {});
+    if (Object.keys(values).length === 0) throw new CustomerError('Keine änderbaren Felder übergeben');
+
+    const { data, error } = await supabase
+        .from('kfz_customers')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', customerId)
+        .is('deleted_at', null)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new CustomerError('Kunde nicht gefunden', { status: 404 });
+
+    console.log('✏️ Kunde aktualisiert:', data.customer_number, Object.keys(values).join(', '));
+    return data;
+}
+
+/**
+ * Soft-Delete: Kunde bleibt für Projekte und Auswertungen erhalten
+ */
+async function deleteCustomer(customerId, tenantProjectId, supabase) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('kfz_customers')
+        .update({ deleted_at: now, status: 'inactive', updated_at: now })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', customerId)
+        .is('deleted_at', null)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new CustomerError('Kunde nicht gefunden', { status: 404 });
+
+    console.log('🗑️ Kunde gelöscht (soft):', data.customer_number);
+    return data;
+}
+
+// ================================
+// DEDUPLICATION
+// ================================
+
+// Nationale Schreibweise als Vergleichsschlüssel (0521..., auch für +49 / 0049)
+function phoneKey(customer) {
+    const phone = customer.phone_e164 || customer.phone;
+    return phone ? normalizePhoneNumber(phone) : null;
+}
+
+/**
+ * Gruppen von Kunden mit derselben Rufnummer (unabhängig von der Schreibweise)
+ */
+async function findDuplicateCustomers(tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_customers')
+        .select('id, customer_number, first_name, last_name, phone, phone_e164, created_at')
+        .eq('tenant_project_id', tenantProjectId)
+        .is('deleted_at', null)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const groups = new Map();
+    for (const customer of data || []) {
+        const key = phoneKey(customer);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(customer);
+    }
+
+    return [...groups.entries()]
+        .filter(([, customers]) => customers.length > 1)
+        .map(([phone, customers]) => ({ phone, customers }));
+}
+
+/**
+ * Führt Duplikate in einen Zielkunden zusammen
+ * Verweise werden umgehängt, leere Felder des Ziels ergänzt und die Duplikate
+ * mit merged_into_id soft-gelöscht. Wiederholbar, falls ein Schritt fehlschlägt.
+ * @returns {Promise<Object>} { customer, merged_ids, moved: { [table]: count } }
+ */
+async function mergeCustomers(targetId, duplicateIds, tenantProjectId, supabase) {
+    const ids = [...new Set(Array.isArray(duplicateIds) ? duplicateIds : [])].filter(id => id && id !== targetId);
+    if (ids.length === 0) throw new CustomerError('duplicate_ids muss mindestens einen anderen Kunden enthalten', { field: 'duplicate_ids' });
+
+    const target = await getCustomer(targetId, tenantProjectId, supabase);
+    if (target.deleted_at) throw new CustomerError('Zielkunde ist gelöscht', { status: 409 });
+
+    const { data: duplicates, error: duplicatesError } = await supabase
+        .from('kfz_customers')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .in('id', ids);
+
+    if (duplicatesError) throw duplicatesError;
+    if ((duplicates || []).length !== ids.length) throw new CustomerError('Mindestens ein Duplikat wurde nicht gefunden', { status: 404 });
+
+    const moved = {};
+    for (const table of CUSTOMER_REFERENCES) {
+        const { data, error } = await supabase
+            .from(table)
+            .update({ customer_id: target.id })
+            .in('customer_id', ids)
+            .select('id');
+
+        if (error) throw error;
+        moved[table] = (data || []).length;
+    }
+
+    const fill = {};
+    for (const field of MERGE_FILL_FIELDS) {
+        if (target[field]) continue;
+        const source = duplicates.find(duplicate => duplicate[field]);
+        if (source) fill[field] = source[field];
+    }
+
+    // Nummern der Duplikate bleiben für den Abgleich späterer Anrufe erhalten
+    const knownPhones = new Set([target.phone, ...(target.alternate_phones || [])].filter(Boolean));
+    const alternatePhones = duplicates
+        .flatMap(duplicate => [duplicate.phone, ...(duplicate.alternate_phones || [])])
+        .filter(phone => phone && !knownPhones.has(phone));
+    if (alternatePhones.length > 0) {
+        fill.alternate_phones = [...new Set([...(target.alternate_phones || []), ...alternatePhones])];
+    }
+
+    const now = new Date().toISOString();
+    let customer = target;
+    if (Object.keys(fill).length > 0) {
+        const { data, error } = await supabase
+            .from('kfz_customers')
+            .update({ ...fill, updated_at: now })
+            .eq('id', target.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+        customer = data;
+    }
+
+    const { error: deleteError } = await supabase
+        .from('kfz_customers')
+        .update({ deleted_at: now, merged_into_id: target.id, status: 'inactive', updated_at: now })
+        .in('id', ids);
+
+    if (deleteError) throw deleteError;
+
+    await resolveDuplicateCandidates([target.id, ...ids], 'merged', tenantProjectId, supabase);
+
+    console.log(`🔗 ${ids.length} Kunde(n) zusammengeführt in ${target.customer_number}:`, moved);
+    return { customer, merged_ids: ids, moved };
+}
+
+/**
+ * Offene Duplikat-Verdachte aus dem Kundenabgleich (lib/customerMatching.js)
+ */
+async function listDuplicateCandidates(tenantProjectId, supabase, { status = 'pending' } = {}) {
+    const { data, error } = await supabase
+        .from('kfz_customer_duplicate_candidates')
+        .select('*, customer:kfz_customers!customer_id(id, customer_number, first_name, last_name, phone, street, postal_code), candidate:kfz_customers!candidate_customer_id(id, customer_number, first_name, last_name, phone, street, postal_code)')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('status', status)
+        .order('score', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Verdachtsfälle der beteiligten Kunden abschließen (merged | dismissed) - egal auf welcher Seite sie stehen
+async function resolveDuplicateCandidates(customerIds, status, tenantProjectId, supabase) {
+    const ids = customerIds.join(',');
+    const { error } = await supabase
+        .from('kfz_customer_duplicate_candidates')
+        .update({ status, resolved_at: new Date().toISOString() })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('status', 'pending')
+        .or(`customer_id.in.(${ids}),candidate_customer_id.in.(${ids})`);
+
+    if (error) console.error('❌ Duplikat-Verdacht konnte nicht aktualisiert werden:', error.message);
+}
+
+async function dismissDuplicateCandidate(candidateId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_customer_duplicate_candidates')
+        .update({ status: 'dismissed', resolved_at: new Date().toISOString() })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', candidateId)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new CustomerError('Duplikat-Verdacht nicht gefunden', { status: 404 });
+    return data;
+}
+
+module.exports = {
+    CustomerError,
+    listCustomers,
+    getCustomer,
+    getCustomerDetails,
+    updateCustomer,
+    deleteCustomer,
+    findDuplicateCustomers,
+    mergeCustomers,
+    listDuplicateCandidates,
+    dismissDuplicateCandidate
+};
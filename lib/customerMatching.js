@@ -0,0 +1,333 @@
+// ================================
+// CUSTOMER MATCHING
+// ================================
+
+// Findet bestehende Kunden nicht nur über identische Telefonnummern, sondern
+// über normalisierte Nummern, phonetisch gleiche Namen (Kölner Phonetik)
+// und die Adresse. Hohe Übereinstimmung → automatisch verknüpfen,
+// mittlere → neuer Kunde plus Duplikat-Verdacht zur Prüfung.
+
+const { normalizePhoneNumber } = require('./phoneValidation');
+const { parseGermanAddress } = require('./addressParser');
+
+// Gewichte je Signal, kombiniert wie die Extraktions-Fusion: 1 - Π(1 - s)
+const SIGNAL_WEIGHTS = {
+    phone: 0.7,
+    full_name: 0.55,
+    last_name: 0.25,
+    address: 0.6,
+    postal_code: 0.1
+};
+
+// Abweichender Nachname trotz gleicher Nummer/Adresse (z.B. Familienmitglied)
+const NAME_CONFLICT_FACTOR = 0.6;
+
+const AUTO_LINK_THRESHOLD = 0.8;
+const REVIEW_THRESHOLD = 0.4;
+
+// Gleiche normalisierte Nummer verknüpft immer, solange der Nachname nicht widerspricht
+// (bisheriges Verhalten: Abgleich über die Telefonnummer)
+const PHONE_LINK_SIGNAL = 'phone';
+
+// ================================
+// KÖLNER PHONETIK
+// ================================
+
+const VOWELS = 'AEIJOUY';
+
+function phoneticCode(letter, previous, next, isInitial) {
+    if (VOWELS.includes(letter)) return '0';
+
+    switch (letter) {
+        case 'H': return '';
+        case 'B': return '1';
+        case 'P': return next === 'H' ? '3' : '1';
+        case 'D':
+        case 'T': return 'CSZ'.includes(next || ' ') ? '8' : '2';
+        case 'F':
+        case 'V':
+        case 'W': return '3';
+        case 'G':
+        case 'K':
+        case 'Q': return '4';
+        case 'C':
+            if (isInitial) return 'AHKLOQRUX'.includes(next || ' ') ? '4' : '8';
+            if ('SZ'.includes(previous || ' ')) return '8';
+            return 'AHKOQUX'.includes(next || ' ') ? '4' : '8';
+        case 'X': return 'CKQ'.includes(previous || ' ') ? '8' : '48';
+        case 'L': return '5';
+        case 'M':
+        case 'N': return '6';
+        case 'R': return '7';
+        case 'S':
+        case 'Z': return '8';
+        default: return '';
+    }
+}
+
+/**
+ * Kölner Phonetik eines Wortes ("Meier", "Mayer", "Maier" → "67")
+ */
+function colognePhonetic(word) {
+    const letters = String(word || '')
+        .toUpperCase()
+        .replace(/Ä/g, 'A').replace(/Ö/g, 'O').replace(/Ü/g, 'U').replace(/ß/g, 'S')
+        .replace(/[^A-Z]/g, '');
+    if (!letters) return '';
+
+    let raw = '';
+    for (let i = 0; i < letters.length; i++) {
+        raw += phoneticCode(letters[i], letters[i - 1], letters[i + 1], i === 0);
+    }
+
+    // Doppelte Ziffern zusammenfassen, danach Nullen außer am Anfang entfernen
+    const collapsed = raw.replace(/(\d)\1+/g, '$1');
+    return collapsed.charAt(0) + collapsed.slice(1).replace(/0/g, '');
+}
+
+/**
+ * Phonetische Codes für Vor- und Nachname (mehrteilige Namen verbunden)
+ */
+function namePhonetics(firstName, lastName) {
+    const encode = value => String(value || '').split(/[\s-]+/).map(colognePhonetic).filter(Boolean).join(' ');
+    return {
+        first_name_phonetic: encode(firstName) || null,
+        last_name_phonetic: encode(lastName) || null
+    };
+}
+
+// ================================
+// SCORING
+// ================================
+
+function normalizeStreet(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/str\.?(?=\s|\d|$)/g, 'straße')
+        .replace(/strasse/g, 'straße')
+        .replace(/[^a-zäöüß0-9]/g, '');
+}
+
+/**
+ * Zerlegt einen Namen; ein einzelnes Wort ("Becker") gilt als Nachname
+ */
+function splitName(name) {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 1) return { first_name: '', last_name: parts[0] };
+    return { first_name: parts[0] || '', last_name: parts.slice(1).join(' ') };
+}
+
+function combine(weights) {
+    return 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+}
+
+/**
+ * Bewertet, wie wahrscheinlich ein bestehender Kunde der Anrufer ist
+ * @param {Object} caller - { name, phone, address }
+ * @param {Object} customer - kfz_customers Datensatz
+ * @returns {Object} { score, signals: [...], conflicts: [...] }
+ */
+function scoreCustomerMatch(caller, customer) {
+    const signals = [];
+    const conflicts = [];
+
+    const callerPhone = caller.phone ? normalizePhoneNumber(caller.phone) : null;
+    const customerPhones = [customer.phone, customer.phone_e164, ...(customer.alternate_phones || [])]
+        .filter(Boolean)
+        .map(normalizePhoneNumber);
+    if (callerPhone && customerPhones.includes(callerPhone)) signals.push('phone');
+
+    const { first_name, last_name } = splitName(caller.name);
+    const callerNames = namePhonetics(first_name, last_name);
+    const customerNames = {
+        first_name_phonetic: customer.first_name_phonetic || namePhonetics(customer.first_name).first_name_phonetic,
+        last_name_phonetic: customer.last_name_phonetic || namePhonetics(null, customer.last_name).last_name_phonetic
+    };
+
+    if (callerNames.last_name_phonetic && customerNames.last_name_phonetic) {
+        if (callerNames.last_name_phonetic === customerNames.last_name_phonetic) {
+            const sameFirst = callerNames.first_name_phonetic && callerNames.first_name_phonetic === customerNames.first_name_phonetic;
+            signals.push(sameFirst ? 'full_name' : 'last_name');
+        } else {
+            conflicts.push('name');
+        }
+    }
+
+    if (caller.address) {
+        const parsed = parseGermanAddress(caller.address);
+        const samePostalCode = parsed.postal_code && parsed.postal_code === customer.postal_code;
+        const sameStreet = parsed.street_line && customer.street && normalizeStreet(parsed.street_line) === normalizeStreet(customer.street);
+
+        if (sameStreet && (samePostalCode || !parsed.postal_code || !customer.postal_code)) signals.push('address');
+        else if (samePostalCode) signals.push('postal_code');
+    }
+
+    let score = combine(signals.map(signal => SIGNAL_WEIGHTS[signal]));
+    if (conflicts.includes('name')) score *= NAME_CONFLICT_FACTOR;
+
+    return { score: Math.round(score * 1000) / 1000, signals, conflicts };
+}
+
+/**
+ * Entscheidung für einen bewerteten Kandidaten
+ * @param {Object} candidate - Ergebnis von scoreCustomerMatch
+ * @returns {string} 'linked' | 'review' | 'new'
+ */
+function matchDecision(candidate, {
+    autoLinkThreshold = AUTO_LINK_THRESHOLD,
+    reviewThreshold = REVIEW_THRESHOLD
+} = {}) {
+    const phoneWithoutConflict = candidate.signals.includes(PHONE_LINK_SIGNAL) && !candidate.conflicts.includes('name');
+    if (candidate.score >= autoLinkThreshold || phoneWithoutConflict) return 'linked';
+    return candidate.score >= reviewThreshold ? 'review' : 'new';
+}
+
+// ================================
+// CANDIDATES
+// ================================
+
+async function loadCandidates(caller, tenantProjectId, supabase) {
+    const queries = [];
+    const base = () => supabase
+        .from('kfz_customers')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .is('deleted_at', null);
+
+    if (caller.phone) {
+        const national = normalizePhoneNumber(caller.phone);
+        queries.push(base().or(`phone.eq.${national},phone_e164.eq.+49${national.substring(1)},alternate_phones.cs.{${national}}`).limit(10));
+    }
+
+    const { last_name } = splitName(caller.name);
+    const lastNamePhonetic = namePhonetics(null, last_name).last_name_phonetic;
+    if (lastNamePhonetic) {
+        queries.push(base().eq('last_name_phonetic', lastNamePhonetic).limit(25));
+    }
+
+    if (caller.address) {
+        const parsed = parseGermanAddress(caller.address);
+        if (parsed.postal_code && parsed.street) {
+            queries.push(base().eq('postal_code', parsed.postal_code).ilike('street', `${parsed.street.replace(/[%_]/g, '')}%`).limit(25));
+        }
+    }
+
+    const results = await Promise.all(queries);
+    const candidates = new Map();
+    for (const { data, error } of results) {
+        if (error) throw error;
+        for (const customer of data || []) candidates.set(customer.id, customer);
+    }
+
+    return [...candidates.values()];
+}
+
+/**
+ * Sucht den passenden Bestandskunden für einen Anrufer
+ * @param {Object} caller - { name, phone, address }
+ * @param {Object} options - { autoLinkThreshold, reviewThreshold }
+ * @returns {Promise<Object>} { decision: 'linked' | 'review' | 'new', customer, score, signals, candidates }
+ */
+async function matchCustomer(caller, tenantProjectId, supabase, {
+    autoLinkThreshold = AUTO_LINK_THRESHOLD,
+    reviewThreshold = REVIEW_THRESHOLD
+} = {}) {
+    const thresholds = { autoLinkThreshold, reviewThreshold };
+    const candidates = (await loadCandidates(caller, tenantProjectId, supabase))
+        .map(customer => ({ customer, ...scoreCustomerMatch(caller, customer) }))
+        .map(candidate => ({ ...candidate, decision: matchDecision(candidate, thresholds) }))
+        .filter(candidate => candidate.decision !== 'new')
+        // Verknüpfbare Kandidaten (z.B. gleiche Nummer) vor höheren Scores mit Namenskonflikt
+        .sort((a, b) => (b.decision === 'linked') - (a.decision === 'linked') || b.score - a.score);
+
+    const best = candidates[0];
+    if (!best) return { decision: 'new', customer: null, score: 0, signals: [], candidates: [] };
+
+    return {
+        decision: best.decision,
+        customer: best.customer,
+        score: best.score,
+        signals: best.signals,
+        candidates
+    };
+}
+
+/**
+ * Vermerkt einen möglichen Doppelkunden zur Prüfung (kfz_customer_duplicate_candidates)
+ */
+async function flagPossibleDuplicates(customer, candidates, tenantProjectId, supabase) {
+    const rows = candidates.map(candidate => ({
+        tenant_project_id: tenantProjectId,
+        customer_id: customer.id,
+        candidate_customer_id: candidate.customer.id,
+        score: candidate.score,
+        signals: candidate.signals,
+        conflicts: candidate.conflicts,
+        status: 'pending'
+    }));
+
+    const { error } = await supabase
+        .from('kfz_customer_duplicate_candidates')
+        .insert(rows);
+
+    if (error) {
+        console.error('❌ Duplikat-Verdacht konnte nicht gespeichert werden:', error.message);
+        return;
+    }
+
+    console.log(`🔎 Möglicher Doppelkunde ${customer.customer_number}:`,
+        candidates.map(candidate => `${candidate.customer.customer_number} (${candidate.score})`).join(', '));
+}
+
+/**
+ * Ergänzt fehlende Phonetik-Codes bestehender Kunden (einmalig nach der Migration)
+ * @returns {Promise<number>} Anzahl aktualisierter Kunden
+ */
+async function backfillNamePhonetics(tenantProjectId, supabase, { batchSize = 200 } = {}) {
+    let updated = 0;
+
+    while (true) {
+        const { data, error } = await supabase
+            .from('kfz_customers')
+            .select('id, first_name, last_name')
+            .eq('tenant_project_id', tenantProjectId)
+            .is('last_name_phonetic', null)
+            .not('last_name', 'is', null)
+            .limit(batchSize);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+
+        let progress = 0;
+        for (const customer of data) {
+            const phonetics = namePhonetics(customer.first_name, customer.last_name);
+            // Namen ohne verwertbare Buchstaben mit '' markieren, damit die Schleife endet
+            const { error: updateError } = await supabase
+                .from('kfz_customers')
+                .update({ ...phonetics, last_name_phonetic: phonetics.last_name_phonetic || '' })
+                .eq('id', customer.id);
+
+            if (updateError) throw updateError;
+            progress++;
+        }
+
+        updated += progress;
+        if (data.length < batchSize) break;
+    }
+
+    console.log(`🔤 Phonetik-Codes für ${updated} Kunden ergänzt`);
+    return updated;
+}
+
+module.exports = {
+    AUTO_LINK_THRESHOLD,
+    REVIEW_THRESHOLD,
+    colognePhonetic,
+    namePhonetics,
+    splitName,
+    scoreCustomerMatch,
+    matchDecision,
+    matchCustomer,
+    flagPossibleDuplicates,
+    backfillNamePhonetics
+};
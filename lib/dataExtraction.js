@@ -2,6 +2,21 @@
 // ENHANCED DATA EXTRACTION MODULE
 // ================================
 
+const { parseTranscript, getExtractionTurns } = require('./transcriptModel');
+const { isValidGermanPhone, normalizePhoneNumber } = require('./phoneValidation');
+const { normalizeGermanNumberWords, parseGermanNumberWord } = require('./germanNumberWords');
+const { cleanText } = require('./textUtils');
+const {
+    registerExtractionStrategy,
+    getExtractionStrategies,
+    candidatesFromResult,
+    runExtractionStrategies
+} = require('./extractionStrategies');
+const { createLlmProviderFromEnv } = require('./llmProviders');
+const { extractVehicleDetails, normalizeLicensePlate } = require('./vehicleExtraction');
+const { extractAccidentDetails } = require('./accidentExtraction');
+const { extractInsuranceDetails } = require('./insuranceClaims');
+
 // Validation Helper Functions
 function isValidName(name) {
     if (!name || name.length < 2) return false;
@@ -20,34 +35,6 @@ function isValidName(name) {
     return true;
 }
 
-function normalizePhoneNumber(phone) {
-    let normalized = phone.replace(/[^\d+]/g, '');
-    
-    if (normalized.startsWith('+49')) {
-        normalized = '0' + normalized.substring(3);
-    }
-    
-    if (!normalized.startsWith('0')) {
-        normalized = '0' + normalized;
-    }
-    
-    return normalized;
-}
-
-function isValidGermanPhone(phone) {
-    if (!phone) return false;
-    
-    const normalized = normalizePhoneNumber(phone);
-    
-    if (normalized.length < 10 || normalized.length > 12) return false;
-    if (!normalized.startsWith('0')) return false;
-    
-    const validAreaCodes = ['030', '040', '069', '089', '0521', '0211', '0221', '0231'];
-    const hasValidAreaCode = validAreaCodes.some(code => normalized.startsWith(code));
-    
-    return hasValidAreaCode || normalized.match(/^0[1-9]\d{8,10}$/);
-}
-
 function cleanAddress(address) {
     return address
         .trim()
@@ -66,8 +53,43 @@ function isValidAddress(address) {
     return hasStreetType && hasNumber;
 }
 
+// Speaker-aware matching: only caller turns and confirmed agent read-backs
+function buildExtractionTurns(transcript, options = {}) {
+    return getExtractionTurns(parseTranscript(transcript, options.transcriptObject));
+}
+
+// Erster akzeptierter Treffer eines Patterns über alle zulässigen Turns
+function findInTurns(turns, pattern, accept) {
+    for (const turn of turns) {
+        const match = turn.text.match(pattern);
+        if (!match) continue;
+        
+        const value = accept(match);
+        if (value) return { value, turn };
+    }
+    return null;
+}
+
+// Phone and address extraction run on turns with number words converted to digits
+function normalizeTurnNumbers(turns) {
+    return turns.map(turn => ({ ...turn, text: normalizeGermanNumberWords(turn.text) }));
+}
+
+function recordTurnSource(details, field, turn) {
+    details[`${field}_turn_index`] = turn.index;
+    details[`${field}_turn_role`] = turn.source_role;
+}
+
+// Terminwunsch bis Satzende übernehmen ("Termin am Dienstag um halb drei"),
+// Punkte nach Ziffern ("14. März") beenden den Satz nicht
+function captureAppointmentPhrase(match) {
+    const rest = match.input.slice(match.index);
+    const end = rest.search(/[!?\n]|(?<!\d)\.(?:\s|$)/);
+    return (end === -1 ? rest : rest.slice(0, end)).slice(0, 160).trim();
+}
+
 // Advanced Data Extraction
-function extractCustomerDataAdvanced(transcript) {
+function extractCustomerDataAdvanced(transcript, options = {}) {
     console.log('🧠 Advanced Natural Language Processing gestartet...');
     
     // CRITICAL FIX: Check if transcript exists and is valid
@@ -87,6 +109,8 @@ function extractCustomerDataAdvanced(transcript) {
     };
     
     const transcriptLower = transcript.toLowerCase();
+    const turns = buildExtractionTurns(transcript, options);
+    const numericTurns = normalizeTurnNumbers(turns);
     let totalConfidence = 0;
     
     // ENHANCED NAME EXTRACTION
@@ -114,17 +138,18 @@ function extractCustomerDataAdvanced(transcript) {
     ];
     
     for (const method of nameExtractionMethods) {
-        const match = transcript.match(method.pattern);
-        if (match) {
+        const found = findInTurns(turns, method.pattern, match => {
             const name = match[1].trim();
-            if (isValidName(name)) {
-                extractedData.name = name;
-                extractedData.extraction_details.name_method = method.description;
-                extractedData.extraction_details.name_confidence = method.confidence;
-                totalConfidence += method.confidence;
-                console.log(`👤 Name gefunden (${method.confidence}): ${name}`);
-                break;
-            }
+            return isValidName(name) ? name : null;
+        });
+        if (found) {
+            extractedData.name = found.value;
+            extractedData.extraction_details.name_method = method.description;
+            extractedData.extraction_details.name_confidence = method.confidence;
+            recordTurnSource(extractedData.extraction_details, 'name', found.turn);
+            totalConfidence += method.confidence;
+            console.log(`👤 Name gefunden (${method.confidence}, Turn ${found.turn.index}): ${found.value}`);
+            break;
         }
     }
     
@@ -141,24 +166,26 @@ function extractCustomerDataAdvanced(transcript) {
             description: 'Spoken digit format'
         },
         {
-            pattern: /((?:\+49|0)[0-9\s\-\/]{8,})/g,
+            pattern: /((?:\+49|0)[0-9\s\-\/]{8,})/,
             confidence: 0.7,
             description: 'Phone number pattern'
         }
     ];
     
     for (const method of phoneExtractionMethods) {
-        const match = transcript.match(method.pattern);
-        if (match) {
-            const phone = normalizePhoneNumber(match[1]);
-            if (isValidGermanPhone(phone)) {
-                extractedData.phone = phone;
-                extractedData.extraction_details.phone_method = method.description;
-                extractedData.extraction_details.phone_confidence = method.confidence;
-                totalConfidence += method.confidence;
-                console.log(`📞 Telefon gefunden (${method.confidence}): ${phone}`);
-                break;
-            }
+        const found = findInTurns(numericTurns, method.pattern, match => {
+            // "Spoken digit format" captures area code and number separately
+            const phone = normalizePhoneNumber(match.slice(1).filter(Boolean).join(''));
+            return isValidGermanPhone(phone) ? phone : null;
+        });
+        if (found) {
+            extractedData.phone = found.value;
+            extractedData.extraction_details.phone_method = method.description;
+            extractedData.extraction_details.phone_confidence = method.confidence;
+            recordTurnSource(extractedData.extraction_details, 'phone', found.turn);
+            totalConfidence += method.confidence;
+            console.log(`📞 Telefon gefunden (${method.confidence}, Turn ${found.turn.index}): ${found.value}`);
+            break;
         }
     }
     
@@ -182,17 +209,18 @@ function extractCustomerDataAdvanced(transcript) {
     ];
     
     for (const method of addressExtractionMethods) {
-        const match = transcript.match(method.pattern);
-        if (match) {
+        const found = findInTurns(numericTurns, method.pattern, match => {
             const address = cleanAddress(match[1]);
-            if (isValidAddress(address)) {
-                extractedData.address = address;
-                extractedData.extraction_details.address_method = method.description;
-                extractedData.extraction_details.address_confidence = method.confidence;
-                totalConfidence += method.confidence;
-                console.log(`🏠 Adresse gefunden (${method.confidence}): ${address}`);
-                break;
-            }
+            return isValidAddress(address) ? address : null;
+        });
+        if (found) {
+            extractedData.address = found.value;
+            extractedData.extraction_details.address_method = method.description;
+            extractedData.extraction_details.address_confidence = method.confidence;
+            recordTurnSource(extractedData.extraction_details, 'address', found.turn);
+            totalConfidence += method.confidence;
+            console.log(`🏠 Adresse gefunden (${method.confidence}, Turn ${found.turn.index}): ${found.value}`);
+            break;
         }
     }
     
@@ -211,12 +239,13 @@ function extractCustomerDataAdvanced(transcript) {
     ];
     
     for (const method of appointmentMethods) {
-        const match = transcript.match(method.pattern);
-        if (match) {
-            extractedData.appointment = match[0];
+        const found = findInTurns(turns, method.pattern, captureAppointmentPhrase);
+        if (found) {
+            extractedData.appointment = found.value;
             extractedData.extraction_details.appointment_method = method.description;
             extractedData.extraction_details.appointment_confidence = method.confidence;
-            console.log(`📅 Termin erkannt (${method.confidence}): ${match[0]}`);
+            recordTurnSource(extractedData.extraction_details, 'appointment', found.turn);
+            console.log(`📅 Termin erkannt (${method.confidence}, Turn ${found.turn.index}): ${found.value}`);
             break;
         }
     }
@@ -253,6 +282,7 @@ function extractCustomerDataAdvanced(transcript) {
     const maxScore = Math.max(...Object.values(typeScores));
     if (maxScore > 0) {
         extractedData.type = Object.keys(typeScores).find(key => typeScores[key] === maxScore);
+        extractedData.extraction_details.type_confidence = Math.min(0.9, 0.5 + 0.1 * maxScore);
     }
     
     // Calculate confidence
@@ -262,11 +292,12 @@ function extractCustomerDataAdvanced(transcript) {
     console.log(`🎯 Advanced Extraction - Confidence: ${extractedData.confidence_score.toFixed(2)}`);
     console.log(`📋 Call Type: ${extractedData.type}`);
     
-    return extractedData.confidence_score > 0.3 ? extractedData : null;
+    // returnPartial: auch unsichere Teilergebnisse liefern (Kandidaten für die Fusion)
+    return extractedData.confidence_score > 0.3 || options.returnPartial ? extractedData : null;
 }
 
 // Natural Language Extraction (Fallback)
-function extractCustomerDataNatural(transcript) {
+function extractCustomerDataNatural(transcript, options = {}) {
     console.log('🧠 Versuche natürliche Datenextraktion...');
     
     // CRITICAL FIX: Check if transcript exists
@@ -280,10 +311,13 @@ function extractCustomerDataNatural(transcript) {
         phone: null,
         address: null,
         appointment: null,
-        type: 'CALLBACK'
+        type: 'CALLBACK',
+        extraction_details: {}
     };
     
     const transcriptLower = transcript.toLowerCase();
+    const turns = buildExtractionTurns(transcript, options);
+    const numericTurns = normalizeTurnNumbers(turns);
     
     // Basic name patterns
     const namePatterns = [
@@ -292,13 +326,14 @@ function extractCustomerDataNatural(transcript) {
     ];
     
     for (const pattern of namePatterns) {
-        const match = transcript.match(pattern);
-        if (match) {
+        const found = findInTurns(turns, pattern, match => {
             const name = match[1].trim();
-            if (name.length > 2 && !name.match(/\d/)) {
-                extractedData.name = name;
-                break;
-            }
+            return name.length > 2 && !name.match(/\d/) ? name : null;
+        });
+        if (found) {
+            extractedData.name = found.value;
+            recordTurnSource(extractedData.extraction_details, 'name', found.turn);
+            break;
         }
     }
     
@@ -309,13 +344,14 @@ function extractCustomerDataNatural(transcript) {
     ];
     
     for (const pattern of phonePatterns) {
-        const match = transcript.match(pattern);
-        if (match) {
-            const phone = match[1].replace(/[\s\-\/]/g, '').trim();
-            if (phone.length >= 9) {
-                extractedData.phone = phone;
-                break;
-            }
+        const found = findInTurns(numericTurns, pattern, match => {
+            const phone = normalizePhoneNumber(match[1].trim());
+            return isValidGermanPhone(phone) ? phone : null;
+        });
+        if (found) {
+            extractedData.phone = found.value;
+            recordTurnSource(extractedData.extraction_details, 'phone', found.turn);
+            break;
         }
     }
     
@@ -325,9 +361,10 @@ function extractCustomerDataNatural(transcript) {
     ];
     
     for (const pattern of addressPatterns) {
-        const match = transcript.match(pattern);
-        if (match) {
-            extractedData.address = match[1].trim();
+        const found = findInTurns(numericTurns, pattern, match => match[1].trim());
+        if (found) {
+            extractedData.address = found.value;
+            recordTurnSource(extractedData.extraction_details, 'address', found.turn);
             break;
         }
     }
@@ -335,10 +372,11 @@ function extractCustomerDataNatural(transcript) {
     // Basic appointment detection
     if (transcriptLower.includes('termin') || transcriptLower.includes('besichtigung')) {
         extractedData.type = 'APPOINTMENT';
+        extractedData.extraction_details.type_confidence = 0.5;
     }
     
     const hasValidData = extractedData.name && extractedData.phone;
-    return hasValidData ? extractedData : null;
+    return hasValidData || options.returnPartial ? extractedData : null;
 }
 
 // Structured format extraction (legacy support)
@@ -375,85 +413,336 @@ function extractCustomerData(transcript) {
     return Object.keys(extractedData).length > 0 ? extractedData : null;
 }
 
-// Main intelligent extraction function
-function extractCustomerDataIntelligent(transcript) {
-    console.log('🚀 Starte intelligente Datenextraktion...');
+// Retell Post-Call-Analyse (call_analysis.custom_analysis_data)
+// Feldnamen werden im Retell Agent als "Post Call Analysis" Felder konfiguriert
+const callAnalysisFieldAliases = {
+    name: ['customer_name', 'kunde_name', 'kundenname', 'caller_name', 'name'],
+    phone: ['customer_phone', 'telefonnummer', 'rueckrufnummer', 'callback_number', 'telefon', 'phone'],
+    address: ['customer_address', 'besichtigungsadresse', 'adresse', 'address'],
+    appointment: ['appointment_request', 'wunschtermin', 'termin', 'appointment'],
+    type: ['call_type', 'anliegen', 'typ', 'type']
+};
+
+const CALL_ANALYSIS_CONFIDENCE = 0.95;
+
+function normalizeCallType(value) {
+    if (!value || typeof value !== 'string') return null;
     
-    // CRITICAL FIX: Validate transcript input
-    if (!transcript || typeof transcript !== 'string' || transcript.trim().length === 0) {
-        console.log('❌ Invalid transcript provided:', typeof transcript, transcript);
-        return {
-            name: null,
-            phone: null,
-            address: null,
-            appointment: null,
-            type: 'CALLBACK',
-            confidence_score: 0,
-            extraction_details: { error: 'Invalid or empty transcript' }
-        };
-    }
+    const normalized = value.trim().toUpperCase();
+    if (['APPOINTMENT', 'CALLBACK', 'QUOTE'].includes(normalized)) return normalized;
+    
+    const lower = value.toLowerCase();
+    if (/termin|besichtigung|begutachtung/.test(lower)) return 'APPOINTMENT';
+    if (/rückruf|rueckruf|callback/.test(lower)) return 'CALLBACK';
+    if (/kostenvoranschlag|angebot|quote/.test(lower)) return 'QUOTE';
+    
+    return null;
+}
+
+// Structured Retell analysis extraction (ranked above all regex methods)
+function extractFromCallAnalysis(callAnalysis) {
+    if (!callAnalysis || typeof callAnalysis !== 'object') return null;
+    
+    const customData = callAnalysis.custom_analysis_data || {};
+    const extractedData = {
+        name: null,
+        phone: null,
+        address: null,
+        appointment: null,
+        type: null,
+        confidence_score: 0,
+        extraction_details: {}
+    };
+    
+    const validators = {
+        name: value => isValidName(value),
+        phone: value => isValidGermanPhone(value),
+        address: value => isValidAddress(value),
+        appointment: value => value.length > 2,
+        type: value => !!normalizeCallType(value)
+    };
     
-    console.log('📝 Transcript length:', transcript.length, 'chars');
-    console.log('📝 Transcript preview:', transcript.substring(0, 100) + '...');
-    
-    // Method 1: Advanced Natural Language (preferred)
-    let extractedData = extractCustomerDataAdvanced(transcript);
-    
-    // Method 2: Standard Natural Language
-    if (!extractedData || (extractedData.confidence_score && extractedData.confidence_score < 0.5)) {
-        console.log('⚠️ Advanced extraction low confidence, trying standard natural...');
-        const naturalData = extractCustomerDataNatural(transcript);
-        if (naturalData) {
-            extractedData = {
-                ...naturalData,
-                confidence_score: 0.6,
-                extraction_details: { method: 'standard_natural' }
-            };
+    for (const [field, aliases] of Object.entries(callAnalysisFieldAliases)) {
+        for (const alias of aliases) {
+            const raw = customData[alias];
+            if (raw === undefined || raw === null || raw === '') continue;
+            
+            const value = String(raw).trim();
+            if (!validators[field](value)) {
+                console.log(`⚠️ Retell Analyse-Feld ${alias} verworfen:`, value);
+                continue;
+            }
+            
+            if (field === 'phone') {
+                extractedData.phone = normalizePhoneNumber(value);
+            } else if (field === 'address') {
+                extractedData.address = cleanAddress(value);
+            } else if (field === 'type') {
+                extractedData.type = normalizeCallType(value);
+            } else {
+                extractedData[field] = value;
+            }
+            
+            extractedData.extraction_details[`${field}_source`] = 'retell_call_analysis';
+            extractedData.extraction_details[`${field}_method`] = `custom_analysis_data.${alias}`;
+            extractedData.extraction_details[`${field}_confidence`] = CALL_ANALYSIS_CONFIDENCE;
+            break;
         }
     }
     
-    // Method 3: Fallback to structured format
-    if (!extractedData) {
-        console.log('⚠️ Natural extraction failed, trying DATENERFASSUNG...');
-        const legacyData = extractCustomerData(transcript);
-        if (legacyData) {
-            extractedData = {
-                ...legacyData,
-                confidence_score: 0.8,
-                extraction_details: { method: 'structured_format' }
-            };
-        }
+    const fieldCount = [extractedData.name, extractedData.phone, extractedData.address].filter(Boolean).length;
+    if (fieldCount === 0 && !extractedData.appointment) return null;
+    
+    extractedData.confidence_score = CALL_ANALYSIS_CONFIDENCE * (fieldCount / 3);
+    
+    console.log(`🧾 Retell Analyse - ${fieldCount} Kundenfelder übernommen`);
+    return extractedData;
+}
+
+// LLM-Extraktion (optional, siehe lib/llmProviders.js)
+const LLM_CONFIDENCE = 0.85;
+
+function cleanOptionalText(value, maxLength = 500) {
+    if (value === null || value === undefined) return null;
+    return cleanText(String(value), maxLength);
+}
+
+/**
+ * Extraktion über einen LLM-Provider; Ausgaben werden mit denselben
+ * Validatoren wie die Regex-Methoden geprüft
+ * @param {Object} provider - { name, extract(transcript) => Promise<Object> }
+ * @returns {Promise<Object|null>} klassisches Extraktionsergebnis oder null
+ */
+async function extractCustomerDataLlm(transcript, provider) {
+    if (!provider || !transcript || typeof transcript !== 'string' || !transcript.trim()) return null;
+    
+    const raw = await provider.extract(transcript);
+    if (!raw || typeof raw !== 'object') return null;
+    
+    const extractedData = {
+        name: null,
+        phone: null,
+        address: null,
+        appointment: null,
+        type: null,
+        damage_description: null,
+        insurer: null,
+        vehicle: null,
+        extraction_details: { rejected_fields: [] }
+    };
+    
+    const accept = (field, value) => {
+        extractedData[field] = value;
+        extractedData.extraction_details[`${field}_method`] = provider.name;
+        extractedData.extraction_details[`${field}_confidence`] = LLM_CONFIDENCE;
+    };
+    
+    const name = cleanOptionalText(raw.name, 100);
+    if (name && isValidName(name)) accept('name', name);
+    else if (name) extractedData.extraction_details.rejected_fields.push('name');
+    
+    const phone = cleanOptionalText(raw.phone, 40);
+    if (phone && isValidGermanPhone(phone)) accept('phone', normalizePhoneNumber(phone));
+    else if (phone) extractedData.extraction_details.rejected_fields.push('phone');
+    
+    const address = cleanOptionalText(raw.address, 200);
+    if (address && isValidAddress(address)) accept('address', cleanAddress(address));
+    else if (address) extractedData.extraction_details.rejected_fields.push('address');
+    
+    const appointment = cleanOptionalText(raw.appointment, 160);
+    if (appointment && appointment.length > 2) accept('appointment', appointment);
+    
+    const type = normalizeCallType(raw.call_type);
+    if (type) accept('type', type);
+    
+    const damageDescription = cleanOptionalText(raw.damage_description);
+    if (damageDescription) accept('damage_description', damageDescription);
+    
+    const insurer = cleanOptionalText(raw.insurer, 100);
+    if (insurer) accept('insurer', insurer);
+    
+    if (raw.vehicle && typeof raw.vehicle === 'object') {
+        const year = parseInt(raw.vehicle.year, 10);
+        const mileage = parseInt(raw.vehicle.mileage, 10);
+        const plate = cleanOptionalText(raw.vehicle.license_plate, 20);
+        const vehicle = {
+            make: cleanOptionalText(raw.vehicle.make, 50),
+            model: cleanOptionalText(raw.vehicle.model, 50),
+            license_plate: normalizeLicensePlate(plate),
+            year: year >= 1950 && year <= new Date().getFullYear() + 1 ? year : null,
+            mileage: mileage > 0 && mileage <= 1500000 ? mileage : null
+        };
+        if (plate && !vehicle.license_plate) extractedData.extraction_details.rejected_fields.push('vehicle.license_plate');
+        if (vehicle.make || vehicle.license_plate) accept('vehicle', vehicle);
+    }
+    
+    if (extractedData.extraction_details.rejected_fields.length > 0) {
+        console.log('⚠️ LLM-Felder verworfen (Validierung):', extractedData.extraction_details.rejected_fields.join(', '));
     }
     
-    // Method 4: Hybrid approach
-    if (extractedData) {
-        const backupData = extractCustomerData(transcript);
-        if (backupData) {
-            for (const [key, value] of Object.entries(backupData)) {
-                if (!extractedData[key] || extractedData[key] === 'Nicht erfasst') {
-                    extractedData[key] = value;
-                    console.log(`🔄 ${key} aus DATENERFASSUNG ergänzt:`, value);
-                }
+    return extractedData;
+}
+
+/**
+ * Registriert einen LLM-Provider als Extraktionsstrategie 'llm'.
+ * Timeout oder Fehler liefern keine Kandidaten - die Regex-Strategien bleiben maßgeblich.
+ */
+function registerLlmExtractionProvider(provider) {
+    registerExtractionStrategy({
+        name: 'llm',
+        fields: ['damage_description', 'insurer', 'vehicle'],
+        extract: async transcript => {
+            try {
+                return candidatesFromResult(await extractCustomerDataLlm(transcript, provider));
+            } catch (error) {
+                console.warn(`⚠️ LLM-Extraktion (${provider.name}) fehlgeschlagen, nutze Regex-Ergebnisse:`, error.message);
+                return [];
             }
         }
+    });
+}
+
+// ================================
+// BUILT-IN EXTRACTION STRATEGIES
+// ================================
+
+// Retell Post-Call-Analyse ist maßgeblich (tier 0) und überstimmt Regex-Ergebnisse
+registerExtractionStrategy({
+    name: 'retell_call_analysis',
+    tier: 0,
+    extract: (transcript, options) => candidatesFromResult(extractFromCallAnalysis(options.callAnalysis))
+});
+
+registerExtractionStrategy({
+    name: 'advanced_regex',
+    extract: (transcript, options) => candidatesFromResult(
+        extractCustomerDataAdvanced(transcript, { ...options, returnPartial: true })
+    )
+});
+
+registerExtractionStrategy({
+    name: 'natural_regex',
+    extract: (transcript, options) => candidatesFromResult(
+        extractCustomerDataNatural(transcript, { ...options, returnPartial: true }),
+        { name: 0.6, phone: 0.6, address: 0.5, appointment: 0.5 }
+    )
+});
+
+registerExtractionStrategy({
+    name: 'structured_format',
+    extract: transcript => {
+        const structured = extractCustomerData(transcript);
+        if (!structured) return [];
+        
+        for (const [key, value] of Object.entries(structured)) {
+            if (value === 'Nicht erfasst') delete structured[key];
+        }
+        if (structured.type) structured.type = normalizeCallType(structured.type);
+        
+        return candidatesFromResult(structured, { name: 0.8, phone: 0.8, address: 0.8, appointment: 0.8, type: 0.8 });
+    }
+});
+
+// Fahrzeugdaten (Hersteller, Modell, Kennzeichen, Baujahr, Kilometerstand)
+registerExtractionStrategy({
+    name: 'vehicle_regex',
+    fields: ['vehicle'],
+    valueKeys: {
+        vehicle: value => (value.license_plate || `${value.make || ''}|${value.model || ''}`).toLowerCase().replace(/[^a-zäöüß0-9|]/g, '')
+    },
+    extract: (transcript, options) => {
+        const vehicle = extractVehicleDetails(normalizeTurnNumbers(buildExtractionTurns(transcript, options)));
+        if (!vehicle) return [];
+        
+        const { confidence, turn_index, turn_role, ...value } = vehicle;
+        return [{ field: 'vehicle', value, confidence, method: 'vehicle_patterns', turn_index, turn_role }];
     }
+});
+
+// Schaden (Bereich, Teile, Fahrbereitschaft) und Unfall (Datum, Ort, Polizei, Schuldfrage)
+registerExtractionStrategy({
+    name: 'accident_regex',
+    fields: ['damage', 'damage_description', 'accident'],
+    valueKeys: {
+        damage_description: value => String(value).toLowerCase().replace(/\s+/g, ' ').trim()
+    },
+    extract: (transcript, options) => {
+        const turns = normalizeTurnNumbers(parseTranscript(transcript, options.transcriptObject).turns);
+        const details = extractAccidentDetails(turns, { now: options.now, timeZone: options.timeZone });
+        const candidates = [];
+        
+        if (details.damage) {
+            candidates.push({ field: 'damage', value: details.damage, confidence: details.damage_confidence, method: 'damage_patterns' });
+            candidates.push({ field: 'damage_description', value: details.damage.description, confidence: 0.5, method: 'damage_patterns' });
+        }
+        if (details.accident) {
+            candidates.push({ field: 'accident', value: details.accident, confidence: details.accident_confidence, method: 'accident_patterns' });
+        }
+        
+        return candidates.map(candidate => ({ ...candidate, turn_index: details.turn_index, turn_role: details.turn_role }));
+    }
+});
+
+// Versicherer, Schadennummer, Versicherungsnummer
+registerExtractionStrategy({
+    name: 'insurance_regex',
+    fields: ['insurer', 'insurance_claim'],
+    valueKeys: {
+        insurer: value => String(value).toLowerCase().replace(/[^a-zäöüß0-9]/g, '')
+    },
+    extract: (transcript, options) => {
+        const insurance = extractInsuranceDetails(normalizeTurnNumbers(buildExtractionTurns(transcript, options)));
+        if (!insurance) return [];
+        
+        const { insurer, insurer_confidence, turn_index, turn_role, ...claim } = insurance;
+        const candidates = [];
+        
+        if (insurer) {
+            candidates.push({ field: 'insurer', value: insurer, confidence: insurer_confidence, method: 'insurer_patterns', turn_index, turn_role });
+        }
+        if (claim.claim_number || claim.policy_number || claim.insurer_role) {
+            candidates.push({ field: 'insurance_claim', value: claim, confidence: 0.7, method: 'claim_number_patterns', turn_index, turn_role });
+        }
+        
+        return candidates;
+    }
+});
+
+// Optionaler LLM-Provider aus der Umgebung (LLM_EXTRACTION_PROVIDER)
+const envLlmProvider = createLlmProviderFromEnv();
+if (envLlmProvider) {
+    registerLlmExtractionProvider(envLlmProvider);
+    console.log(`🤖 LLM-Extraktion aktiv: ${envLlmProvider.name}`);
+}
+
+// Main intelligent extraction function
+async function extractCustomerDataIntelligent(transcript, options = {}) {
+    console.log('🚀 Starte intelligente Datenextraktion...');
+    
+    const hasTranscript = !!transcript && typeof transcript === 'string' && transcript.trim().length > 0;
+    
+    if (hasTranscript) {
+        console.log('📝 Transcript length:', transcript.length, 'chars');
+        console.log('📝 Transcript preview:', transcript.substring(0, 100) + '...');
+    } else {
+        console.log('⚠️ Kein gültiges Transkript:', typeof transcript);
+    }
+    
+    // Alle registrierten Strategien + Fusion pro Feld
+    const extractedData = await runExtractionStrategies(hasTranscript ? transcript : '', options);
     
-    // Final fallback - return minimal structure
-    if (!extractedData) {
+    const hasAnyField = ['name', 'phone', 'address', 'appointment'].some(field => extractedData[field]);
+    if (!hasAnyField) {
         console.log('❌ Keine strukturierten Daten extrahierbar - returning fallback');
-        extractedData = {
-            name: null,
-            phone: null,
-            address: null,
-            appointment: null,
-            type: 'CALLBACK',
-            confidence_score: 0,
-            extraction_details: { 
-                method: 'fallback',
-                transcript_length: transcript.length,
-                attempted_methods: ['advanced', 'natural', 'structured']
-            }
+        extractedData.extraction_details = {
+            ...extractedData.extraction_details,
+            method: 'fallback',
+            transcript_length: hasTranscript ? transcript.length : 0,
+            attempted_methods: getExtractionStrategies().map(strategy => strategy.name)
         };
+        if (!hasTranscript) {
+            extractedData.extraction_details.error = 'Invalid or empty transcript';
+        }
     }
     
     console.log('✅ Finale extrahierte Daten:', extractedData);
@@ -463,6 +752,10 @@ function extractCustomerDataIntelligent(transcript) {
 
 module.exports = {
     extractCustomerDataIntelligent,
+    registerExtractionStrategy,
+    registerLlmExtractionProvider,
+    extractCustomerDataLlm,
+    extractFromCallAnalysis,
     extractCustomerDataAdvanced,
     extractCustomerDataNatural,
     extractCustomerData,
@@ -470,5 +763,8 @@ module.exports = {
     isValidGermanPhone,
     isValidAddress,
     normalizePhoneNumber,
+    normalizeCallType,
+    normalizeGermanNumberWords,
+    parseGermanNumberWord,
     cleanAddress
 };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// ================================
+// LOCAL DATA FILES (data/*.csv)
+// ================================
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+function readTableFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    // Behörden-Exporte (z.B. BNetzA) sind teilweise ISO-8859-1 kodiert
+    return content.includes('\uFFFD') ? fs.readFileSync(filePath, 'latin1') : content;
+}
+
+/**
+ * Liest eine Semikolon-getrennte Tabelle mit Kopfzeile
+ * @returns {Array} Zeilen als Objekte (Schlüssel = Spaltenname)
+ */
+function readDataTable(filePath) {
+    const lines = readTableFile(filePath).split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const clean = value => (value || '').replace(/"/g, '').trim();
+    const header = lines[0].replace(/^\uFEFF/, '').split(';').map(clean);
+
+    return lines.slice(1).map(line => {
+        const values = line.split(';').map(clean);
+        return Object.fromEntries(header.map((column, index) => [column, values[index] || '']));
+    });
+}
+
+module.exports = {
+    DATA_DIR,
+    readDataTable
+};
@@ -0,0 +1,49 @@
+// ================================
+// DATABASE FUNCTIONS
+// ================================
+
+// Aufruf der SQL-Funktionen aus den Migrationen (kfz_next_number,
+// kfz_transition_project_status, ...): direkt per pg wenn POSTGRES_DIRECT_URL
+// gesetzt ist, sonst über Supabase RPC. Eine Funktion läuft in einer Transaktion.
+
+const { Pool } = require('pg');
+
+let pool = null;
+
+function getPool() {
+    if (!process.env.POSTGRES_DIRECT_URL) return null;
+    if (!pool) {
+        pool = new Pool({
+            connectionString: process.env.POSTGRES_DIRECT_URL,
+            ssl: false,
+            max: 3
+        });
+        pool.on('error', error => console.error('❌ Postgres Pool Fehler:', error.message));
+    }
+    return pool;
+}
+
+/**
+ * Ruft eine SQL-Funktion mit benannten Parametern auf
+ * @param {string} name - Funktionsname
+ * @param {Object} args - { p_...: Wert } in der Reihenfolge der Funktionssignatur
+ * @returns {Promise<*>} Rückgabewert der Funktion (JSONB bereits geparst)
+ */
+async function callDatabaseFunction(name, args, supabase) {
+    const pgPool = getPool();
+    if (pgPool) {
+        const params = Object.values(args);
+        const placeholders = params.map((_, index) => `$${index + 1}`).join(', ');
+        const result = await pgPool.query(`SELECT ${name}(${placeholders}) AS value`, params);
+        return result.rows[0].value;
+    }
+
+    const { data, error } = await supabase.rpc(name, args);
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    getPool,
+    callDatabaseFunction
+};
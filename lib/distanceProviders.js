@@ -0,0 +1,222 @@
+// ================================
+// DISTANCE PROVIDERS
+// ================================
+
+// Provider-Schnittstelle: { name, estimate(from, to) => Promise<{ minutes, distance_km }|null> }
+// from/to sind aufgelöste Orte aus lib/travelTime.js ({ kind, postal_code, lat, lon, label }).
+// Offline-Standard: Luftlinie zwischen PLZ-Mittelpunkten aus data/plz-owl.csv
+// (Spalten lat;lon, Näherungswerte) mit Umwegfaktor und Durchschnittsgeschwindigkeit.
+
+const path = require('path');
+const { DATA_DIR, readDataTable } = require('./dataFiles');
+
+const DEFAULT_POSTCODE_TABLE = path.join(DATA_DIR, 'plz-owl.csv');
+const DEFAULT_TIMEOUT_MS = 3000;
+const EARTH_RADIUS_KM = 6371;
+
+// Stadt- und Landstraßen in OWL: Straße ca. 30% länger als Luftlinie, Ø 45 km/h,
+// mindestens 5 Minuten (Parkplatz suchen, auch innerhalb derselben PLZ)
+const STRAIGHT_LINE_DEFAULTS = {
+    averageSpeedKmh: 45,
+    detourFactor: 1.3,
+    minimumMinutes: 5
+};
+
+let postcodeCoordinates = null;
+
+class DistanceProviderError extends Error {
+    constructor(message, { provider, reason } = {}) {
+        super(message);
+        this.name = 'DistanceProviderError';
+        this.provider = provider;
+        this.reason = reason;
+    }
+}
+
+// ================================
+// GEOCODING (PLZ)
+// ================================
+
+/**
+ * Lädt die PLZ-Mittelpunkte (plz;ort;kreis;lat;lon)
+ * @returns {Map} PLZ → { lat, lon }
+ */
+function loadPostcodeCoordinates(filePath = process.env.POSTCODE_TABLE_PATH || DEFAULT_POSTCODE_TABLE) {
+    const coordinates = new Map();
+
+    try {
+        for (const row of readDataTable(filePath)) {
+            const lat = parseFloat(row.lat);
+            const lon = parseFloat(row.lon);
+            if (!/^\d{5}$/.test(row.plz) || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+            coordinates.set(row.plz, { lat, lon });
+        }
+    } catch (error) {
+        console.error('❌ PLZ-Koordinaten konnten nicht geladen werden:', error.message);
+    }
+
+    postcodeCoordinates = coordinates;
+    return coordinates;
+}
+
+/**
+ * Mittelpunkt einer PLZ
+ * @returns {Object|null} { lat, lon }
+ */
+function geocodePostalCode(postalCode) {
+    if (!postalCode) return null;
+    return (postcodeCoordinates || loadPostcodeCoordinates()).get(String(postalCode)) || null;
+}
+
+/**
+ * Luftlinie zwischen zwei Koordinaten (Haversine)
+ */
+function haversineKm(from, to) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function hasCoordinates(location) {
+    return Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lon);
+}
+
+// ================================
+// PROVIDERS
+// ================================
+
+/**
+ * Luftlinie × Umwegfaktor / Durchschnittsgeschwindigkeit - funktioniert offline
+ */
+function createStraightLineProvider(options = {}) {
+    const { averageSpeedKmh, detourFactor, minimumMinutes } = { ...STRAIGHT_LINE_DEFAULTS, ...options };
+
+    return {
+        name: 'straight_line',
+        async estimate(from, to) {
+            if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+            const distanceKm = haversineKm(from, to) * detourFactor;
+            return {
+                minutes: Math.max(minimumMinutes, Math.ceil(distanceKm / averageSpeedKmh * 60)),
+                distance_km: Math.round(distanceKm * 10) / 10
+            };
+        }
+    };
+}
+
+/**
+ * OSRM Routing (selbst gehostet oder kompatibler Dienst), Route /route/v1/driving
+ */
+function createOsrmProvider({
+    baseUrl,
+    profile = 'driving',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch
+} = {}) {
+    if (!baseUrl) throw new Error('OSRM provider requires baseUrl');
+    if (typeof fetchImpl !== 'function') throw new Error('OSRM provider requires fetch (Node 18+)');
+
+    const name = `osrm:${baseUrl}`;
+
+    return {
+        name,
+        async estimate(from, to) {
+            if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            const coordinates = `${from.lon},${from.lat};${to.lon},${to.lat}`;
+
+            try {
+                const response = await fetchImpl(
+                    `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}?overview=false`,
+                    { signal: controller.signal }
+                );
+                if (!response.ok) {
+                    throw new DistanceProviderError(`Routing request failed with status ${response.status}`, { provider: name, reason: 'http_error' });
+                }
+
+                const payload = await response.json();
+                const route = payload?.routes?.[0];
+                if (payload?.code !== 'Ok' || !route) {
+                    throw new DistanceProviderError(`Routing without result (${payload?.code || 'no code'})`, { provider: name, reason: 'no_route' });
+                }
+
+                return {
+                    minutes: Math.ceil(route.duration / 60),
+                    distance_km: Math.round(route.distance / 100) / 10
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new DistanceProviderError(`Routing request timed out after ${timeoutMs}ms`, { provider: name, reason: 'timeout' });
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+/**
+ * Offline-Provider für Tests
+ * @param {number|Function} minutes - feste Fahrzeit oder (from, to) => Minuten
+ * @param {Object} options - { error }
+ */
+function createMockDistanceProvider(minutes = 15, { error = null } = {}) {
+    return {
+        name: 'mock',
+        async estimate(from, to) {
+            if (error) throw new DistanceProviderError(error, { provider: 'mock', reason: 'mock_error' });
+
+            const value = typeof minutes === 'function' ? minutes(from, to) : minutes;
+            return value === null ? null : { minutes: value, distance_km: null };
+        }
+    };
+}
+
+/**
+ * Luftlinien-Provider mit TRAVEL_AVERAGE_SPEED_KMH - auch Fallback, wenn das Routing ausfällt
+ */
+function createStraightLineProviderFromEnv(env = process.env) {
+    return createStraightLineProvider({
+        averageSpeedKmh: parseFloat(env.TRAVEL_AVERAGE_SPEED_KMH) || STRAIGHT_LINE_DEFAULTS.averageSpeedKmh
+    });
+}
+
+/**
+ * Provider aus Umgebungsvariablen (TRAVEL_DISTANCE_PROVIDER=osrm|straight_line)
+ */
+function createDistanceProviderFromEnv(env = process.env) {
+    const providerName = (env.TRAVEL_DISTANCE_PROVIDER || 'straight_line').toLowerCase();
+    const straightLine = createStraightLineProviderFromEnv(env);
+
+    if (providerName === 'osrm') {
+        if (!env.OSRM_BASE_URL) {
+            console.warn('⚠️ TRAVEL_DISTANCE_PROVIDER=osrm ohne OSRM_BASE_URL - Fahrzeiten per Luftlinie');
+            return straightLine;
+        }
+
+        return createOsrmProvider({
+            baseUrl: env.OSRM_BASE_URL,
+            timeoutMs: parseInt(env.TRAVEL_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+        });
+    }
+
+    return straightLine;
+}
+
+module.exports = {
+    DistanceProviderError,
+    loadPostcodeCoordinates,
+    geocodePostalCode,
+    haversineKm,
+    createStraightLineProvider,
+    createStraightLineProviderFromEnv,
+    createOsrmProvider,
+    createMockDistanceProvider,
+    createDistanceProviderFromEnv
+};
@@ -0,0 +1,285 @@
+// ================================
+// EXTRACTION FEEDBACK
+// ================================
+
+// Korrekturen des Büros werden pro Feld als gelabelte Stichprobe in
+// kfz_extraction_samples gespeichert (Originalwert, korrigierter Wert, Methode).
+// Daraus entstehen Fehlerquoten je Regex-Methode und Fixtures für
+// test/extraction-score.js.
+
+const { fieldValueKey } = require('./extractionStrategies');
+const { parseGermanDateTime, getZonedParts } = require('./germanDateParser');
+
+const CORRECTABLE_FIELDS = ['name', 'phone', 'address', 'appointment', 'type', 'damage_description', 'insurer', 'vehicle'];
+
+// Felder, die das Scoring-Harness auswertet
+const FIXTURE_FIELDS = ['name', 'phone', 'address', 'appointment', 'type'];
+
+const ERROR_OUTCOMES = ['corrected', 'removed', 'missed'];
+
+function isPresent(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function sameValue(field, a, b) {
+    if (field === 'vehicle') return JSON.stringify(a) === JSON.stringify(b);
+    return fieldValueKey(field, a) === fieldValueKey(field, b);
+}
+
+/**
+ * Vergleicht extrahierte Werte mit den Korrekturen
+ * @param {Object} extractedData - Ergebnis der Extraktion inkl. extraction_details
+ * @param {Object} corrections - vom Büro übergebene Felder
+ * @returns {Array} [{ field, original_value, corrected_value, method, source, confidence, outcome }]
+ *   outcome: confirmed (unverändert), corrected (falscher Wert), removed (Wert hätte fehlen müssen), missed (nicht erkannt)
+ */
+function buildCorrectionSamples(extractedData, corrections) {
+    const original = extractedData || {};
+    const details = original.extraction_details || {};
+
+    return CORRECTABLE_FIELDS
+        .filter(field => corrections && corrections[field] !== undefined)
+        .map(field => {
+            const before = isPresent(original[field]) ? original[field] : null;
+            const after = isPresent(corrections[field]) ? corrections[field] : null;
+
+            let outcome = 'confirmed';
+            if (before === null && after === null) return null;
+            if (before === null) outcome = 'missed';
+            else if (after === null) outcome = 'removed';
+            else if (!sameValue(field, before, after)) outcome = 'corrected';
+
+            return {
+                field,
+                original_value: before,
+                corrected_value: after,
+                method: details[`${field}_method`] || null,
+                source: details[`${field}_source`] || null,
+                confidence: details[`${field}_confidence`] ?? null,
+                outcome
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Speichert die Korrekturen eines Calls als gelabelte Stichproben.
+ * Fehler blockieren die Korrektur selbst nicht.
+ */
+async function recordCorrectionSamples(call, extractedData, corrections, correctedBy, tenantProjectId, supabase) {
+    const samples = buildCorrectionSamples(extractedData, corrections);
+    if (samples.length === 0) return [];
+
+    try {
+        const { data, error } = await supabase
+            .from('kfz_extraction_samples')
+            .insert(samples.map(sample => ({
+                tenant_project_id: tenantProjectId,
+                call_id: call.id,
+                retell_call_id: call.retell_call_id || null,
+                ...sample,
+                corrected_by: correctedBy || null
+            })))
+            .select();
+
+        if (error) throw error;
+
+        const errors = samples.filter(sample => ERROR_OUTCOMES.includes(sample.outcome)).length;
+        console.log(`🏷️ ${samples.length} Korrektur-Stichproben gespeichert (${errors} Extraktionsfehler)`);
+        return data || [];
+    } catch (error) {
+        console.error('❌ Korrektur-Stichproben konnten nicht gespeichert werden:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Gelabelte Stichproben eines Tenants
+ * @param {Object} filters - { field, method, outcome, since, limit, offset }
+ */
+async function listCorrectionSamples(tenantProjectId, supabase, { field, method, outcome, since, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+        .from('kfz_extraction_samples')
+        .select('*', { count: 'exact' })
+        .eq('tenant_project_id', tenantProjectId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (field) query = query.eq('field', field);
+    if (method) query = query.eq('method', method);
+    if (outcome) query = query.eq('outcome', outcome);
+    if (since) query = query.gte('created_at', since);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+    return { items: data || [], total: count ?? (data || []).length };
+}
+
+// Liest alle Zeilen in Blöcken (PostgREST liefert pro Anfrage höchstens max-rows Zeilen)
+async function loadAllRows(buildQuery, batchSize = 1000) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += batchSize) {
+        const { data, error } = await buildQuery()
+            .order('created_at', { ascending: true })
+            .range(offset, offset + batchSize - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < batchSize) break;
+    }
+
+    return rows;
+}
+
+/**
+ * Fehlerquote je Feld und Methode
+ * Nutzung = Calls, in denen die Methode den Feldwert geliefert hat (extraction_details),
+ * Fehler = Stichproben mit outcome corrected/removed für diese Methode.
+ * Nicht erkannte Werte (missed) werden pro Feld ausgewiesen, da keine Methode sie geliefert hat.
+ * Calls und Stichproben werden seitenweise geladen (batchSize, Standard 1000).
+ */
+async function getMethodErrorReport(tenantProjectId, supabase, { since, batchSize } = {}) {
+    const callsQuery = () => {
+        const query = supabase
+            .from('kfz_calls')
+            .select('extracted_data')
+            .eq('tenant_project_id', tenantProjectId)
+            .not('extracted_data', 'is', null);
+        return since ? query.gte('created_at', since) : query;
+    };
+    const samplesQuery = () => {
+        const query = supabase
+            .from('kfz_extraction_samples')
+            .select('field, method, source, outcome')
+            .eq('tenant_project_id', tenantProjectId);
+        return since ? query.gte('created_at', since) : query;
+    };
+
+    const [calls, samples] = await Promise.all([
+        loadAllRows(callsQuery, batchSize),
+        loadAllRows(samplesQuery, batchSize)
+    ]);
+
+    const rows = new Map();
+    const missed = {};
+    const rowFor = (field, method, source) => {
+        const key = `${field}|${source || ''}|${method || ''}`;
+        if (!rows.has(key)) {
+            rows.set(key, { field, source: source || null, method: method || null, uses: 0, confirmed: 0, corrected: 0, removed: 0 });
+        }
+        return rows.get(key);
+    };
+
+    for (const call of calls) {
+        const details = (call.extracted_data && call.extracted_data.extraction_details) || {};
+        for (const field of CORRECTABLE_FIELDS) {
+            if (isPresent(call.extracted_data[field]) && details[`${field}_method`]) {
+                rowFor(field, details[`${field}_method`], details[`${field}_source`]).uses++;
+            }
+        }
+    }
+
+    for (const sample of samples) {
+        if (sample.outcome === 'missed') {
+            missed[sample.field] = (missed[sample.field] || 0) + 1;
+            continue;
+        }
+        const row = rowFor(sample.field, sample.method, sample.source);
+        if (row[sample.outcome] !== undefined) row[sample.outcome]++;
+    }
+
+    const methods = [...rows.values()]
+        .map(row => {
+            const errors = row.corrected + row.removed;
+            // Stichproben älterer Calls außerhalb des Zeitraums zählen mit
+            const uses = Math.max(row.uses, row.confirmed + errors);
+            return {
+                ...row,
+                uses,
+                errors,
+                error_rate: uses > 0 ? Math.round(errors / uses * 1000) / 1000 : null
+            };
+        })
+        .sort((a, b) => (b.error_rate ?? -1) - (a.error_rate ?? -1) || b.errors - a.errors);
+
+    return { methods, missed_by_field: missed };
+}
+
+// ================================
+// FIXTURE EXPORT
+// ================================
+
+function resolveAppointmentExpectation(value, referenceNow) {
+    const parsed = parseGermanDateTime(value, { now: referenceNow });
+    if (!parsed) return null;
+
+    const pad = number => String(number).padStart(2, '0');
+    const start = getZonedParts(parsed.start, parsed.time_zone);
+    const hasTime = ['time', 'time_range'].includes(parsed.granularity);
+
+    return {
+        date: `${start.year}-${pad(start.month)}-${pad(start.day)}`,
+        time: hasTime ? `${pad(start.hour)}:${pad(start.minute)}` : null
+    };
+}
+
+/**
+ * Exportiert korrigierte Calls im Format von test/fixtures/transcripts.json.
+ * Erwartungswerte = Daten nach der Korrektur, reference_now = Zeitpunkt des Calls.
+ * Achtung: enthält echte Kundendaten - vor dem Einchecken anonymisieren.
+ */
+async function exportFixtureSet(tenantProjectId, supabase, { since, limit = 200 } = {}) {
+    let samplesQuery = supabase
+        .from('kfz_extraction_samples')
+        .select('call_id')
+        .eq('tenant_project_id', tenantProjectId);
+    if (since) samplesQuery = samplesQuery.gte('created_at', since);
+
+    const { data: samples, error: samplesError } = await samplesQuery;
+    if (samplesError) throw samplesError;
+
+    const callIds = [...new Set((samples || []).map(sample => sample.call_id).filter(Boolean))].slice(0, limit);
+    if (callIds.length === 0) return { description: 'Korrigierte Calls (Export)', time_zone: 'Europe/Berlin', fixtures: [] };
+
+    const { data: calls, error: callsError } = await supabase
+        .from('kfz_calls')
+        .select('id, retell_call_id, created_at, transcript, extracted_data')
+        .in('id', callIds);
+    if (callsError) throw callsError;
+
+    const fixtures = (calls || [])
+        .filter(call => call.transcript)
+        .map(call => {
+            const data = call.extracted_data || {};
+            const expected = {};
+            for (const field of FIXTURE_FIELDS) {
+                if (!isPresent(data[field])) continue;
+                expected[field] = field === 'appointment'
+                    ? resolveAppointmentExpectation(data[field], call.created_at)
+                    : data[field];
+            }
+
+            return {
+                id: `call-${call.retell_call_id || call.id}`,
+                reference_now: call.created_at,
+                transcript: call.transcript,
+                expected
+            };
+        });
+
+    return {
+        description: `Korrigierte Calls (Export ${new Date().toISOString().slice(0, 10)})`,
+        time_zone: 'Europe/Berlin',
+        fixtures
+    };
+}
+
+module.exports = {
+    CORRECTABLE_FIELDS,
+    buildCorrectionSamples,
+    recordCorrectionSamples,
+    listCorrectionSamples,
+    getMethodErrorReport,
+    exportFixtureSet
+};
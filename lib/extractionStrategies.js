@@ -0,0 +1,289 @@
+// ================================
+// EXTRACTION STRATEGY REGISTRY & FUSION
+// ================================
+
+// Jede Strategie liefert Kandidaten pro Feld mit Konfidenz und Herkunft.
+// Die Fusion wählt pro Feld den Wert mit der höchsten kombinierten Konfidenz;
+// neue Extraktoren werden nur registriert (inkl. ihrer Felder), der Orchestrator bleibt unverändert.
+
+const { normalizePhoneNumber } = require('./phoneValidation');
+const { parseGermanAddress } = require('./addressParser');
+
+function normalizeWhitespace(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Kontaktfelder, die jedes Ergebnis enthält; weitere Felder bringen die Strategien mit.
+// Vergleichsschlüssel: gleicher Schlüssel = gleicher Wert
+const CORE_VALUE_KEYS = {
+    name: normalizeWhitespace,
+    phone: value => normalizePhoneNumber(value),
+    address: value => {
+        const parsed = parseGermanAddress(String(value));
+        const street = (parsed.street_line || String(value)).toLowerCase().replace(/[^a-zäöüß0-9]/g, '');
+        return `${street}|${parsed.postal_code || ''}`;
+    },
+    appointment: normalizeWhitespace,
+    type: value => String(value).toUpperCase()
+};
+
+// Pflichtfelder je Anliegen für den Gesamt-Score
+const REQUIRED_FIELDS = {
+    APPOINTMENT: ['name', 'phone', 'address'],
+    CALLBACK: ['name', 'phone'],
+    QUOTE: ['name', 'phone']
+};
+
+// Abzug bei widersprüchlichen Kandidaten: Anteil der Konfidenz des Zweitplatzierten
+const CONFLICT_PENALTY = 0.5;
+
+const strategies = new Map();
+
+/**
+ * Registriert eine Extraktionsstrategie
+ * @param {Object} strategy
+ * @param {string} strategy.name - eindeutiger Name (Quelle in extraction_details)
+ * @param {Function} strategy.extract - (transcript, options) => Kandidaten-Array | null (auch als Promise)
+ * @param {number} strategy.tier - 0 = maßgeblich (z.B. Retell Analyse), 1 = Heuristik
+ * @param {string[]} strategy.fields - zusätzliche Felder, die die Strategie liefert (z.B. ['vehicle'])
+ * @param {Object} strategy.valueKeys - Vergleichsschlüssel je Feld (Standard: JSON.stringify)
+ */
+function registerExtractionStrategy(strategy) {
+    if (!strategy || !strategy.name || typeof strategy.extract !== 'function') {
+        throw new Error('Extraction strategy requires name and extract()');
+    }
+
+    strategies.set(strategy.name, { tier: 1, enabled: true, fields: [], valueKeys: {}, ...strategy });
+}
+
+function unregisterExtractionStrategy(name) {
+    return strategies.delete(name);
+}
+
+function getExtractionStrategies() {
+    return [...strategies.values()].filter(strategy => strategy.enabled);
+}
+
+// Vergleichsschlüssel aller Felder: Kontaktfelder + Felder der aktiven Strategien
+function getFieldValueKeys() {
+    const valueKeys = { ...CORE_VALUE_KEYS };
+
+    for (const strategy of getExtractionStrategies()) {
+        for (const field of strategy.fields) {
+            if (!valueKeys[field]) valueKeys[field] = strategy.valueKeys[field] || null;
+        }
+    }
+
+    return valueKeys;
+}
+
+/**
+ * Alle Felder eines Ergebnisses in fester Reihenfolge
+ */
+function getExtractionFields() {
+    return Object.keys(getFieldValueKeys());
+}
+
+/**
+ * Wandelt ein klassisches Extraktionsergebnis ({ name, phone, ..., extraction_details })
+ * in Kandidaten um
+ * @param {Object} defaults - Konfidenz je Feld, falls die Methode keine eigene liefert
+ */
+function candidatesFromResult(result, defaults = {}) {
+    if (!result) return [];
+
+    const details = result.extraction_details || {};
+
+    return getExtractionFields()
+        .filter(field => result[field] !== null && result[field] !== undefined && result[field] !== '')
+        .map(field => ({
+            field,
+            value: result[field],
+            confidence: details[`${field}_confidence`] ?? defaults[field] ?? 0,
+            method: details[`${field}_method`] || null,
+            turn_index: details[`${field}_turn_index`] ?? null,
+            turn_role: details[`${field}_turn_role`] || null
+        }))
+        .filter(candidate => candidate.confidence > 0);
+}
+
+// ================================
+// FUSION
+// ================================
+
+/**
+ * Vergleichsschlüssel eines Feldwerts (gleicher Schlüssel = gleicher Wert)
+ */
+function fieldValueKey(field, value, valueKeys = getFieldValueKeys()) {
+    return valueKeys[field] ? valueKeys[field](value) : JSON.stringify(value);
+}
+
+// Unabhängige Bestätigung: 1 - Π(1 - c) über die Strategien einer Gruppe
+function combineConfidences(confidences) {
+    return 1 - confidences.reduce((remaining, confidence) => remaining * (1 - confidence), 1);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function groupCandidates(candidates, field, valueKeys) {
+    const groups = new Map();
+
+    for (const candidate of candidates) {
+        const key = fieldValueKey(field, candidate.value, valueKeys);
+        if (!groups.has(key)) groups.set(key, { key, candidates: [] });
+        groups.get(key).candidates.push(candidate);
+    }
+
+    return [...groups.values()].map(group => {
+        // Pro Strategie nur die beste Stimme zählen
+        const bestPerStrategy = new Map();
+        for (const candidate of group.candidates) {
+            const current = bestPerStrategy.get(candidate.source);
+            if (!current || candidate.confidence > current.confidence) {
+                bestPerStrategy.set(candidate.source, candidate);
+            }
+        }
+
+        const votes = [...bestPerStrategy.values()].sort((a, b) => b.confidence - a.confidence);
+        return {
+            value: votes[0].value,
+            score: combineConfidences(votes.map(vote => vote.confidence)),
+            tier: Math.min(...votes.map(vote => vote.tier)),
+            votes
+        };
+    });
+}
+
+/**
+ * Wählt pro Feld den besten Wert
+ * Maßgebliche Strategien (niedrigster tier) gewinnen; gleichlautende Kandidaten
+ * anderer Strategien erhöhen die Konfidenz, abweichende werden als Alternativen geführt.
+ */
+function fuseField(field, candidates, valueKeys = getFieldValueKeys()) {
+    const groups = groupCandidates(candidates, field, valueKeys)
+        .sort((a, b) => a.tier - b.tier || b.score - a.score);
+
+    if (groups.length === 0) return null;
+
+    const [winner, ...others] = groups;
+    const runnerUp = others.filter(group => group.tier === winner.tier)
+        .sort((a, b) => b.score - a.score)[0];
+
+    const penalty = runnerUp ? CONFLICT_PENALTY * runnerUp.score : 0;
+    const confidence = Math.max(0, winner.score - penalty);
+
+    return {
+        value: winner.value,
+        confidence: round(confidence),
+        source: winner.votes[0].source,
+        method: winner.votes[0].method,
+        turn_index: winner.votes[0].turn_index,
+        turn_role: winner.votes[0].turn_role,
+        agreement: winner.votes.map(vote => vote.source),
+        conflict: runnerUp ? { value: runnerUp.value, score: round(runnerUp.score), penalty: round(penalty) } : null,
+        alternatives: others.map(group => ({
+            value: group.value,
+            score: round(group.score),
+            sources: group.votes.map(vote => vote.source)
+        }))
+    };
+}
+
+/**
+ * Gesamt-Score: Mittelwert der Feld-Konfidenzen der für das Anliegen
+ * benötigten Felder (fehlende Felder zählen 0)
+ */
+function computeOverallScore(fused, type) {
+    const requiredFields = REQUIRED_FIELDS[type] || REQUIRED_FIELDS.CALLBACK;
+    const fields = Object.fromEntries(requiredFields.map(field => [field, fused[field] ? fused[field].confidence : 0]));
+    const score = requiredFields.reduce((sum, field) => sum + fields[field], 0) / requiredFields.length;
+
+    return {
+        score: round(score),
+        breakdown: {
+            formula: 'mean(confidence of required fields)',
+            type,
+            required_fields: requiredFields,
+            fields,
+            missing: requiredFields.filter(field => !fused[field])
+        }
+    };
+}
+
+/**
+ * Führt alle registrierten Strategien aus und fusioniert die Kandidaten
+ * @returns {Promise<Object>} { name, phone, address, appointment, type, ..., confidence_score, extraction_details }
+ */
+async function runExtractionStrategies(transcript, options = {}) {
+    const candidates = [];
+    const strategyReport = {};
+
+    for (const strategy of getExtractionStrategies()) {
+        try {
+            const produced = (await strategy.extract(transcript, options)) || [];
+            for (const candidate of produced) {
+                candidates.push({ ...candidate, source: strategy.name, tier: strategy.tier });
+            }
+            strategyReport[strategy.name] = { candidates: produced.length };
+        } catch (error) {
+            console.error(`❌ Extraktionsstrategie ${strategy.name} fehlgeschlagen:`, error.message);
+            strategyReport[strategy.name] = { candidates: 0, error: error.message };
+        }
+    }
+
+    const valueKeys = getFieldValueKeys();
+    const fields = Object.keys(valueKeys);
+
+    const fused = {};
+    for (const field of fields) {
+        fused[field] = fuseField(field, candidates.filter(candidate => candidate.field === field), valueKeys);
+    }
+
+    const type = fused.type ? fused.type.value : 'CALLBACK';
+    const overall = computeOverallScore(fused, type);
+
+    const extractionDetails = {
+        method: 'strategy_fusion',
+        strategies: strategyReport,
+        confidence_breakdown: overall.breakdown
+    };
+
+    for (const field of fields) {
+        const result = fused[field];
+        if (!result) continue;
+
+        extractionDetails[`${field}_source`] = result.source;
+        extractionDetails[`${field}_method`] = result.method;
+        extractionDetails[`${field}_confidence`] = result.confidence;
+        extractionDetails[`${field}_agreement`] = result.agreement;
+        if (result.turn_index !== null) {
+            extractionDetails[`${field}_turn_index`] = result.turn_index;
+            extractionDetails[`${field}_turn_role`] = result.turn_role;
+        }
+        if (result.conflict) extractionDetails[`${field}_conflict`] = result.conflict;
+        if (result.alternatives.length > 0) extractionDetails[`${field}_alternatives`] = result.alternatives;
+    }
+
+    const values = Object.fromEntries(fields.map(field => [field, fused[field] ? fused[field].value : null]));
+
+    return {
+        ...values,
+        type,
+        confidence_score: overall.score,
+        extraction_details: extractionDetails
+    };
+}
+
+module.exports = {
+    registerExtractionStrategy,
+    unregisterExtractionStrategy,
+    getExtractionStrategies,
+    getExtractionFields,
+    candidatesFromResult,
+    runExtractionStrategies,
+    fuseField,
+    fieldValueKey,
+    computeOverallScore
+};
@@ -0,0 +1,644 @@
+// ================================
+// GERMAN DATE / TIME PARSER
+// ================================
+
+// Wandelt Terminwünsche ("übermorgen halb drei", "nächste Woche Dienstag nachmittags",
+// "am 14. März um 10 Uhr") in ein Zeitintervall in Europe/Berlin mit Konfidenz um.
+
+const { normalizeGermanNumberWords, parseGermanNumberWord } = require('./germanNumberWords');
+
+const DEFAULT_TIME_ZONE = 'Europe/Berlin';
+const BUSINESS_DAY = { start: 8 * 60, end: 18 * 60 };
+
+const L = '(?<![a-zäöüß])';
+const R = '(?![a-zäöüß])';
+
+const WEEKDAYS = {
+    sonntag: 0, montag: 1, dienstag: 2, mittwoch: 3,
+    donnerstag: 4, freitag: 5, samstag: 6, sonnabend: 6
+};
+
+const MONTHS = {
+    januar: 1, jan: 1, jänner: 1, februar: 2, feb: 2, märz: 3, maerz: 3, mär: 3,
+    april: 4, apr: 4, mai: 5, juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8,
+    september: 9, sept: 9, sep: 9, oktober: 10, okt: 10, november: 11, nov: 11,
+    dezember: 12, dez: 12
+};
+
+const IRREGULAR_ORDINALS = { erst: 1, dritt: 3, siebt: 7, acht: 8 };
+
+const DAY_PARTS = [
+    { pattern: /(?<![a-zäöüß])(?:morgens|früh|frueh|vormittags?|am vormittag|in der früh)(?![a-zäöüß])/, name: 'vormittag', window: [8 * 60, 12 * 60] },
+    { pattern: /(?<![a-zäöüß])(?:mittags?|über mittag|gegen mittag)(?![a-zäöüß])/, name: 'mittag', window: [12 * 60, 14 * 60] },
+    { pattern: /(?<![a-zäöüß])(?:nachmittags?|am nachmittag)(?![a-zäöüß])/, name: 'nachmittag', window: [13 * 60, 18 * 60] },
+    { pattern: /(?<![a-zäöüß])(?:abends?|am abend|feierabend)(?![a-zäöüß])/, name: 'abend', window: [17 * 60, 19 * 60] }
+];
+
+const WEEKDAY_ALTERNATION = Object.keys(WEEKDAYS).join('|');
+const MONTH_ALTERNATION = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const NEXT = '(?:nächste[nrs]?|naechste[nrs]?|kommende[nrs]?)';
+
+// ================================
+// TIME ZONE HELPERS (Intl)
+// ================================
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return partsFormatters.get(timeZone);
+}
+
+/**
+ * Wanduhr-Zeit eines Zeitpunkts in der angegebenen Zeitzone
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+    const parts = {};
+    for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+function getTimeZoneOffsetMs(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Zeitpunkt für eine Wanduhr-Zeit in der Zeitzone (berücksichtigt Sommerzeit)
+ */
+function zonedDateTime(day, minutes, timeZone = DEFAULT_TIME_ZONE) {
+    const guess = Date.UTC(day.year, day.month - 1, day.day, Math.floor(minutes / 60), minutes % 60);
+    const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+    const result = guess - offset;
+    const correctedOffset = getTimeZoneOffsetMs(new Date(result), timeZone);
+    return new Date(guess - correctedOffset);
+}
+
+// ================================
+// CALENDAR HELPERS (plain dates)
+// ================================
+
+function plainDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+function addDays(day, count) {
+    const date = new Date(Date.UTC(day.year, day.month - 1, day.day + count));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(day) {
+    return new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+}
+
+function compareDays(a, b) {
+    return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+function startOfWeek(day) {
+    return addDays(day, -((weekdayOf(day) + 6) % 7));
+}
+
+function nextWeekday(today, weekday, includeToday = false) {
+    let offset = (weekday - weekdayOf(today) + 7) % 7;
+    if (offset === 0 && !includeToday) offset = 7;
+    return addDays(today, offset);
+}
+
+function nextBusinessDay(day) {
+    let result = addDays(day, 1);
+    while (weekdayOf(result) === 0 || weekdayOf(result) === 6) result = addDays(result, 1);
+    return result;
+}
+
+function parseOrdinal(word) {
+    const stem = word.replace(/(?:s?te)[nrms]?$/, '');
+    if (stem in IRREGULAR_ORDINALS) return IRREGULAR_ORDINALS[stem];
+    if (/^\d+$/.test(stem)) return parseInt(stem, 10);
+    return parseGermanNumberWord(stem);
+}
+
+function parseCount(value) {
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    if (/^ein(?:e[mnr]?)?$/.test(value)) return 1;
+    return parseGermanNumberWord(value);
+}
+
+// ================================
+// DATE RULES
+// ================================
+
+function weekRange(weekStart, part) {
+    if (part === 'anfang') return [weekStart, addDays(weekStart, 1)];
+    if (part === 'mitte') return [addDays(weekStart, 1), addDays(weekStart, 3)];
+    if (part === 'ende') return [addDays(weekStart, 3), addDays(weekStart, 4)];
+    return [weekStart, addDays(weekStart, 4)];
+}
+
+function resolveAbsoluteDate(dayNumber, month, year, today) {
+    if (!dayNumber || !month) return null;
+
+    if (year) {
+        const fullYear = year < 100 ? 2000 + year : year;
+        return plainDate(fullYear, month, dayNumber);
+    }
+
+    // Ohne Jahr: nächstes Vorkommen
+    const thisYear = plainDate(today.year, month, dayNumber);
+    if (!thisYear) return null;
+    return compareDays(thisYear, today) < 0 ? plainDate(today.year + 1, month, dayNumber) : thisYear;
+}
+
+const DATE_RULES = [
+    {
+        // "am 14. März 2027", "14. märz"
+        pattern: new RegExp(`${L}(?:am\\s+|den\\s+)?(\\d{1,2})\\.?\\s*(${MONTH_ALTERNATION})\\.?${R}(?:\\s+(\\d{4}))?`),
+        source: 'absolute',
+        confidence: 0.5,
+        resolve: (match, today) => {
+            const day = resolveAbsoluteDate(parseInt(match[1], 10), MONTHS[match[2]], match[3] && parseInt(match[3], 10), today);
+            return day && [day, day];
+        }
+    },
+    {
+        // "am vierzehnten März"
+        pattern: new RegExp(`${L}(?:am\\s+|den\\s+)?([a-zäöüß]+te[nrms]?)\\s+(${MONTH_ALTERNATION})${R}(?:\\s+(\\d{4}))?`),
+        source: 'absolute',
+        confidence: 0.45,
+        resolve: (match, today) => {
+            const day = resolveAbsoluteDate(parseOrdinal(match[1]), MONTHS[match[2]], match[3] && parseInt(match[3], 10), today);
+            return day && [day, day];
+        }
+    },
+    {
+        // "14.03.", "14.3.2027"
+        pattern: /(?<![\d.])(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})?(?!\d)/,
+        source: 'absolute',
+        confidence: 0.5,
+        resolve: (match, today) => {
+            const day = resolveAbsoluteDate(parseInt(match[1], 10), parseInt(match[2], 10), match[3] && parseInt(match[3], 10), today);
+            return day && [day, day];
+        }
+    },
+    {
+        pattern: new RegExp(`${L}übermorgen${R}`),
+        source: 'relative',
+        confidence: 0.5,
+        resolve: (match, today) => [addDays(today, 2), addDays(today, 2)]
+    },
+    {
+        // Begrüßung ("Guten Morgen", "Morgen!") ist kein Datum
+        pattern: new RegExp(`${L}(?<!guten\\s+)morgen${R}(?!\\s*!)`),
+        source: 'relative',
+        confidence: 0.5,
+        resolve: (match, today) => [addDays(today, 1), addDays(today, 1)]
+    },
+    {
+        pattern: new RegExp(`${L}heute${R}`),
+        source: 'relative',
+        confidence: 0.5,
+        resolve: (match, today) => [today, today]
+    },
+    {
+        // "in drei Tagen", "in einer Woche"
+        pattern: new RegExp(`${L}in\\s+(\\d+|[a-zäöüß]+)\\s+(tag(?:en)?|wochen?)${R}`),
+        source: 'relative',
+        confidence: 0.4,
+        resolve: (match, today) => {
+            const count = parseCount(match[1]);
+            if (!count) return null;
+            const day = addDays(today, match[2].startsWith('woche') ? count * 7 : count);
+            return [day, day];
+        }
+    },
+    {
+        // "nächste Woche Dienstag", "Dienstag nächste Woche"
+        pattern: new RegExp(`${L}(?:${NEXT}\\s+woche\\s+(?:am\\s+)?(${WEEKDAY_ALTERNATION})|(${WEEKDAY_ALTERNATION})\\s+(?:in\\s+der\\s+)?${NEXT}\\s+woche)${R}`),
+        source: 'weekday',
+        confidence: 0.5,
+        resolve: (match, today) => {
+            const weekday = WEEKDAYS[match[1] || match[2]];
+            const day = addDays(startOfWeek(today), 7 + (weekday + 6) % 7);
+            return [day, day];
+        }
+    },
+    {
+        // "Anfang nächster Woche", "Ende der Woche", "übernächste Woche"
+        pattern: new RegExp(`${L}(?:(anfang|mitte|ende)\\s+(?:der\\s+|dieser\\s+)?)?(übernächste[nr]?|${NEXT}|diese[nr]?|der)?\\s*woche${R}`),
+        source: 'week',
+        confidence: 0.25,
+        resolve: (match, today) => {
+            const part = match[1];
+            const which = match[2] || '';
+            if (!part && (!which || which === 'der')) return null;
+
+            let weekStart = startOfWeek(today);
+            if (which.startsWith('übernächst')) weekStart = addDays(weekStart, 14);
+            else if (/^(?:nächst|naechst|kommend)/.test(which)) weekStart = addDays(weekStart, 7);
+
+            let [from, to] = weekRange(weekStart, part);
+            if (compareDays(from, today) < 0) from = today;
+            if (compareDays(to, from) < 0) return null;
+            return [from, to];
+        }
+    },
+    {
+        // "Dienstag", "nächsten Dienstag", "diesen Freitag"
+        pattern: new RegExp(`${L}(?:(${NEXT}|diese[nm]?)\\s+)?(?:am\\s+)?(${WEEKDAY_ALTERNATION})${R}`),
+        source: 'weekday',
+        confidence: 0.45,
+        resolve: (match, today) => {
+            const day = nextWeekday(today, WEEKDAYS[match[2]], !!match[1] && match[1].startsWith('diese'));
+            return [day, day];
+        },
+        // "nächsten Dienstag" ist umgangssprachlich mehrdeutig
+        adjust: match => (match[1] && !match[1].startsWith('diese') ? -0.1 : 0)
+    }
+];
+
+// ================================
+// TIME RULES (Minuten seit Mitternacht)
+// ================================
+
+const H = '(\\d{1,2})';
+
+const TIME_RULES = [
+    {
+        // "zwischen 10 und 12 Uhr"
+        pattern: new RegExp(`${L}zwischen\\s+${H}(?:[:.](\\d{2}))?\\s*(?:uhr\\s*)?und\\s+${H}(?:[:.](\\d{2}))?\\s*(?:uhr)?`),
+        source: 'range',
+        confidence: 0.3,
+        resolve: match => [toMinutes(match[1], match[2]), toMinutes(match[3], match[4])]
+    },
+    {
+        // "ab 14 Uhr"
+        pattern: new RegExp(`${L}ab\\s+${H}(?:[:.](\\d{2}))?\\s*uhr`),
+        source: 'range',
+        confidence: 0.3,
+        resolve: match => [toMinutes(match[1], match[2]), BUSINESS_DAY.end]
+    },
+    {
+        // "bis 12 Uhr"
+        pattern: new RegExp(`${L}bis\\s+${H}(?:[:.](\\d{2}))?\\s*uhr`),
+        source: 'range',
+        confidence: 0.25,
+        resolve: match => [BUSINESS_DAY.start, toMinutes(match[1], match[2])]
+    },
+    {
+        // "fünf vor halb drei" → 2:25
+        pattern: new RegExp(`${L}${H}\\s+(?:minuten\\s+)?(vor|nach)\\s+halb\\s+${H}${R}`),
+        source: 'idiom',
+        confidence: 0.4,
+        resolve: match => {
+            const offset = parseInt(match[1], 10) * (match[2] === 'vor' ? -1 : 1);
+            return point(toHour(match[3]) - 1, 30 + offset);
+        }
+    },
+    {
+        // "dreiviertel zehn" → 9:45
+        pattern: new RegExp(`${L}drei\\s*viertel\\s+${H}${R}`),
+        source: 'idiom',
+        confidence: 0.4,
+        resolve: match => point(toHour(match[1]) - 1, 45)
+    },
+    {
+        // "viertel vor zehn", "viertel nach zehn"
+        pattern: new RegExp(`${L}viertel\\s+(vor|nach)\\s+${H}${R}`),
+        source: 'idiom',
+        confidence: 0.4,
+        resolve: match => (match[1] === 'vor' ? point(toHour(match[2]) - 1, 45) : point(toHour(match[2]), 15))
+    },
+    {
+        // "halb drei" → 2:30
+        pattern: new RegExp(`${L}halb\\s+${H}${R}`),
+        source: 'idiom',
+        confidence: 0.4,
+        resolve: match => point(toHour(match[1]) - 1, 30)
+    },
+    {
+        // "zehn nach drei", "fünf vor vier"
+        pattern: new RegExp(`${L}${H}\\s+(?:minuten\\s+)?(vor|nach)\\s+${H}(?!\\s*(?:uhr|[:.\\d]))${R}`),
+        source: 'idiom',
+        confidence: 0.35,
+        resolve: match => {
+            const minutes = parseInt(match[1], 10);
+            if (minutes >= 30) return null;
+            return match[2] === 'vor'
+                ? point(toHour(match[3]) - 1, 60 - minutes)
+                : point(toHour(match[3]), minutes);
+        }
+    },
+    {
+        // "14:30", "14.30 Uhr"
+        pattern: new RegExp(`${L}(?:(gegen|circa|ca\\.?|etwa)\\s+)?(?:um\\s+)?${H}[:.](\\d{2})(?!\\.?\\d)\\s*(?:uhr)?`),
+        source: 'clock',
+        confidence: 0.45,
+        resolve: match => point(toHour(match[2]), parseInt(match[3], 10)),
+        adjust: match => (match[1] ? -0.1 : 0)
+    },
+    {
+        // "14 Uhr", "9 Uhr 30", "um 9", "gegen 10"
+        pattern: new RegExp(`${L}(?:(gegen|circa|ca\\.?|etwa)\\s+)?(?:(um)\\s+)?${H}\\s*(?:(uhr)(?:\\s+(\\d{1,2}))?)?(?![\\d.:])`),
+        source: 'clock',
+        confidence: 0.45,
+        resolve: match => {
+            if (!match[1] && !match[2] && !match[4]) return null;
+            return point(toHour(match[3]), match[5] ? parseInt(match[5], 10) : 0);
+        },
+        adjust: match => (match[1] ? -0.1 : 0)
+    }
+];
+
+function toHour(value) {
+    return parseInt(value, 10);
+}
+
+function toMinutes(hour, minute) {
+    return toHour(hour) * 60 + (minute ? parseInt(minute, 10) : 0);
+}
+
+function point(hour, minute) {
+    const total = hour * 60 + minute;
+    return [total, total];
+}
+
+// Geschäftstermine: "um 3" / "halb drei" meint 15:00 / 14:30
+function applyMeridiem(minutes, dayPart) {
+    const wantsAfternoon = dayPart && ['nachmittag', 'abend'].includes(dayPart.name);
+    const wantsMorning = dayPart && dayPart.name === 'vormittag';
+
+    if (minutes < 12 * 60 && (wantsAfternoon || (!wantsMorning && minutes < 8 * 60))) {
+        return minutes + 12 * 60;
+    }
+    return minutes;
+}
+
+function findRule(rules, text, today) {
+    for (const rule of rules) {
+        const match = text.match(rule.pattern);
+        if (!match) continue;
+
+        const value = rule.resolve(match, today);
+        if (!value) continue;
+
+        return {
+            value,
+            source: rule.source,
+            confidence: rule.confidence + (rule.adjust ? rule.adjust(match) : 0),
+            matched: match[0].trim(),
+            rest: text.replace(match[0], ' ')
+        };
+    }
+    return null;
+}
+
+/**
+ * Parst einen deutschen Terminwunsch
+ * @param {string} text - z.B. "nächste Woche Dienstag halb drei"
+ * @param {Object} options - { now, timeZone, durationMinutes }
+ * @returns {Object|null} { start, end, granularity, confidence, date_source, time_source, matched, warnings }
+ */
+function parseGermanDateTime(text, options = {}) {
+    if (!text || typeof text !== 'string') return null;
+
+    const now = options.now ? new Date(options.now) : new Date();
+    const timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    const durationMinutes = options.durationMinutes || 60;
+
+    const nowParts = getZonedParts(now, timeZone);
+    const today = { year: nowParts.year, month: nowParts.month, day: nowParts.day };
+    const nowMinutes = nowParts.hour * 60 + nowParts.minute;
+
+    const normalized = normalizeGermanNumberWords(text.toLowerCase().replace(/\s+/g, ' '));
+    const warnings = [];
+    const matched = [];
+
+    // Datum zuerst entfernen, damit "14.03." nicht als Uhrzeit gelesen wird
+    const date = findRule(DATE_RULES, normalized, today);
+    let remaining = date ? date.rest : normalized;
+    if (date) matched.push(date.matched);
+
+    const time = findRule(TIME_RULES, remaining, today);
+    if (time) {
+        matched.push(time.matched);
+        remaining = time.rest;
+    }
+
+    const dayPart = DAY_PARTS.find(part => part.pattern.test(remaining)) || null;
+    if (dayPart) matched.push(dayPart.name);
+
+    if (!date && !time && !dayPart) return null;
+
+    // Zeitfenster bestimmen
+    let window;
+    let granularity;
+    let timeConfidence = 0;
+
+    if (time) {
+        const from = applyMeridiem(time.value[0], dayPart);
+        const to = time.value[1] === time.value[0] ? from + durationMinutes : applyMeridiem(time.value[1], dayPart);
+        window = [from, to];
+        granularity = time.source === 'range' ? 'time_range' : 'time';
+        timeConfidence = time.confidence;
+    } else if (dayPart) {
+        window = [...dayPart.window];
+        granularity = 'day_part';
+        timeConfidence = 0.2;
+    } else {
+        window = [BUSINESS_DAY.start, BUSINESS_DAY.end];
+        granularity = 'day';
+    }
+
+    if (window[0] < 0 || window[0] >= 24 * 60 || window[1] <= window[0] || window[1] > 24 * 60) {
+        warnings.push('invalid_time');
+        window = [BUSINESS_DAY.start, BUSINESS_DAY.end];
+        granularity = 'day';
+        timeConfidence = 0;
+    }
+
+    // Tage bestimmen
+    let days;
+    let dateConfidence;
+
+    if (date) {
+        days = date.value;
+        dateConfidence = date.confidence;
+        if (compareDays(days[0], days[1]) !== 0 && granularity === 'day') granularity = 'days';
+    } else {
+        // Nur Uhrzeit: heute, falls noch mindestens eine Stunde Vorlauf, sonst nächster Werktag
+        const todayPossible = window[0] >= nowMinutes + 60 && weekdayOf(today) !== 0 && weekdayOf(today) !== 6;
+        const day = todayPossible ? today : nextBusinessDay(today);
+        days = [day, day];
+        dateConfidence = 0.15;
+        warnings.push('date_assumed');
+    }
+
+    const start = zonedDateTime(days[0], window[0], timeZone);
+    const end = zonedDateTime(days[1], window[1], timeZone);
+
+    let confidence = dateConfidence + timeConfidence;
+    if (end.getTime() <= now.getTime()) {
+        warnings.push('in_past');
+        confidence *= 0.5;
+    }
+    if (weekdayOf(days[0]) === 0 || weekdayOf(days[0]) === 6) {
+        warnings.push('weekend');
+    }
+
+    return {
+        start,
+        end,
+        granularity,
+        confidence: Math.round(Math.min(confidence, 0.95) * 100) / 100,
+        date_source: date ? date.source : 'assumed',
+        time_source: time ? time.source : (dayPart ? 'day_part' : 'business_hours'),
+        time_zone: timeZone,
+        matched,
+        warnings
+    };
+}
+
+// ================================
+// PAST DATES (Unfalldatum)
+// ================================
+
+// Ohne Jahr: letztes Vorkommen bis einschließlich heute
+function resolvePastAbsoluteDate(dayNumber, month, year, today) {
+    if (year) return resolveAbsoluteDate(dayNumber, month, year, today);
+
+    const thisYear = plainDate(today.year, month, dayNumber);
+    if (!thisYear) return null;
+    return compareDays(thisYear, today) > 0 ? plainDate(today.year - 1, month, dayNumber) : thisYear;
+}
+
+function previousWeekday(today, weekday, includeToday) {
+    let offset = (weekdayOf(today) - weekday + 7) % 7;
+    if (offset === 0 && !includeToday) offset = 7;
+    return addDays(today, -offset);
+}
+
+const PAST_DATE_RULES = [
+    {
+        pattern: new RegExp(`${L}(?:am\\s+|den\\s+)?(\\d{1,2})\\.?\\s*(${MONTH_ALTERNATION})\\.?${R}(?:\\s+(\\d{4}))?`),
+        confidence: 0.8,
+        resolve: (match, today) => {
+            const day = resolvePastAbsoluteDate(parseInt(match[1], 10), MONTHS[match[2]], match[3] && parseInt(match[3], 10), today);
+            return day && [day, day];
+        }
+    },
+    {
+        pattern: /(?<![\d.])(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})?(?!\d)/,
+        confidence: 0.8,
+        resolve: (match, today) => {
+            const day = resolvePastAbsoluteDate(parseInt(match[1], 10), parseInt(match[2], 10), match[3] && parseInt(match[3], 10), today);
+            return day && [day, day];
+        }
+    },
+    {
+        pattern: new RegExp(`${L}vorgestern${R}`),
+        confidence: 0.8,
+        resolve: (match, today) => [addDays(today, -2), addDays(today, -2)]
+    },
+    {
+        pattern: new RegExp(`${L}gestern${R}`),
+        confidence: 0.8,
+        resolve: (match, today) => [addDays(today, -1), addDays(today, -1)]
+    },
+    {
+        pattern: new RegExp(`${L}(?:heute|vorhin|eben)${R}`),
+        confidence: 0.7,
+        resolve: (match, today) => [today, today]
+    },
+    {
+        // "vor drei Tagen", "vor einer Woche"
+        pattern: new RegExp(`${L}vor\\s+(\\d+|[a-zäöüß]+)\\s+(tag(?:en)?|wochen?)${R}`),
+        confidence: 0.6,
+        resolve: (match, today) => {
+            const count = parseCount(match[1]);
+            if (!count) return null;
+            const day = addDays(today, -(match[2].startsWith('woche') ? count * 7 : count));
+            return [day, day];
+        }
+    },
+    {
+        // "letzten Freitag", "am Montag"
+        pattern: new RegExp(`${L}(letzte[nrs]?\\s+|vergangene[nrs]?\\s+|am\\s+)?(${WEEKDAY_ALTERNATION})${R}`),
+        confidence: 0.6,
+        resolve: (match, today) => {
+            const day = previousWeekday(today, WEEKDAYS[match[2]], !/^(?:letzte|vergangene)/.test(match[1] || ''));
+            return [day, day];
+        }
+    },
+    {
+        pattern: new RegExp(`${L}(?:letzte|vergangene)\\s+woche${R}`),
+        confidence: 0.4,
+        resolve: (match, today) => {
+            const weekStart = addDays(startOfWeek(today), -7);
+            return [weekStart, addDays(weekStart, 6)];
+        }
+    }
+];
+
+function formatPlainDate(day) {
+    return `${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`;
+}
+
+/**
+ * Parst ein vergangenes Datum (z.B. Unfalldatum: "gestern", "letzten Freitag", "am 3. März")
+ * @param {string} text
+ * @param {Object} options - { now, timeZone }
+ * @returns {Object|null} { date, end_date, confidence, matched } (Datumsangaben als YYYY-MM-DD)
+ */
+function parseGermanPastDate(text, options = {}) {
+    if (!text || typeof text !== 'string') return null;
+
+    const now = options.now ? new Date(options.now) : new Date();
+    const nowParts = getZonedParts(now, options.timeZone || DEFAULT_TIME_ZONE);
+    const today = { year: nowParts.year, month: nowParts.month, day: nowParts.day };
+
+    const normalized = normalizeGermanNumberWords(text.toLowerCase().replace(/\s+/g, ' '));
+    const found = findRule(PAST_DATE_RULES, normalized, today);
+    if (!found) return null;
+
+    const [first, last] = found.value;
+    if (compareDays(first, today) > 0) return null;
+
+    return {
+        date: formatPlainDate(first),
+        end_date: formatPlainDate(last),
+        confidence: found.confidence,
+        matched: found.matched
+    };
+}
+
+module.exports = {
+    parseGermanDateTime,
+    parseGermanPastDate,
+    getZonedParts,
+    zonedDateTime,
+    plainDate,
+    addDays,
+    weekdayOf,
+    DEFAULT_TIME_ZONE
+};
@@ -0,0 +1,160 @@
+// ================================
+// GERMAN NUMBER WORDS
+// ================================
+
+// Zahlwörter in Transkripten: die Spracherkennung schreibt gesprochene Ziffern
+// aus ("null fünf zwei eins" → 0521). Genutzt von der Datenextraktion und vom
+// Datumsparser, daher ohne Abhängigkeiten zu anderen lib-Modulen.
+
+const DIGIT_WORDS = {
+    null: 0, eins: 1, zwo: 2, zwei: 2, drei: 3, vier: 4,
+    fünf: 5, fuenf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9
+};
+
+const TEEN_WORDS = {
+    zehn: 10, elf: 11, zwölf: 12, zwoelf: 12, dreizehn: 13, vierzehn: 14,
+    fünfzehn: 15, fuenfzehn: 15, sechzehn: 16, siebzehn: 17, achtzehn: 18, neunzehn: 19
+};
+
+const TENS_WORDS = {
+    zwanzig: 20, dreißig: 30, dreissig: 30, vierzig: 40, fünfzig: 50,
+    fuenfzig: 50, sechzig: 60, siebzig: 70, achtzig: 80, neunzig: 90
+};
+
+const UNIT_PREFIXES = {
+    ein: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, fuenf: 5,
+    sechs: 6, sieben: 7, acht: 8, neun: 9
+};
+
+const REPEAT_WORDS = { doppel: 2, doppelt: 2, doppelte: 2, dreifach: 3 };
+
+const UNIT_ALTERNATION = Object.keys(UNIT_PREFIXES).join('|');
+const TENS_ALTERNATION = Object.keys(TENS_WORDS).join('|');
+const COMPOUND_TENS = new RegExp(`^(${UNIT_ALTERNATION})und(${TENS_ALTERNATION})$`);
+const HUNDREDS = new RegExp(`^(${UNIT_ALTERNATION})?hundert(?:und)?(.*)$`);
+const THOUSANDS = /^(.*?)tausend(?:und)?(.*)$/;
+
+function parseGermanNumberWord(word) {
+    if (word in DIGIT_WORDS) return DIGIT_WORDS[word];
+    if (word in TEEN_WORDS) return TEEN_WORDS[word];
+    if (word in TENS_WORDS) return TENS_WORDS[word];
+    
+    const compound = word.match(COMPOUND_TENS);
+    if (compound) return UNIT_PREFIXES[compound[1]] + TENS_WORDS[compound[2]];
+    
+    // "fünfundachtzigtausend" → 85000, "zweitausendachtzehn" → 2018
+    const thousands = word.match(THOUSANDS);
+    if (thousands) {
+        const factor = thousands[1] ? parseGermanNumberWord(thousands[1] === 'ein' ? 'eins' : thousands[1]) : 1;
+        if (factor === null || factor >= 1000) return null;
+        if (!thousands[2]) return factor * 1000;
+        const rest = parseGermanNumberWord(thousands[2]);
+        return rest !== null && rest < 1000 ? factor * 1000 + rest : null;
+    }
+    
+    const hundreds = word.match(HUNDREDS);
+    if (hundreds) {
+        const base = (hundreds[1] ? UNIT_PREFIXES[hundreds[1]] : 1) * 100;
+        if (!hundreds[2]) return base;
+        const rest = parseGermanNumberWord(hundreds[2]);
+        return rest !== null && rest < 100 ? base + rest : null;
+    }
+    
+    return null;
+}
+
+function normalizeGermanNumberWords(text) {
+    if (!text || typeof text !== 'string') return text;
+    
+    const tokens = text.match(/[a-zäöüß]+|\d+|[^a-zäöüß\d]+/gi) || [];
+    const isWord = token => /^[a-zäöüß]+$/i.test(token);
+    const isJoinableSeparator = token => /^[\s-]+$/.test(token);
+    
+    // Nächstes Wort-Token nach Leerzeichen/Bindestrich
+    const peekWord = index => {
+        let cursor = index;
+        while (cursor < tokens.length && isJoinableSeparator(tokens[cursor])) cursor++;
+        return cursor < tokens.length && isWord(tokens[cursor])
+            ? { index: cursor, word: tokens[cursor].toLowerCase() }
+            : null;
+    };
+    
+    const parts = [];
+    let separator = '';
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const lower = token.toLowerCase();
+        let value = null;
+        
+        if (!isWord(token) && !/^\d+$/.test(token)) {
+            separator += token;
+            continue;
+        }
+        let singleDigits = false;
+        
+        if (/^\d+$/.test(token)) {
+            value = token;
+        } else if (isWord(token)) {
+            const next = peekWord(i + 1);
+            const number = parseGermanNumberWord(lower);
+            
+            if (lower === 'plus' && next && (next.word in DIGIT_WORDS || parseGermanNumberWord(next.word) !== null)) {
+                value = '+';
+            } else if (lower in REPEAT_WORDS && next && next.word in DIGIT_WORDS) {
+                // "doppel-sieben" → 77, "dreifach null" → 000
+                value = String(DIGIT_WORDS[next.word]).repeat(REPEAT_WORDS[lower]);
+                singleDigits = true;
+                i = next.index;
+            } else if (lower.startsWith('doppel') && lower.slice(6) in DIGIT_WORDS) {
+                value = String(DIGIT_WORDS[lower.slice(6)]).repeat(2);
+                singleDigits = true;
+            } else if (number !== null && number < 10 && next && next.word === 'und') {
+                // "neun und vierzig" → 49
+                const tens = peekWord(next.index + 1);
+                if (tens && tens.word in TENS_WORDS) {
+                    value = String(number + TENS_WORDS[tens.word]);
+                    i = tens.index;
+                } else {
+                    value = String(number);
+                    singleDigits = true;
+                }
+            } else if (number !== null) {
+                value = String(number);
+                singleDigits = number < 10 && lower in DIGIT_WORDS;
+            }
+        }
+        
+        if (value === null) {
+            parts.push({ text: separator + token, number: false });
+            separator = '';
+            continue;
+        }
+        
+        const previous = parts[parts.length - 1];
+        const fromWord = !/^\d+$/.test(token);
+        const joinWithPrevious = previous && previous.number && isJoinableSeparator(separator) &&
+            (previous.text.endsWith('+') || ((previous.fromWord || fromWord) && (previous.singleDigits || singleDigits)));
+        
+        if (joinWithPrevious) {
+            previous.text += value;
+            previous.singleDigits = singleDigits;
+            previous.fromWord = previous.fromWord || fromWord;
+        } else {
+            parts.push({
+                text: (/[,;]/.test(separator) && previous?.number && (previous.fromWord || fromWord) ? ' ' : separator) + value,
+                number: true,
+                singleDigits,
+                fromWord
+            });
+        }
+        separator = '';
+    }
+    
+    return parts.map(part => part.text).join('') + separator;
+}
+
+module.exports = {
+    parseGermanNumberWord,
+    normalizeGermanNumberWords
+};
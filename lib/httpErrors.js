@@ -0,0 +1,34 @@
+// ================================
+// HTTP ERRORS
+// ================================
+
+// Gemeinsame Fehlerantwort der API-Routen. Fachliche Fehler (AppointmentError,
+// CustomerError, ProjectError, ...) tragen status, field und ggf. details;
+// alles andere wird geloggt und als 500 beantwortet.
+
+function isClientError(error) {
+    return Boolean(error) && Number.isInteger(error.status) && error.status >= 400 && error.status < 500;
+}
+
+/**
+ * Sendet die Fehlerantwort für eine Route
+ * @param {string} label - Log-Text bei unerwarteten Fehlern, z.B. 'Kunden laden fehlgeschlagen'
+ */
+function sendError(res, req, error, label) {
+    if (isClientError(error)) {
+        const details = error.details && typeof error.details === 'object' ? error.details : {};
+        return res.status(error.status).json({
+            error: error.message,
+            field: error.field,
+            ...details,
+            request_id: req.requestId
+        });
+    }
+
+    console.error(`❌ ${label}:`, error.message);
+    res.status(500).json({ error: error.message, request_id: req.requestId });
+}
+
+module.exports = {
+    sendError
+};
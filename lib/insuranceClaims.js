@@ -0,0 +1,259 @@
+// ================================
+// INSURANCE CLAIMS
+// ================================
+
+// Erkennt Versicherer, Schadennummer und Versicherungsnummer im Gespräch und
+// ordnet den genannten Versicherer unscharf der gepflegten Liste
+// kfz_insurance_companies zu (Fallback: data/versicherer.csv).
+
+const path = require('path');
+const { DATA_DIR, readDataTable } = require('./dataFiles');
+
+const DEFAULT_INSURER_TABLE = path.join(DATA_DIR, 'versicherer.csv');
+
+// Zuordnung ab dieser Ähnlichkeit, darunter bis UNCERTAIN_SCORE zur Prüfung
+const MATCH_SCORE = 0.85;
+const UNCERTAIN_SCORE = 0.65;
+
+const INSURANCE_CONTEXT = /versicher|haftpflicht|kasko|schadens?nummer|schaden-?nr/i;
+const OTHER_PARTY_CONTEXT = /gegner|gegnerische|des\s+anderen|der\s+anderen|verursacher|unfallverursacher/i;
+const OWN_CONTEXT = /meine\s+(?:eigene\s+)?(?:versicherung|kasko|haftpflicht)|ich\s+bin\s+(?:bei|über)|bin\s+selbst\s+bei/i;
+
+const SPOKEN_INSURER = /(?:versichert\s+(?:ist\s+(?:er|sie)\s+)?bei(?:\s+der)?|versicherung\s+(?:ist|war|heißt|hieß)(?:\s+die)?|versicherer\s+(?:ist|war)(?:\s+die)?|haftpflicht(?:versicherung)?\s+(?:ist|war)(?:\s+die)?)\s+([a-zäöü0-9][\w+&.\-äöüß]*(?:\s+[a-zäöü][\w+&.\-äöüß]*){0,2})/i;
+
+const CLAIM_NUMBER = /(?:schadens?nummer|schadens?-?nr\.?|schadenfallnummer)\s*(?:ist|lautet|wäre|:)?\s*(?:die\s+)?/i;
+const POLICY_NUMBER = /(?:versicherungs(?:schein)?nummer|versicherungs-?nr\.?|policen?nummer|vertragsnummer)\s*(?:ist|lautet|wäre|:)?\s*(?:die\s+)?/i;
+const REFERENCE_VALUE = /^((?:[a-z]{1,5}[\-\/ ]?)?\d[\da-z\-\/.]*(?:\s\d[\da-z\-\/.]*)*)/i;
+
+const LEGAL_WORDS = /\b(?:versicherungen|versicherungs|versicherung|versicherer|ag|se|gmbh|vvag|a\.g\.|die|der)\b/g;
+
+let insurerTable = null;
+
+function normalizeInsurerName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+        .replace(/\+/g, ' und ')
+        .replace(LEGAL_WORDS, ' ')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function nameWords(name) {
+    return (name || '').split(/[\s\-]+/).map(normalizeInsurerName).filter(Boolean);
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = current;
+        }
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Ähnlichkeit zweier Versicherernamen (0..1)
+ */
+function insurerSimilarity(spoken, candidate) {
+    const a = normalizeInsurerName(spoken);
+    const b = normalizeInsurerName(candidate);
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    // Ganze Wörter als Präfix: "HUK Coburg Autoversicherung" ↔ "HUK-COBURG"
+    const wordsA = nameWords(spoken);
+    const wordsB = nameWords(candidate);
+    const [shorter, longer] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+    if (shorter.join('').length >= 3 && shorter.every((word, index) => longer[index] === word)) return 0.9;
+
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Lädt die mitgelieferte Versichererliste (name;aliases, Aliase mit | getrennt)
+ */
+function loadInsurerTable(filePath = process.env.INSURER_TABLE_PATH || DEFAULT_INSURER_TABLE) {
+    try {
+        insurerTable = readDataTable(filePath)
+            .filter(row => row.name)
+            .map(row => ({
+                id: null,
+                name: row.name,
+                aliases: (row.aliases || '').split('|').map(alias => alias.trim()).filter(Boolean)
+            }));
+    } catch (error) {
+        console.error('❌ Versichererliste konnte nicht geladen werden:', error.message);
+        insurerTable = [];
+    }
+    return insurerTable;
+}
+
+function getInsurerTable() {
+    return insurerTable || loadInsurerTable();
+}
+
+/**
+ * Ordnet einen genannten Versicherer der Liste zu
+ * @param {string} spokenName
+ * @param {Array} companies - [{ id, name, short_name, aliases }]
+ * @returns {Object} { company, score, status: 'matched' | 'uncertain' | 'unmatched' }
+ */
+function matchInsurer(spokenName, companies) {
+    let best = { company: null, score: 0 };
+
+    for (const company of companies || []) {
+        const names = [company.name, company.short_name, ...(company.aliases || [])].filter(Boolean);
+        for (const name of names) {
+            const score = insurerSimilarity(spokenName, name);
+            if (score > best.score) best = { company, score };
+        }
+    }
+
+    const score = Math.round(best.score * 100) / 100;
+    if (score >= MATCH_SCORE) return { company: best.company, score, status: 'matched' };
+    if (score >= UNCERTAIN_SCORE) return { company: best.company, score, status: 'uncertain' };
+    return { company: null, score, status: 'unmatched' };
+}
+
+/**
+ * Gepflegte Versichererliste des Tenants aus kfz_insurance_companies (aktive Einträge)
+ */
+async function loadInsuranceCompanies(tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_insurance_companies')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('active', true);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Versicherer gegen die Datenbankliste abgleichen, bei leerer/fehlender Tabelle gegen die Bundle-Liste
+ */
+async function resolveInsurer(spokenName, tenantProjectId, supabase) {
+    let companies = [];
+    try {
+        companies = await loadInsuranceCompanies(tenantProjectId, supabase);
+    } catch (error) {
+        console.warn('⚠️ kfz_insurance_companies nicht verfügbar, nutze Bundle-Liste:', error.message);
+    }
+
+    return matchInsurer(spokenName, companies.length > 0 ? companies : getInsurerTable());
+}
+
+// ================================
+// EXTRACTION
+// ================================
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+let aliasPatterns = null;
+
+// Kurze Kürzel (HUK, LVM, R+V) nur in Großschreibung, längere Namen unabhängig davon
+function getAliasPatterns() {
+    if (aliasPatterns) return aliasPatterns;
+
+    aliasPatterns = getInsurerTable()
+        .flatMap(company => [company.name, ...company.aliases].map(alias => ({ company, alias })))
+        .sort((a, b) => b.alias.length - a.alias.length)
+        .map(({ company, alias }) => ({
+            company,
+            pattern: new RegExp(`(?<![\\wäöüÄÖÜß])${escapeRegExp(alias).replace(/ /g, '[\\s-]')}(?![\\wäöüÄÖÜß])`, alias.length <= 4 ? '' : 'i')
+        }));
+
+    return aliasPatterns;
+}
+
+function readReference(text, keyword) {
+    const match = text.match(keyword);
+    if (!match) return null;
+
+    const value = text.slice(match.index + match[0].length).match(REFERENCE_VALUE);
+    if (!value) return null;
+
+    const reference = value[1].replace(/[.\-\/]+$/, '').replace(/\s+/g, ' ').trim().toUpperCase();
+    return (reference.match(/\d/g) || []).length >= 4 ? reference : null;
+}
+
+function findInsurer(text) {
+    for (const { company, pattern } of getAliasPatterns()) {
+        if (pattern.test(text)) return { name: company.name, confidence: 0.8 };
+    }
+
+    const spoken = text.match(SPOKEN_INSURER);
+    if (spoken) {
+        const name = spoken[1].replace(/\s+(?:und|oder|ist|war|die|der)$/i, '').trim();
+        if (/^[A-ZÄÖÜ0-9]/.test(name) && name.length >= 2) return { name, confidence: 0.6 };
+    }
+
+    return null;
+}
+
+/**
+ * Extrahiert Versicherungsangaben aus Turns
+ * @param {Array} turns - [{ index, text, source_role }] mit normalisierten Zahlen
+ * @returns {Object|null} { insurer, insurer_confidence, insurer_role, claim_number, policy_number, turn_index, turn_role }
+ */
+function extractInsuranceDetails(turns) {
+    const result = { insurer: null, insurer_confidence: 0, insurer_role: null, claim_number: null, policy_number: null };
+    let sourceTurn = null;
+
+    for (const turn of turns) {
+        const text = turn.text || '';
+        if (!INSURANCE_CONTEXT.test(text)) continue;
+
+        if (!result.insurer) {
+            const insurer = findInsurer(text);
+            if (insurer) {
+                result.insurer = insurer.name;
+                result.insurer_confidence = insurer.confidence;
+                if (OTHER_PARTY_CONTEXT.test(text)) result.insurer_role = 'other_party';
+                else if (OWN_CONTEXT.test(text)) result.insurer_role = 'own';
+                sourceTurn = sourceTurn || turn;
+            }
+        }
+
+        if (!result.claim_number) {
+            result.claim_number = readReference(text, CLAIM_NUMBER);
+            if (result.claim_number) sourceTurn = sourceTurn || turn;
+        }
+
+        if (!result.policy_number) {
+            result.policy_number = readReference(text, POLICY_NUMBER);
+            if (result.policy_number) sourceTurn = sourceTurn || turn;
+        }
+    }
+
+    if (!result.insurer && !result.claim_number && !result.policy_number) return null;
+
+    return {
+        ...result,
+        turn_index: sourceTurn ? sourceTurn.index : null,
+        turn_role: sourceTurn ? sourceTurn.source_role : null
+    };
+}
+
+module.exports = {
+    normalizeInsurerName,
+    insurerSimilarity,
+    matchInsurer,
+    loadInsurerTable,
+    loadInsuranceCompanies,
+    resolveInsurer,
+    extractInsuranceDetails
+};
@@ -0,0 +1,182 @@
+// ================================
+// LLM EXTRACTION PROVIDERS
+// ================================
+
+// Provider-Schnittstelle: { name, extract(transcript) => Promise<Object> }
+// Das Ergebnis folgt EXTRACTION_SCHEMA und wird in lib/dataExtraction.js
+// mit den bestehenden Validatoren geprüft.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const nullableString = { type: ['string', 'null'] };
+
+// Strict JSON Schema (alle Felder required, fehlende Angaben als null)
+const EXTRACTION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'phone', 'address', 'appointment', 'call_type', 'damage_description', 'insurer', 'vehicle'],
+    properties: {
+        name: { ...nullableString, description: 'Vor- und Nachname des Anrufers' },
+        phone: { ...nullableString, description: 'Rückrufnummer des Anrufers, nur Ziffern und +' },
+        address: { ...nullableString, description: 'Besichtigungsadresse: Straße Hausnummer, PLZ Ort' },
+        appointment: { ...nullableString, description: 'Terminwunsch im Wortlaut, z.B. "morgen um 14 Uhr"' },
+        call_type: { type: ['string', 'null'], enum: ['APPOINTMENT', 'CALLBACK', 'QUOTE', null] },
+        damage_description: { ...nullableString, description: 'Kurzbeschreibung des Schadens / Unfallhergangs' },
+        insurer: { ...nullableString, description: 'Name der Versicherung' },
+        vehicle: {
+            type: ['object', 'null'],
+            additionalProperties: false,
+            required: ['make', 'model', 'license_plate', 'year', 'mileage'],
+            properties: {
+                make: nullableString,
+                model: nullableString,
+                license_plate: { ...nullableString, description: 'Kennzeichen, z.B. "BI-AB 1234"' },
+                year: { type: ['integer', 'null'], description: 'Baujahr / Erstzulassung' },
+                mileage: { type: ['integer', 'null'], description: 'Kilometerstand' }
+            }
+        }
+    }
+};
+
+const SYSTEM_PROMPT = [
+    'Du extrahierst Daten aus Telefonaten eines KFZ-Sachverständigenbüros in Bielefeld.',
+    'Gib nur Angaben des Anrufers zurück, keine Daten des Büros oder des Agenten.',
+    'Erfinde nichts: fehlende Angaben sind null.',
+    'Telefonnummern als Ziffernfolge (gesprochene Zahlen umwandeln).'
+].join(' ');
+
+class LlmProviderError extends Error {
+    constructor(message, { provider, reason } = {}) {
+        super(message);
+        this.name = 'LlmProviderError';
+        this.provider = provider;
+        this.reason = reason;
+    }
+}
+
+/**
+ * OpenAI-kompatibler Chat Completions Endpoint (OpenAI, Azure, lokale Server)
+ */
+function createOpenAICompatibleProvider({
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey,
+    model = 'gpt-4o-mini',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchImpl = globalThis.fetch
+} = {}) {
+    if (!apiKey) throw new Error('LLM provider requires apiKey');
+    if (typeof fetchImpl !== 'function') throw new Error('LLM provider requires fetch (Node 18+)');
+
+    const name = `openai_compatible:${model}`;
+
+    return {
+        name,
+        async extract(transcript) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+            try {
+                const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${apiKey}`
+                    },
+                    body: JSON.stringify({
+                        model,
+                        temperature: 0,
+                        messages: [
+                            { role: 'system', content: SYSTEM_PROMPT },
+                            { role: 'user', content: transcript }
+                        ],
+                        response_format: {
+                            type: 'json_schema',
+                            json_schema: { name: 'kfz_call_extraction', strict: true, schema: EXTRACTION_SCHEMA }
+                        }
+                    }),
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    throw new LlmProviderError(`LLM request failed with status ${response.status}`, { provider: name, reason: 'http_error' });
+                }
+
+                const payload = await response.json();
+                const content = payload?.choices?.[0]?.message?.content;
+                if (!content) {
+                    throw new LlmProviderError('LLM response without content', { provider: name, reason: 'empty_response' });
+                }
+
+                try {
+                    return JSON.parse(content);
+                } catch (error) {
+                    throw new LlmProviderError('LLM response is not valid JSON', { provider: name, reason: 'invalid_json' });
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new LlmProviderError(`LLM request timed out after ${timeoutMs}ms`, { provider: name, reason: 'timeout' });
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+/**
+ * Offline-Provider für Tests
+ * @param {Object|Function} response - festes Ergebnis oder (transcript) => Ergebnis
+ * @param {Object} options - { delayMs, error }
+ */
+function createMockProvider(response = {}, { delayMs = 0, error = null } = {}) {
+    return {
+        name: 'mock',
+        async extract(transcript) {
+            if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (error) throw new LlmProviderError(error, { provider: 'mock', reason: 'mock_error' });
+
+            const result = typeof response === 'function' ? response(transcript) : response;
+            return {
+                name: null, phone: null, address: null, appointment: null, call_type: null,
+                damage_description: null, insurer: null, vehicle: null,
+                ...result
+            };
+        }
+    };
+}
+
+/**
+ * Provider aus Umgebungsvariablen (LLM_EXTRACTION_PROVIDER=openai|mock)
+ * @returns {Object|null} null, wenn keine LLM-Extraktion konfiguriert ist
+ */
+function createLlmProviderFromEnv(env = process.env) {
+    const providerName = (env.LLM_EXTRACTION_PROVIDER || '').toLowerCase();
+
+    if (providerName === 'mock') return createMockProvider();
+
+    if (providerName === 'openai') {
+        const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+        if (!apiKey) {
+            console.warn('⚠️ LLM_EXTRACTION_PROVIDER=openai ohne LLM_API_KEY - LLM-Extraktion deaktiviert');
+            return null;
+        }
+
+        return createOpenAICompatibleProvider({
+            baseUrl: env.LLM_API_BASE_URL || undefined,
+            apiKey,
+            model: env.LLM_MODEL || undefined,
+            timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+        });
+    }
+
+    return null;
+}
+
+module.exports = {
+    EXTRACTION_SCHEMA,
+    LlmProviderError,
+    createOpenAICompatibleProvider,
+    createMockProvider,
+    createLlmProviderFromEnv
+};
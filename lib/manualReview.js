@@ -0,0 +1,381 @@
+// ================================
+// MANUAL REVIEW QUEUE
+// ================================
+
+// Calls, bei denen die Extraktion gescheitert ist (call_outcome = 'requires_manual_review'),
+// werden vom Büro korrigiert und danach wie ein normaler Call verarbeitet:
+// createOrUpdateCustomer → createProject → scheduleAppointment.
+
+const {
+    createOrUpdateCustomer,
+    createProject,
+    scheduleAppointment,
+    logAnalyticsEvent
+} = require('./businessLogic');
+const {
+    isValidName,
+    isValidGermanPhone,
+    isValidAddress,
+    normalizePhoneNumber,
+    normalizeCallType,
+    cleanAddress
+} = require('./dataExtraction');
+const { normalizeLicensePlate } = require('./vehicleExtraction');
+const { recordCorrectionSamples } = require('./extractionFeedback');
+const { advanceProjectStatus } = require('./projectWorkflow');
+const { loadStepRecord } = require('./webhookProcessing');
+const { cleanText } = require('./textUtils');
+
+const REVIEW_OUTCOME = 'requires_manual_review';
+const REVIEW_LIST_FIELDS = 'id, retell_call_id, created_at, duration_seconds, call_purpose, call_outcome, review_status, extracted_data';
+
+class ManualReviewError extends Error {
+    constructor(message, { status = 400, field } = {}) {
+        super(message);
+        this.name = 'ManualReviewError';
+        this.status = status;
+        this.field = field;
+    }
+}
+
+/**
+ * Prüft die Korrekturen des Büros mit denselben Validatoren wie die Extraktion
+ * @param {Object} corrections - { name, phone, address, appointment, type, damage_description, insurer, vehicle }
+ * @returns {Object} bereinigte Felder (nur übergebene)
+ */
+function validateCorrections(corrections) {
+    if (!corrections || typeof corrections !== 'object') {
+        throw new ManualReviewError('corrections muss ein Objekt sein');
+    }
+
+    const cleaned = {};
+
+    if (corrections.name !== undefined) {
+        const name = cleanText(corrections.name, 100);
+        if (!name || !isValidName(name)) throw new ManualReviewError('Ungültiger Name', { field: 'name' });
+        cleaned.name = name;
+    }
+
+    if (corrections.phone !== undefined) {
+        const phone = cleanText(corrections.phone, 40);
+        if (!phone || !isValidGermanPhone(phone)) throw new ManualReviewError('Ungültige Telefonnummer', { field: 'phone' });
+        cleaned.phone = normalizePhoneNumber(phone);
+    }
+
+    if (corrections.address !== undefined) {
+        const address = cleanText(corrections.address, 200);
+        if (address && !isValidAddress(address)) throw new ManualReviewError('Ungültige Adresse', { field: 'address' });
+        cleaned.address = address ? cleanAddress(address) : null;
+    }
+
+    if (corrections.type !== undefined) {
+        const type = normalizeCallType(corrections.type);
+        if (!type) throw new ManualReviewError('type muss APPOINTMENT, CALLBACK oder QUOTE sein', { field: 'type' });
+        cleaned.type = type;
+    }
+
+    for (const field of ['appointment', 'damage_description', 'insurer']) {
+        if (corrections[field] !== undefined) cleaned[field] = cleanText(corrections[field]);
+    }
+
+    if (corrections.vehicle !== undefined) {
+        const vehicle = corrections.vehicle || {};
+        const plate = cleanText(vehicle.license_plate, 20);
+        const licensePlate = plate ? normalizeLicensePlate(plate) : null;
+        if (plate && !licensePlate) throw new ManualReviewError('Ungültiges Kennzeichen', { field: 'vehicle.license_plate' });
+
+        cleaned.vehicle = {
+            make: cleanText(vehicle.make, 50),
+            model: cleanText(vehicle.model, 50),
+            license_plate: licensePlate,
+            year: parseInt(vehicle.year, 10) || null,
+            mileage: parseInt(vehicle.mileage, 10) || null
+        };
+    }
+
+    return cleaned;
+}
+
+/**
+ * Offene Review-Fälle eines Tenants
+ */
+async function listPendingReviews(tenantProjectId, supabase, { limit = 50, offset = 0 } = {}) {
+    const { data, error, count } = await supabase
+        .from('kfz_calls')
+        .select(REVIEW_LIST_FIELDS, { count: 'exact' })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('call_outcome', REVIEW_OUTCOME)
+        .eq('review_status', 'pending')
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { items: data || [], total: count ?? (data || []).length };
+}
+
+/**
+ * Review-Fall mit Transkript und teilweise extrahierten Daten
+ */
+async function getReviewCall(callId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_calls')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', callId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data || !data.review_status) throw new ManualReviewError('Review-Fall nicht gefunden', { status: 404 });
+
+    const extracted = data.extracted_data || {};
+    return {
+        call: data,
+        transcript: data.transcript || '',
+        extracted_data: extracted,
+        // Vorschlag für das Korrekturformular
+        fields: {
+            name: extracted.name || null,
+            phone: extracted.phone || null,
+            address: extracted.address || null,
+            appointment: extracted.appointment || null,
+            type: extracted.type || null,
+            damage_description: extracted.damage_description || null,
+            insurer: extracted.insurer || null,
+            vehicle: extracted.vehicle || null
+        }
+    };
+}
+
+// Setzt den Fall atomar von pending auf in_progress, damit nur eine Einreichung verarbeitet wird
+async function claimReview(callId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_calls')
+        .update({ review_status: 'in_progress', review_error: null })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', callId)
+        .eq('review_status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data;
+
+    await getReviewCall(callId, tenantProjectId, supabase);
+    throw new ManualReviewError('Review-Fall ist bereits bearbeitet oder in Bearbeitung', { status: 409 });
+}
+
+// Zwischenstand am Call speichern (review_steps): eine erneute Einreichung nach einem
+// Fehler verwendet bereits angelegte Kunden, Projekte und Termine weiter
+async function recordReviewStep(call, stepValues, supabase) {
+    call.review_steps = { ...(call.review_steps || {}), ...stepValues };
+    const columns = {};
+    if (stepValues.customer_id) columns.customer_id = stepValues.customer_id;
+    if (stepValues.project_id) columns.project_id = stepValues.project_id;
+
+    const { error } = await supabase
+        .from('kfz_calls')
+        .update({ review_steps: call.review_steps, ...columns })
+        .eq('id', call.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Übernimmt die Korrekturen und verarbeitet den Call wie einen erfolgreichen Webhook
+ * @param {string} callId - kfz_calls.id
+ * @param {Object} submission - { corrections, reviewed_by, notes }
+ * @returns {Promise<Object>} { call, customer, project, appointment }
+ */
+async function resolveManualReview(callId, submission, tenantProjectId, supabase) {
+    const reviewedBy = cleanText(submission.reviewed_by, 100);
+    if (!reviewedBy) throw new ManualReviewError('reviewed_by ist erforderlich', { field: 'reviewed_by' });
+
+    const corrections = validateCorrections(submission.corrections || {});
+    const call = await claimReview(callId, tenantProjectId, supabase);
+    const originalData = call.extracted_data || {};
+
+    try {
+        const { extraction_failed, attempted_methods, request_id, ...previous } = originalData;
+        const extractedData = {
+            ...previous,
+            ...corrections,
+            type: corrections.type || previous.type || 'CALLBACK',
+            extraction_method: 'manual_review',
+            extraction_details: {
+                ...(previous.extraction_details || {}),
+                corrected_fields: Object.keys(corrections),
+                reviewed_by: reviewedBy
+            }
+        };
+
+        if (!extractedData.name || !extractedData.phone) {
+            throw new ManualReviewError('Name und Telefonnummer sind für die Verarbeitung erforderlich', { field: extractedData.name ? 'phone' : 'name' });
+        }
+
+        const steps = call.review_steps || {};
+
+        let customer;
+        if (steps.customer_id) {
+            customer = await loadStepRecord('kfz_customers', steps.customer_id, supabase);
+        } else {
+            customer = await createOrUpdateCustomer(extractedData, tenantProjectId, supabase);
+            await recordReviewStep(call, { customer_id: customer.id }, supabase);
+        }
+
+        let project;
+        if (steps.project_id) {
+            project = await loadStepRecord('kfz_projects', steps.project_id, supabase);
+        } else {
+            project = await createProject(customer, extractedData, tenantProjectId, supabase);
+            await recordReviewStep(call, { project_id: project.id }, supabase);
+        }
+
+        let appointment = null;
+        if (steps.appointment_id) {
+            appointment = await loadStepRecord('kfz_appointments', steps.appointment_id, supabase);
+        } else if (!steps.appointment_attempted && extractedData.type === 'APPOINTMENT' && extractedData.address) {
+            appointment = await scheduleAppointment(customer, project, extractedData, tenantProjectId, supabase);
+            await recordReviewStep(call, { appointment_id: appointment ? appointment.id : null, appointment_attempted: true }, supabase);
+            if (appointment) await advanceProjectStatus(project, 'appointment_scheduled', reviewedBy, tenantProjectId, supabase);
+        }
+
+        const reviewedAt = new Date().toISOString();
+        const { data: updated, error } = await supabase
+            .from('kfz_calls')
+            .update({
+                customer_id: customer.id,
+                project_id: project.id,
+                extracted_data: extractedData,
+                corrected_data: corrections,
+                call_purpose: extractedData.type === 'CALLBACK' ? 'callback_request' : 'appointment_booking',
+                call_outcome: 'successful',
+                review_status: 'resolved',
+                reviewed_by: reviewedBy,
+                reviewed_at: reviewedAt,
+                review_notes: cleanText(submission.notes)
+            })
+            .eq('id', call.id)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        await recordCorrectionSamples(call, originalData, corrections, reviewedBy, tenantProjectId, supabase);
+
+        await logAnalyticsEvent(
+            'manual_review_resolved',
+            tenantProjectId,
+            project.id,
+            customer.id,
+            {
+                call_id: call.id,
+                retell_call_id: call.retell_call_id,
+                call_type: extractedData.type,
+                corrected_fields: Object.keys(corrections),
+                reviewed_by: reviewedBy,
+                appointment_scheduled: !!appointment
+            },
+            supabase
+        );
+
+        console.log('✅ Review-Fall abgeschlossen:', call.id, 'von', reviewedBy, '→', project.project_number);
+        return { call: updated, customer, project, appointment };
+    } catch (error) {
+        // Fall bleibt in der Warteschlange, der Fehler wird am Datensatz vermerkt
+        await supabase
+            .from('kfz_calls')
+            .update({ review_status: 'pending', review_error: error.message })
+            .eq('id', call.id);
+        throw error;
+    }
+}
+
+/**
+ * Korrigiert die Extraktion eines bereits verarbeiteten Calls (ohne erneute Projektanlage)
+ * und speichert die Korrekturen als Stichproben
+ * @param {Object} submission - { corrections, corrected_by }
+ */
+async function correctExtractedData(callId, submission, tenantProjectId, supabase) {
+    const correctedBy = cleanText(submission.corrected_by, 100);
+    if (!correctedBy) throw new ManualReviewError('corrected_by ist erforderlich', { field: 'corrected_by' });
+
+    const corrections = validateCorrections(submission.corrections || {});
+    if (Object.keys(corrections).length === 0) throw new ManualReviewError('Keine Korrekturen übergeben', { field: 'corrections' });
+
+    const { data: call, error: selectError } = await supabase
+        .from('kfz_calls')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', callId)
+        .maybeSingle();
+
+    if (selectError) throw selectError;
+    if (!call) throw new ManualReviewError('Call nicht gefunden', { status: 404 });
+
+    const original = call.extracted_data || {};
+    const correctedFields = original.extraction_details?.corrected_fields || [];
+    const { data: updated, error } = await supabase
+        .from('kfz_calls')
+        .update({
+            extracted_data: {
+                ...original,
+                ...corrections,
+                extraction_details: {
+                    ...(original.extraction_details || {}),
+                    corrected_fields: [...new Set([...correctedFields, ...Object.keys(corrections)])]
+                }
+            },
+            corrected_data: { ...(call.corrected_data || {}), ...corrections }
+        })
+        .eq('id', call.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    // Bereits korrigierte Felder enthalten nicht mehr den extrahierten Wert -
+    // Stichproben nur für Felder, die noch dem Stand der Extraktion entsprechen
+    const firstCorrections = Object.fromEntries(
+        Object.entries(corrections).filter(([field]) => !correctedFields.includes(field))
+    );
+    const samples = await recordCorrectionSamples(call, original, firstCorrections, correctedBy, tenantProjectId, supabase);
+    console.log('✏️ Extraktion korrigiert:', call.id, Object.keys(corrections).join(', '), 'von', correctedBy);
+    return { call: updated, samples };
+}
+
+/**
+ * Schließt einen Fall ohne Verarbeitung (z.B. Fehlanruf, Werbung)
+ */
+async function dismissManualReview(callId, submission, tenantProjectId, supabase) {
+    const reviewedBy = cleanText(submission.reviewed_by, 100);
+    if (!reviewedBy) throw new ManualReviewError('reviewed_by ist erforderlich', { field: 'reviewed_by' });
+
+    const call = await claimReview(callId, tenantProjectId, supabase);
+
+    const { data, error } = await supabase
+        .from('kfz_calls')
+        .update({
+            review_status: 'dismissed',
+            reviewed_by: reviewedBy,
+            reviewed_at: new Date().toISOString(),
+            review_notes: cleanText(submission.notes)
+        })
+        .eq('id', call.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+
+    console.log('🗑️ Review-Fall verworfen:', call.id, 'von', reviewedBy);
+    return data;
+}
+
+module.exports = {
+    ManualReviewError,
+    validateCorrections,
+    listPendingReviews,
+    getReviewCall,
+    resolveManualReview,
+    correctExtractedData,
+    dismissManualReview
+};
@@ -0,0 +1,246 @@
+// ================================
+// NUMBER SEQUENCES
+// ================================
+
+// Projekt- und Kundennummern kommen aus einem Zähler je Tenant, Art und Jahr
+// (kfz_number_sequences). Der Zähler wird in Postgres atomar hochgezählt,
+// gleichzeitige Webhooks erhalten dadurch nie dieselbe Nummer und gelöschte
+// Nummern werden nicht erneut vergeben.
+
+const { getZonedParts } = require('./germanDateParser');
+const { callDatabaseFunction } = require('./databaseFunctions');
+
+// Format-Platzhalter: {YYYY} / {YY} = Jahr, {NNN...} = laufende Nummer mit Mindeststellen
+const DEFAULT_FORMATS = {
+    project: 'P-{YYYY}-{NNN}',
+    customer: 'K-{YYYY}-{NNN}'
+};
+
+const SEQUENCE_TARGETS = {
+    project: { table: 'kfz_projects', column: 'project_number', env: 'PROJECT_NUMBER_FORMAT' },
+    customer: { table: 'kfz_customers', column: 'customer_number', env: 'CUSTOMER_NUMBER_FORMAT' }
+};
+
+const TIME_ZONE = 'Europe/Berlin';
+
+// ================================
+// FORMATS
+// ================================
+
+/**
+ * Zerlegt ein Nummernformat wie "P-{YYYY}-{NNNN}"
+ * @returns {Object} { pattern, padding, yearly }
+ */
+function parseNumberFormat(pattern) {
+    const counter = pattern.match(/\{(N+)\}/g);
+    if (!counter || counter.length !== 1) {
+        throw new Error(`Nummernformat "${pattern}" braucht genau einen {N...} Platzhalter`);
+    }
+
+    const unknown = (pattern.match(/\{[^}]*\}/g) || []).filter(token => !/^\{(YYYY|YY|N+)\}$/.test(token));
+    if (unknown.length > 0) throw new Error(`Unbekannte Platzhalter in "${pattern}": ${unknown.join(', ')}`);
+
+    return {
+        pattern,
+        padding: counter[0].length - 2,
+        yearly: /\{YYYY\}|\{YY\}/.test(pattern)
+    };
+}
+
+function getNumberFormat(kind) {
+    const target = SEQUENCE_TARGETS[kind];
+    if (!target) throw new Error(`Unbekannte Nummernart: ${kind}`);
+    return parseNumberFormat(process.env[target.env] || DEFAULT_FORMATS[kind]);
+}
+
+/**
+ * Setzt Jahr und laufende Nummer in das Format ein
+ */
+function formatNumber(format, year, value) {
+    return format.pattern
+        .replace('{YYYY}', String(year))
+        .replace('{YY}', String(year).slice(-2))
+        .replace(/\{N+\}/, String(value).padStart(format.padding, '0'));
+}
+
+/**
+ * Liest Jahr und laufende Nummer aus einer bestehenden Nummer
+ * @returns {Object|null} { year, value } - year ist 0 bei Formaten ohne Jahr
+ */
+function parseNumber(format, number, referenceYear) {
+    const escape = text => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    const source = format.pattern
+        .split(/(\{YYYY\}|\{YY\}|\{N+\})/)
+        .map(part => {
+            if (part === '{YYYY}') return '(?<year>\\d{4})';
+            if (part === '{YY}') return '(?<shortYear>\\d{2})';
+            if (/^\{N+\}$/.test(part)) return '(?<value>\\d+)';
+            return escape(part);
+        })
+        .join('');
+
+    const match = String(number || '').match(new RegExp(`^${source}$`));
+    if (!match) return null;
+
+    const { year, shortYear, value } = match.groups;
+    let parsedYear = 0;
+    if (year) parsedYear = parseInt(year, 10);
+    else if (shortYear) parsedYear = Math.floor(referenceYear / 100) * 100 + parseInt(shortYear, 10);
+
+    return { year: parsedYear, value: parseInt(value, 10) };
+}
+
+function currentYear(date = new Date()) {
+    return getZonedParts(date, TIME_ZONE).year;
+}
+
+// ================================
+// ALLOCATION
+// ================================
+
+// SQL-Funktionen aus number-sequences.sql, Zählerstand als Zahl
+async function callSequenceFunction(name, args, supabase) {
+    return parseInt(await callDatabaseFunction(name, args, supabase), 10);
+}
+
+/**
+ * Vergibt die nächste Nummer einer Art (project | customer)
+ * @returns {Promise<string>} z.B. "P-2026-004"
+ */
+async function allocateNumber(kind, tenantProjectId, supabase, { date = new Date() } = {}) {
+    const format = getNumberFormat(kind);
+    const year = format.yearly ? currentYear(date) : 0;
+
+    const value = await callSequenceFunction('kfz_next_number', {
+        p_tenant_project_id: tenantProjectId,
+        p_sequence_key: kind,
+        p_year: year
+    }, supabase);
+
+    return formatNumber(format, year || currentYear(date), value);
+}
+
+// ================================
+// BACKFILL & VERIFY
+// ================================
+
+async function loadExistingNumbers(kind, tenantProjectId, supabase, batchSize = 1000) {
+    const { table, column } = SEQUENCE_TARGETS[kind];
+    const rows = [];
+
+    for (let offset = 0; ; offset += batchSize) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(`id, ${column}`)
+            .eq('tenant_project_id', tenantProjectId)
+            .order('created_at', { ascending: true })
+            .range(offset, offset + batchSize - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []).map(row => ({ id: row.id, number: row[column] })));
+        if (!data || data.length < batchSize) break;
+    }
+
+    return rows;
+}
+
+async function loadSequences(kind, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_number_sequences')
+        .select('year, last_value')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('sequence_key', kind);
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.year, parseInt(row.last_value, 10)]));
+}
+
+/**
+ * Prüft bestehende Nummern einer Art gegen Format und Zähler
+ * @returns {Promise<Object>} { kind, format, total, duplicates, unparsable, behind, ok }
+ *   behind = Jahre, deren Zähler unter der höchsten vergebenen Nummer liegt
+ */
+async function verifyNumberSequence(kind, tenantProjectId, supabase) {
+    const format = getNumberFormat(kind);
+    const referenceYear = currentYear();
+    const [rows, sequences] = await Promise.all([
+        loadExistingNumbers(kind, tenantProjectId, supabase),
+        loadSequences(kind, tenantProjectId, supabase)
+    ]);
+
+    const seen = new Map();
+    const unparsable = [];
+    const maxByYear = new Map();
+
+    for (const row of rows) {
+        if (!row.number) {
+            unparsable.push(row);
+            continue;
+        }
+        seen.set(row.number, [...(seen.get(row.number) || []), row.id]);
+
+        const parsed = parseNumber(format, row.number, referenceYear);
+        if (!parsed) {
+            unparsable.push(row);
+            continue;
+        }
+        const year = format.yearly ? parsed.year : 0;
+        maxByYear.set(year, Math.max(maxByYear.get(year) || 0, parsed.value));
+    }
+
+    const duplicates = [...seen.entries()]
+        .filter(([, ids]) => ids.length > 1)
+        .map(([number, ids]) => ({ number, ids }));
+
+    const behind = [...maxByYear.entries()]
+        .filter(([year, max]) => (sequences.get(year) || 0) < max)
+        .map(([year, max]) => ({ year, highest_number: max, sequence_value: sequences.get(year) || 0 }))
+        .sort((a, b) => a.year - b.year);
+
+    return {
+        kind,
+        format: format.pattern,
+        total: rows.length,
+        duplicates,
+        unparsable,
+        behind,
+        highest_by_year: Object.fromEntries(maxByYear),
+        ok: duplicates.length === 0 && behind.length === 0
+    };
+}
+
+/**
+ * Setzt die Zähler auf die höchste vergebene Nummer je Jahr (nie rückwärts)
+ * @returns {Promise<Object>} Prüfergebnis nach dem Backfill
+ */
+async function backfillNumberSequence(kind, tenantProjectId, supabase) {
+    const report = await verifyNumberSequence(kind, tenantProjectId, supabase);
+
+    for (const { year, highest_number } of report.behind) {
+        await callSequenceFunction('kfz_sync_number_sequence', {
+            p_tenant_project_id: tenantProjectId,
+            p_sequence_key: kind,
+            p_year: year,
+            p_value: highest_number
+        }, supabase);
+        console.log(`🔢 Nummernzähler ${kind}/${year || 'fortlaufend'} auf ${highest_number} gesetzt`);
+    }
+
+    const verified = await verifyNumberSequence(kind, tenantProjectId, supabase);
+    if (verified.duplicates.length > 0) {
+        console.warn(`⚠️ ${verified.duplicates.length} doppelte ${kind}-Nummern gefunden:`,
+            verified.duplicates.map(duplicate => duplicate.number).join(', '));
+    }
+    return verified;
+}
+
+module.exports = {
+    DEFAULT_FORMATS,
+    parseNumberFormat,
+    getNumberFormat,
+    formatNumber,
+    parseNumber,
+    allocateNumber,
+    verifyNumberSequence,
+    backfillNumberSequence
+};
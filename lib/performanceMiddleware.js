@@ -43,12 +43,12 @@ function requestMonitoringMiddleware(req, res, next) {
 
 // Extraction monitoring wrapper
 function monitorExtraction(requestId, extractionFunction) {
-    return async function(transcript) {
+    return async function(transcript, ...args) {
         monitor.startExtraction(requestId, transcript);
         
         try {
             // Call the original extraction function
-            const result = await extractionFunction(transcript);
+            const result = await extractionFunction(transcript, ...args);
             
             // Mark successful extraction
             if (result) {
@@ -0,0 +1,192 @@
+// ================================
+// GERMAN PHONE NUMBER VALIDATION
+// ================================
+
+const path = require('path');
+const { DATA_DIR, readDataTable } = require('./dataFiles');
+
+// Ortsnetzkennzahlen im Format des Bundesnetzagentur Exports
+// (Ortsnetzkennzahl;Ortsnetzname;KennungAktiv, Kennzahl ohne führende 0).
+// data/vorwahlen.csv enthält alle 5.200 Ortsnetze des BNetzA Nummernplans;
+// eine aktuellere Liste kann per PHONE_PREFIX_TABLE_PATH angegeben werden.
+const DEFAULT_PREFIX_TABLE = path.join(DATA_DIR, 'vorwahlen.csv');
+
+// Nur bei vollständiger Liste werden unbekannte Vorwahlen abgelehnt
+// (ein eigener Auszug per PHONE_PREFIX_TABLE_PATH akzeptiert sie als ungeprüft)
+const COMPLETE_TABLE_MIN_ENTRIES = 5000;
+
+// Nationale Rufnummer inkl. führender 0
+const LANDLINE_LENGTH = { min: 7, max: 12 };
+
+const MOBILE_PREFIXES = [
+    { pattern: /^015\d/, length: [12] },
+    { pattern: /^016[023]/, length: [11, 12] },
+    { pattern: /^017\d/, length: [11, 12] }
+];
+
+const SERVICE_PREFIXES = [
+    { pattern: /^0800/, service: 'freephone', length: [11, 12] },
+    { pattern: /^0180[1-7]/, service: 'shared_cost', length: [11, 12] },
+    { pattern: /^0900[1-9]/, service: 'premium_rate', length: [11] },
+    { pattern: /^013[78]/, service: 'mass_traffic', length: [11] },
+    { pattern: /^0700/, service: 'personal_number', length: [12] },
+    { pattern: /^0118/, service: 'directory_enquiry', length: [6, 7, 8] },
+    { pattern: /^032/, service: 'national_subscriber', length: [11, 12] }
+];
+
+let prefixTable = null;
+
+/**
+ * Lädt die Ortsnetzkennzahlen (Kennzahl ohne 0 -> Ortsnetzname)
+ */
+function loadPrefixTable(filePath = process.env.PHONE_PREFIX_TABLE_PATH || DEFAULT_PREFIX_TABLE) {
+    const codes = new Map();
+
+    try {
+        for (const row of readDataTable(filePath)) {
+            const code = row.Ortsnetzkennzahl.replace(/^0/, '');
+            if (!/^\d{2,5}$/.test(code)) continue;
+            if (row.KennungAktiv === '0') continue;
+            codes.set(code, row.Ortsnetzname);
+        }
+    } catch (error) {
+        console.error('❌ Vorwahlverzeichnis konnte nicht geladen werden:', error.message);
+    }
+
+    prefixTable = {
+        codes,
+        complete: codes.size >= COMPLETE_TABLE_MIN_ENTRIES,
+        source: filePath
+    };
+
+    return prefixTable;
+}
+
+function getPrefixTable() {
+    return prefixTable || loadPrefixTable();
+}
+
+function normalizePhoneNumber(phone) {
+    let normalized = String(phone).replace(/\(0\)/g, '').replace(/[^\d+]/g, '');
+
+    if (normalized.startsWith('+49')) {
+        normalized = '0' + normalized.substring(3);
+    } else if (normalized.startsWith('0049')) {
+        normalized = '0' + normalized.substring(4);
+    }
+
+    if (!normalized.startsWith('0')) {
+        normalized = '0' + normalized;
+    }
+
+    return normalized;
+}
+
+function toE164(national) {
+    return '+49' + national.substring(1);
+}
+
+// Längster Präfix-Treffer: Ortsnetzkennzahlen sind 2- bis 5-stellig und präfixfrei
+function findAreaCode(national, table) {
+    const significant = national.substring(1);
+
+    for (let length = 5; length >= 2; length--) {
+        const code = significant.substring(0, length);
+        if (table.codes.has(code)) {
+            return { code: '0' + code, name: table.codes.get(code) };
+        }
+    }
+
+    return null;
+}
+
+function invalid(national, reason) {
+    return { valid: false, reason, national, e164: null, type: null };
+}
+
+/**
+ * Prüft und klassifiziert eine deutsche Rufnummer
+ * @returns {Object} { valid, reason, national, e164, type: 'landline' | 'mobile' | 'service', ... }
+ */
+function classifyGermanPhone(phone) {
+    if (!phone) return invalid(null, 'empty');
+
+    const national = normalizePhoneNumber(phone);
+
+    if (!/^0\d+$/.test(national)) return invalid(national, 'invalid_characters');
+    if (national.startsWith('00')) return invalid(national, 'international_number');
+
+    const mobile = MOBILE_PREFIXES.find(entry => entry.pattern.test(national));
+    if (mobile) {
+        if (!mobile.length.includes(national.length)) return invalid(national, 'invalid_length');
+        return {
+            valid: true,
+            national,
+            e164: toE164(national),
+            type: 'mobile',
+            prefix: national.substring(0, 4)
+        };
+    }
+
+    const service = SERVICE_PREFIXES.find(entry => entry.pattern.test(national));
+    if (service) {
+        if (!service.length.includes(national.length)) return invalid(national, 'invalid_length');
+        return {
+            valid: true,
+            national,
+            e164: toE164(national),
+            type: 'service',
+            service_type: service.service
+        };
+    }
+
+    // Übrige 01x Bereiche sind keine Teilnehmerrufnummern
+    if (national.startsWith('01')) return invalid(national, 'unassigned_prefix');
+
+    if (national.length < LANDLINE_LENGTH.min || national.length > LANDLINE_LENGTH.max) {
+        return invalid(national, 'invalid_length');
+    }
+
+    const table = getPrefixTable();
+    const area = findAreaCode(national, table);
+
+    if (!area) {
+        if (table.complete) return invalid(national, 'unknown_area_code');
+
+        return {
+            valid: true,
+            national,
+            e164: toE164(national),
+            type: 'landline',
+            area_code: null,
+            area_name: null,
+            area_verified: false
+        };
+    }
+
+    const subscriber = national.substring(area.code.length);
+    if (subscriber.length < 3 || subscriber.startsWith('0')) {
+        return invalid(national, 'invalid_subscriber_number');
+    }
+
+    return {
+        valid: true,
+        national,
+        e164: toE164(national),
+        type: 'landline',
+        area_code: area.code,
+        area_name: area.name,
+        area_verified: true
+    };
+}
+
+function isValidGermanPhone(phone) {
+    return classifyGermanPhone(phone).valid;
+}
+
+module.exports = {
+    classifyGermanPhone,
+    isValidGermanPhone,
+    normalizePhoneNumber,
+    loadPrefixTable
+};
@@ -0,0 +1,334 @@
+// ================================
+// PROJECT WORKFLOW
+// ================================
+
+// Status-Workflow eines Gutachten-Auftrags:
+// Neu → Termin vereinbart → Besichtigt → Gutachten in Arbeit → Gutachten versandt → Abgeschlossen
+// Stornieren ist bis zum Abschluss jederzeit möglich. Jeder Wechsel wird in
+// kfz_project_status_history protokolliert (in derselben Transaktion wie der
+// Statuswechsel, siehe project-workflow.sql) und als Analytics-Event erfasst.
+
+const { logAnalyticsEvent } = require('./businessLogic');
+const { callDatabaseFunction } = require('./databaseFunctions');
+const { cleanText } = require('./textUtils');
+
+const PROJECT_STATUSES = {
+    new: 'Neu',
+    appointment_scheduled: 'Termin vereinbart',
+    inspected: 'Besichtigt',
+    report_in_progress: 'Gutachten in Arbeit',
+    report_sent: 'Gutachten versandt',
+    completed: 'Abgeschlossen',
+    cancelled: 'Storniert'
+};
+
+// Erlaubte Übergänge je Status (completed/cancelled sind Endzustände)
+const STATUS_TRANSITIONS = {
+    new: ['appointment_scheduled', 'cancelled'],
+    appointment_scheduled: ['inspected', 'cancelled'],
+    inspected: ['report_in_progress', 'cancelled'],
+    report_in_progress: ['report_sent', 'cancelled'],
+    report_sent: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+// Projekte vor Einführung des Workflows wurden mit 'active' angelegt
+const LEGACY_STATUSES = { active: 'new' };
+
+const UPDATE_FIELDS = ['name', 'description', 'priority'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const SORT_FIELDS = ['created_at', 'updated_at', 'project_number', 'status', 'priority'];
+
+class ProjectError extends Error {
+    constructor(message, { status = 400, field } = {}) {
+        super(message);
+        this.name = 'ProjectError';
+        this.status = status;
+        this.field = field;
+    }
+}
+
+function normalizeStatus(status) {
+    return LEGACY_STATUSES[status] || status;
+}
+
+/**
+ * Prüft, ob ein Statuswechsel erlaubt ist
+ */
+function canTransition(fromStatus, toStatus) {
+    const allowed = STATUS_TRANSITIONS[normalizeStatus(fromStatus)] || [];
+    return allowed.includes(toStatus);
+}
+
+/**
+ * Workflow-Definition für Oberflächen (Label und mögliche Folgestatus)
+ */
+function describeWorkflow() {
+    return Object.keys(PROJECT_STATUSES).map(status => ({
+        status,
+        label: PROJECT_STATUSES[status],
+        next: STATUS_TRANSITIONS[status],
+        final: STATUS_TRANSITIONS[status].length === 0
+    }));
+}
+
+function withStatusInfo(project) {
+    const status = normalizeStatus(project.status);
+    return {
+        ...project,
+        status,
+        status_label: PROJECT_STATUSES[status] || status,
+        next_statuses: STATUS_TRANSITIONS[status] || []
+    };
+}
+
+// ================================
+// QUERIES
+// ================================
+
+/**
+ * Projektliste eines Tenants
+ * @param {Object} options - { page, page_size, sort, order, status, priority, search }
+ * @returns {Promise<Object>} { items, total, page, page_size }
+ */
+async function listProjects(tenantProjectId, supabase, options = {}) {
+    const pageSize = Math.min(Math.max(parseInt(options.page_size, 10) || 25, 1), 200);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const sort = SORT_FIELDS.includes(options.sort) ? options.sort : 'created_at';
+    const offset = (page - 1) * pageSize;
+
+    let query = supabase
+        .from('kfz_projects')
+        .select('*', { count: 'exact' })
+        .eq('tenant_project_id', tenantProjectId)
+        .order(sort, { ascending: options.order === 'asc' })
+        .range(offset, offset + pageSize - 1);
+
+    if (options.status) {
+        const statuses = String(options.status).split(',').map(status => status.trim()).filter(Boolean);
+        for (const status of statuses) {
+            if (!PROJECT_STATUSES[status]) throw new ProjectError(`Unbekannter Status: ${status}`, { field: 'status' });
+        }
+        // Altbestand mit 'active' zählt als 'new'
+        if (statuses.includes('new')) statuses.push('active');
+        query = query.in('status', statuses);
+    }
+    if (options.priority) query = query.eq('priority', options.priority);
+
+    const search = String(options.search || '').replace(/[,.:()*%\\]/g, ' ').trim().slice(0, 100);
+    if (search) query = query.or(`project_number.ilike.%${search}%,name.ilike.%${search}%`);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return {
+        items: (data || []).map(withStatusInfo),
+        total: count ?? (data || []).length,
+        page,
+        page_size: pageSize
+    };
+}
+
+async function getProject(projectId, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from('kfz_projects')
+        .select('*')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', projectId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new ProjectError('Projekt nicht gefunden', { status: 404 });
+    return data;
+}
+
+/**
+ * Statusverlauf eines Projekts, älteste Änderung zuerst
+ */
+async function getProjectHistory(projectId, tenantProjectId, supabase) {
+    await getProject(projectId, tenantProjectId, supabase);
+
+    const { data, error } = await supabase
+        .from('kfz_project_status_history')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(entry => ({
+        ...entry,
+        from_label: PROJECT_STATUSES[entry.from_status] || entry.from_status,
+        to_label: PROJECT_STATUSES[entry.to_status] || entry.to_status
+    }));
+}
+
+/**
+ * Projekt mit Kunden, Terminen und Statusverlauf
+ */
+async function getProjectDetails(projectId, tenantProjectId, supabase) {
+    const project = await getProject(projectId, tenantProjectId, supabase);
+
+    const [links, appointments, history] = await Promise.all([
+        supabase.from('kfz_project_customers').select('customer_id, role').eq('project_id', projectId),
+        supabase.from('kfz_appointments').select('*').eq('project_id', projectId).order('scheduled_date', { ascending: true }),
+        getProjectHistory(projectId, tenantProjectId, supabase)
+    ]);
+
+    if (links.error) throw links.error;
+    if (appointments.error) throw appointments.error;
+
+    const customerIds = (links.data || []).map(link => link.customer_id);
+    let customers = [];
+    if (customerIds.length > 0) {
+        const { data, error } = await supabase.from('kfz_customers').select('*').in('id', customerIds);
+        if (error) throw error;
+        customers = (data || []).map(customer => ({
+            ...customer,
+            role: (links.data.find(link => link.customer_id === customer.id) || {}).role || null
+        }));
+    }
+
+    return {
+        ...withStatusInfo(project),
+        customers,
+        appointments: appointments.data || [],
+        status_history: history
+    };
+}
+
+// ================================
+// UPDATES
+// ================================
+
+/**
+ * Ändert Stammdaten eines Projekts (Status nur über transitionProjectStatus)
+ */
+async function updateProject(projectId, changes, tenantProjectId, supabase) {
+    if (!changes || typeof changes !== 'object') throw new ProjectError('Ungültige Änderungen');
+    if (changes.status !== undefined) {
+        throw new ProjectError('Status bitte über POST /api/projects/:id/status ändern', { field: 'status' });
+    }
+
+    const update = {};
+    for (const field of UPDATE_FIELDS) {
+        if (changes[field] === undefined) continue;
+        update[field] = cleanText(changes[field], field === 'description' ? 2000 : 200);
+    }
+
+    if (update.name === null) throw new ProjectError('Name darf nicht leer sein', { field: 'name' });
+    if (update.priority !== undefined && !PRIORITIES.includes(update.priority)) {
+        throw new ProjectError(`priority muss ${PRIORITIES.join(', ')} sein`, { field: 'priority' });
+    }
+    if (Object.keys(update).length === 0) throw new ProjectError('Keine änderbaren Felder übergeben');
+
+    await getProject(projectId, tenantProjectId, supabase);
+
+    const { data, error } = await supabase
+        .from('kfz_projects')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', projectId)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return withStatusInfo(data);
+}
+
+/**
+ * Führt einen Statuswechsel nach dem Workflow aus
+ * @param {string} projectId - kfz_projects.id
+ * @param {Object} change - { status, changed_by, reason }
+ * @returns {Promise<Object>} { project, history }
+ */
+async function transitionProjectStatus(projectId, change, tenantProjectId, supabase) {
+    const toStatus = cleanText(change.status, 50);
+    const changedBy = cleanText(change.changed_by, 100);
+    const reason = cleanText(change.reason);
+
+    if (!toStatus || !PROJECT_STATUSES[toStatus]) {
+        throw new ProjectError(`status muss einer von ${Object.keys(PROJECT_STATUSES).join(', ')} sein`, { field: 'status' });
+    }
+    if (!changedBy) throw new ProjectError('changed_by ist erforderlich', { field: 'changed_by' });
+    if (toStatus === 'cancelled' && !reason) throw new ProjectError('Für eine Stornierung ist reason erforderlich', { field: 'reason' });
+
+    const project = await getProject(projectId, tenantProjectId, supabase);
+    const fromStatus = normalizeStatus(project.status);
+
+    if (!canTransition(fromStatus, toStatus)) {
+        const allowed = STATUS_TRANSITIONS[fromStatus] || [];
+        throw new ProjectError(
+            `Statuswechsel ${PROJECT_STATUSES[fromStatus] || fromStatus} → ${PROJECT_STATUSES[toStatus]} nicht erlaubt` +
+                (allowed.length ? ` (möglich: ${allowed.join(', ')})` : ' (Endzustand)'),
+            { status: 409, field: 'status' }
+        );
+    }
+
+    // Statuswechsel und Verlauf atomar (project-workflow.sql), nur wenn der Status seit dem Lesen unverändert ist
+    const result = await callDatabaseFunction('kfz_transition_project_status', {
+        p_tenant_project_id: tenantProjectId,
+        p_project_id: project.id,
+        p_expected_status: project.status,
+        p_from_status: fromStatus,
+        p_to_status: toStatus,
+        p_changed_by: changedBy,
+        p_reason: reason
+    }, supabase);
+
+    if (!result || !result.project) throw new ProjectError('Projektstatus wurde zwischenzeitlich geändert', { status: 409, field: 'status' });
+    const { project: updated, history } = result;
+
+    await logAnalyticsEvent(
+        'project_status_changed',
+        tenantProjectId,
+        project.id,
+        null,
+        {
+            project_number: project.project_number,
+            from_status: fromStatus,
+            to_status: toStatus,
+            changed_by: changedBy,
+            reason
+        },
+        supabase
+    );
+
+    console.log(`🔀 Projekt ${project.project_number}: ${PROJECT_STATUSES[fromStatus] || fromStatus} → ${PROJECT_STATUSES[toStatus]} (${changedBy})`);
+    return { project: withStatusInfo(updated), history };
+}
+
+/**
+ * Automatischer Statuswechsel aus dem Call-Flow (z.B. Termin gebucht).
+ * Nicht erlaubte Wechsel werden übersprungen, Fehler blockieren den Flow nicht.
+ */
+async function advanceProjectStatus(project, toStatus, changedBy, tenantProjectId, supabase, reason = null) {
+    if (!project || !canTransition(project.status, toStatus)) return null;
+
+    try {
+        const { project: updated } = await transitionProjectStatus(
+            project.id,
+            { status: toStatus, changed_by: changedBy, reason },
+            tenantProjectId,
+            supabase
+        );
+        return updated;
+    } catch (error) {
+        console.error('❌ Automatischer Statuswechsel fehlgeschlagen:', project.project_number, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    PROJECT_STATUSES,
+    STATUS_TRANSITIONS,
+    ProjectError,
+    canTransition,
+    describeWorkflow,
+    listProjects,
+    getProjectDetails,
+    getProjectHistory,
+    updateProject,
+    transitionProjectStatus,
+    advanceProjectStatus
+};
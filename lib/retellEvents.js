@@ -0,0 +1,110 @@
+// ================================
+// RETELL CALL LIFECYCLE EVENTS
+// ================================
+
+const { upsertCallRecord } = require('./businessLogic');
+const { parseTranscript, transcriptFromTurns } = require('./transcriptModel');
+
+const RETELL_EVENTS = {
+    CALL_STARTED: 'call_started',
+    CALL_ENDED: 'call_ended',
+    CALL_ANALYZED: 'call_analyzed'
+};
+
+function toIsoTimestamp(ms) {
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function resolveDurationSeconds(call) {
+    if (Number.isFinite(call.duration_ms)) return Math.round(call.duration_ms / 1000);
+    if (Number.isFinite(call.duration_seconds)) return call.duration_seconds;
+    if (Number.isFinite(call.start_timestamp) && Number.isFinite(call.end_timestamp)) {
+        return Math.round((call.end_timestamp - call.start_timestamp) / 1000);
+    }
+    return null;
+}
+
+/**
+ * Normalisiert Retell Webhook Payloads
+ * Aktuelles Format: { event, call: { call_id, transcript, transcript_object, call_analysis, ... } }
+ * Altes Format ohne event wird als call_ended behandelt.
+ */
+function normalizeRetellPayload(body = {}) {
+    const isEnvelope = body.call && typeof body.call === 'object';
+    const call = isEnvelope ? body.call : body;
+    const transcriptObject = Array.isArray(call.transcript_object) ? call.transcript_object : null;
+
+    // Flat-Transkript aus transcript_object ableiten, falls Retell nur die Turns liefert
+    let transcript = typeof call.transcript === 'string' ? call.transcript : '';
+    if (!transcript && transcriptObject) {
+        transcript = transcriptFromTurns(parseTranscript('', transcriptObject).turns);
+    }
+
+    return {
+        event: body.event || RETELL_EVENTS.CALL_ENDED,
+        call_id: call.call_id || null,
+        agent_id: call.agent_id || null,
+        call_status: call.call_status || null,
+        direction: call.direction || 'inbound',
+        from_number: call.from_number || null,
+        to_number: call.to_number || null,
+        transcript,
+        transcript_object: transcriptObject,
+        duration_seconds: resolveDurationSeconds(call),
+        started_at: toIsoTimestamp(call.start_timestamp),
+        ended_at: toIsoTimestamp(call.end_timestamp),
+        disconnection_reason: call.disconnection_reason || null,
+        call_analysis: call.call_analysis || null
+    };
+}
+
+// call_started: Call-Datensatz sofort anlegen
+async function recordCallStarted(call, tenantProjectId, supabase) {
+    return await upsertCallRecord(call.call_id, {
+        call_type: call.direction,
+        call_status: call.call_status || 'ongoing',
+        call_outcome: 'in_progress',
+        started_at: call.started_at || new Date().toISOString(),
+        agent_version: 'markus-v3-enhanced'
+    }, tenantProjectId, supabase);
+}
+
+// call_ended: Transkript und Dauer nachtragen
+async function recordCallEnded(call, tenantProjectId, supabase) {
+    return await upsertCallRecord(call.call_id, {
+        call_type: call.direction,
+        call_status: call.call_status || 'ended',
+        transcript: call.transcript,
+        duration_seconds: call.duration_seconds,
+        started_at: call.started_at,
+        ended_at: call.ended_at || new Date().toISOString(),
+        agent_version: 'markus-v3-enhanced'
+    }, tenantProjectId, supabase);
+}
+
+function buildRetellAnalysis(callAnalysis) {
+    return {
+        call_summary: callAnalysis.call_summary || null,
+        user_sentiment: callAnalysis.user_sentiment || null,
+        call_successful: callAnalysis.call_successful ?? null,
+        in_voicemail: callAnalysis.in_voicemail ?? null,
+        custom_analysis_data: callAnalysis.custom_analysis_data || {},
+        received_at: new Date().toISOString()
+    };
+}
+
+// call_analyzed: Retell Post-Call-Analyse in extracted_data übernehmen
+async function recordCallAnalyzed(call, tenantProjectId, supabase) {
+    return await upsertCallRecord(call.call_id, {
+        extracted_data: { retell_analysis: buildRetellAnalysis(call.call_analysis || {}) },
+        call_status: call.call_status || 'ended'
+    }, tenantProjectId, supabase);
+}
+
+module.exports = {
+    RETELL_EVENTS,
+    normalizeRetellPayload,
+    recordCallStarted,
+    recordCallEnded,
+    recordCallAnalyzed
+};
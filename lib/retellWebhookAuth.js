@@ -0,0 +1,151 @@
+// ================================
+// RETELL WEBHOOK AUTHENTICATION
+// ================================
+
+const crypto = require('crypto');
+const { monitor } = require('./performanceMonitor');
+
+// Retell signiert jeden Webhook mit dem API Key:
+// x-retell-signature: v=<timestamp_ms>,d=<hex(hmac_sha256(apiKey, body + timestamp))>
+const SIGNATURE_HEADER = 'x-retell-signature';
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Bereits gesehene Zustellungen (call_id + event + timestamp) innerhalb des Toleranzfensters
+const seenDeliveries = new Map();
+
+function getToleranceMs() {
+    const seconds = parseInt(process.env.RETELL_WEBHOOK_TOLERANCE_SECONDS, 10);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : DEFAULT_TOLERANCE_MS;
+}
+
+function parseRetellSignature(signature) {
+    if (!signature || typeof signature !== 'string') return null;
+
+    const match = signature.match(/^v=(\d+),d=([0-9a-f]+)$/i);
+    if (!match) return null;
+
+    return {
+        timestamp: parseInt(match[1], 10),
+        digest: match[2].toLowerCase()
+    };
+}
+
+function computeRetellSignature(rawBody, apiKey, timestamp) {
+    const digest = crypto
+        .createHmac('sha256', apiKey)
+        .update(rawBody + timestamp)
+        .digest('hex');
+
+    return `v=${timestamp},d=${digest}`;
+}
+
+/**
+ * Prüft Signatur und Zeitstempel einer Retell-Zustellung
+ * @param {string} rawBody - Unveränderter Request Body
+ * @param {string} signature - Wert des x-retell-signature Headers
+ * @param {string} apiKey - RETELL_API_KEY
+ * @param {Object} options - { now, toleranceMs }
+ */
+function verifyRetellSignature(rawBody, signature, apiKey, options = {}) {
+    const now = options.now || Date.now();
+    const toleranceMs = options.toleranceMs || getToleranceMs();
+
+    const parsed = parseRetellSignature(signature);
+    if (!parsed) {
+        return { valid: false, reason: 'missing_or_malformed_signature' };
+    }
+
+    if (Math.abs(now - parsed.timestamp) > toleranceMs) {
+        return { valid: false, reason: 'stale_timestamp', timestamp: parsed.timestamp };
+    }
+
+    const expected = parseRetellSignature(computeRetellSignature(rawBody, apiKey, parsed.timestamp));
+    const expectedBuffer = Buffer.from(expected.digest, 'hex');
+    const actualBuffer = Buffer.from(parsed.digest, 'hex');
+
+    if (expectedBuffer.length !== actualBuffer.length || !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+        return { valid: false, reason: 'invalid_signature', timestamp: parsed.timestamp };
+    }
+
+    return { valid: true, timestamp: parsed.timestamp };
+}
+
+function pruneSeenDeliveries(now, toleranceMs) {
+    for (const [key, seenAt] of seenDeliveries) {
+        if (now - seenAt > toleranceMs * 2) {
+            seenDeliveries.delete(key);
+        }
+    }
+}
+
+/**
+ * Merkt sich eine Zustellung und meldet, ob sie bereits gesehen wurde
+ */
+function registerDelivery(callId, event, timestamp, now = Date.now()) {
+    pruneSeenDeliveries(now, getToleranceMs());
+
+    const key = `${callId || 'unknown'}:${event || 'legacy'}:${timestamp}`;
+    if (seenDeliveries.has(key)) return false;
+
+    seenDeliveries.set(key, now);
+    return true;
+}
+
+function rejectWebhook(req, res, statusCode, reason, context = {}) {
+    const callId = req.body?.call?.call_id || req.body?.call_id || null;
+
+    monitor.logError(req.requestId, new Error(`Retell webhook rejected: ${reason}`), {
+        phase: 'webhook_authentication',
+        reason,
+        call_id: callId,
+        event: req.body?.event || null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        ...context
+    });
+
+    return res.status(statusCode).json({
+        error: 'Webhook rejected',
+        reason,
+        timestamp: new Date().toISOString(),
+        request_id: req.requestId
+    });
+}
+
+// Express Middleware für POST /api/retell/webhook
+function retellWebhookAuthMiddleware(req, res, next) {
+    const apiKey = process.env.RETELL_API_KEY;
+
+    if (process.env.RETELL_WEBHOOK_SKIP_VERIFICATION === 'true') {
+        console.warn('⚠️ Retell Signaturprüfung deaktiviert (RETELL_WEBHOOK_SKIP_VERIFICATION)');
+        return next();
+    }
+
+    if (!apiKey) {
+        return rejectWebhook(req, res, 503, 'verification_not_configured');
+    }
+
+    // req.rawBody wird von express.json({ verify }) gesetzt
+    const rawBody = req.rawBody !== undefined ? req.rawBody : JSON.stringify(req.body);
+    const verification = verifyRetellSignature(rawBody, req.get(SIGNATURE_HEADER), apiKey);
+
+    if (!verification.valid) {
+        return rejectWebhook(req, res, 401, verification.reason, { signature_timestamp: verification.timestamp });
+    }
+
+    const callId = req.body?.call?.call_id || req.body?.call_id;
+    if (!registerDelivery(callId, req.body?.event, verification.timestamp)) {
+        return rejectWebhook(req, res, 409, 'replayed_delivery', { signature_timestamp: verification.timestamp });
+    }
+
+    next();
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    parseRetellSignature,
+    computeRetellSignature,
+    verifyRetellSignature,
+    registerDelivery,
+    retellWebhookAuthMiddleware
+};
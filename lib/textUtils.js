@@ -0,0 +1,28 @@
+// ================================
+// TEXT UTILS
+// ================================
+
+/**
+ * Freitext aus Requests: Whitespace zusammenfassen, kürzen, leer → null
+ * @returns {string|null}
+ */
+function cleanText(value, maxLength = 500) {
+    if (typeof value !== 'string') return null;
+    const cleaned = value.replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned.slice(0, maxLength) : null;
+}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Maskiert Nutzereingaben für HTML-E-Mails
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+module.exports = {
+    cleanText,
+    escapeHtml
+};
@@ -0,0 +1,132 @@
+// ================================
+// TRANSCRIPT MODEL (SPEAKER TURNS)
+// ================================
+
+// Retell liefert transcript_object: [{ role: 'agent' | 'user', content }]
+// oder ein Flat-Transkript mit "Agent:" / "User:" Zeilen.
+
+const SPEAKER_LABELS = {
+    agent: /^(?:agent|assistant|bot|markus|ki)$/i,
+    user: /^(?:user|kunde|kundin|anrufer|anruferin|caller)$/i
+};
+
+const LABELED_LINE = /^\s*([a-zäöüß]+)\s*:\s*(.*)$/i;
+
+// Agent liest Kundendaten zur Bestätigung vor
+const CONFIRMATION_PATTERNS = [
+    /\bihr(?:e|en)?\s+(?:name|nachname|telefonnummer|nummer|rufnummer|adresse|anschrift)\b/i,
+    /\b(?:habe ich|hab ich)\s+(?:das\s+)?(?:richtig|korrekt|notiert|verstanden)\b/i,
+    /\bich wiederhole\b/i,
+    /\b(?:stimmt das|ist das (?:so )?richtig|ist das korrekt|korrekt so)\b/i,
+    /\b(?:passt ihnen|wäre ihnen)\b/i
+];
+
+const AFFIRMATION = /^\s*(?:ja|jawohl|genau|richtig|korrekt|stimmt|das stimmt|perfekt|passt|gut)\b/i;
+
+function resolveRole(label) {
+    if (SPEAKER_LABELS.agent.test(label)) return 'agent';
+    if (SPEAKER_LABELS.user.test(label)) return 'user';
+    return null;
+}
+
+function parseTranscriptObject(transcriptObject) {
+    return transcriptObject
+        .filter(entry => entry && typeof entry.content === 'string' && entry.content.trim())
+        .map((entry, index) => ({
+            index,
+            role: entry.role === 'agent' ? 'agent' : 'user',
+            text: entry.content.trim()
+        }));
+}
+
+function parseLabeledTranscript(transcript) {
+    const turns = [];
+
+    for (const line of transcript.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+
+        const match = line.match(LABELED_LINE);
+        const role = match ? resolveRole(match[1]) : null;
+
+        if (role) {
+            turns.push({ index: turns.length, role, text: match[2].trim() });
+        } else if (turns.length > 0) {
+            // Fortsetzungszeile des vorherigen Sprechers
+            turns[turns.length - 1].text += ' ' + line.trim();
+        } else {
+            turns.push({ index: 0, role: 'unknown', text: line.trim() });
+        }
+    }
+
+    return turns;
+}
+
+/**
+ * Zerlegt ein Transkript in Sprecher-Turns
+ * @param {string} transcript - Flat-Transkript
+ * @param {Array} transcriptObject - Retell transcript_object (bevorzugt)
+ */
+function parseTranscript(transcript, transcriptObject = null) {
+    if (Array.isArray(transcriptObject) && transcriptObject.length > 0) {
+        const turns = parseTranscriptObject(transcriptObject);
+        return { turns, hasSpeakerLabels: true, source: 'transcript_object' };
+    }
+
+    if (!transcript || typeof transcript !== 'string') {
+        return { turns: [], hasSpeakerLabels: false, source: 'empty' };
+    }
+
+    const turns = parseLabeledTranscript(transcript);
+    const hasSpeakerLabels = turns.some(turn => turn.role !== 'unknown');
+
+    if (!hasSpeakerLabels) {
+        // Ohne Sprecherkennung: gesamtes Transkript als ein Turn (Abwärtskompatibilität)
+        return {
+            turns: [{ index: 0, role: 'unknown', text: transcript.trim() }],
+            hasSpeakerLabels: false,
+            source: 'flat'
+        };
+    }
+
+    return { turns, hasSpeakerLabels, source: 'labeled_lines' };
+}
+
+function isAgentConfirmation(turns, position) {
+    const turn = turns[position];
+    if (!turn || turn.role !== 'agent') return false;
+    if (!CONFIRMATION_PATTERNS.some(pattern => pattern.test(turn.text))) return false;
+
+    const reply = turns.slice(position + 1).find(next => next.role !== 'agent');
+    return !!reply && AFFIRMATION.test(reply.text);
+}
+
+/**
+ * Turns, aus denen Kundendaten extrahiert werden dürfen:
+ * Anrufer-Turns und vom Anrufer bestätigte Agent-Rückfragen
+ */
+function getExtractionTurns(model) {
+    return model.turns
+        .map((turn, position) => {
+            if (turn.role === 'user' || turn.role === 'unknown') {
+                return { ...turn, source_role: turn.role };
+            }
+            if (isAgentConfirmation(model.turns, position)) {
+                return { ...turn, source_role: 'agent_confirmation' };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+function transcriptFromTurns(turns) {
+    return turns
+        .map(turn => `${turn.role === 'agent' ? 'Agent' : 'User'}: ${turn.text}`)
+        .join('\n');
+}
+
+module.exports = {
+    parseTranscript,
+    getExtractionTurns,
+    isAgentConfirmation,
+    transcriptFromTurns
+};
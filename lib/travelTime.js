@@ -0,0 +1,235 @@
+// ================================
+// TRAVEL TIME
+// ================================
+
+// Fahrzeiten zwischen Vor-Ort-Terminen (location_type 'customer_address') und
+// vom Büro aus. Ein Termin ist nur möglich, wenn nach dem vorherigen Termin des
+// Tages (bzw. ab Öffnung vom Büro) und bis zum nächsten Termin genug Zeit für
+// Puffer + Fahrt bleibt. Entfernungen liefert der Provider aus lib/distanceProviders.js.
+
+const {
+    geocodePostalCode,
+    createStraightLineProviderFromEnv,
+    createDistanceProviderFromEnv
+} = require('./distanceProviders');
+const { openingRangesForDay, localDay } = require('./businessHours');
+const { appointmentInterval, blockingStatuses } = require('./availabilityEngine');
+
+const OFFICE_LOCATION = {
+    kind: 'office',
+    label: 'Büro - Kammerratsheide 51',
+    address: 'Kammerratsheide 51, 33609 Bielefeld',
+    postal_code: '33609',
+    lat: 52.0432,
+    lon: 8.5795
+};
+
+// Fahrzeit, wenn ein Ort nicht aufgelöst werden kann (überschreibbar per travel_default_minutes)
+const DEFAULT_TRAVEL_MINUTES = 30;
+
+// Routing-Ergebnisse ändern sich kaum, Fallback-Werte nur kurz merken
+const PROVIDER_CACHE_MS = 24 * 60 * 60 * 1000;
+const FALLBACK_CACHE_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+const travelCache = new WeakMap();
+let defaultProvider = null;
+let fallbackProvider = null;
+
+function getDistanceProvider() {
+    if (!defaultProvider) defaultProvider = createDistanceProviderFromEnv();
+    return defaultProvider;
+}
+
+// Luftlinie mit denselben Einstellungen (TRAVEL_AVERAGE_SPEED_KMH) wie der Standard-Provider
+function getFallbackProvider() {
+    if (!fallbackProvider) fallbackProvider = createStraightLineProviderFromEnv();
+    return fallbackProvider;
+}
+
+// ================================
+// LOCATIONS
+// ================================
+
+/**
+ * Ort eines Termins oder einer Terminanfrage
+ * @param {Object} source - Termin ({ location_type, address: { full_address, postal_code } })
+ *   oder Anfrage ({ location_type, address: 'Straße 1, 33602 Bielefeld', postal_code, latitude, longitude })
+ * @returns {Object|null} { kind: 'office'|'customer_address', label, postal_code, lat, lon }
+ */
+function resolveLocation(source) {
+    if (!source) return null;
+    if (source.kind) return source;
+
+    const address = source.address && typeof source.address === 'object' ? source.address : {};
+    const fullAddress = typeof source.address === 'string' ? source.address : address.full_address || null;
+
+    if (source.location_type === 'office' || /kammerratsheide/i.test(fullAddress || '')) return OFFICE_LOCATION;
+
+    const postalCode = source.postal_code || address.postal_code || ((fullAddress || '').match(/\b(\d{5})\b/) || [])[1] || null;
+    const lat = parseFloat(source.latitude ?? address.latitude);
+    const lon = parseFloat(source.longitude ?? address.longitude);
+    const coordinates = Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : geocodePostalCode(postalCode);
+
+    return {
+        kind: 'customer_address',
+        label: fullAddress || (postalCode ? `PLZ ${postalCode}` : 'Adresse unbekannt'),
+        postal_code: postalCode,
+        lat: coordinates ? coordinates.lat : null,
+        lon: coordinates ? coordinates.lon : null
+    };
+}
+
+function locationKey(location) {
+    if (location.kind === 'office') return 'office';
+    if (Number.isFinite(location.lat) && Number.isFinite(location.lon)) return `${location.lat},${location.lon}`;
+    return location.postal_code ? `plz:${location.postal_code}` : null;
+}
+
+// ================================
+// TRAVEL ESTIMATES
+// ================================
+
+/**
+ * Fahrzeit zwischen zwei Orten: Provider → Luftlinie → travel_default_minutes
+ * @param {Object} options - { provider, defaultMinutes }
+ * @returns {Promise<Object>} { minutes, distance_km, source }
+ */
+async function estimateTravel(from, to, options = {}) {
+    const provider = options.provider || getDistanceProvider();
+    const straightLine = getFallbackProvider();
+    const fallback = { minutes: options.defaultMinutes ?? DEFAULT_TRAVEL_MINUTES, distance_km: null, source: 'default' };
+
+    if (!from || !to) return fallback;
+    if (from.kind === 'office' && to.kind === 'office') return { minutes: 0, distance_km: 0, source: 'same_location' };
+
+    const fromKey = locationKey(from);
+    const toKey = locationKey(to);
+    if (!fromKey || !toKey) return fallback;
+
+    if (!travelCache.has(provider)) travelCache.set(provider, new Map());
+    const cache = travelCache.get(provider);
+    const cacheKey = `${fromKey}|${toKey}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return cached.result;
+
+    let result = null;
+    let source = provider.name;
+    try {
+        result = await provider.estimate(from, to);
+    } catch (error) {
+        console.warn(`⚠️ Fahrzeit über ${provider.name} fehlgeschlagen, nutze Luftlinie:`, error.message);
+    }
+    if (!result && provider !== straightLine) {
+        result = await straightLine.estimate(from, to);
+        source = straightLine.name;
+    }
+    if (!result) return fallback;
+
+    const estimate = { minutes: result.minutes, distance_km: result.distance_km ?? null, source };
+    if (cache.size >= MAX_CACHE_ENTRIES) cache.clear();
+    cache.set(cacheKey, {
+        result: estimate,
+        expires: Date.now() + (source === provider.name ? PROVIDER_CACHE_MS : FALLBACK_CACHE_MS)
+    });
+    return estimate;
+}
+
+// ================================
+// SCHEDULING
+// ================================
+
+function sameDay(a, b) {
+    return a.year === b.year && a.month === b.month && a.day === b.day;
+}
+
+function describeLeg(estimate, location, neighbour) {
+    return {
+        minutes: estimate.minutes,
+        distance_km: estimate.distance_km,
+        source: estimate.source,
+        location: location.label,
+        appointment_id: neighbour ? neighbour.appointment.id : null
+    };
+}
+
+/**
+ * Prüft die Fahrzeiten zum vorherigen und nächsten Termin desselben Tages
+ * @param {Date} start - gewünschter Beginn
+ * @param {number} durationMinutes - gewünschte Dauer
+ * @param {Object} location - Ort des gewünschten Termins (resolveLocation)
+ * @param {Array} appointments - blockierende Termine mit location_type/address
+ * @param {Object} config - Business Hours (buffer_minutes, travel_*, cluster_travel_minutes, ...)
+ * @param {Object} options - { provider, excludeAppointmentId }
+ * @returns {Promise<Object>} { feasible, reason, travel_before, travel_after, detour_minutes, clustered }
+ *   detour_minutes = Mehrfahrzeit gegenüber der direkten Fahrt vorheriger → nächster Ort (Büro, wenn keiner)
+ */
+async function checkTravelTime(start, durationMinutes, location, appointments, config, options = {}) {
+    const startMs = new Date(start).getTime();
+    const endMs = startMs + durationMinutes * 60000;
+    const bufferMs = config.buffer_minutes * 60000;
+    const day = localDay(new Date(startMs), config);
+    const statuses = blockingStatuses({ tentativeHoldsBlock: config.tentative_holds_block });
+
+    const dayAppointments = (appointments || [])
+        .filter(appointment => !options.excludeAppointmentId || appointment.id !== options.excludeAppointmentId)
+        .filter(appointment => !appointment.status || statuses.includes(appointment.status))
+        .map(appointment => ({ appointment, interval: appointmentInterval(appointment) }))
+        .filter(({ interval }) => interval && sameDay(localDay(new Date(interval.start), config), day));
+
+    const previous = dayAppointments
+        .filter(({ interval }) => interval.end <= startMs)
+        .sort((a, b) => b.interval.end - a.interval.end)[0] || null;
+    const next = dayAppointments
+        .filter(({ interval }) => interval.start >= endMs)
+        .sort((a, b) => a.interval.start - b.interval.start)[0] || null;
+
+    // Ohne Nachbartermin startet und endet die Tour im Büro
+    const origin = previous ? resolveLocation(previous.appointment) : OFFICE_LOCATION;
+    const destination = next ? resolveLocation(next.appointment) : OFFICE_LOCATION;
+    const travelOptions = { provider: options.provider, defaultMinutes: config.travel_default_minutes };
+
+    const before = await estimateTravel(origin, location, travelOptions);
+    const after = await estimateTravel(location, destination, travelOptions);
+    const direct = await estimateTravel(origin, destination, travelOptions);
+
+    const nearby = [
+        previous && origin.kind === 'customer_address' ? before : null,
+        next && destination.kind === 'customer_address' ? after : null
+    ].filter(Boolean);
+    const result = {
+        feasible: true,
+        reason: null,
+        travel_before: describeLeg(before, origin, previous),
+        travel_after: next ? describeLeg(after, destination, next) : null,
+        detour_minutes: Math.max(0, before.minutes + after.minutes - direct.minutes),
+        clustered: location.kind === 'customer_address' && nearby.some(leg => leg.minutes <= config.cluster_travel_minutes)
+    };
+    const bufferText = config.buffer_minutes > 0 ? ` + ${config.buffer_minutes} Min. Puffer` : '';
+
+    if (previous && previous.interval.end + bufferMs + before.minutes * 60000 > startMs) {
+        return { ...result, feasible: false, reason: `Fahrzeit vom vorherigen Termin reicht nicht (${before.minutes} Min. Fahrt${bufferText})` };
+    }
+
+    if (!previous && config.travel_start_at_office) {
+        const opening = openingRangesForDay(day, config)[0];
+        if (opening && opening.start.getTime() + before.minutes * 60000 > startMs) {
+            return { ...result, feasible: false, reason: `Anfahrt vom Büro ab Öffnung nicht möglich (${before.minutes} Min. Fahrt)` };
+        }
+    }
+
+    if (next && endMs + bufferMs + after.minutes * 60000 > next.interval.start) {
+        return { ...result, feasible: false, reason: `Fahrzeit zum Folgetermin reicht nicht (${after.minutes} Min. Fahrt${bufferText})` };
+    }
+
+    return result;
+}
+
+module.exports = {
+    OFFICE_LOCATION,
+    DEFAULT_TRAVEL_MINUTES,
+    getDistanceProvider,
+    resolveLocation,
+    estimateTravel,
+    checkTravelTime
+};
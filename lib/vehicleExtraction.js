@@ -0,0 +1,265 @@
+// ================================
+// VEHICLE EXTRACTION
+// ================================
+
+// Erkennt Hersteller, Modell, Kennzeichen, Baujahr und Kilometerstand in
+// Anrufer-Turns (Zahlwörter bereits in Ziffern umgewandelt).
+
+const VEHICLE_MAKES = [
+    { make: 'Volkswagen', aliases: ['volkswagen', 'vw'] },
+    { make: 'Mercedes-Benz', aliases: ['mercedes-benz', 'mercedes benz', 'mercedes', 'daimler'] },
+    { make: 'BMW', aliases: ['bmw'] },
+    { make: 'Audi', aliases: ['audi'] },
+    { make: 'Opel', aliases: ['opel'] },
+    { make: 'Ford', aliases: ['ford'] },
+    { make: 'Skoda', aliases: ['skoda', 'škoda'] },
+    { make: 'Seat', aliases: ['seat'] },
+    { make: 'Cupra', aliases: ['cupra'] },
+    { make: 'Porsche', aliases: ['porsche'] },
+    { make: 'Toyota', aliases: ['toyota'] },
+    { make: 'Renault', aliases: ['renault'] },
+    { make: 'Peugeot', aliases: ['peugeot'] },
+    { make: 'Citroën', aliases: ['citroën', 'citroen'] },
+    { make: 'Dacia', aliases: ['dacia'] },
+    { make: 'Fiat', aliases: ['fiat'] },
+    { make: 'Alfa Romeo', aliases: ['alfa romeo'] },
+    { make: 'Hyundai', aliases: ['hyundai'] },
+    { make: 'Kia', aliases: ['kia'] },
+    { make: 'Mazda', aliases: ['mazda'] },
+    { make: 'Nissan', aliases: ['nissan'] },
+    { make: 'Honda', aliases: ['honda'] },
+    { make: 'Mitsubishi', aliases: ['mitsubishi'] },
+    { make: 'Suzuki', aliases: ['suzuki'] },
+    { make: 'Subaru', aliases: ['subaru'] },
+    { make: 'Volvo', aliases: ['volvo'] },
+    { make: 'Tesla', aliases: ['tesla'] },
+    { make: 'Mini', aliases: ['mini cooper', 'mini one', 'mini countryman'] },
+    { make: 'Smart', aliases: ['smart fortwo', 'smart forfour'] },
+    { make: 'Jeep', aliases: ['jeep'] },
+    { make: 'Land Rover', aliases: ['land rover', 'range rover'] },
+    { make: 'Jaguar', aliases: ['jaguar'] },
+    { make: 'Lexus', aliases: ['lexus'] }
+];
+
+// Häufige Modelle ohne genannten Hersteller ("mein Golf"); mehrdeutige Wörter (Leon, Transit) fehlen bewusst
+const MODEL_MAKES = {
+    golf: 'Volkswagen', polo: 'Volkswagen', passat: 'Volkswagen', tiguan: 'Volkswagen', touran: 'Volkswagen', caddy: 'Volkswagen',
+    astra: 'Opel', corsa: 'Opel', insignia: 'Opel', zafira: 'Opel', mokka: 'Opel',
+    fiesta: 'Ford', focus: 'Ford', kuga: 'Ford', mondeo: 'Ford',
+    octavia: 'Skoda', fabia: 'Skoda', superb: 'Skoda', kodiaq: 'Skoda',
+    ibiza: 'Seat', yaris: 'Toyota', corolla: 'Toyota', clio: 'Renault', sandero: 'Dacia', duster: 'Dacia'
+};
+
+// Zweites Modell-Token nur mit Ziffer oder als bekannter Zusatz ("Passat Variant", "A4 Avant")
+const MODEL_SUFFIXES = ['variant', 'avant', 'touring', 'kombi', 'limousine', 'cabrio', 'coupé', 'coupe', 'sportback', 'gti', 'gtd', 'tdi', 'tsi', 'plus', 'klasse'];
+
+const MODEL_STOPWORDS = new Set([
+    'ist', 'war', 'und', 'mit', 'von', 'vom', 'der', 'die', 'das', 'den', 'dem', 'aus', 'in', 'im', 'hat', 'habe',
+    'mein', 'meine', 'meinen', 'ein', 'eine', 'einen', 'also', 'äh', 'ähm', 'baujahr', 'bj', 'kennzeichen',
+    'kilometer', 'km', 'erstzulassung', 'fahrzeug', 'auto', 'wagen', 'gefahren', 'beschädigt', 'genau', 'ja', 'nein'
+]);
+
+const OTHER_PARTY_MENTION = /unfallgegner|verursacher|(?:der|die|des)\s+andere[nr]?|gegnerische/i;
+
+const PLATE_CONTEXT = /(?:kennzeichen|nummernschild|amtliche[sn]?\s+kennzeichen)\s*(?:ist|lautet|wäre|:)?\s*/i;
+
+// Verwaltungsbezirk, Erkennungsbuchstaben, Erkennungsnummer, E-/H-Kennzeichen
+const PLATE_PARTS = /^([A-ZÄÖÜ]{1,3})(?:\s*-\s*|\s+)([A-Z]{1,2})\s*-?\s*([1-9]\d{0,3})\s*([EH])?$/;
+const PLATE_IN_TEXT = /(?<![A-Za-zÄÖÜäöü])([A-ZÄÖÜ]{1,3}\s*-\s*[A-Z]{1,2}\s*-?\s*[1-9]\d{0,3}(?:\s?[EH])?)(?![A-Za-z\d])/;
+const SPOKEN_PLATE = /^((?:[a-zäöü]\s?){1,3}?)\s*(?:-|\s)\s*((?:[a-z]\s?){1,2}?)\s*-?\s*([1-9]\d{0,3})(\s*[eh](?![a-zäöüß]))?/i;
+
+const YEAR_PATTERNS = [
+    /(?:baujahr|bj\.?|jahrgang|erstzulassung|ez|zugelassen(?:\s+seit)?|aus\s+dem\s+jahr)\s*(?:ist|war|:)?\s*(?:(?:0?[1-9]|1[0-2])\s*[\/.]\s*)?((?:19|20)\d{2})\b/i,
+    /\b((?:19|20)\d{2})er\b/i
+];
+
+const MILEAGE_PATTERNS = [
+    /(\d{1,3}(?:[.\s]\d{3})+|\d{1,7})(?!\d)(\s*(?:tausend|tsd\.?|1000))?\s*(?:km|kilometer)\b/i,
+    /(?:kilometerstand|laufleistung|tachostand|tacho)\s*(?:ist|von|liegt\s+bei|bei|steht\s+bei|:)?\s*(?:ca\.?|circa|etwa|ungefähr|rund|knapp)?\s*(\d{1,3}(?:[.\s]\d{3})+|\d{1,7})(?!\d)(\s*(?:tausend|tsd\.?|1000))?/i
+];
+
+/**
+ * Prüft und formatiert ein deutsches Kennzeichen ("bi ab 1234" → "BI-AB 1234")
+ * @returns {string|null}
+ */
+function normalizeLicensePlate(plate) {
+    if (!plate || typeof plate !== 'string') return null;
+
+    const match = plate.trim().toUpperCase().replace(/\s+/g, ' ').match(PLATE_PARTS);
+    if (!match) return null;
+
+    const [, district, letters, digits, suffix] = match;
+    // Max. 8 Zeichen ohne Trennzeichen und Saison-/E-/H-Kennung
+    if (district.length + letters.length + digits.length > 8) return null;
+
+    return `${district}-${letters} ${digits}${suffix || ''}`;
+}
+
+function findLicensePlate(text) {
+    const context = text.match(PLATE_CONTEXT);
+    if (context) {
+        // Gesprochene Trennzeichen und buchstabierte Einzelbuchstaben ("B I Strich A B")
+        const spoken = text
+            .slice(context.index + context[0].length, context.index + context[0].length + 40)
+            .replace(/\s*\b(?:strich|minus|bindestrich)\b\s*/gi, '-');
+        const spokenMatch = spoken.match(SPOKEN_PLATE);
+        if (spokenMatch) {
+            const raw = `${spokenMatch[1].replace(/\s/g, '')}-${spokenMatch[2].replace(/\s/g, '')} ${spokenMatch[3]}${(spokenMatch[4] || '').trim()}`;
+            const plate = normalizeLicensePlate(raw);
+            if (plate) return { value: plate, confidence: 0.8 };
+        }
+    }
+
+    // Ohne Kontext nur eindeutige Schreibweise in Großbuchstaben mit Bindestrich
+    const written = text.match(PLATE_IN_TEXT);
+    if (written) {
+        const plate = normalizeLicensePlate(written[1]);
+        if (plate) return { value: plate, confidence: 0.7 };
+    }
+
+    return null;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const MAKE_PATTERNS = VEHICLE_MAKES
+    .flatMap(({ make, aliases }) => aliases.map(alias => ({ make, alias })))
+    .sort((a, b) => b.alias.length - a.alias.length)
+    .map(({ make, alias }) => ({
+        make,
+        pattern: new RegExp(`(?<![a-zäöüß])${escapeRegExp(alias).replace(/ /g, '[\\s-]')}(?![a-zäöüß])`, 'i')
+    }));
+
+// "a4" → "A4", "320d" bleibt, "c-klasse" → "C-Klasse", "gti" → "GTI"
+function formatModelToken(token) {
+    if (/\d/.test(token)) return token.charAt(0).toUpperCase() + token.slice(1);
+    if (token.length <= 3) return token.toUpperCase();
+    return token.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()).join('-');
+}
+
+function readModel(text) {
+    const tokens = text.trim().split(/\s+/).map(token => token.replace(/[,.;!?]+$/, '')).filter(Boolean);
+    const model = [];
+
+    for (const token of tokens.slice(0, 2)) {
+        const lower = token.toLowerCase();
+        if (MODEL_STOPWORDS.has(lower) || !/^[a-zäöüß0-9][a-zäöüß0-9\-]*$/i.test(token)) break;
+        if (/^(?:19|20)\d{2}$/.test(token)) break;
+        if (model.length === 1 && !/\d/.test(token) && !MODEL_SUFFIXES.some(suffix => lower.endsWith(suffix))) break;
+        model.push(formatModelToken(token));
+    }
+
+    return model.length > 0 ? model.join(' ') : null;
+}
+
+function findMakeAndModel(text) {
+    for (const { make, pattern } of MAKE_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const model = readModel(text.slice(match.index + match[0].length));
+        return { make, model, confidence: model ? 0.75 : 0.65 };
+    }
+
+    const modelOnly = text.match(new RegExp(`(?<![a-zäöüß])(${Object.keys(MODEL_MAKES).join('|')})(?![a-zäöüß])`, 'i'));
+    if (modelOnly) {
+        const lower = modelOnly[1].toLowerCase();
+        const model = readModel(text.slice(modelOnly.index)) || formatModelToken(lower);
+        return { make: MODEL_MAKES[lower], model, confidence: 0.6 };
+    }
+
+    return null;
+}
+
+function findYear(text) {
+    const maxYear = new Date().getFullYear() + 1;
+
+    for (const pattern of YEAR_PATTERNS) {
+        const match = text.match(pattern);
+        const year = match ? parseInt(match[1], 10) : null;
+        if (year && year >= 1950 && year <= maxYear) return year;
+    }
+    return null;
+}
+
+function findMileage(text) {
+    for (const pattern of MILEAGE_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        let mileage = parseInt(match[1].replace(/[.\s]/g, ''), 10);
+        if (match[2]) mileage *= 1000;
+        if (mileage > 0 && mileage <= 1500000) return mileage;
+    }
+    return null;
+}
+
+/**
+ * Extrahiert Fahrzeugdaten aus Turns
+ * @param {Array} turns - [{ index, text, source_role }] mit normalisierten Zahlen
+ * @returns {Object|null} { make, model, license_plate, year, mileage, confidence, turn_index, turn_role }
+ */
+function extractVehicleDetails(turns) {
+    const vehicle = { make: null, model: null, license_plate: null, year: null, mileage: null };
+    const confidences = [];
+    let sourceTurn = null;
+
+    for (const turn of turns) {
+        const text = turn.text || '';
+        let found = false;
+
+        // Kennzeichen des Unfallgegners gehört nicht zum Kundenfahrzeug
+        if (!vehicle.license_plate && !OTHER_PARTY_MENTION.test(text)) {
+            const plate = findLicensePlate(text);
+            if (plate) {
+                vehicle.license_plate = plate.value;
+                confidences.push(plate.confidence);
+                found = true;
+            }
+        }
+
+        if (!vehicle.make) {
+            const makeAndModel = findMakeAndModel(text);
+            if (makeAndModel) {
+                vehicle.make = makeAndModel.make;
+                vehicle.model = makeAndModel.model;
+                confidences.push(makeAndModel.confidence);
+                found = true;
+            }
+        }
+
+        if (!vehicle.year) {
+            vehicle.year = findYear(text);
+            found = found || !!vehicle.year;
+        }
+
+        if (!vehicle.mileage) {
+            vehicle.mileage = findMileage(text);
+            found = found || !!vehicle.mileage;
+        }
+
+        if (found && !sourceTurn) sourceTurn = turn;
+    }
+
+    if (!vehicle.make && !vehicle.license_plate) return null;
+
+    // Mittelwert der Kernangaben, Bonus für Baujahr/Kilometerstand
+    const base = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+    const bonus = 0.05 * [vehicle.year, vehicle.mileage].filter(Boolean).length;
+
+    return {
+        ...vehicle,
+        confidence: Math.min(0.9, Math.round((base + bonus) * 100) / 100),
+        turn_index: sourceTurn ? sourceTurn.index : null,
+        turn_role: sourceTurn ? sourceTurn.source_role : null
+    };
+}
+
+module.exports = {
+    VEHICLE_MAKES,
+    normalizeLicensePlate,
+    findLicensePlate,
+    extractVehicleDetails
+};
@@ -0,0 +1,177 @@
+// ================================
+// IDEMPOTENT WEBHOOK PROCESSING
+// ================================
+
+// Ein Datensatz pro retell_call_id in kfz_webhook_processing.
+// Wiederholte Zustellungen erhalten die Original-Antwort, teilweise
+// verarbeitete Calls werden ab dem letzten erfolgreichen Schritt fortgesetzt.
+
+const UNIQUE_VIOLATION = '23505';
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Beansprucht die Verarbeitung eines Calls
+ * @returns {Object} { state: 'new' | 'resume' | 'completed' | 'in_progress', record }
+ */
+async function claimCallProcessing(callId, tenantProjectId, supabase) {
+    const now = new Date().toISOString();
+
+    const { data: created, error: insertError } = await supabase
+        .from('kfz_webhook_processing')
+        .insert({
+            tenant_project_id: tenantProjectId,
+            retell_call_id: callId,
+            status: 'processing',
+            steps: {},
+            attempts: 1,
+            locked_at: now
+        })
+        .select()
+        .single();
+
+    if (created && !insertError) {
+        return { state: 'new', record: created };
+    }
+
+    if (insertError && insertError.code !== UNIQUE_VIOLATION) {
+        throw insertError;
+    }
+
+    const { data: existing, error: selectError } = await supabase
+        .from('kfz_webhook_processing')
+        .select('*')
+        .eq('retell_call_id', callId)
+        .single();
+
+    if (selectError) throw selectError;
+
+    if (existing.status === 'completed') {
+        return { state: 'completed', record: existing };
+    }
+
+    const lockedAt = existing.locked_at ? new Date(existing.locked_at).getTime() : 0;
+    if (existing.status === 'processing' && Date.now() - lockedAt < LOCK_TIMEOUT_MS) {
+        return { state: 'in_progress', record: existing };
+    }
+
+    // Optimistisches Locking über attempts: nur eine Zustellung darf fortsetzen
+    const { data: resumed, error: updateError } = await supabase
+        .from('kfz_webhook_processing')
+        .update({
+            status: 'processing',
+            attempts: existing.attempts + 1,
+            locked_at: now,
+            updated_at: now
+        })
+        .eq('id', existing.id)
+        .eq('attempts', existing.attempts)
+        .select()
+        .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!resumed) {
+        return { state: 'in_progress', record: existing };
+    }
+
+    console.log(`🔁 Setze Verarbeitung fort für Call ${callId} (Versuch ${resumed.attempts}):`, Object.keys(resumed.steps || {}));
+    return { state: 'resume', record: resumed };
+}
+
+/**
+ * Speichert das Ergebnis eines abgeschlossenen Verarbeitungsschritts
+ */
+async function recordProcessingStep(record, stepValues, supabase) {
+    record.steps = { ...(record.steps || {}), ...stepValues };
+
+    const { error } = await supabase
+        .from('kfz_webhook_processing')
+        .update({
+            steps: record.steps,
+            locked_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', record.id);
+
+    if (error) throw error;
+}
+
+async function completeCallProcessing(record, response, supabase) {
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+        .from('kfz_webhook_processing')
+        .update({
+            status: 'completed',
+            response,
+            last_error: null,
+            completed_at: now,
+            updated_at: now
+        })
+        .eq('id', record.id);
+
+    if (error) throw error;
+}
+
+async function failCallProcessing(record, processingError, supabase) {
+    try {
+        await supabase
+            .from('kfz_webhook_processing')
+            .update({
+                status: 'failed',
+                last_error: processingError.message,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', record.id);
+    } catch (error) {
+        console.error('❌ Verarbeitungsstatus konnte nicht gespeichert werden:', error.message);
+    }
+}
+
+/**
+ * Gibt einen abgeschlossenen Call ohne Kundendaten (manuelle Prüfung) erneut frei,
+ * z.B. wenn nachträglich die Retell Analyse verwertbare Daten liefert
+ */
+async function reopenCallProcessing(callId, supabase) {
+    const { data: existing, error } = await supabase
+        .from('kfz_webhook_processing')
+        .select('*')
+        .eq('retell_call_id', callId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!existing || existing.status !== 'completed' || existing.steps?.customer_id) return false;
+
+    const { error: updateError } = await supabase
+        .from('kfz_webhook_processing')
+        .update({
+            status: 'failed',
+            steps: {},
+            last_error: 'reopened_for_call_analysis',
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', existing.id);
+
+    if (updateError) throw updateError;
+    return true;
+}
+
+// Lädt bereits angelegte Datensätze für die Fortsetzung
+async function loadStepRecord(table, id, supabase) {
+    const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    claimCallProcessing,
+    recordProcessingStep,
+    completeCallProcessing,
+    failCallProcessing,
+    reopenCallProcessing,
+    loadStepRecord
+};
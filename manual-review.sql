@@ -0,0 +1,29 @@
+-- ===============================
+-- MANUAL REVIEW QUEUE
+-- Calls mit call_outcome = 'requires_manual_review' durch das Büro nachbearbeiten
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS review_status TEXT;          -- pending | in_progress | resolved | dismissed
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS corrected_data JSONB;        -- Korrekturen des Büros
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS review_notes TEXT;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS review_error TEXT;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS review_steps JSONB;         -- bereits angelegt: customer_id, project_id, appointment_id
+
+ALTER TABLE kfz_calls DROP CONSTRAINT IF EXISTS kfz_calls_review_status_check;
+ALTER TABLE kfz_calls ADD CONSTRAINT kfz_calls_review_status_check
+    CHECK (review_status IS NULL OR review_status IN ('pending', 'in_progress', 'resolved', 'dismissed'));
+
+-- Bestehende Fälle in die Warteschlange übernehmen
+UPDATE kfz_calls
+SET review_status = 'pending'
+WHERE call_outcome = 'requires_manual_review' AND review_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_kfz_calls_review_status
+    ON kfz_calls (tenant_project_id, review_status, created_at)
+    WHERE review_status IS NOT NULL;
+
+-- Bestätigung
+SELECT 'kfz_calls manual review columns ready' as message;
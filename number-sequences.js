@@ -0,0 +1,46 @@
+// number-sequences.js - Nummernzähler prüfen und aus Bestandsdaten nachziehen
+// Nutzung: node number-sequences.js [--backfill]
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { getTenantProjectId } = require('./lib/businessLogic');
+const { verifyNumberSequence, backfillNumberSequence } = require('./lib/numberSequences');
+
+async function run({ backfill }) {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const tenantProjectId = await getTenantProjectId(supabase);
+  if (!tenantProjectId) throw new Error('Tenant Project nicht gefunden');
+
+  let ok = true;
+  for (const kind of ['project', 'customer']) {
+    const report = backfill
+      ? await backfillNumberSequence(kind, tenantProjectId, supabase)
+      : await verifyNumberSequence(kind, tenantProjectId, supabase);
+
+    console.log(`\n${report.ok ? '✅' : '⚠️'} ${kind} (${report.format}): ${report.total} Nummern`);
+    console.log('   Höchste Nummer je Jahr:', JSON.stringify(report.highest_by_year));
+    for (const duplicate of report.duplicates) {
+      console.log(`   ❌ Doppelt: ${duplicate.number} (${duplicate.ids.join(', ')})`);
+    }
+    for (const entry of report.behind) {
+      console.log(`   ❌ Zähler ${entry.year || 'fortlaufend'} steht auf ${entry.sequence_value}, höchste Nummer ${entry.highest_number}`);
+    }
+    if (report.unparsable.length > 0) {
+      console.log(`   ⚠️ ${report.unparsable.length} Nummern passen nicht zum Format:`,
+        report.unparsable.slice(0, 10).map(row => row.number || `(leer: ${row.id})`).join(', '));
+    }
+    ok = ok && report.ok;
+  }
+
+  return ok;
+}
+
+if (require.main === module) {
+  run({ backfill: process.argv.includes('--backfill') })
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error('💥 Nummernprüfung fehlgeschlagen:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
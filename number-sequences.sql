@@ -0,0 +1,86 @@
+-- ===============================
+-- NUMBER SEQUENCES
+-- Atomare Projekt- und Kundennummern je Tenant und Jahr
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_number_sequences (
+    tenant_project_id UUID NOT NULL REFERENCES tenant_projects(id),
+    sequence_key TEXT NOT NULL,                 -- project | customer
+    year INTEGER NOT NULL DEFAULT 0,            -- 0 = Format ohne Jahr (fortlaufend)
+    last_value BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (tenant_project_id, sequence_key, year)
+);
+
+-- Nächste Nummer: Zeilensperre durch ON CONFLICT DO UPDATE, daher ohne Race Condition
+CREATE OR REPLACE FUNCTION kfz_next_number(p_tenant_project_id UUID, p_sequence_key TEXT, p_year INTEGER)
+RETURNS BIGINT
+LANGUAGE sql
+AS $$
+    INSERT INTO kfz_number_sequences (tenant_project_id, sequence_key, year, last_value)
+    VALUES (p_tenant_project_id, p_sequence_key, p_year, 1)
+    ON CONFLICT (tenant_project_id, sequence_key, year)
+    DO UPDATE SET last_value = kfz_number_sequences.last_value + 1, updated_at = NOW()
+    RETURNING last_value;
+$$;
+
+-- Zähler auf einen Mindestwert anheben (Backfill), nie zurücksetzen
+CREATE OR REPLACE FUNCTION kfz_sync_number_sequence(p_tenant_project_id UUID, p_sequence_key TEXT, p_year INTEGER, p_value BIGINT)
+RETURNS BIGINT
+LANGUAGE sql
+AS $$
+    INSERT INTO kfz_number_sequences (tenant_project_id, sequence_key, year, last_value)
+    VALUES (p_tenant_project_id, p_sequence_key, p_year, p_value)
+    ON CONFLICT (tenant_project_id, sequence_key, year)
+    DO UPDATE SET last_value = GREATEST(kfz_number_sequences.last_value, EXCLUDED.last_value), updated_at = NOW()
+    RETURNING last_value;
+$$;
+
+-- Backfill für die Standardformate P-YYYY-NNN / K-YYYY-NNN
+-- (abweichende Formate: npm run numbers:backfill)
+INSERT INTO kfz_number_sequences (tenant_project_id, sequence_key, year, last_value)
+SELECT tenant_project_id, 'project', (m[1])::INTEGER, MAX((m[2])::BIGINT)
+FROM kfz_projects, regexp_match(project_number, '^P-(\d{4})-(\d+)$') AS m
+WHERE tenant_project_id IS NOT NULL AND m IS NOT NULL
+GROUP BY tenant_project_id, m[1]
+ON CONFLICT (tenant_project_id, sequence_key, year)
+DO UPDATE SET last_value = GREATEST(kfz_number_sequences.last_value, EXCLUDED.last_value), updated_at = NOW();
+
+INSERT INTO kfz_number_sequences (tenant_project_id, sequence_key, year, last_value)
+SELECT tenant_project_id, 'customer', (m[1])::INTEGER, MAX((m[2])::BIGINT)
+FROM kfz_customers, regexp_match(customer_number, '^K-(\d{4})-(\d+)$') AS m
+WHERE tenant_project_id IS NOT NULL AND m IS NOT NULL
+GROUP BY tenant_project_id, m[1]
+ON CONFLICT (tenant_project_id, sequence_key, year)
+DO UPDATE SET last_value = GREATEST(kfz_number_sequences.last_value, EXCLUDED.last_value), updated_at = NOW();
+
+-- Eindeutigkeit absichern - nur wenn keine Dubletten existieren (sonst erst bereinigen)
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM kfz_projects WHERE project_number IS NOT NULL
+        GROUP BY tenant_project_id, project_number HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Doppelte Projektnummern vorhanden - Unique Index nicht angelegt (npm run numbers:verify)';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_kfz_projects_tenant_number ON kfz_projects (tenant_project_id, project_number);
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM kfz_customers WHERE customer_number IS NOT NULL
+        GROUP BY tenant_project_id, customer_number HAVING COUNT(*) > 1
+    ) THEN
+        RAISE NOTICE 'Doppelte Kundennummern vorhanden - Unique Index nicht angelegt (npm run numbers:verify)';
+    ELSE
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_kfz_customers_tenant_number ON kfz_customers (tenant_project_id, customer_number);
+    END IF;
+END $$;
+
+ALTER TABLE kfz_number_sequences DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_number_sequences TO service_role, anon;
+GRANT EXECUTE ON FUNCTION kfz_next_number(UUID, TEXT, INTEGER) TO service_role, anon;
+GRANT EXECUTE ON FUNCTION kfz_sync_number_sequence(UUID, TEXT, INTEGER, BIGINT) TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_number_sequences and kfz_next_number() ready' as message;
@@ -0,0 +1,19 @@
+-- ===============================
+-- PHONE CLASSIFICATION
+-- E.164, Anschlussart und Ortsnetz für Rückruf und SMS/WhatsApp Bestätigungen
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS phone_e164 TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS phone_type TEXT;
+ALTER TABLE kfz_customers ADD COLUMN IF NOT EXISTS phone_area_name TEXT;
+
+-- landline | mobile | service
+ALTER TABLE kfz_customers DROP CONSTRAINT IF EXISTS kfz_customers_phone_type_check;
+ALTER TABLE kfz_customers ADD CONSTRAINT kfz_customers_phone_type_check
+    CHECK (phone_type IS NULL OR phone_type IN ('landline', 'mobile', 'service'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_customers_phone_e164 ON kfz_customers (phone_e164);
+
+-- Bestätigung
+SELECT 'kfz_customers phone classification columns ready' as message;
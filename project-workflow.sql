@@ -0,0 +1,87 @@
+-- ===============================
+-- PROJECT WORKFLOW
+-- Status-Workflow für kfz_projects mit Verlauf
+-- Neu → Termin vereinbart → Besichtigt → Gutachten in Arbeit → Gutachten versandt → Abgeschlossen / Storniert
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_projects ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE kfz_projects ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Altbestand ('active') in den Workflow übernehmen
+UPDATE kfz_projects p
+SET status = CASE
+    WHEN EXISTS (SELECT 1 FROM kfz_appointments a WHERE a.project_id = p.id) THEN 'appointment_scheduled'
+    ELSE 'new'
+END
+WHERE p.status = 'active' OR p.status IS NULL;
+
+ALTER TABLE kfz_projects ALTER COLUMN status SET DEFAULT 'new';
+
+ALTER TABLE kfz_projects DROP CONSTRAINT IF EXISTS kfz_projects_status_check;
+ALTER TABLE kfz_projects ADD CONSTRAINT kfz_projects_status_check
+    CHECK (status IN ('new', 'appointment_scheduled', 'inspected', 'report_in_progress', 'report_sent', 'completed', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_kfz_projects_status
+    ON kfz_projects (tenant_project_id, status);
+
+CREATE TABLE IF NOT EXISTS kfz_project_status_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE kfz_project_status_history ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES kfz_projects(id) ON DELETE CASCADE;
+ALTER TABLE kfz_project_status_history ADD COLUMN IF NOT EXISTS from_status TEXT;
+ALTER TABLE kfz_project_status_history ADD COLUMN IF NOT EXISTS to_status TEXT NOT NULL;
+ALTER TABLE kfz_project_status_history ADD COLUMN IF NOT EXISTS changed_by TEXT;        -- Mitarbeiter oder 'system'
+ALTER TABLE kfz_project_status_history ADD COLUMN IF NOT EXISTS reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_kfz_project_status_history_project
+    ON kfz_project_status_history (project_id, created_at);
+
+ALTER TABLE kfz_project_status_history DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_project_status_history TO service_role, anon;
+
+-- Statuswechsel + Verlaufseintrag in einer Transaktion.
+-- Wechselt nur, wenn der Status noch p_expected_status ist; sonst NULL (zwischenzeitlich geändert).
+-- p_from_status ist der normalisierte Ausgangsstatus für den Verlauf (Altbestand 'active' → 'new').
+CREATE OR REPLACE FUNCTION kfz_transition_project_status(
+    p_tenant_project_id UUID,
+    p_project_id UUID,
+    p_expected_status TEXT,
+    p_from_status TEXT,
+    p_to_status TEXT,
+    p_changed_by TEXT,
+    p_reason TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_project kfz_projects;
+    v_history kfz_project_status_history;
+BEGIN
+    UPDATE kfz_projects
+    SET status = p_to_status, updated_at = NOW()
+    WHERE id = p_project_id
+      AND tenant_project_id = p_tenant_project_id
+      AND status IS NOT DISTINCT FROM p_expected_status
+    RETURNING * INTO v_project;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO kfz_project_status_history (tenant_project_id, project_id, from_status, to_status, changed_by, reason)
+    VALUES (p_tenant_project_id, p_project_id, p_from_status, p_to_status, p_changed_by, p_reason)
+    RETURNING * INTO v_history;
+
+    RETURN jsonb_build_object('project', to_jsonb(v_project), 'history', to_jsonb(v_history));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION kfz_transition_project_status(UUID, UUID, TEXT, TEXT, TEXT, TEXT, TEXT) TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_projects workflow, kfz_project_status_history and kfz_transition_project_status ready' as message;
@@ -0,0 +1,18 @@
+-- ===============================
+-- RETELL CALL LIFECYCLE
+-- call_started / call_ended / call_analyzed auf einen kfz_calls Datensatz
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS call_status TEXT;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE kfz_calls ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
+
+-- Ein Datensatz pro Retell Call
+-- (schlägt fehl, falls bereits doppelte retell_call_id Einträge existieren - diese vorher zusammenführen)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kfz_calls_retell_call_id
+    ON kfz_calls (retell_call_id)
+    WHERE retell_call_id IS NOT NULL;
+
+-- Bestätigung
+SELECT 'kfz_calls lifecycle columns ready' as message;
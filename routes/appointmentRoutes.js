@@ -0,0 +1,104 @@
+// ================================
+// APPOINTMENT ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const {
+    listAppointments,
+    getAppointment,
+    confirmAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    completeAppointment
+} = require('../lib/appointmentManagement');
+
+/**
+ * Router für /api/appointments
+ * @param {Object} supabase - Supabase Client
+ */
+function createAppointmentRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * GET /api/appointments?from=2026-10-19&to=2026-10-26&status=tentative,scheduled
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await listAppointments(tenantProjectId, supabase, req.query));
+        } catch (error) {
+            sendError(res, req, error, 'Termine laden fehlgeschlagen');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getAppointment(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Termin laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/appointments/:id/confirm
+     * Bearbeiter (confirmed_by) kommt aus dem API-Schlüssel
+     */
+    router.post('/:id/confirm', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json({ success: true, ...await confirmAppointment(req.params.id, { ...req.body, confirmed_by: req.actor }, tenantProjectId, supabase) });
+        } catch (error) {
+            sendError(res, req, error, 'Termin bestätigen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/appointments/:id/reschedule
+     * Body: { scheduled_date, duration_minutes, reason, customer_message, force }
+     * 409 mit suggested_times, wenn der neue Zeitpunkt nicht frei ist
+     */
+    router.post('/:id/reschedule', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json({ success: true, ...await rescheduleAppointment(req.params.id, { ...req.body, rescheduled_by: req.actor }, tenantProjectId, supabase) });
+        } catch (error) {
+            sendError(res, req, error, 'Termin verschieben fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/appointments/:id/cancel
+     * Body: { reason, customer_message }
+     * reason bleibt intern, customer_message geht an den Kunden
+     */
+    router.post('/:id/cancel', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json({ success: true, ...await cancelAppointment(req.params.id, { ...req.body, cancelled_by: req.actor }, tenantProjectId, supabase) });
+        } catch (error) {
+            sendError(res, req, error, 'Termin absagen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/appointments/:id/complete
+     * Body: { completion_notes }
+     */
+    router.post('/:id/complete', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json({ success: true, ...await completeAppointment(req.params.id, { ...req.body, completed_by: req.actor }, tenantProjectId, supabase) });
+        } catch (error) {
+            sendError(res, req, error, 'Termin abschließen fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAppointmentRoutes };
@@ -0,0 +1,198 @@
+// ================================
+// AVAILABILITY ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId, calendarService } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const {
+    AvailabilityError,
+    getBusinessHours,
+    updateBusinessHours,
+    getHolidays,
+    loadBlockedPeriods,
+    createBlockedPeriod,
+    deleteBlockedPeriod
+} = require('../lib/businessHours');
+
+function parseDateParam(value, field, fallback) {
+    if (value === undefined) return fallback;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new AvailabilityError(`${field} muss ein gültiges Datum sein (ISO 8601)`, { field });
+    return date;
+}
+
+function parseDuration(value) {
+    const duration = value === undefined ? 60 : parseInt(value, 10);
+    if (!duration || duration < 15 || duration > 480) {
+        throw new AvailabilityError('duration muss zwischen 15 und 480 Minuten liegen', { field: 'duration' });
+    }
+    return duration;
+}
+
+// Ort für Fahrzeitprüfung aus Query-Parametern (ohne Angabe: keine Fahrzeiten)
+function parseLocation(query) {
+    if (!query.postal_code && !query.address && !query.location_type) return null;
+    if (query.postal_code && !/^\d{5}$/.test(query.postal_code)) {
+        throw new AvailabilityError('postal_code muss fünfstellig sein', { field: 'postal_code' });
+    }
+    return {
+        location_type: query.location_type || 'customer_address',
+        address: query.address || null,
+        postal_code: query.postal_code || null
+    };
+}
+
+function formatSuggestion(slot) {
+    return {
+        date: slot.date.toISOString(),
+        formatted: slot.formatted,
+        ...(slot.clustered !== undefined ? {
+            clustered: slot.clustered,
+            travel_minutes: slot.travel_minutes,
+            detour_minutes: slot.detour_minutes
+        } : {})
+    };
+}
+
+/**
+ * Router für /api/availability
+ * @param {Object} supabase - Supabase Client
+ */
+function createAvailabilityRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * GET /api/availability/settings
+     * Öffnungszeiten, Bundesland für Feiertage, Slot-Raster für Vorschläge
+     */
+    router.get('/settings', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getBusinessHours(tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Öffnungszeiten laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * PUT /api/availability/settings (Header x-api-key)
+     * Body (teilweise möglich): { opening_hours: { monday: [{ start, end }], ... }, region, slot_minutes, closed_on_holidays, ... }
+     */
+    router.put('/settings', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await updateBusinessHours(tenantProjectId, req.body, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Öffnungszeiten speichern fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/availability/holidays?year=2026&region=NW
+     */
+    router.get('/holidays', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const businessHours = await getBusinessHours(tenantProjectId, supabase);
+            const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+            const region = req.query.region || businessHours.region;
+
+            res.json({ year, region, holidays: getHolidays(year, region) });
+        } catch (error) {
+            sendError(res, req, error, 'Feiertage laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/availability/blocked-periods?from=2026-10-01&to=2026-12-31
+     */
+    router.get('/blocked-periods', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const from = parseDateParam(req.query.from, 'from', new Date());
+            const to = parseDateParam(req.query.to, 'to', new Date(from.getTime() + 365 * 86400000));
+
+            res.json(await loadBlockedPeriods(tenantProjectId, from, to, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Sperrzeiten laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/availability/blocked-periods
+     * Body: { starts_at, ends_at, reason }
+     */
+    router.post('/blocked-periods', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.status(201).json(await createBlockedPeriod(tenantProjectId, { ...req.body, created_by: req.actor }, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Sperrzeit anlegen fehlgeschlagen');
+        }
+    });
+
+    router.delete('/blocked-periods/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const period = await deleteBlockedPeriod(tenantProjectId, req.params.id, supabase);
+            res.json({ success: true, id: period.id });
+        } catch (error) {
+            sendError(res, req, error, 'Sperrzeit löschen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/availability/check?start=2026-10-21T10:00:00%2B02:00&duration=60&postal_code=33602
+     * Mit postal_code/address (oder location_type=office) werden Fahrzeiten geprüft
+     */
+    router.get('/check', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const start = parseDateParam(req.query.start, 'start');
+            if (!start) throw new AvailabilityError('start ist erforderlich', { field: 'start' });
+
+            const availability = await calendarService.checkAvailability(start, parseDuration(req.query.duration), supabase, tenantProjectId, {
+                location: parseLocation(req.query)
+            });
+            res.json({
+                available: availability.available,
+                reason: availability.reason || null,
+                conflicts: (availability.conflicts || []).map(appointment => ({
+                    id: appointment.id,
+                    scheduled_date: appointment.scheduled_date,
+                    duration_minutes: appointment.duration_minutes,
+                    status: appointment.status
+                })),
+                travel: availability.travel || null,
+                suggested_times: (availability.suggestedTimes || []).map(formatSuggestion)
+            });
+        } catch (error) {
+            sendError(res, req, error, 'Verfügbarkeit prüfen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/availability/suggestions?from=2026-10-21&duration=60&postal_code=33602
+     * Mit Ort: Slots in der Nähe anderer Vor-Ort-Termine zuerst
+     */
+    router.get('/suggestions', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const from = parseDateParam(req.query.from, 'from', new Date());
+            const suggestions = await calendarService.getSuggestedTimes(from, supabase, tenantProjectId, parseDuration(req.query.duration), {
+                location: parseLocation(req.query)
+            });
+
+            res.json(suggestions.map(formatSuggestion));
+        } catch (error) {
+            sendError(res, req, error, 'Terminvorschläge laden fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAvailabilityRoutes };
@@ -0,0 +1,135 @@
+// ================================
+// CUSTOMER ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const {
+    listCustomers,
+    getCustomerDetails,
+    updateCustomer,
+    deleteCustomer,
+    findDuplicateCustomers,
+    mergeCustomers,
+    listDuplicateCandidates,
+    dismissDuplicateCandidate
+} = require('../lib/customerManagement');
+const { backfillNamePhonetics } = require('../lib/customerMatching');
+
+/**
+ * Router für /api/customers
+ * Ändernde Routen erfordern den Header x-api-key (ADMIN_API_KEYS bzw. ADMIN_API_KEY)
+ * @param {Object} supabase - Supabase Client
+ */
+function createCustomerRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * GET /api/customers?page=1&page_size=25&sort=last_name&order=asc&search=becker&city=Bielefeld
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await listCustomers(tenantProjectId, supabase, req.query));
+        } catch (error) {
+            sendError(res, req, error, 'Customers API Error');
+        }
+    });
+
+    /**
+     * GET /api/customers/duplicates
+     * Kunden mit derselben Rufnummer in unterschiedlicher Schreibweise
+     */
+    router.get('/duplicates', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await findDuplicateCustomers(tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Duplikatsuche fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/customers/duplicate-candidates?status=pending
+     * Verdachtsfälle aus dem unscharfen Kundenabgleich (unterhalb der Auto-Verknüpfung)
+     */
+    router.get('/duplicate-candidates', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await listDuplicateCandidates(tenantProjectId, supabase, { status: req.query.status || 'pending' }));
+        } catch (error) {
+            sendError(res, req, error, 'Duplikat-Verdachte laden fehlgeschlagen');
+        }
+    });
+
+    router.post('/duplicate-candidates/:id/dismiss', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await dismissDuplicateCandidate(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Duplikat-Verdacht verwerfen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/customers/phonetics/backfill
+     * Einmalig nach customer-matching.sql: Phonetik-Codes für Bestandskunden
+     */
+    router.post('/phonetics/backfill', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json({ success: true, updated: await backfillNamePhonetics(tenantProjectId, supabase) });
+        } catch (error) {
+            sendError(res, req, error, 'Phonetik-Backfill fehlgeschlagen');
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getCustomerDetails(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Kunde laden fehlgeschlagen');
+        }
+    });
+
+    router.patch('/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await updateCustomer(req.params.id, req.body, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Kunde aktualisieren fehlgeschlagen');
+        }
+    });
+
+    router.delete('/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const customer = await deleteCustomer(req.params.id, tenantProjectId, supabase);
+            res.json({ success: true, id: customer.id, deleted_at: customer.deleted_at });
+        } catch (error) {
+            sendError(res, req, error, 'Kunde löschen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/customers/:id/merge
+     * Body: { duplicate_ids: [...] } - :id bleibt erhalten
+     */
+    router.post('/:id/merge', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const result = await mergeCustomers(req.params.id, (req.body || {}).duplicate_ids, tenantProjectId, supabase);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, req, error, 'Kunden zusammenführen fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCustomerRoutes };
@@ -0,0 +1,101 @@
+// ================================
+// EXTRACTION FEEDBACK ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const { correctExtractedData } = require('../lib/manualReview');
+const {
+    listCorrectionSamples,
+    getMethodErrorReport,
+    exportFixtureSet
+} = require('../lib/extractionFeedback');
+
+/**
+ * Router für /api/feedback
+ * @param {Object} supabase - Supabase Client
+ */
+function createFeedbackRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * POST /api/feedback/calls/:id/corrections
+     * Body: { corrections: { name, phone, address, ... } } - corrected_by kommt aus dem API-Schlüssel
+     */
+    router.post('/calls/:id/corrections', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const result = await correctExtractedData(req.params.id, { ...req.body, corrected_by: req.actor }, tenantProjectId, supabase);
+
+            res.json({
+                success: true,
+                call_id: result.call.id,
+                samples: result.samples.map(sample => ({ field: sample.field, outcome: sample.outcome, method: sample.method }))
+            });
+        } catch (error) {
+            sendError(res, req, error, 'Korrektur speichern fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/feedback/samples?field=name&method=...&outcome=corrected&since=2026-01-01
+     */
+    router.get('/samples', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+            const result = await listCorrectionSamples(tenantProjectId, supabase, {
+                field: req.query.field,
+                method: req.query.method,
+                outcome: req.query.outcome,
+                since: req.query.since,
+                limit,
+                offset
+            });
+            res.json({ ...result, limit, offset });
+        } catch (error) {
+            sendError(res, req, error, 'Stichproben laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/feedback/method-errors?since=2026-01-01
+     * Fehlerquote je Feld und Extraktionsmethode, höchste zuerst
+     */
+    router.get('/method-errors', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getMethodErrorReport(tenantProjectId, supabase, { since: req.query.since }));
+        } catch (error) {
+            sendError(res, req, error, 'Fehlerquoten berechnen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/feedback/fixtures?since=2026-01-01
+     * Korrigierte Calls als Fixture-Set für: node test/extraction-score.js --fixtures <datei>
+     */
+    router.get('/fixtures', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+            const corpus = await exportFixtureSet(tenantProjectId, supabase, { since: req.query.since, limit });
+
+            if (req.query.download === 'true') {
+                res.set('Content-Disposition', 'attachment; filename="corrected-transcripts.json"');
+            }
+            res.json(corpus);
+        } catch (error) {
+            sendError(res, req, error, 'Fixture-Export fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createFeedbackRoutes };
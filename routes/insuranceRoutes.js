@@ -0,0 +1,333 @@
+// ================================
+// INSURANCE ROUTES (VERSICHERER & SCHADENFÄLLE)
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const { resolveInsurer } = require('../lib/insuranceClaims');
+
+const COMPANY_FIELDS = ['name', 'short_name', 'aliases', 'claims_email', 'claims_phone', 'active'];
+const CLAIM_FIELDS = [
+    'project_id', 'customer_id', 'insurance_company_id', 'insurer_name', 'insurer_role',
+    'claim_number', 'policy_number', 'status', 'notes'
+];
+const CLAIM_STATUSES = ['open', 'submitted', 'in_review', 'settled', 'rejected', 'closed'];
+const INSURER_ROLES = ['own', 'other_party'];
+
+// Nur bekannte Felder übernehmen, leere Strings als null
+function pickFields(body, fields) {
+    return Object.fromEntries(
+        fields
+            .filter(field => body[field] !== undefined)
+            .map(field => [field, typeof body[field] === 'string' ? (body[field].trim() || null) : body[field]])
+    );
+}
+
+function validateCompany(values, { partial = false } = {}) {
+    if (!partial || values.name !== undefined) {
+        if (!values.name) return 'name ist erforderlich';
+    }
+    if (values.aliases !== undefined && (!Array.isArray(values.aliases) || values.aliases.some(alias => typeof alias !== 'string'))) {
+        return 'aliases muss eine Liste von Texten sein';
+    }
+    if (values.active !== undefined && typeof values.active !== 'boolean') return 'active muss true oder false sein';
+    return null;
+}
+
+function validateClaim(values, { partial = false } = {}) {
+    if (!partial && !values.project_id) return 'project_id ist erforderlich';
+    if (values.insurer_role && !INSURER_ROLES.includes(values.insurer_role)) {
+        return `insurer_role muss ${INSURER_ROLES.join(' oder ')} sein`;
+    }
+    if (values.status && !CLAIM_STATUSES.includes(values.status)) {
+        return `status muss einer von ${CLAIM_STATUSES.join(', ')} sein`;
+    }
+    return null;
+}
+
+// Verweise eines Schadenfalls müssen zum Tenant gehören, sonst 404
+async function findTenantRow(table, id, tenantProjectId, supabase) {
+    const { data, error } = await supabase
+        .from(table)
+        .select('id')
+        .eq('tenant_project_id', tenantProjectId)
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+async function checkClaimReferences(values, tenantProjectId, supabase) {
+    if (values.project_id && !await findTenantRow('kfz_projects', values.project_id, tenantProjectId, supabase)) {
+        return 'Projekt nicht gefunden';
+    }
+    if (values.customer_id && !await findTenantRow('kfz_customers', values.customer_id, tenantProjectId, supabase)) {
+        return 'Kunde nicht gefunden';
+    }
+    if (values.insurance_company_id && !await findTenantRow('kfz_insurance_companies', values.insurance_company_id, tenantProjectId, supabase)) {
+        return 'Versicherer nicht gefunden';
+    }
+    return null;
+}
+
+// Versicherer neu zuordnen, wenn der Name geändert wurde und keine Firma explizit gesetzt ist
+async function applyInsurerMatch(values, tenantProjectId, supabase) {
+    if (values.insurance_company_id) {
+        return { ...values, insurer_match_status: 'manual', insurer_match_score: null };
+    }
+    if (values.insurer_name) {
+        const match = await resolveInsurer(values.insurer_name, tenantProjectId, supabase);
+        return {
+            ...values,
+            insurance_company_id: match.company ? match.company.id : null,
+            insurer_match_status: match.status,
+            insurer_match_score: match.score
+        };
+    }
+    return values;
+}
+
+/**
+ * Router für /api/insurance
+ * @param {Object} supabase - Supabase Client
+ */
+function createInsuranceRoutes(supabase) {
+    const router = express.Router();
+
+    // ================================
+    // VERSICHERER
+    // ================================
+
+    /**
+     * GET /api/insurance/companies?search=huk&include_inactive=true
+     */
+    router.get('/companies', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            let query = supabase
+                .from('kfz_insurance_companies')
+                .select('*')
+                .eq('tenant_project_id', tenantProjectId)
+                .order('name', { ascending: true });
+
+            if (req.query.include_inactive !== 'true') query = query.eq('active', true);
+            if (req.query.search) query = query.ilike('name', `%${req.query.search}%`);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            res.json(data || []);
+        } catch (error) {
+            sendError(res, req, error, 'Versicherer laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/insurance/companies/match?name=HUK Coburg
+     * Zeigt, welchem Versicherer ein genannter Name zugeordnet würde
+     */
+    router.get('/companies/match', async (req, res) => {
+        if (!req.query.name) {
+            return res.status(400).json({ error: 'Parameter "name" erforderlich', request_id: req.requestId });
+        }
+
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const match = await resolveInsurer(req.query.name, tenantProjectId, supabase);
+            res.json({ name: req.query.name, ...match });
+        } catch (error) {
+            sendError(res, req, error, 'Versicherer-Abgleich fehlgeschlagen');
+        }
+    });
+
+    router.post('/companies', requireApiKey, async (req, res) => {
+        const values = pickFields(req.body || {}, COMPANY_FIELDS);
+        const invalid = validateCompany(values);
+        if (invalid) return res.status(400).json({ error: invalid, request_id: req.requestId });
+
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const { data, error } = await supabase
+                .from('kfz_insurance_companies')
+                .insert({ ...values, tenant_project_id: tenantProjectId })
+                .select()
+                .single();
+
+            if (error) throw error;
+            console.log('🛡️ Versicherer angelegt:', data.name);
+            res.status(201).json(data);
+        } catch (error) {
+            sendError(res, req, error, 'Versicherer anlegen fehlgeschlagen');
+        }
+    });
+
+    router.patch('/companies/:id', requireApiKey, async (req, res) => {
+        const values = pickFields(req.body || {}, COMPANY_FIELDS);
+        const invalid = validateCompany(values, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid, request_id: req.requestId });
+
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const { data, error } = await supabase
+                .from('kfz_insurance_companies')
+                .update({ ...values, updated_at: new Date().toISOString() })
+                .eq('tenant_project_id', tenantProjectId)
+                .eq('id', req.params.id)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: 'Versicherer nicht gefunden', request_id: req.requestId });
+            res.json(data);
+        } catch (error) {
+            sendError(res, req, error, 'Versicherer ändern fehlgeschlagen');
+        }
+    });
+
+    // Deaktivieren statt löschen - bestehende Schadenfälle verweisen weiter darauf
+    router.delete('/companies/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const { data, error } = await supabase
+                .from('kfz_insurance_companies')
+                .update({ active: false, updated_at: new Date().toISOString() })
+                .eq('tenant_project_id', tenantProjectId)
+                .eq('id', req.params.id)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: 'Versicherer nicht gefunden', request_id: req.requestId });
+            res.json({ success: true, id: data.id, active: false });
+        } catch (error) {
+            sendError(res, req, error, 'Versicherer deaktivieren fehlgeschlagen');
+        }
+    });
+
+    // ================================
+    // SCHADENFÄLLE
+    // ================================
+
+    /**
+     * GET /api/insurance/claims?project_id=...&status=open&match_status=uncertain
+     */
+    router.get('/claims', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            let query = supabase
+                .from('kfz_insurance_claims')
+                .select('*, kfz_insurance_companies(id, name)')
+                .eq('tenant_project_id', tenantProjectId)
+                .order('created_at', { ascending: false });
+
+            if (req.query.project_id) query = query.eq('project_id', req.query.project_id);
+            if (req.query.status) query = query.eq('status', req.query.status);
+            if (req.query.match_status) query = query.eq('insurer_match_status', req.query.match_status);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            res.json(data || []);
+        } catch (error) {
+            sendError(res, req, error, 'Schadenfälle laden fehlgeschlagen');
+        }
+    });
+
+    router.get('/claims/:id', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const { data, error } = await supabase
+                .from('kfz_insurance_claims')
+                .select('*, kfz_insurance_companies(id, name)')
+                .eq('tenant_project_id', tenantProjectId)
+                .eq('id', req.params.id)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: 'Schadenfall nicht gefunden', request_id: req.requestId });
+            res.json(data);
+        } catch (error) {
+            sendError(res, req, error, 'Schadenfall laden fehlgeschlagen');
+        }
+    });
+
+    router.post('/claims', requireApiKey, async (req, res) => {
+        const values = pickFields(req.body || {}, CLAIM_FIELDS);
+        const invalid = validateClaim(values);
+        if (invalid) return res.status(400).json({ error: invalid, request_id: req.requestId });
+
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const missing = await checkClaimReferences(values, tenantProjectId, supabase);
+            if (missing) return res.status(404).json({ error: missing, request_id: req.requestId });
+
+            const matched = await applyInsurerMatch(values, tenantProjectId, supabase);
+
+            const { data, error } = await supabase
+                .from('kfz_insurance_claims')
+                .insert({ status: 'open', ...matched, tenant_project_id: tenantProjectId, source: 'manual' })
+                .select()
+                .single();
+
+            if (error) throw error;
+            console.log('🛡️ Schadenfall angelegt:', data.claim_number || data.id);
+            res.status(201).json(data);
+        } catch (error) {
+            sendError(res, req, error, 'Schadenfall anlegen fehlgeschlagen');
+        }
+    });
+
+    router.patch('/claims/:id', requireApiKey, async (req, res) => {
+        const values = pickFields(req.body || {}, CLAIM_FIELDS);
+        const invalid = validateClaim(values, { partial: true });
+        if (invalid) return res.status(400).json({ error: invalid, request_id: req.requestId });
+
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const missing = await checkClaimReferences(values, tenantProjectId, supabase);
+            if (missing) return res.status(404).json({ error: missing, request_id: req.requestId });
+
+            const matched = await applyInsurerMatch(values, tenantProjectId, supabase);
+
+            const { data, error } = await supabase
+                .from('kfz_insurance_claims')
+                .update({ ...matched, updated_at: new Date().toISOString() })
+                .eq('tenant_project_id', tenantProjectId)
+                .eq('id', req.params.id)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: 'Schadenfall nicht gefunden', request_id: req.requestId });
+            console.log('✏️ Schadenfall korrigiert:', data.id);
+            res.json(data);
+        } catch (error) {
+            sendError(res, req, error, 'Schadenfall ändern fehlgeschlagen');
+        }
+    });
+
+    router.delete('/claims/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const { data, error } = await supabase
+                .from('kfz_insurance_claims')
+                .delete()
+                .eq('tenant_project_id', tenantProjectId)
+                .eq('id', req.params.id)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return res.status(404).json({ error: 'Schadenfall nicht gefunden', request_id: req.requestId });
+            res.json({ success: true, id: data.id });
+        } catch (error) {
+            sendError(res, req, error, 'Schadenfall löschen fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createInsuranceRoutes };
@@ -0,0 +1,90 @@
+// ================================
+// PROJECT ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const {
+    describeWorkflow,
+    listProjects,
+    getProjectDetails,
+    getProjectHistory,
+    updateProject,
+    transitionProjectStatus
+} = require('../lib/projectWorkflow');
+
+/**
+ * Router für /api/projects
+ * @param {Object} supabase - Supabase Client
+ */
+function createProjectRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * GET /api/projects?page=1&page_size=25&status=new,appointment_scheduled&search=P-2026
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await listProjects(tenantProjectId, supabase, req.query));
+        } catch (error) {
+            sendError(res, req, error, 'Projects API Error');
+        }
+    });
+
+    /**
+     * GET /api/projects/workflow
+     * Status mit Label und erlaubten Folgestatus
+     */
+    router.get('/workflow', (req, res) => {
+        res.json(describeWorkflow());
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getProjectDetails(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Projekt laden fehlgeschlagen');
+        }
+    });
+
+    router.patch('/:id', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await updateProject(req.params.id, req.body, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Projekt aktualisieren fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/projects/:id/status
+     * Body: { status, reason } - reason ist bei Stornierung Pflicht, changed_by kommt aus dem API-Schlüssel
+     */
+    router.post('/:id/status', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const result = await transitionProjectStatus(req.params.id, { ...req.body, changed_by: req.actor }, tenantProjectId, supabase);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, req, error, 'Statuswechsel fehlgeschlagen');
+        }
+    });
+
+    router.get('/:id/history', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getProjectHistory(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Statusverlauf laden fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createProjectRoutes };
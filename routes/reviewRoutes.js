@@ -0,0 +1,96 @@
+// ================================
+// MANUAL REVIEW ROUTES
+// ================================
+
+const express = require('express');
+
+const { getTenantProjectId } = require('../lib/businessLogic');
+const { sendError } = require('../lib/httpErrors');
+const { requireApiKey } = require('../lib/apiKeyAuth');
+const {
+    listPendingReviews,
+    getReviewCall,
+    resolveManualReview,
+    dismissManualReview
+} = require('../lib/manualReview');
+
+/**
+ * Router für /api/review
+ * Abschließen und Verwerfen erfordern den Header x-api-key; Bearbeiter ist der Inhaber des Schlüssels
+ * @param {Object} supabase - Supabase Client
+ */
+function createReviewRoutes(supabase) {
+    const router = express.Router();
+
+    /**
+     * GET /api/review/calls?limit=50&offset=0
+     * Offene Fälle, älteste zuerst
+     */
+    router.get('/calls', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+            const result = await listPendingReviews(tenantProjectId, supabase, { limit, offset });
+            res.json({ ...result, limit, offset });
+        } catch (error) {
+            sendError(res, req, error, 'Review-Warteschlange laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * GET /api/review/calls/:id
+     * Transkript und teilweise extrahierte Daten
+     */
+    router.get('/calls/:id', async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            res.json(await getReviewCall(req.params.id, tenantProjectId, supabase));
+        } catch (error) {
+            sendError(res, req, error, 'Review-Fall laden fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/review/calls/:id/resolve
+     * Body: { corrections: { name, phone, address, appointment, type, ... }, notes }
+     */
+    router.post('/calls/:id/resolve', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const result = await resolveManualReview(req.params.id, { ...req.body, reviewed_by: req.actor }, tenantProjectId, supabase);
+
+            res.json({
+                success: true,
+                call_id: result.call.id,
+                customer: result.customer.customer_number,
+                project: result.project.project_number,
+                appointment_scheduled: !!result.appointment,
+                reviewed_by: result.call.reviewed_by,
+                reviewed_at: result.call.reviewed_at
+            });
+        } catch (error) {
+            sendError(res, req, error, 'Review-Fall abschließen fehlgeschlagen');
+        }
+    });
+
+    /**
+     * POST /api/review/calls/:id/dismiss
+     * Body: { notes }
+     */
+    router.post('/calls/:id/dismiss', requireApiKey, async (req, res) => {
+        try {
+            const tenantProjectId = await getTenantProjectId(supabase);
+            const call = await dismissManualReview(req.params.id, { ...req.body, reviewed_by: req.actor }, tenantProjectId, supabase);
+
+            res.json({ success: true, call_id: call.id, reviewed_by: call.reviewed_by, reviewed_at: call.reviewed_at });
+        } catch (error) {
+            sendError(res, req, error, 'Review-Fall verwerfen fehlgeschlagen');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createReviewRoutes };
@@ -97,7 +97,7 @@ router.get('/notification', async (req, res) => {
         const mockExtractedData = {
             confidence_score: 0.95,
             damage_description: 'Frontalschaden nach Auffahrunfall',
-            vehicle_info: 'BMW 320d, Bj. 2020',
+            vehicle: { make: 'BMW', model: '320d', license_plate: 'BI-AB 1234', year: 2020, mileage: 85000 },
             source: 'API Test'
         };
         
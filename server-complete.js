@@ -7,16 +7,26 @@ const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
 // Import our modular libraries
-const { extractCustomerDataIntelligent } = require('./lib/dataExtraction');
+const { extractCustomerDataIntelligent, extractFromCallAnalysis } = require('./lib/dataExtraction');
 const {
     getTenantProjectId,
     createOrUpdateCustomer,
     createProject,
+    upsertCallRecord,
     saveCallRecord,
     scheduleAppointment,
     logAnalyticsEvent
 } = require('./lib/businessLogic');
 
+// Import Retell call lifecycle handling
+const {
+    RETELL_EVENTS,
+    normalizeRetellPayload,
+    recordCallStarted,
+    recordCallEnded,
+    recordCallAnalyzed
+} = require('./lib/retellEvents');
+
 // Import performance monitoring
 const {
     requestMonitoringMiddleware,
@@ -28,9 +38,44 @@ const {
     monitor
 } = require('./lib/performanceMiddleware');
 
+// Import idempotent webhook processing
+const {
+    claimCallProcessing,
+    recordProcessingStep,
+    completeCallProcessing,
+    failCallProcessing,
+    reopenCallProcessing,
+    loadStepRecord
+} = require('./lib/webhookProcessing');
+
+// Import Retell webhook authentication
+const { retellWebhookAuthMiddleware } = require('./lib/retellWebhookAuth');
+
 // Import test routes for calendar and email testing
 const testRoutes = require('./routes/testRoutes');
 
+// Import customer routes
+const { createCustomerRoutes } = require('./routes/customerRoutes');
+
+// Import project routes (Status-Workflow)
+const { createProjectRoutes } = require('./routes/projectRoutes');
+const { advanceProjectStatus } = require('./lib/projectWorkflow');
+
+// Import appointment routes (bestätigen, verschieben, absagen, abschließen)
+const { createAppointmentRoutes } = require('./routes/appointmentRoutes');
+
+// Import availability routes (Öffnungszeiten, Feiertage, Sperrzeiten)
+const { createAvailabilityRoutes } = require('./routes/availabilityRoutes');
+
+// Import insurance routes (Versicherer & Schadenfälle)
+const { createInsuranceRoutes } = require('./routes/insuranceRoutes');
+
+// Import manual review routes
+const { createReviewRoutes } = require('./routes/reviewRoutes');
+
+// Import extraction feedback routes (Korrekturen als Trainingsdaten)
+const { createFeedbackRoutes } = require('./routes/feedbackRoutes');
+
 const app = express();
 
 // ================================
@@ -48,7 +93,13 @@ app.use(helmet({
 }));
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Raw Body für die Retell Signaturprüfung aufbewahren
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
@@ -212,7 +263,7 @@ app.get('/health', async (req, res) => {
         try {
             healthData.services.retell = {
                 status: process.env.RETELL_API_KEY ? 'healthy' : 'warning',
-                message: process.env.RETELL_API_KEY ? 'API key configured' : 'API key missing',
+                message: process.env.RETELL_API_KEY ? 'API key configured, webhook signatures verified' : 'API key missing - webhook deliveries are rejected',
                 webhookUrl: req.protocol + '://' + req.get('host') + '/api/retell/webhook'
             };
         } catch (retellError) {
@@ -275,36 +326,47 @@ app.get('/health', async (req, res) => {
 // ================================
 // ENHANCED RETELL WEBHOOK WITH MONITORING
 // ================================
-app.post('/api/retell/webhook', async (req, res) => {
+
+// call_ended: Extraktion und Kunden-/Projekt-/Terminanlage (idempotent pro retell_call_id)
+async function processCallEnded(req, res, call, tenantProjectId) {
+    const { call_id, transcript, duration_seconds } = call;
+    let processing = null;
+    
     try {
-        markPhase(req, 'webhook_received');
-        
-        const { call_id, transcript, duration_seconds, call_status } = req.body;
+        markPhase(req, 'call_ended_record');
+        await recordCallEnded(call, tenantProjectId, supabase);
         
-        console.log('📞 Enhanced Retell Webhook with Performance Monitoring:', { 
-            call_id, 
-            call_status, 
-            duration: duration_seconds,
-            transcript_length: transcript?.length || 0,
-            requestId: req.requestId
-        });
+        // 1. IDEMPOTENCY: one processing record per retell_call_id
+        markPhase(req, 'idempotency_check');
+        const claim = await claimCallProcessing(call_id, tenantProjectId, supabase);
         
-        markPhase(req, 'tenant_lookup_start');
-        const dbMonitor = monitorDatabaseOperation(req.requestId, 'SELECT', 'tenant_projects');
-        dbMonitor.start();
-        
-        const tenantProjectId = await getTenantProjectId(supabase);
-        dbMonitor.end(!!tenantProjectId, tenantProjectId ? 1 : 0);
+        if (claim.state === 'completed') {
+            console.log('♻️ Wiederholte Zustellung - sende Original-Antwort für Call', call_id);
+            res.set('X-Idempotent-Replay', 'true');
+            return res.json(claim.record.response);
+        }
         
-        if (!tenantProjectId) {
-            throw new Error('KFZ-Sachverständiger Projekt nicht gefunden');
+        if (claim.state === 'in_progress') {
+            console.log('⏳ Call wird bereits verarbeitet:', call_id);
+            return res.status(409).json({
+                error: 'Call wird bereits verarbeitet',
+                call_id,
+                timestamp: new Date().toISOString(),
+                request_id: req.requestId
+            });
         }
         
+        processing = claim.record;
+        const steps = processing.steps || {};
+        
         markPhase(req, 'extraction_start');
         
         // Monitor extraction with wrapper
         const monitoredExtraction = monitorExtraction(req.requestId, extractCustomerDataIntelligent);
-        let extractedData = monitoredExtraction(transcript);
+        let extractedData = await monitoredExtraction(transcript, {
+            callAnalysis: call.call_analysis,
+            transcriptObject: call.transcript_object
+        });
         
         markPhase(req, 'extraction_complete');
         
@@ -316,7 +378,13 @@ app.post('/api/retell/webhook', async (req, res) => {
             const customerDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT/UPDATE', 'kfz_customers');
             customerDbMonitor.start();
             
-            const customer = await createOrUpdateCustomer(extractedData, tenantProjectId, supabase);
+            let customer;
+            if (steps.customer_id) {
+                customer = await loadStepRecord('kfz_customers', steps.customer_id, supabase);
+            } else {
+                customer = await createOrUpdateCustomer(extractedData, tenantProjectId, supabase);
+                await recordProcessingStep(processing, { customer_id: customer.id }, supabase);
+            }
             customerDbMonitor.end(!!customer, 1);
             
             markPhase(req, 'project_creation_start');
@@ -325,50 +393,64 @@ app.post('/api/retell/webhook', async (req, res) => {
             const projectDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_projects');
             projectDbMonitor.start();
             
-            const project = await createProject(customer, extractedData, tenantProjectId, supabase);
+            let project;
+            if (steps.project_id) {
+                project = await loadStepRecord('kfz_projects', steps.project_id, supabase);
+            } else {
+                project = await createProject(customer, extractedData, tenantProjectId, supabase);
+                await recordProcessingStep(processing, { project_id: project.id }, supabase);
+            }
             projectDbMonitor.end(!!project, 1);
             
             markPhase(req, 'call_record_start');
             
-            // Monitor call record saving
-            const callDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_calls');
-            callDbMonitor.start();
-            
-            await saveCallRecord(
-                call_id, 
-                transcript, 
-                duration_seconds, 
-                customer.id, 
-                project.id, 
-                extractedData, 
-                tenantProjectId,
-                supabase
-            );
-            callDbMonitor.end(true, 1);
+            if (!steps.call_record_saved) {
+                // Monitor call record saving
+                const callDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_calls');
+                callDbMonitor.start();
+                
+                await saveCallRecord(
+                    call_id, 
+                    transcript, 
+                    duration_seconds, 
+                    customer.id, 
+                    project.id, 
+                    extractedData, 
+                    tenantProjectId,
+                    supabase
+                );
+                callDbMonitor.end(true, 1);
+                await recordProcessingStep(processing, { call_record_saved: true }, supabase);
+            }
             
             markPhase(req, 'analytics_start');
             
-            // Enhanced analytics with performance context
-            await logAnalyticsEvent(
-                'call_completed_enhanced', 
-                tenantProjectId, 
-                project.id, 
-                customer.id,
-                { 
-                    call_type: extractedData.type,
-                    duration_seconds,
-                    retell_call_id: call_id,
-                    extraction_method: 'advanced_multi_layer',
-                    confidence_score: extractedData.confidence_score || 0,
-                    request_id: req.requestId,
-                    processing_time: Date.now() - req.startTime
-                },
-                supabase
-            );
+            if (!steps.call_completed_logged) {
+                // Enhanced analytics with performance context
+                await logAnalyticsEvent(
+                    'call_completed_enhanced', 
+                    tenantProjectId, 
+                    project.id, 
+                    customer.id,
+                    { 
+                        call_type: extractedData.type,
+                        duration_seconds,
+                        retell_call_id: call_id,
+                        extraction_method: extractedData.extraction_details?.method || 'strategy_fusion',
+                        confidence_score: extractedData.confidence_score || 0,
+                        request_id: req.requestId,
+                        processing_time: Date.now() - req.startTime
+                    },
+                    supabase
+                );
+                await recordProcessingStep(processing, { call_completed_logged: true }, supabase);
+            }
             
             // Handle appointments
             let appointment = null;
-            if (extractedData.type === 'APPOINTMENT' && extractedData.address) {
+            if (steps.appointment_id) {
+                appointment = await loadStepRecord('kfz_appointments', steps.appointment_id, supabase);
+            } else if (extractedData.type === 'APPOINTMENT' && extractedData.address) {
                 markPhase(req, 'appointment_scheduling_start');
                 
                 const appointmentDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_appointments');
@@ -378,6 +460,9 @@ app.post('/api/retell/webhook', async (req, res) => {
                 appointmentDbMonitor.end(!!appointment, appointment ? 1 : 0);
                 
                 if (appointment) {
+                    await recordProcessingStep(processing, { appointment_id: appointment.id }, supabase);
+                    project = await advanceProjectStatus(project, 'appointment_scheduled', 'system', tenantProjectId, supabase) || project;
+                    
                     await logAnalyticsEvent(
                         'appointment_scheduled_enhanced', 
                         tenantProjectId, 
@@ -395,7 +480,7 @@ app.post('/api/retell/webhook', async (req, res) => {
             }
             
             // Handle callbacks
-            if (extractedData.type === 'CALLBACK') {
+            if (extractedData.type === 'CALLBACK' && !steps.callback_logged) {
                 await logAnalyticsEvent(
                     'callback_requested_enhanced', 
                     tenantProjectId, 
@@ -409,11 +494,12 @@ app.post('/api/retell/webhook', async (req, res) => {
                     },
                     supabase
                 );
+                await recordProcessingStep(processing, { callback_logged: true }, supabase);
             }
             
             markPhase(req, 'response_preparation');
             
-            res.json({ 
+            const responseBody = { 
                 success: true, 
                 message: 'Enhanced webhook processing completed successfully',
                 data: {
@@ -421,12 +507,16 @@ app.post('/api/retell/webhook', async (req, res) => {
                     project: project.project_number,
                     type: extractedData.type,
                     appointment_scheduled: !!appointment,
-                    extraction_method: 'advanced_multi_layer_nlp',
+                    extraction_method: extractedData.extraction_details?.method || 'strategy_fusion',
                     confidence_score: extractedData.confidence_score || 0,
                     processing_time: Date.now() - req.startTime,
+                    processing_attempts: processing.attempts,
                     request_id: req.requestId
                 }
-            });
+            };
+            
+            await completeCallProcessing(processing, responseBody, supabase);
+            res.json(responseBody);
             
         } else {
             // Enhanced fallback handling with monitoring
@@ -434,47 +524,147 @@ app.post('/api/retell/webhook', async (req, res) => {
             
             console.log('⚠️ No valid data extracted with any method');
             
-            const fallbackDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_calls');
-            fallbackDbMonitor.start();
-            
-            await supabase.from('kfz_calls').insert({
-                tenant_project_id: tenantProjectId,
-                retell_call_id: call_id,
-                call_type: 'inbound',
-                duration_seconds: duration_seconds,
-                transcript: transcript,
-                call_purpose: 'data_extraction_failed',
-                call_outcome: 'requires_manual_review',
-                agent_version: 'markus-v3-enhanced',
-                extracted_data: extractedData || { 
-                    extraction_failed: true, 
-                    attempted_methods: ['advanced', 'natural', 'structured'],
-                    request_id: req.requestId
-                }
-            });
-            
-            fallbackDbMonitor.end(true, 1);
+            if (!steps.call_record_saved) {
+                const fallbackDbMonitor = monitorDatabaseOperation(req.requestId, 'INSERT', 'kfz_calls');
+                fallbackDbMonitor.start();
+                
+                await upsertCallRecord(call_id, {
+                    duration_seconds: duration_seconds,
+                    transcript: transcript,
+                    call_purpose: 'data_extraction_failed',
+                    call_outcome: 'requires_manual_review',
+                    review_status: 'pending',
+                    agent_version: 'markus-v3-enhanced',
+                    extracted_data: extractedData || { 
+                        extraction_failed: true, 
+                        attempted_methods: ['advanced', 'natural', 'structured'],
+                        request_id: req.requestId
+                    }
+                }, tenantProjectId, supabase);
+                
+                fallbackDbMonitor.end(true, 1);
+                await recordProcessingStep(processing, { call_record_saved: true }, supabase);
+            }
             
-            res.json({ 
+            const responseBody = { 
                 success: true, 
                 message: 'Call logged for manual review - no extractable data found',
                 data: { 
                     call_id,
                     requires_manual_review: true,
                     extraction_attempted: true,
-                    extraction_methods_tried: ['advanced_nlp', 'natural_language', 'structured_format'],
+                    extraction_methods_tried: extractedData?.extraction_details?.attempted_methods || [],
                     confidence_score: extractedData?.confidence_score || 0,
                     processing_time: Date.now() - req.startTime,
                     request_id: req.requestId
                 }
+            };
+            
+            await completeCallProcessing(processing, responseBody, supabase);
+            res.json(responseBody);
+        }
+        
+    } catch (error) {
+        // Mark as failed so the next Retell retry resumes from the last completed step
+        if (processing) {
+            await failCallProcessing(processing, error, supabase);
+        }
+        throw error;
+    }
+}
+
+app.post('/api/retell/webhook', retellWebhookAuthMiddleware, async (req, res) => {
+    try {
+        markPhase(req, 'webhook_received');
+        
+        const call = normalizeRetellPayload(req.body);
+        
+        console.log('📞 Enhanced Retell Webhook with Performance Monitoring:', { 
+            event: call.event,
+            call_id: call.call_id, 
+            call_status: call.call_status, 
+            duration: call.duration_seconds,
+            transcript_length: call.transcript.length,
+            requestId: req.requestId
+        });
+        
+        if (!call.call_id) {
+            return res.status(400).json({
+                error: 'call_id fehlt',
+                timestamp: new Date().toISOString(),
+                request_id: req.requestId
             });
         }
         
+        markPhase(req, 'tenant_lookup_start');
+        const dbMonitor = monitorDatabaseOperation(req.requestId, 'SELECT', 'tenant_projects');
+        dbMonitor.start();
+        
+        const tenantProjectId = await getTenantProjectId(supabase);
+        dbMonitor.end(!!tenantProjectId, tenantProjectId ? 1 : 0);
+        
+        if (!tenantProjectId) {
+            throw new Error('KFZ-Sachverständiger Projekt nicht gefunden');
+        }
+        
+        switch (call.event) {
+            case RETELL_EVENTS.CALL_STARTED: {
+                markPhase(req, 'call_started_record');
+                const callRecord = await recordCallStarted(call, tenantProjectId, supabase);
+                return res.json({
+                    success: true,
+                    event: call.event,
+                    call_id: call.call_id,
+                    call_record_id: callRecord.id,
+                    request_id: req.requestId
+                });
+            }
+            
+            case RETELL_EVENTS.CALL_ENDED:
+                return await processCallEnded(req, res, call, tenantProjectId);
+            
+            case RETELL_EVENTS.CALL_ANALYZED: {
+                markPhase(req, 'call_analyzed_merge');
+                const callRecord = await recordCallAnalyzed(call, tenantProjectId, supabase);
+                
+                // Calls ohne Kundendaten mit der strukturierten Retell Analyse erneut verarbeiten
+                const analysisData = extractFromCallAnalysis(call.call_analysis);
+                if (!callRecord.customer_id && analysisData?.name && analysisData?.phone) {
+                    await reopenCallProcessing(call.call_id, supabase);
+                    return await processCallEnded(req, res, {
+                        ...call,
+                        transcript: call.transcript || callRecord.transcript || '',
+                        duration_seconds: call.duration_seconds ?? callRecord.duration_seconds
+                    }, tenantProjectId);
+                }
+                
+                return res.json({
+                    success: true,
+                    event: call.event,
+                    call_id: call.call_id,
+                    call_record_id: callRecord.id,
+                    analysis_merged: true,
+                    request_id: req.requestId
+                });
+            }
+            
+            default:
+                // Unbekannte Events bestätigen, damit Retell nicht erneut zustellt
+                console.log('ℹ️ Unbekanntes Retell Event ignoriert:', call.event);
+                return res.json({
+                    success: true,
+                    event: call.event,
+                    ignored: true,
+                    request_id: req.requestId
+                });
+        }
+        
     } catch (error) {
         console.error('❌ Enhanced Webhook Error:', error);
         res.status(500).json({ 
             error: error.message,
-            call_id: req.body.call_id,
+            call_id: req.body?.call?.call_id || req.body?.call_id,
+            event: req.body?.event,
             timestamp: new Date().toISOString(),
             request_id: req.requestId
         });
@@ -519,7 +709,8 @@ app.get('/api/dashboard', async (req, res) => {
                 .gte('scheduled_date', new Date().toISOString()),
             
             supabase.from('kfz_customers').select('*', { count: 'exact', head: true })
-                .eq('tenant_project_id', tenantProjectId),
+                .eq('tenant_project_id', tenantProjectId)
+                .is('deleted_at', null),
             
             supabase.from('kfz_calls')
                 .select('extracted_data')
@@ -609,41 +800,17 @@ app.get('/api/dashboard', async (req, res) => {
     }
 });
 
-// Get customers
-app.get('/api/customers', async (req, res) => {
-    try {
-        const tenantProjectId = await getTenantProjectId(supabase);
-        const { data, error } = await supabase
-            .from('kfz_customers')
-            .select('*')
-            .eq('tenant_project_id', tenantProjectId)
-            .order('created_at', { ascending: false });
-        
-        if (error) throw error;
-        res.json(data || []);
-    } catch (error) {
-        console.error('Customers API Error:', error);
-        res.status(500).json({ error: error.message, request_id: req.requestId });
-    }
-});
+// Kunden: Liste, Bearbeiten, Soft-Delete, Zusammenführen
+app.use('/api/customers', createCustomerRoutes(supabase));
 
-// Get projects
-app.get('/api/projects', async (req, res) => {
-    try {
-        const tenantProjectId = await getTenantProjectId(supabase);
-        const { data, error } = await supabase
-            .from('kfz_projects')
-            .select('*')
-            .eq('tenant_project_id', tenantProjectId)
-            .order('created_at', { ascending: false });
-        
-        if (error) throw error;
-        res.json(data || []);
-    } catch (error) {
-        console.error('Projects API Error:', error);
-        res.status(500).json({ error: error.message, request_id: req.requestId });
-    }
-});
+// Projekte: Liste, Details, Status-Workflow mit Verlauf
+app.use('/api/projects', createProjectRoutes(supabase));
+
+// Termine: Liste nach Zeitraum, Bestätigen, Verschieben, Absagen, Abschließen
+app.use('/api/appointments', createAppointmentRoutes(supabase));
+
+// Verfügbarkeit: Öffnungszeiten, Feiertage, gesperrte Zeiträume
+app.use('/api/availability', createAvailabilityRoutes(supabase));
 
 // Get calls
 app.get('/api/calls', async (req, res) => {
@@ -663,6 +830,15 @@ app.get('/api/calls', async (req, res) => {
     }
 });
 
+// Versicherer & Schadenfälle (Korrektur durch das Büro)
+app.use('/api/insurance', createInsuranceRoutes(supabase));
+
+// Manuelle Nachbearbeitung gescheiterter Extraktionen
+app.use('/api/review', createReviewRoutes(supabase));
+
+// Korrekturen, Fehlerquoten je Methode und Fixture-Export
+app.use('/api/feedback', createFeedbackRoutes(supabase));
+
 // Performance monitoring endpoints
 app.get('/api/performance', (req, res) => {
     const report = monitor.getPerformanceReport();
@@ -688,7 +864,26 @@ app.get('/api/info', (req, res) => {
             dashboard: '/api/dashboard',
             customers: '/api/customers',
             projects: '/api/projects',
+            project_workflow: '/api/projects/workflow',
+            appointments: '/api/appointments',
+            availability: {
+                settings: '/api/availability/settings',
+                holidays: '/api/availability/holidays',
+                blocked_periods: '/api/availability/blocked-periods',
+                check: '/api/availability/check',
+                suggestions: '/api/availability/suggestions'
+            },
             calls: '/api/calls',
+            insurance: {
+                companies: '/api/insurance/companies',
+                claims: '/api/insurance/claims'
+            },
+            review: '/api/review/calls',
+            feedback: {
+                samples: '/api/feedback/samples',
+                method_errors: '/api/feedback/method-errors',
+                fixtures: '/api/feedback/fixtures'
+            },
             performance: '/api/performance',
             metrics: '/api/metrics',
             test: {
@@ -733,8 +928,25 @@ app.use('*', (req, res) => {
             'POST /api/retell/webhook',
             'GET /api/dashboard',
             'GET /api/customers',
+            'GET /api/customers/duplicates',
+            'GET /api/customers/duplicate-candidates',
             'GET /api/projects',
+            'GET /api/projects/workflow',
+            'POST /api/projects/:id/status',
+            'GET /api/appointments',
+            'POST /api/appointments/:id/confirm',
+            'POST /api/appointments/:id/reschedule',
+            'POST /api/appointments/:id/cancel',
+            'POST /api/appointments/:id/complete',
+            'GET /api/availability/settings',
+            'GET /api/availability/holidays',
+            'GET /api/availability/blocked-periods',
+            'GET /api/availability/check',
             'GET /api/calls',
+            'GET /api/insurance/companies',
+            'GET /api/insurance/claims',
+            'GET /api/review/calls',
+            'GET /api/feedback/method-errors',
             'GET /api/performance',
             'GET /api/metrics',
             'GET /api/test/email',
@@ -20,7 +20,8 @@ async function fixDatabasePermissions() {
       'kfz_damages', 'kfz_insurance_companies', 'kfz_insurance_claims',
       'kfz_accident_reports', 'kfz_project_files', 'kfz_analytics_events',
       'kfz_chatbot_conversations', 'kfz_chatbot_messages', 'kfz_knowledge_articles',
-      'kfz_scraped_sources', 'kfz_scraped_content', 'kfz_scraping_jobs'
+      'kfz_scraped_sources', 'kfz_scraped_content', 'kfz_scraping_jobs',
+      'kfz_webhook_processing'
     ];
     
     for (const table of disableRLS) {
@@ -0,0 +1,48 @@
+// ================================
+// API KEY AUTH TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadApiKeys, requireApiKey } = require('../lib/apiKeyAuth');
+
+function run(env, headers = {}) {
+    const previous = { keys: process.env.ADMIN_API_KEYS, key: process.env.ADMIN_API_KEY };
+    const restore = (name, value) => (value === undefined ? delete process.env[name] : (process.env[name] = value));
+    restore('ADMIN_API_KEYS', env.ADMIN_API_KEYS);
+    restore('ADMIN_API_KEY', env.ADMIN_API_KEY);
+
+    const req = { method: 'POST', originalUrl: '/test', get: name => headers[name] };
+    const res = { statusCode: 200, body: null, status(code) { this.statusCode = code; return this; }, json(body) { this.body = body; return this; } };
+    let passed = false;
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        requireApiKey(req, res, () => { passed = true; });
+    } finally {
+        console.warn = originalWarn;
+        restore('ADMIN_API_KEYS', previous.keys);
+        restore('ADMIN_API_KEY', previous.key);
+    }
+    return { passed, actor: req.actor, status: res.statusCode, reason: res.body && res.body.reason };
+}
+
+test('Benannte Schlüssel und gemeinsamer Schlüssel werden gelesen', () => {
+    assert.deepEqual(loadApiKeys({ ADMIN_API_KEYS: 'anna:k1, bernd:k2,kaputt', ADMIN_API_KEY: 'k3' }), [
+        { actor: 'anna', key: 'k1' },
+        { actor: 'bernd', key: 'k2' },
+        { actor: 'admin', key: 'k3' }
+    ]);
+});
+
+test('Bearbeiter kommt aus dem Schlüssel, nicht aus dem Request', () => {
+    const env = { ADMIN_API_KEYS: 'anna:k1,bernd:k2' };
+
+    assert.deepEqual(run(env, { 'x-api-key': 'k2' }), { passed: true, actor: 'bernd', status: 200, reason: null });
+    assert.equal(run(env, {}).status, 401);
+    assert.equal(run(env, { 'x-api-key': 'falsch' }).status, 403);
+    assert.equal(run({}, { 'x-api-key': 'k1' }).reason, 'api_key_not_configured');
+});
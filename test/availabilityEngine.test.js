@@ -0,0 +1,149 @@
+// ================================
+// AVAILABILITY ENGINE TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    appointmentInterval,
+    intervalsOverlap,
+    findConflicts,
+    conflictSearchWindow,
+    selectSuggestions,
+    MAX_APPOINTMENT_MINUTES
+} = require('../lib/availabilityEngine');
+
+// Mittwoch, 21.10.2026 (MESZ, UTC+2)
+const at = (hour, minute = 0) => new Date(Date.UTC(2026, 9, 21, hour - 2, minute));
+
+const appointment = (id, hour, minute, durationMinutes, status = 'scheduled') => ({
+    id,
+    scheduled_date: at(hour, minute).toISOString(),
+    duration_minutes: durationMinutes,
+    status
+});
+
+const ids = conflicts => conflicts.map(conflict => conflict.id);
+
+test('Termin, der vor dem Wunschtermin beginnt und hineinragt, blockiert', () => {
+    // 9:30-10:30 gegen Wunsch 10:00-11:00 - die alte Abfrage (Beginn im Fenster) übersah das
+    const existing = [appointment('a', 9, 30, 60)];
+    assert.deepEqual(ids(findConflicts(at(10), 60, existing)), ['a']);
+});
+
+test('Termin, der innerhalb des Wunschzeitraums beginnt, blockiert', () => {
+    const existing = [appointment('a', 10, 30, 30)];
+    assert.deepEqual(ids(findConflicts(at(10), 60, existing)), ['a']);
+});
+
+test('Langer Termin, der den Wunschtermin vollständig umschließt, blockiert', () => {
+    const existing = [appointment('a', 8, 0, 240)];
+    assert.deepEqual(ids(findConflicts(at(10), 30, existing)), ['a']);
+});
+
+test('Direkt anschließende Termine kollidieren ohne Puffer nicht', () => {
+    const existing = [appointment('before', 9, 0, 60), appointment('after', 11, 0, 60)];
+    assert.deepEqual(findConflicts(at(10), 60, existing), []);
+});
+
+test('Puffer verhindert direkt anschließende Termine auf beiden Seiten', () => {
+    const before = [appointment('before', 9, 0, 60)];
+    const after = [appointment('after', 11, 0, 60)];
+
+    assert.deepEqual(ids(findConflicts(at(10), 60, before, { bufferMinutes: 15 })), ['before']);
+    assert.deepEqual(ids(findConflicts(at(10), 60, after, { bufferMinutes: 15 })), ['after']);
+});
+
+test('Puffer ist genau eingehalten, wenn der Abstand ihm entspricht', () => {
+    const existing = [appointment('before', 9, 0, 45), appointment('after', 11, 15, 60)];
+    assert.deepEqual(findConflicts(at(10), 60, existing, { bufferMinutes: 15 }), []);
+});
+
+test('Fehlende Dauer zählt als 60 Minuten', () => {
+    const existing = [{ id: 'a', scheduled_date: at(9, 30).toISOString(), status: 'scheduled' }];
+    assert.deepEqual(ids(findConflicts(at(10), 30, existing)), ['a']);
+    assert.deepEqual(findConflicts(at(10, 30), 30, existing), []);
+});
+
+test('Vorläufige Termine blockieren standardmäßig, abschaltbar', () => {
+    const existing = [appointment('hold', 10, 0, 60, 'tentative')];
+
+    assert.deepEqual(ids(findConflicts(at(10), 60, existing)), ['hold']);
+    assert.deepEqual(findConflicts(at(10), 60, existing, { tentativeHoldsBlock: false }), []);
+});
+
+test('Abgesagte und abgeschlossene Termine blockieren nicht', () => {
+    const existing = [
+        appointment('cancelled', 10, 0, 60, 'cancelled'),
+        appointment('completed', 10, 0, 60, 'completed')
+    ];
+    assert.deepEqual(findConflicts(at(10), 60, existing), []);
+});
+
+test('Beim Verschieben wird der Termin selbst ignoriert', () => {
+    const existing = [appointment('self', 10, 0, 60), appointment('other', 11, 0, 60)];
+
+    assert.deepEqual(findConflicts(at(10, 0), 60, existing, { excludeAppointmentId: 'self' }), []);
+    assert.deepEqual(ids(findConflicts(at(10, 30), 60, existing, { excludeAppointmentId: 'self' })), ['other']);
+});
+
+test('Konflikte sind nach Beginn sortiert, ungültige Daten werden übersprungen', () => {
+    const existing = [
+        appointment('late', 10, 45, 30),
+        { id: 'broken', scheduled_date: 'kein Datum', duration_minutes: 60, status: 'scheduled' },
+        appointment('early', 9, 30, 60)
+    ];
+    assert.deepEqual(ids(findConflicts(at(10), 60, existing)), ['early', 'late']);
+});
+
+test('Intervalle sind halb-offen', () => {
+    assert.equal(intervalsOverlap({ start: 0, end: 10 }, { start: 10, end: 20 }), false);
+    assert.equal(intervalsOverlap({ start: 0, end: 11 }, { start: 10, end: 20 }), true);
+    assert.equal(intervalsOverlap({ start: 5, end: 6 }, { start: 0, end: 20 }), true);
+});
+
+test('Belegtes Intervall enthält Puffer vor und nach dem Termin', () => {
+    const interval = appointmentInterval(appointment('a', 10, 0, 60), 15);
+    assert.equal(interval.start, at(9, 45).getTime());
+    assert.equal(interval.end, at(11, 15).getTime());
+});
+
+test('Termine über den Wechsel auf Winterzeit werden in echter Dauer gerechnet', () => {
+    // 25.10.2026: 03:00 MESZ → 02:00 MEZ; 01:30 MESZ + 90 Min. = 02:00 MEZ (UTC 01:00)
+    const existing = [{ id: 'night', scheduled_date: '2026-10-24T23:30:00.000Z', duration_minutes: 90, status: 'scheduled' }];
+
+    assert.deepEqual(ids(findConflicts(new Date('2026-10-25T00:30:00.000Z'), 30, existing)), ['night']);
+    assert.deepEqual(findConflicts(new Date('2026-10-25T01:00:00.000Z'), 30, existing), []);
+});
+
+test('Suchfenster reicht um die maximale Termindauer und den Puffer zurück', () => {
+    const window = conflictSearchWindow(at(10), at(11), 15);
+    assert.equal(window.from.getTime(), at(10).getTime() - (MAX_APPOINTMENT_MINUTES + 15) * 60000);
+    assert.equal(window.to.getTime(), at(11, 15).getTime());
+});
+
+test('Vorschläge: bevorzugte Slots zuerst, je Tag begrenzt und ohne Überschneidung', () => {
+    const slot = (day, hour, minute, preferred = false) => ({
+        date: new Date(Date.UTC(2026, 9, day, hour - 2, minute)),
+        dayKey: `2026-10-${day}`,
+        preferred
+    });
+    const candidates = [
+        slot(21, 8, 0), slot(21, 8, 30), slot(21, 9, 0),
+        slot(22, 8, 0),
+        slot(23, 14, 0, true), slot(23, 14, 30, true), slot(23, 15, 0, true)
+    ];
+
+    const plain = selectSuggestions(candidates.map(candidate => ({ ...candidate, preferred: false })), { count: 3, perDay: 2, durationMinutes: 60 });
+    assert.deepEqual(plain.map(candidate => candidate.date.toISOString()), [
+        '2026-10-21T06:00:00.000Z', '2026-10-21T07:00:00.000Z', '2026-10-22T06:00:00.000Z'
+    ]);
+
+    const clustered = selectSuggestions(candidates, { count: 3, perDay: 2, durationMinutes: 60 });
+    assert.deepEqual(clustered.map(candidate => candidate.date.toISOString()), [
+        '2026-10-21T06:00:00.000Z', '2026-10-23T12:00:00.000Z', '2026-10-23T13:00:00.000Z'
+    ]);
+});
@@ -0,0 +1,77 @@
+// ================================
+// CUSTOMER MATCHING TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    colognePhonetic,
+    namePhonetics,
+    splitName,
+    scoreCustomerMatch,
+    matchDecision
+} = require('../lib/customerMatching');
+
+const customer = (firstName, lastName, phone = '0521 1234567') => ({
+    first_name: firstName,
+    last_name: lastName,
+    phone,
+    ...namePhonetics(firstName, lastName)
+});
+
+const decide = (caller, existing) => {
+    const result = scoreCustomerMatch(caller, existing);
+    return { ...result, decision: matchDecision(result) };
+};
+
+test('Kölner Phonetik fasst Schreibvarianten zusammen', () => {
+    assert.equal(colognePhonetic('Meier'), colognePhonetic('Mayer'));
+    assert.equal(colognePhonetic('Maier'), '67');
+});
+
+test('Ein einzelnes Wort gilt als Nachname', () => {
+    assert.deepEqual(splitName('Becker'), { first_name: '', last_name: 'Becker' });
+    assert.deepEqual(splitName('Thomas Becker'), { first_name: 'Thomas', last_name: 'Becker' });
+});
+
+test('Gleiche Nummer allein verknüpft mit dem Bestandskunden', () => {
+    const result = decide({ phone: '+49 521 1234567' }, customer('Thomas', 'Becker'));
+
+    assert.deepEqual(result.signals, ['phone']);
+    assert.equal(result.score, 0.7);
+    assert.equal(result.decision, 'linked');
+});
+
+test('Gleiche Nummer und Nachname mit anderem Vornamen verknüpft', () => {
+    const result = decide({ name: 'Tom Becker', phone: '0521/1234567' }, customer('Thomas', 'Becker'));
+
+    assert.deepEqual(result.signals, ['phone', 'last_name']);
+    assert.equal(result.score, 0.775);
+    assert.equal(result.decision, 'linked');
+});
+
+test('Nur Nachname genannt: Nachname wird verglichen', () => {
+    const result = decide({ name: 'Becker', phone: '0521 1234567' }, customer('Thomas', 'Becker'));
+
+    assert.deepEqual(result.signals, ['phone', 'last_name']);
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(result.decision, 'linked');
+});
+
+test('Gleiche Nummer mit anderem Nachnamen geht zur Prüfung', () => {
+    const result = decide({ name: 'Anna Schulte', phone: '0521 1234567' }, customer('Thomas', 'Becker'));
+
+    assert.deepEqual(result.conflicts, ['name']);
+    assert.equal(result.score, 0.42);
+    assert.equal(result.decision, 'review');
+});
+
+test('Name allein ohne Nummer verknüpft nicht automatisch', () => {
+    const result = decide({ name: 'Thomas Becker', phone: '0170 9999999' }, customer('Thomas', 'Becker'));
+
+    assert.deepEqual(result.signals, ['full_name']);
+    assert.equal(result.decision, 'review');
+});
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// ================================
+// EXTRACTION SCORING HARNESS
+// ================================
+
+// Bewertet die Extraktionsmethoden gegen test/fixtures/transcripts.json und
+// gibt Precision / Recall pro Feld und Methode aus. Läuft komplett offline.
+//
+//   npm run test:extraction
+//   node test/extraction-score.js --verbose            (Abweichungen anzeigen)
+//   node test/extraction-score.js --fixtures <datei>   (anderes Korpus)
+//   node test/extraction-score.js --json               (Ergebnis als JSON)
+//
+// Exportierte Korrekturen (GET /api/feedback/fixtures) bringen pro Fixture ein
+// eigenes reference_now mit, das Vorrang vor dem Korpus-Wert hat.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    extractCustomerDataAdvanced,
+    extractCustomerDataNatural,
+    extractCustomerData,
+    extractCustomerDataIntelligent,
+    normalizePhoneNumber
+} = require('../lib/dataExtraction');
+const { parseGermanAddress } = require('../lib/addressParser');
+const { parseGermanDateTime, getZonedParts } = require('../lib/germanDateParser');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'transcripts.json');
+
+const FIELDS = ['name', 'phone', 'address', 'appointment', 'type'];
+
+const METHODS = {
+    advanced: transcript => extractCustomerDataAdvanced(transcript),
+    natural: transcript => extractCustomerDataNatural(transcript),
+    structured: transcript => extractCustomerData(transcript),
+    intelligent: transcript => extractCustomerDataIntelligent(transcript)
+};
+
+// ================================
+// FIELD COMPARISON
+// ================================
+
+function normalizeText(value) {
+    return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function normalizeStreet(value) {
+    return normalizeText(value || '')
+        .replace(/str\.?(?=\s|$)/g, 'straße')
+        .replace(/strasse/g, 'straße')
+        .replace(/[^a-zäöüß0-9]/g, '');
+}
+
+function formatDay(parts) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+function resolveAppointment(value, corpus) {
+    const parsed = parseGermanDateTime(value, { now: corpus.reference_now, timeZone: corpus.time_zone });
+    if (!parsed) return null;
+
+    const start = getZonedParts(parsed.start, parsed.time_zone);
+    const hasTime = ['time', 'time_range'].includes(parsed.granularity);
+    return {
+        date: formatDay(start),
+        time: hasTime ? `${String(start.hour).padStart(2, '0')}:${String(start.minute).padStart(2, '0')}` : null
+    };
+}
+
+const COMPARATORS = {
+    name: (actual, expected) => normalizeText(actual) === normalizeText(expected),
+    phone: (actual, expected) => normalizePhoneNumber(actual) === normalizePhoneNumber(expected),
+    address: (actual, expected) => {
+        const parsedActual = parseGermanAddress(actual);
+        const parsedExpected = parseGermanAddress(expected);
+        if (normalizeStreet(parsedActual.street_line) !== normalizeStreet(parsedExpected.street_line)) return false;
+        if (parsedExpected.postal_code && parsedActual.postal_code !== parsedExpected.postal_code) return false;
+        return true;
+    },
+    appointment: (actual, expected, corpus) => {
+        const resolved = resolveAppointment(actual, corpus);
+        if (!resolved || resolved.date !== expected.date) return false;
+        return !expected.time || resolved.time === expected.time;
+    },
+    type: (actual, expected) => String(actual).toUpperCase() === String(expected).toUpperCase()
+};
+
+function isPresent(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+// ================================
+// SCORING
+// ================================
+
+function emptyCounts() {
+    return Object.fromEntries(FIELDS.map(field => [field, { tp: 0, fp: 0, fn: 0 }]));
+}
+
+// Konsolenausgaben der Extraktion unterdrücken
+async function runSilently(fn) {
+    const original = { log: console.log, warn: console.warn, info: console.info, error: console.error };
+    console.log = console.warn = console.info = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+/**
+ * Bewertet ein Extraktionsergebnis gegen die Erwartung
+ * @returns {Array} [{ field, outcome: 'tp' | 'fp' | 'fn' | 'fp+fn' | 'tn', actual, expected }]
+ */
+function scoreResult(result, expected, corpus) {
+    return FIELDS.map(field => {
+        const actual = result ? result[field] : null;
+        const wanted = expected[field];
+        const hasActual = isPresent(actual);
+        const hasExpected = isPresent(wanted);
+
+        let outcome = 'tn';
+        if (hasActual && hasExpected) {
+            outcome = COMPARATORS[field](actual, wanted, corpus) ? 'tp' : 'fp+fn';
+        } else if (hasActual) {
+            outcome = 'fp';
+        } else if (hasExpected) {
+            outcome = 'fn';
+        }
+
+        return { field, outcome, actual: hasActual ? actual : null, expected: hasExpected ? wanted : null };
+    });
+}
+
+function addOutcome(counts, { field, outcome }) {
+    if (outcome === 'tp') counts[field].tp++;
+    if (outcome === 'fp' || outcome === 'fp+fn') counts[field].fp++;
+    if (outcome === 'fn' || outcome === 'fp+fn') counts[field].fn++;
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : numerator / denominator;
+}
+
+function summarize(counts) {
+    return Object.fromEntries(Object.entries(counts).map(([field, { tp, fp, fn }]) => [field, {
+        tp, fp, fn,
+        precision: ratio(tp, tp + fp),
+        recall: ratio(tp, tp + fn)
+    }]));
+}
+
+/**
+ * Bewertet alle Methoden gegen ein Korpus
+ * @returns {Promise<Object>} { methods: { [method]: { fields, errors } }, mismatches }
+ */
+async function scoreCorpus(corpus, methods = METHODS) {
+    const report = { fixtures: corpus.fixtures.length, methods: {}, mismatches: [] };
+
+    for (const [method, extract] of Object.entries(methods)) {
+        const counts = emptyCounts();
+        let errors = 0;
+
+        for (const fixture of corpus.fixtures) {
+            let result = null;
+            try {
+                result = await runSilently(() => extract(fixture.transcript));
+            } catch (error) {
+                errors++;
+                report.mismatches.push({ method, fixture: fixture.id, field: '*', error: error.message });
+            }
+
+            const reference = { ...corpus, reference_now: fixture.reference_now || corpus.reference_now };
+            for (const scored of scoreResult(result, fixture.expected, reference)) {
+                addOutcome(counts, scored);
+                if (scored.outcome !== 'tp' && scored.outcome !== 'tn') {
+                    report.mismatches.push({ method, fixture: fixture.id, ...scored });
+                }
+            }
+        }
+
+        report.methods[method] = { fields: summarize(counts), errors };
+    }
+
+    return report;
+}
+
+function loadCorpus(filePath = DEFAULT_FIXTURES) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// ================================
+// CLI OUTPUT
+// ================================
+
+function formatRatio(value) {
+    return value === null ? '   -  ' : (value * 100).toFixed(1).padStart(5) + '%';
+}
+
+function printReport(report, { verbose = false } = {}) {
+    console.log(`\n📊 Extraktions-Scoring (${report.fixtures} Fixtures)\n`);
+
+    for (const [method, { fields, errors }] of Object.entries(report.methods)) {
+        console.log(`${method}${errors ? `  (❌ ${errors} Fehler)` : ''}`);
+        console.log('  Feld          TP  FP  FN  Precision  Recall');
+        for (const [field, stats] of Object.entries(fields)) {
+            console.log(`  ${field.padEnd(12)} ${String(stats.tp).padStart(3)} ${String(stats.fp).padStart(3)} ${String(stats.fn).padStart(3)}     ${formatRatio(stats.precision)}  ${formatRatio(stats.recall)}`);
+        }
+        console.log('');
+    }
+
+    if (verbose && report.mismatches.length > 0) {
+        console.log('🔍 Abweichungen:');
+        for (const mismatch of report.mismatches) {
+            if (mismatch.error) {
+                console.log(`  [${mismatch.method}] ${mismatch.fixture}: Fehler ${mismatch.error}`);
+                continue;
+            }
+            console.log(`  [${mismatch.method}] ${mismatch.fixture} ${mismatch.field} (${mismatch.outcome}): erwartet ${JSON.stringify(mismatch.expected)}, erhalten ${JSON.stringify(mismatch.actual)}`);
+        }
+        console.log('');
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const fixturesIndex = args.indexOf('--fixtures');
+    const fixturesPath = fixturesIndex !== -1 ? path.resolve(args[fixturesIndex + 1]) : DEFAULT_FIXTURES;
+
+    scoreCorpus(loadCorpus(fixturesPath)).then(report => {
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report, { verbose: args.includes('--verbose') });
+        }
+
+        const hasErrors = Object.values(report.methods).some(method => method.errors > 0);
+        process.exit(hasErrors ? 1 : 0);
+    });
+}
+
+module.exports = {
+    FIELDS,
+    METHODS,
+    loadCorpus,
+    scoreCorpus,
+    scoreResult,
+    printReport
+};
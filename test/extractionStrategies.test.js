@@ -0,0 +1,54 @@
+// ================================
+// EXTRACTION STRATEGY TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../lib/dataExtraction');
+const {
+    registerExtractionStrategy,
+    unregisterExtractionStrategy,
+    getExtractionFields,
+    runExtractionStrategies
+} = require('../lib/extractionStrategies');
+
+const transcript = 'User: Mein Name ist Peter Krause. Der Gutachter soll bitte in die Tiefgarage kommen.';
+
+test.afterEach(() => unregisterExtractionStrategy('parking_regex'));
+
+test('Neue Strategie bringt ihr Feld samt Vergleichsschlüssel mit', async () => {
+    assert.ok(!getExtractionFields().includes('parking'));
+
+    registerExtractionStrategy({
+        name: 'parking_regex',
+        fields: ['parking'],
+        valueKeys: { parking: value => String(value).toLowerCase() },
+        extract: () => [
+            { field: 'parking', value: 'Tiefgarage', confidence: 0.6, method: 'parking_patterns' },
+            { field: 'parking', value: 'TIEFGARAGE', confidence: 0.5, method: 'parking_patterns_upper' }
+        ]
+    });
+
+    const result = await runExtractionStrategies(transcript);
+
+    assert.ok(getExtractionFields().includes('parking'));
+    assert.equal(result.parking, 'Tiefgarage');
+    assert.equal(result.extraction_details.parking_source, 'parking_regex');
+    // Gleicher Schlüssel: kein Konflikt, keine Alternative
+    assert.equal(result.extraction_details.parking_conflict, undefined);
+    assert.equal(result.extraction_details.parking_alternatives, undefined);
+});
+
+test('Ergebnis enthält alle Felder, auch ohne Kandidaten', async () => {
+    const result = await runExtractionStrategies(transcript);
+
+    for (const field of getExtractionFields()) {
+        assert.ok(field in result, field);
+    }
+    assert.equal(result.vehicle, null);
+    assert.equal(result.insurance_claim, null);
+    assert.equal('parking' in result, false);
+});
@@ -0,0 +1,113 @@
+// ================================
+// LLM EXTRACTION TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    extractCustomerDataIntelligent,
+    extractCustomerDataLlm,
+    registerLlmExtractionProvider
+} = require('../lib/dataExtraction');
+const { unregisterExtractionStrategy } = require('../lib/extractionStrategies');
+const { createMockProvider, createOpenAICompatibleProvider } = require('../lib/llmProviders');
+
+const transcript = [
+    'Agent: Unfallschaden-Büro Bielefeld, wie kann ich helfen?',
+    'User: Guten Tag, mein Name ist Peter Krause. Ich brauche einen Gutachter.',
+    'Agent: Telefonnummer?',
+    'User: Meine Telefonnummer ist 0521 998877.',
+    'Agent: Adresse?',
+    'User: Ich wohne in der Hauptstraße 12a, 33602 Bielefeld.',
+    'Agent: Wann passt es?',
+    'User: Ich hätte gern einen Termin am 21. Oktober um 10 Uhr.'
+].join('\n');
+
+// Antwortet nie - endet erst, wenn der Provider die Anfrage per AbortController abbricht
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+});
+
+// Die Strategie 'llm' ist global registriert und wird nach jedem Test entfernt
+test.afterEach(() => unregisterExtractionStrategy('llm'));
+
+test('Ungültige LLM-Ausgaben werden von den Validatoren verworfen', async () => {
+    const provider = createMockProvider({
+        name: '12345',
+        phone: 'keine Ahnung',
+        address: 'irgendwo',
+        call_type: 'SPAM',
+        vehicle: { make: 'VW', model: null, license_plate: 'XYZ', year: 1800, mileage: -5 }
+    });
+    const result = await extractCustomerDataLlm(transcript, provider);
+
+    assert.equal(result.name, null);
+    assert.equal(result.phone, null);
+    assert.equal(result.address, null);
+    assert.equal(result.type, null);
+    assert.deepEqual(result.extraction_details.rejected_fields, ['name', 'phone', 'address', 'vehicle.license_plate']);
+    assert.deepEqual(result.vehicle, { make: 'VW', model: null, license_plate: null, year: null, mileage: null });
+
+    const notAnObject = { name: 'raw', extract: async () => 'kein JSON-Objekt' };
+    assert.equal(await extractCustomerDataLlm(transcript, notAnObject), null);
+});
+
+test('Gültige LLM-Ausgaben werden normalisiert übernommen', async () => {
+    const provider = createMockProvider({ name: 'Peter Krause', phone: '0521 998877', call_type: 'APPOINTMENT' });
+    const result = await extractCustomerDataLlm(transcript, provider);
+
+    assert.equal(result.name, 'Peter Krause');
+    assert.equal(result.phone, '0521998877');
+    assert.equal(result.type, 'APPOINTMENT');
+    assert.equal(result.extraction_details.phone_method, 'mock');
+    assert.deepEqual(result.extraction_details.rejected_fields, []);
+});
+
+test('Timeout des Providers fällt auf die Regex-Ergebnisse zurück', async () => {
+    const regexOnly = await extractCustomerDataIntelligent(transcript);
+
+    registerLlmExtractionProvider(createOpenAICompatibleProvider({ apiKey: 'test', timeoutMs: 20, fetchImpl: hangingFetch }));
+    const result = await extractCustomerDataIntelligent(transcript);
+
+    assert.deepEqual(result.extraction_details.strategies.llm, { candidates: 0 });
+    for (const field of ['name', 'phone', 'address', 'appointment', 'type']) {
+        assert.deepEqual(result[field], regexOnly[field], field);
+    }
+    assert.equal(result.confidence_score, regexOnly.confidence_score);
+});
+
+test('LLM-Kandidaten werden mit den Regex-Kandidaten fusioniert', async () => {
+    const regexOnly = await extractCustomerDataIntelligent(transcript);
+
+    registerLlmExtractionProvider(createMockProvider({
+        name: 'Peter Krause',
+        phone: '0521 998877',
+        insurer: 'HUK-Coburg',
+        call_type: 'APPOINTMENT'
+    }));
+    const result = await extractCustomerDataIntelligent(transcript);
+    const details = result.extraction_details;
+
+    // Übereinstimmung erhöht die Konfidenz, zusätzliche Felder kommen nur vom LLM
+    assert.equal(result.name, 'Peter Krause');
+    assert.ok(details.name_agreement.includes('llm'));
+    assert.ok(details.name_confidence > regexOnly.extraction_details.name_confidence);
+    assert.equal(result.insurer, 'HUK-Coburg');
+    assert.equal(details.insurer_source, 'llm');
+});
+
+test('Widersprüchlicher LLM-Wert senkt die Konfidenz und bleibt als Alternative erhalten', async () => {
+    const regexOnly = await extractCustomerDataIntelligent(transcript);
+
+    registerLlmExtractionProvider(createMockProvider({ name: 'Petra Kraus' }));
+    const result = await extractCustomerDataIntelligent(transcript);
+    const details = result.extraction_details;
+
+    assert.equal(result.name, 'Peter Krause');
+    assert.equal(details.name_conflict.value, 'Petra Kraus');
+    assert.ok(details.name_confidence < regexOnly.extraction_details.name_confidence);
+    assert.deepEqual(details.name_alternatives.map(alternative => alternative.value), ['Petra Kraus']);
+});
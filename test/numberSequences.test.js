@@ -0,0 +1,64 @@
+// ================================
+// NUMBER SEQUENCE TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_FORMATS,
+    parseNumberFormat,
+    formatNumber,
+    parseNumber
+} = require('../lib/numberSequences');
+
+test('Standardformat mit {YYYY}', () => {
+    const format = parseNumberFormat(DEFAULT_FORMATS.project);
+
+    assert.deepEqual(format, { pattern: 'P-{YYYY}-{NNN}', padding: 3, yearly: true });
+    assert.equal(formatNumber(format, 2026, 4), 'P-2026-004');
+    assert.deepEqual(parseNumber(format, 'P-2026-004', 2026), { year: 2026, value: 4 });
+});
+
+test('{YY} setzt das zweistellige Jahr ein und liest es im Jahrhundert des Referenzjahrs', () => {
+    const format = parseNumberFormat('K{YY}/{NNNN}');
+
+    assert.equal(format.yearly, true);
+    assert.equal(formatNumber(format, 2026, 17), 'K26/0017');
+    assert.deepEqual(parseNumber(format, 'K26/0017', 2026), { year: 2026, value: 17 });
+    assert.deepEqual(parseNumber(format, 'K99/0001', 2026), { year: 2099, value: 1 });
+    assert.equal(parseNumber(format, 'K2026/0017', 2026), null);
+});
+
+test('Format ohne Jahr zählt fortlaufend (year 0)', () => {
+    const format = parseNumberFormat('AKTE-{NNNNN}');
+
+    assert.equal(format.yearly, false);
+    assert.equal(formatNumber(format, 2026, 42), 'AKTE-00042');
+    assert.deepEqual(parseNumber(format, 'AKTE-00042', 2026), { year: 0, value: 42 });
+});
+
+test('Überlauf über die Mindeststellen bleibt lesbar', () => {
+    const format = parseNumberFormat(DEFAULT_FORMATS.project);
+
+    assert.equal(formatNumber(format, 2026, 1000), 'P-2026-1000');
+    assert.deepEqual(parseNumber(format, 'P-2026-1000', 2026), { year: 2026, value: 1000 });
+    assert.deepEqual(parseNumber(format, 'P-2026-12345', 2026), { year: 2026, value: 12345 });
+});
+
+test('Fremde Nummern werden nicht gelesen', () => {
+    const format = parseNumberFormat(DEFAULT_FORMATS.project);
+
+    assert.equal(parseNumber(format, 'K-2026-004', 2026), null);
+    assert.equal(parseNumber(format, 'P-2026-', 2026), null);
+    assert.equal(parseNumber(format, null, 2026), null);
+});
+
+test('Unbekannte oder fehlende Platzhalter werden abgelehnt', () => {
+    assert.throws(() => parseNumberFormat('P-{YYYY}-{MM}-{NNN}'), /Unbekannte Platzhalter.*\{MM\}/);
+    assert.throws(() => parseNumberFormat('P-{yyyy}-{NNN}'), /Unbekannte Platzhalter.*\{yyyy\}/);
+    assert.throws(() => parseNumberFormat('P-{YYYY}'), /genau einen \{N\.\.\.\} Platzhalter/);
+    assert.throws(() => parseNumberFormat('P-{NNN}-{NN}'), /genau einen \{N\.\.\.\} Platzhalter/);
+});
@@ -0,0 +1,155 @@
+// ================================
+// TRAVEL TIME TESTS
+// ================================
+
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeBusinessHours } = require('../lib/businessHours');
+const {
+    haversineKm,
+    geocodePostalCode,
+    createStraightLineProvider,
+    createStraightLineProviderFromEnv,
+    createDistanceProviderFromEnv,
+    createMockDistanceProvider
+} = require('../lib/distanceProviders');
+const {
+    OFFICE_LOCATION,
+    resolveLocation,
+    estimateTravel,
+    checkTravelTime
+} = require('../lib/travelTime');
+
+// Mittwoch, 21.10.2026 (MESZ, UTC+2), Standard: Mo-Fr 8-18 Uhr, kein Puffer
+const at = (hour, minute = 0) => new Date(Date.UTC(2026, 9, 21, hour - 2, minute));
+const config = normalizeBusinessHours({});
+
+const onSite = (id, hour, minute, postalCode, durationMinutes = 60) => ({
+    id,
+    scheduled_date: at(hour, minute).toISOString(),
+    duration_minutes: durationMinutes,
+    status: 'scheduled',
+    location_type: 'customer_address',
+    address: { full_address: `Teststraße 1, ${postalCode}`, postal_code: postalCode }
+});
+
+// 20 Minuten zwischen verschiedenen PLZ, 5 Minuten innerhalb derselben, 10 vom/zum Büro
+const provider = createMockDistanceProvider((from, to) => {
+    if (from.kind === 'office' || to.kind === 'office') return 10;
+    return from.postal_code === to.postal_code ? 5 : 20;
+});
+
+test('Ort aus Termin, Adresse oder PLZ auflösen', () => {
+    const fromAppointment = resolveLocation(onSite('a', 10, 0, '33602'));
+    assert.equal(fromAppointment.kind, 'customer_address');
+    assert.equal(fromAppointment.postal_code, '33602');
+    assert.ok(Number.isFinite(fromAppointment.lat));
+
+    assert.equal(resolveLocation({ address: 'Hauptstraße 5, 32756 Detmold' }).postal_code, '32756');
+    assert.equal(resolveLocation({ location_type: 'office' }), OFFICE_LOCATION);
+    assert.equal(resolveLocation({ address: 'Kammerratsheide 51, Bielefeld' }), OFFICE_LOCATION);
+    assert.equal(resolveLocation({ address: 'irgendwo' }).lat, null);
+});
+
+test('Luftlinie über PLZ-Mittelpunkte funktioniert offline', async () => {
+    const bielefeld = geocodePostalCode('33602');
+    const detmold = geocodePostalCode('32756');
+    const km = haversineKm(bielefeld, detmold);
+    assert.ok(km > 20 && km < 30, `Bielefeld-Detmold ${km} km`);
+
+    const estimate = await createStraightLineProvider().estimate(
+        resolveLocation({ postal_code: '33602' }),
+        resolveLocation({ postal_code: '32756' })
+    );
+    assert.ok(estimate.minutes >= 30 && estimate.minutes <= 60, `${estimate.minutes} Min.`);
+    assert.equal(await createStraightLineProvider().estimate(resolveLocation({ address: 'irgendwo' }), OFFICE_LOCATION), null);
+});
+
+test('Fällt der Provider aus, wird die Luftlinie genutzt', async () => {
+    const failing = createMockDistanceProvider(0, { error: 'Routing nicht erreichbar' });
+    const estimate = await estimateTravel(OFFICE_LOCATION, resolveLocation({ postal_code: '32756' }), { provider: failing });
+
+    assert.equal(estimate.source, 'straight_line');
+    assert.ok(estimate.minutes > 0);
+});
+
+test('Luftlinie und Fallback nutzen TRAVEL_AVERAGE_SPEED_KMH', async () => {
+    const from = resolveLocation({ postal_code: '33602' });
+    const to = resolveLocation({ postal_code: '32756' });
+    const env = { TRAVEL_AVERAGE_SPEED_KMH: '90' };
+
+    const standard = await createStraightLineProvider().estimate(from, to);
+    const fast = await createStraightLineProviderFromEnv(env).estimate(from, to);
+    assert.ok(fast.minutes < standard.minutes, `${fast.minutes} < ${standard.minutes} Min.`);
+
+    // osrm ohne OSRM_BASE_URL fällt auf dieselbe Luftlinie zurück
+    const fromEnv = createDistanceProviderFromEnv({ ...env, TRAVEL_DISTANCE_PROVIDER: 'osrm' });
+    assert.deepEqual(await fromEnv.estimate(from, to), fast);
+});
+
+test('Unbekannte Orte zählen die Standard-Fahrzeit', async () => {
+    const estimate = await estimateTravel(OFFICE_LOCATION, resolveLocation({ address: 'irgendwo' }), { provider, defaultMinutes: 25 });
+    assert.deepEqual(estimate, { minutes: 25, distance_km: null, source: 'default' });
+});
+
+test('Direkt anschließender Vor-Ort-Termin an anderer Adresse ist nicht erreichbar', async () => {
+    const appointments = [onSite('a', 9, 0, '33602')];
+    const location = resolveLocation({ postal_code: '32756' });
+
+    const tooEarly = await checkTravelTime(at(10), 60, location, appointments, config, { provider });
+    assert.equal(tooEarly.feasible, false);
+    assert.equal(tooEarly.travel_before.appointment_id, 'a');
+    assert.equal(tooEarly.travel_before.minutes, 20);
+
+    const reachable = await checkTravelTime(at(10, 30), 60, location, appointments, config, { provider });
+    assert.equal(reachable.feasible, true);
+});
+
+test('Fahrzeit zum Folgetermin wird eingehalten, Puffer kommt hinzu', async () => {
+    const appointments = [onSite('next', 12, 0, '33602')];
+    const location = resolveLocation({ postal_code: '32756' });
+
+    assert.equal((await checkTravelTime(at(10, 30), 60, location, appointments, config, { provider })).feasible, true);
+
+    const withBuffer = normalizeBusinessHours({ buffer_minutes: 15 });
+    const result = await checkTravelTime(at(10, 30), 60, location, appointments, withBuffer, { provider });
+    assert.equal(result.feasible, false);
+    assert.match(result.reason, /Folgetermin/);
+});
+
+test('Erster Termin des Tages braucht die Anfahrt vom Büro ab Öffnung', async () => {
+    const location = resolveLocation({ postal_code: '32756' });
+
+    assert.equal((await checkTravelTime(at(8), 60, location, [], config, { provider })).feasible, false);
+    assert.equal((await checkTravelTime(at(8, 30), 60, location, [], config, { provider })).feasible, true);
+
+    const fromAnywhere = normalizeBusinessHours({ travel_start_at_office: false });
+    assert.equal((await checkTravelTime(at(8), 60, location, [], fromAnywhere, { provider })).feasible, true);
+});
+
+test('Termine im Büro brauchen untereinander keine Fahrzeit', async () => {
+    const office = { ...onSite('office', 9, 0, '33609'), location_type: 'office' };
+    const result = await checkTravelTime(at(10), 60, OFFICE_LOCATION, [office], config, { provider });
+
+    assert.equal(result.feasible, true);
+    assert.equal(result.travel_before.minutes, 0);
+});
+
+test('Nahe Vor-Ort-Termine gelten als Cluster, andere Tage und der Termin selbst zählen nicht', async () => {
+    const location = resolveLocation({ postal_code: '32756' });
+    const nearby = await checkTravelTime(at(10, 30), 60, location, [onSite('a', 9, 0, '32756')], config, { provider });
+    assert.equal(nearby.clustered, true);
+
+    const farAway = await checkTravelTime(at(10, 30), 60, location, [onSite('a', 9, 0, '33602')], config, { provider });
+    assert.equal(farAway.clustered, false);
+    assert.ok(farAway.detour_minutes > nearby.detour_minutes);
+
+    const otherDay = { ...onSite('b', 9, 30, '33602'), scheduled_date: new Date(at(9, 30).getTime() - 86400000).toISOString() };
+    const self = onSite('self', 9, 30, '33602');
+    const alone = await checkTravelTime(at(10), 60, location, [otherDay, self], config, { provider, excludeAppointmentId: 'self' });
+    assert.equal(alone.feasible, true);
+    assert.equal(alone.travel_before.appointment_id, null);
+});
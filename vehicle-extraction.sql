@@ -0,0 +1,37 @@
+-- ===============================
+-- VEHICLE EXTRACTION
+-- Fahrzeugdaten aus Anrufen (Hersteller, Modell, Kennzeichen, Baujahr, Kilometerstand)
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_vehicles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID REFERENCES tenant_projects(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Bestehende Tabelle um fehlende Spalten ergänzen
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES kfz_projects(id);
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES kfz_customers(id);
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS make TEXT;
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS license_plate TEXT;
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS year INTEGER;
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS mileage INTEGER;
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS source TEXT;                -- z.B. vehicle_regex, llm
+ALTER TABLE kfz_vehicles ADD COLUMN IF NOT EXISTS extraction_confidence NUMERIC(4,3);
+
+-- Kennzeichen im Format "BI-AB 1234" (optional mit E/H)
+ALTER TABLE kfz_vehicles DROP CONSTRAINT IF EXISTS kfz_vehicles_license_plate_check;
+ALTER TABLE kfz_vehicles ADD CONSTRAINT kfz_vehicles_license_plate_check
+    CHECK (license_plate IS NULL OR license_plate ~ '^[A-ZÄÖÜ]{1,3}-[A-Z]{1,2} [1-9][0-9]{0,3}[EH]?$');
+
+CREATE INDEX IF NOT EXISTS idx_kfz_vehicles_project ON kfz_vehicles (project_id);
+CREATE INDEX IF NOT EXISTS idx_kfz_vehicles_license_plate ON kfz_vehicles (tenant_project_id, license_plate);
+
+ALTER TABLE kfz_vehicles DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_vehicles TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_vehicles extraction columns ready' as message;
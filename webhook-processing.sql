@@ -0,0 +1,30 @@
+-- ===============================
+-- WEBHOOK IDEMPOTENZ
+-- Ein Verarbeitungsdatensatz pro retell_call_id
+-- Im Supabase SQL Editor ausführen!
+-- ===============================
+
+CREATE TABLE IF NOT EXISTS kfz_webhook_processing (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_project_id UUID NOT NULL REFERENCES tenant_projects(id),
+    retell_call_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'processing', -- processing | completed | failed
+    steps JSONB NOT NULL DEFAULT '{}'::jsonb,  -- customer_id, project_id, call_record_saved, appointment_id, ...
+    response JSONB,                            -- Original-Antwort für wiederholte Zustellungen
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    locked_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT kfz_webhook_processing_call_unique UNIQUE (retell_call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kfz_webhook_processing_status
+    ON kfz_webhook_processing (tenant_project_id, status);
+
+ALTER TABLE kfz_webhook_processing DISABLE ROW LEVEL SECURITY;
+GRANT ALL PRIVILEGES ON kfz_webhook_processing TO service_role, anon;
+
+-- Bestätigung
+SELECT 'kfz_webhook_processing ready' as message;